@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+// bin/topology.js
+// Plan and apply topology files from CI, against the clusters the dashboard
+// is configured with (RABBITMQ_URL, CLUSTERS or CLUSTERS_FILE)
+require('dotenv').config();
+const fs = require('fs');
+const { loadConfig } = require('../src/utils/config');
+const { createLogger } = require('../src/lib/Logger');
+const ClusterRegistry = require('../src/lib/ClusterRegistry');
+const TopologyManager = require('../src/lib/TopologyManager');
+const { describePlanSummary } = require('../src/utils/topology');
+
+const USAGE = `Usage: rmq-topology <plan|apply> <file> [options]
+
+Commands:
+  plan                  Show what applying the file would create, change and delete
+  apply                 Plan, then apply the plan
+
+Options:
+  --cluster <id>        Cluster to use, the first configured one by default
+  --allow-destructive   Apply plans that delete or declare again queues and exchanges
+  --detailed-exitcode   With plan, exit with 2 when there are changes
+  --json                Print the plan as JSON
+  --help                Show this help
+
+Exit codes: 0 on success, 1 on errors, 2 for changes with --detailed-exitcode`;
+
+// Signs of the actions in the printed plan
+const SIGNS = { create: '+', update: '~', recreate: '!', delete: '-' };
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, file, cluster, allowDestructive, detailedExitcode, json, help }
+ * @throws {Error} For unknown or incomplete options
+ */
+function parseArgs(args) {
+    const options = { allowDestructive: false, detailedExitcode: false, json: false, help: false };
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--cluster':
+                if (!args[i + 1]) {
+                    throw new Error('--cluster needs a cluster id');
+                }
+                options.cluster = args[++i];
+                break;
+            case '--allow-destructive':
+                options.allowDestructive = true;
+                break;
+            case '--detailed-exitcode':
+                options.detailedExitcode = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (args[i].startsWith('-')) {
+                    throw new Error(`Unknown option ${args[i]}`);
+                }
+                positional.push(args[i]);
+        }
+    }
+
+    [options.command, options.file] = positional;
+    return options;
+}
+
+/**
+ * Describe a plan action on one line
+ * @param {Object} action - Action from buildPlan()
+ * @returns {string} e.g. '! recreate queue "orders" in vhost "/": arguments.x-queue-type'
+ */
+function describeAction(action) {
+    let line = `${SIGNS[action.action]} ${action.action} ${action.kind} "${action.name}" in vhost "${action.vhost}"`;
+
+    if (action.fields) {
+        line += `: ${action.fields.map(({ field }) => field).join(', ')}`;
+    }
+    if (action.destructive) {
+        line += action.messages ? ` [destructive, ${action.messages} messages lost]` : ' [destructive]';
+    }
+    return line;
+}
+
+/**
+ * Print a plan
+ * @param {Object} plan - Plan from TopologyManager.plan()
+ * @param {string} cluster - Cluster id
+ */
+function printPlan(plan, cluster) {
+    console.log(`Plan ${plan.id} for cluster "${cluster}", vhosts ${plan.vhosts.map(vhost => `"${vhost}"`).join(', ')}`);
+    for (const action of plan.actions) {
+        console.log(`  ${describeAction(action)}`);
+    }
+    console.log(describePlanSummary(plan.summary));
+}
+
+/**
+ * Run a command
+ * @param {Object} options - Options from parseArgs()
+ * @returns {Promise<number>} Exit code
+ */
+async function run(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!['plan', 'apply'].includes(options.command) || !options.file) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const source = fs.readFileSync(options.file, 'utf8');
+
+    // Errors are printed once, below, and logs must not mix with --json
+    const logger = createLogger({ silent: true });
+    const clusters = new ClusterRegistry(loadConfig(), logger);
+    const topology = new TopologyManager(logger);
+
+    try {
+        const broker = clusters.get(options.cluster);
+        await broker.initialize();
+
+        const plan = await topology.plan(broker, source);
+        if (options.json) {
+            console.log(JSON.stringify(plan, null, 2));
+        } else {
+            printPlan(plan, broker.id);
+        }
+
+        if (options.command === 'plan') {
+            return options.detailedExitcode && plan.actions.length > 0 ? 2 : 0;
+        }
+
+        if (plan.actions.length === 0) {
+            return 0;
+        }
+
+        if (plan.summary.destructive > 0 && !options.allowDestructive) {
+            console.error(`The plan has ${plan.summary.destructive} destructive actions, run again with --allow-destructive to apply it`);
+            return 1;
+        }
+
+        await topology.apply(broker, source, {
+            planId: plan.id,
+            allowDestructive: options.allowDestructive,
+            onAction: (action) => {
+                if (!options.json) {
+                    console.log(`Applied: ${describeAction(action)}`);
+                }
+            }
+        });
+
+        if (!options.json) {
+            console.log(`Applied ${plan.actions.length} actions`);
+        }
+        return 0;
+    } finally {
+        await clusters.close();
+    }
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+run(options)
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,419 @@
+// src/lib/AlertManager.js
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { HttpError } = require('../utils/errors');
+const { generateUniqueId } = require('../utils/helpers');
+const { buildAlertRule, isBreached } = require('../utils/alerts');
+const { getQueueSample } = require('../utils/metrics');
+
+// Resolved alerts kept for the alerts page
+const MAX_RESOLVED = 100;
+
+/**
+ * Evaluates alert rules against the queues of every cluster on the refresh
+ * interval.
+ *
+ * A rule watches one metric of the queues matching its cluster, vhost and
+ * queue pattern. An alert is pending while the condition holds and fires
+ * once it has held for the rule's duration; it resolves when the condition
+ * no longer holds or the queue is gone. Rules are kept in `ALERT_RULES_FILE`;
+ * alert state is kept in memory only.
+ *
+ * Emits 'alert' with the alert on every firing and resolve, and 'change'
+ * with getAlerts() after each evaluation that changed what is firing.
+ * @extends EventEmitter
+ */
+class AlertManager extends EventEmitter {
+    /**
+     * Create a new AlertManager
+     * @param {ClusterRegistry} clusters - Clusters to watch
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(clusters, config, logger) {
+        super();
+        this.clusters = clusters;
+        this.config = config;
+        this.logger = logger;
+        this.file = path.resolve(config.alertRulesFile || 'alert-rules.json');
+        this.interval = config.refreshInterval;
+
+        // id -> rule
+        this.rules = new Map();
+
+        // JSON [ruleId, cluster, vhost, queue] -> pending or firing alert
+        this.alerts = new Map();
+
+        // Newest first
+        this.resolved = [];
+
+        this.timer = null;
+        this.evaluating = false;
+
+        // Rule file writes run one after another
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Load the rules and start evaluating them
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        await this.load();
+
+        this.timer = setInterval(() => this._evaluateOrLog(), this.interval);
+        this.timer.unref();
+
+        this._evaluateOrLog();
+    }
+
+    /**
+     * Stop evaluating and wait for pending rule file writes
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.writes;
+    }
+
+    /**
+     * Read the rules file. A missing file means no rules; invalid rules are
+     * logged and skipped.
+     * @returns {Promise<void>}
+     * @throws {Error} If the file is not valid JSON
+     */
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Cannot read alert rules file ${this.file}: ${error.message}`);
+        }
+
+        this.rules.clear();
+        const rules = data && Array.isArray(data.rules) ? data.rules : [];
+        rules.forEach((rule, index) => {
+            try {
+                if (!rule || typeof rule.id !== 'string' || !rule.id) {
+                    throw new Error('id is required');
+                }
+                this.rules.set(rule.id, {
+                    id: rule.id,
+                    ...buildAlertRule(rule, this.config),
+                    createdAt: rule.createdAt,
+                    updatedAt: rule.updatedAt
+                });
+            } catch (error) {
+                this.logger.warn(`Skipping alert rule ${index + 1} in ${this.file}: ${error.message}`);
+            }
+        });
+
+        this.logger.info(`Loaded ${this.rules.size} alert rules from ${this.file}`);
+    }
+
+    /**
+     * All rules, in creation order
+     * @returns {Array<Object>} Rules
+     */
+    listRules() {
+        return Array.from(this.rules.values());
+    }
+
+    /**
+     * Get a rule
+     * @param {string} id - Rule id
+     * @returns {Object} Rule
+     * @throws {HttpError} 404 for an unknown rule
+     */
+    getRule(id) {
+        const rule = this.rules.get(id);
+        if (!rule) {
+            throw new HttpError(404, `Alert rule "${id}" not found`);
+        }
+        return rule;
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} body - Request body, see buildAlertRule()
+     * @returns {Promise<Object>} The new rule
+     * @throws {HttpError} 400 for an invalid rule
+     */
+    async createRule(body) {
+        const now = new Date().toISOString();
+        const rule = { id: generateUniqueId(), ...this._buildRule(body), createdAt: now, updatedAt: now };
+
+        this.rules.set(rule.id, rule);
+        await this._saveRules();
+        return rule;
+    }
+
+    /**
+     * Replace a rule. Its alerts start over, as the condition may have changed.
+     * @param {string} id - Rule id
+     * @param {Object} body - Request body, see buildAlertRule()
+     * @returns {Promise<Object>} The updated rule
+     * @throws {HttpError} 404 for an unknown rule, 400 for an invalid rule
+     */
+    async updateRule(id, body) {
+        const existing = this.getRule(id);
+        const rule = {
+            id,
+            ...this._buildRule(body),
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.rules.set(id, rule);
+        this._dropAlerts(id);
+        await this._saveRules();
+        return rule;
+    }
+
+    /**
+     * Delete a rule and its alerts
+     * @param {string} id - Rule id
+     * @returns {Promise<void>}
+     * @throws {HttpError} 404 for an unknown rule
+     */
+    async deleteRule(id) {
+        this.getRule(id);
+        this.rules.delete(id);
+        this._dropAlerts(id);
+        await this._saveRules();
+    }
+
+    /**
+     * Firing alerts, newest first, and recently resolved ones
+     * @returns {Object} { alerts, resolved }
+     */
+    getAlerts() {
+        const alerts = Array.from(this.alerts.values())
+            .filter(alert => alert.state === 'firing')
+            .sort((a, b) => b.firedAt.localeCompare(a.firedAt));
+
+        return { alerts, resolved: this.resolved };
+    }
+
+    /**
+     * Evaluate every enabled rule once. An evaluation is skipped while the
+     * previous one is still running.
+     * @returns {Promise<void>}
+     */
+    async evaluate() {
+        if (this.evaluating) {
+            return;
+        }
+
+        this.evaluating = true;
+        try {
+            const rules = this.listRules().filter(rule => rule.enabled);
+            const changed = await Promise.all(this.clusters.list().map((broker) => {
+                const clusterRules = rules.filter(rule => !rule.cluster || rule.cluster === broker.id);
+                return this._evaluateBroker(broker, clusterRules);
+            }));
+
+            if (changed.includes(true)) {
+                this.emit('change', this.getAlerts());
+            }
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    /**
+     * Evaluate every enabled rule once from the timer, logging errors as
+     * nothing awaits it
+     * @returns {Promise<void>}
+     * @private
+     */
+    _evaluateOrLog() {
+        return this.evaluate().catch((error) => {
+            this.logger.error(`Error evaluating alert rules: ${error.message}`);
+        });
+    }
+
+    /**
+     * Evaluate rules against the queues of one cluster. Alerts of a cluster
+     * that cannot be reached are left as they are.
+     * @param {Broker} broker - Broker of the cluster
+     * @param {Array<Object>} rules - Enabled rules that apply to the cluster
+     * @returns {Promise<boolean>} Whether an alert fired or resolved
+     * @private
+     */
+    async _evaluateBroker(broker, rules) {
+        let queues = [];
+        if (rules.length > 0) {
+            try {
+                queues = await broker.fetchFromRabbitMQ('/api/queues', 'queues');
+            } catch (error) {
+                this.logger.debug(`[${broker.id}] Skipping alert rules: ${error.message}`);
+                return false;
+            }
+        }
+
+        const now = Date.now();
+        const seen = new Set();
+        let changed = false;
+
+        for (const rule of rules) {
+            const pattern = rule.queuePattern ? new RegExp(rule.queuePattern) : null;
+
+            for (const queue of queues) {
+                if ((rule.vhost && queue.vhost !== rule.vhost) || (pattern && !pattern.test(queue.name))) {
+                    continue;
+                }
+
+                const key = JSON.stringify([rule.id, broker.id, queue.vhost, queue.name]);
+                const value = getQueueSample(queue)[rule.metric];
+                if (!isBreached(rule, value)) {
+                    continue;
+                }
+
+                seen.add(key);
+                let alert = this.alerts.get(key);
+                if (!alert) {
+                    alert = this._createAlert(rule, broker, queue, now);
+                    this.alerts.set(key, alert);
+                }
+                alert.value = value;
+
+                if (alert.state === 'pending' && now - Date.parse(alert.since) >= rule.duration * 1000) {
+                    alert.state = 'firing';
+                    alert.firedAt = new Date(now).toISOString();
+                    this.logger.warn(`Alert "${rule.name}" firing for queue "${queue.name}" in vhost "${queue.vhost}" on ${broker.id}: ${rule.metric} is ${value}`);
+                    this.emit('alert', { ...alert });
+                    changed = true;
+                }
+            }
+        }
+
+        // Conditions that no longer hold, and queues or rules that are gone
+        for (const [key, alert] of this.alerts.entries()) {
+            if (alert.cluster !== broker.id || seen.has(key)) {
+                continue;
+            }
+
+            this.alerts.delete(key);
+            if (alert.state === 'firing') {
+                this._resolve(alert, now);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Create a pending alert
+     * @param {Object} rule - Rule whose condition holds
+     * @param {Broker} broker - Broker of the cluster
+     * @param {Object} queue - Queue from the management API
+     * @param {number} now - Current time (ms)
+     * @returns {Object} Alert
+     * @private
+     */
+    _createAlert(rule, broker, queue, now) {
+        return {
+            id: generateUniqueId(),
+            ruleId: rule.id,
+            rule: rule.name,
+            severity: rule.severity,
+            cluster: broker.id,
+            vhost: queue.vhost,
+            queue: queue.name,
+            metric: rule.metric,
+            comparator: rule.comparator,
+            threshold: rule.threshold,
+            duration: rule.duration,
+            value: null,
+            state: 'pending',
+            since: new Date(now).toISOString(),
+            firedAt: null,
+            resolvedAt: null
+        };
+    }
+
+    /**
+     * Mark a firing alert resolved and keep it in the resolved list
+     * @param {Object} alert - Firing alert
+     * @param {number} now - Current time (ms)
+     * @private
+     */
+    _resolve(alert, now) {
+        alert.state = 'resolved';
+        alert.resolvedAt = new Date(now).toISOString();
+        this.logger.info(`Alert "${alert.rule}" resolved for queue "${alert.queue}" in vhost "${alert.vhost}" on ${alert.cluster}`);
+
+        this.resolved.unshift(alert);
+        this.resolved.length = Math.min(this.resolved.length, MAX_RESOLVED);
+        this.emit('alert', { ...alert });
+    }
+
+    /**
+     * Forget the alerts of a changed or deleted rule without resolving them
+     * @param {string} ruleId - Rule id
+     * @private
+     */
+    _dropAlerts(ruleId) {
+        let dropped = false;
+        for (const [key, alert] of this.alerts.entries()) {
+            if (alert.ruleId === ruleId) {
+                dropped = dropped || alert.state === 'firing';
+                this.alerts.delete(key);
+            }
+        }
+
+        if (dropped) {
+            this.emit('change', this.getAlerts());
+        }
+    }
+
+    /**
+     * Validate a rule, including that its cluster exists
+     * @param {Object} body - Request body
+     * @returns {Object} Rule without id and timestamps
+     * @throws {HttpError} 400 for an invalid rule
+     * @private
+     */
+    _buildRule(body) {
+        const rule = buildAlertRule(body, this.config);
+
+        if (rule.cluster && !this.clusters.list().some(broker => broker.id === rule.cluster)) {
+            throw new HttpError(400, `Cluster "${rule.cluster}" not found`);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Write the rules file
+     * @returns {Promise<void>}
+     * @private
+     */
+    _saveRules() {
+        const data = JSON.stringify({ rules: this.listRules() }, null, 2);
+
+        // Write a temporary file first so a crash never leaves half a file
+        const temporary = `${this.file}.tmp`;
+        this.writes = this.writes
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(temporary, data);
+                await fs.promises.rename(temporary, this.file);
+            });
+
+        return this.writes;
+    }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,384 @@
+// src/lib/AmqpChannelPool.js
+const amqp = require('amqplib');
+const EventEmitter = require('events');
+const { HttpError, VhostAccessError } = require('../utils/errors');
+
+/**
+ * Pool of AMQP connections keyed by virtual host.
+ *
+ * A connection and channel are opened lazily the first time a vhost is used
+ * and closed again once they have been idle for `amqpIdleTimeout` ms.
+ * @extends EventEmitter
+ */
+class AmqpChannelPool extends EventEmitter {
+    /**
+     * Create a new AmqpChannelPool
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        super();
+
+        this.config = config;
+        this.logger = logger;
+        this.idleTimeout = config.amqpIdleTimeout || 60000;
+
+        // vhost -> { connection, channel, channelPromise, lastUsed, inUse, closing }
+        this.entries = new Map();
+
+        // vhost -> Promise resolving to an entry while a connection is opening
+        this.opening = new Map();
+
+        // vhost -> { error, until } for vhosts the user was refused access to
+        this.denied = new Map();
+
+        this.sweepTimer = null;
+
+        // Bind methods to maintain this context
+        this.closeIdle = this.closeIdle.bind(this);
+    }
+
+    /**
+     * Get the channel for a vhost, opening a connection if needed
+     * @param {string} vhost - Virtual host
+     * @returns {Promise<Object>} amqplib channel
+     */
+    async getChannel(vhost = this.config.vhost) {
+        const entry = await this._getEntry(vhost);
+        return this._getEntryChannel(vhost, entry);
+    }
+
+    /**
+     * Run a function with the channel for a vhost. The connection is not
+     * idle-closed while the function is running.
+     * @param {string} vhost - Virtual host
+     * @param {Function} fn - Function receiving the channel
+     * @returns {Promise<any>} Result of fn
+     */
+    async withChannel(vhost, fn) {
+        const entry = await this._getEntry(vhost);
+        entry.inUse++;
+
+        try {
+            const channel = await this._getEntryChannel(vhost, entry);
+            return await fn(channel);
+        } finally {
+            entry.inUse--;
+            entry.lastUsed = Date.now();
+        }
+    }
+
+    /**
+     * Open a dedicated channel on the pooled connection for a vhost, for work
+     * that needs its own channel state (prefetch, confirms, unacked messages).
+     * The connection is not idle-closed until the channel is closed.
+     * @param {string} vhost - Virtual host
+     * @param {Object} options - Channel options
+     * @param {boolean} options.confirm - Open a confirm channel
+     * @returns {Promise<Object>} amqplib channel; the caller must close it
+     */
+    async openChannel(vhost, { confirm = false } = {}) {
+        const entry = await this._getEntry(vhost);
+        entry.inUse++;
+
+        let channel;
+        try {
+            channel = confirm
+                ? await entry.connection.createConfirmChannel()
+                : await entry.connection.createChannel();
+        } catch (error) {
+            entry.inUse--;
+            throw error;
+        }
+
+        channel.on('error', (err) => {
+            this.logger.debug(`AMQP channel error on vhost "${vhost}": ${err.message}`);
+        });
+
+        channel.once('close', () => {
+            entry.inUse--;
+            entry.lastUsed = Date.now();
+        });
+
+        return channel;
+    }
+
+    /**
+     * Get the status of every pooled connection
+     * @returns {Array<Object>} Vhost connection states
+     */
+    getStatus() {
+        return Array.from(this.entries.entries()).map(([vhost, entry]) => ({
+            vhost,
+            channelOpen: Boolean(entry.channel),
+            inUse: entry.inUse,
+            idleMs: Date.now() - entry.lastUsed
+        }));
+    }
+
+    /**
+     * Get the pool entry for a vhost, opening the connection if needed
+     * @param {string} vhost - Virtual host
+     * @returns {Promise<Object>} Pool entry
+     * @private
+     */
+    async _getEntry(vhost) {
+        const denied = this.denied.get(vhost);
+        if (denied) {
+            if (denied.until > Date.now()) {
+                throw denied.error;
+            }
+            this.denied.delete(vhost);
+        }
+
+        const existing = this.entries.get(vhost);
+        if (existing && !existing.closing) {
+            existing.lastUsed = Date.now();
+            return existing;
+        }
+
+        // Share a single connection attempt between concurrent callers
+        if (!this.opening.has(vhost)) {
+            const promise = this._openConnection(vhost)
+                .finally(() => this.opening.delete(vhost));
+            this.opening.set(vhost, promise);
+        }
+
+        return this.opening.get(vhost);
+    }
+
+    /**
+     * Get the channel of a pool entry, recreating it if the broker closed it
+     * @param {string} vhost - Virtual host
+     * @param {Object} entry - Pool entry
+     * @returns {Promise<Object>} amqplib channel
+     * @private
+     */
+    async _getEntryChannel(vhost, entry) {
+        if (entry.channel) {
+            return entry.channel;
+        }
+
+        if (!entry.channelPromise) {
+            entry.channelPromise = this._createChannel(vhost, entry)
+                .finally(() => {
+                    entry.channelPromise = null;
+                });
+        }
+
+        return entry.channelPromise;
+    }
+
+    /**
+     * Open a connection and channel to a vhost
+     * @param {string} vhost - Virtual host
+     * @returns {Promise<Object>} Pool entry
+     * @private
+     */
+    async _openConnection(vhost) {
+        const url = this._buildVhostUrl(vhost);
+        this.logger.debug(`Opening AMQP connection for vhost "${vhost}"`);
+
+        let connection;
+        try {
+            connection = await amqp.connect(url, this._getSocketOptions());
+        } catch (error) {
+            throw this._classifyConnectError(vhost, error);
+        }
+
+        const entry = {
+            connection,
+            channel: null,
+            channelPromise: null,
+            lastUsed: Date.now(),
+            inUse: 0,
+            closing: false
+        };
+
+        connection.on('error', (err) => {
+            this.logger.error(`AMQP connection error on vhost "${vhost}": ${err.message}`);
+        });
+
+        connection.on('close', (err) => {
+            if (this.entries.get(vhost) === entry) {
+                this.entries.delete(vhost);
+            }
+
+            entry.channel = null;
+
+            if (!entry.closing) {
+                this.logger.info(`AMQP connection for vhost "${vhost}" closed`);
+                this.emit('connection-lost', vhost, err);
+            }
+        });
+
+        this.entries.set(vhost, entry);
+
+        try {
+            await this._getEntryChannel(vhost, entry);
+        } catch (error) {
+            await this._closeEntry(vhost, entry);
+            throw error;
+        }
+
+        this._startSweeper();
+        this.emit('connected', vhost);
+        this.logger.info(`Connected to RabbitMQ via AMQP on vhost "${vhost}"`);
+
+        return entry;
+    }
+
+    /**
+     * Create a channel on a pooled connection
+     * @param {string} vhost - Virtual host
+     * @param {Object} entry - Pool entry
+     * @returns {Promise<Object>} amqplib channel
+     * @private
+     */
+    async _createChannel(vhost, entry) {
+        const channel = await entry.connection.createChannel();
+
+        // Channel level errors (e.g. checking a queue that does not exist) close
+        // the channel; a new one is created the next time the vhost is used
+        channel.on('error', (err) => {
+            this.logger.debug(`AMQP channel error on vhost "${vhost}": ${err.message}`);
+        });
+
+        channel.on('close', () => {
+            if (entry.channel === channel) {
+                entry.channel = null;
+            }
+        });
+
+        entry.channel = channel;
+        return channel;
+    }
+
+    /**
+     * Build the AMQP URL for a vhost from the configured URL
+     * @param {string} vhost - Virtual host
+     * @returns {string} AMQP URL
+     * @private
+     */
+    _buildVhostUrl(vhost) {
+        const url = new URL(this.config.amqpUrl);
+        url.pathname = `/${encodeURIComponent(vhost)}`;
+        return url.toString();
+    }
+
+    /**
+     * Get socket options for amqp.connect
+     * @returns {Object} Socket options
+     * @private
+     */
+    _getSocketOptions() {
+        const options = {};
+
+        if (this.config.sslEnabled) {
+            options.rejectUnauthorized = this.config.sslVerify;
+        }
+
+        return options;
+    }
+
+    /**
+     * Turn broker refusals into errors with a clear message and status code
+     * @param {string} vhost - Virtual host
+     * @param {Error} error - Error from amqp.connect
+     * @returns {Error} Error to throw
+     * @private
+     */
+    _classifyConnectError(vhost, error) {
+        const message = error.message || '';
+
+        if (/access to vhost .* refused/i.test(message)) {
+            const accessError = new VhostAccessError(vhost, this.config.username);
+
+            // Don't hammer the broker with connections it is going to refuse
+            this.denied.set(vhost, {
+                error: accessError,
+                until: Date.now() + this.idleTimeout
+            });
+
+            this.logger.warn(accessError.message);
+            return accessError;
+        }
+
+        if (/vhost .* not found/i.test(message)) {
+            return new HttpError(404, `Virtual host "${vhost}" not found`);
+        }
+
+        return error;
+    }
+
+    /**
+     * Start the idle connection sweeper if it is not running
+     * @private
+     */
+    _startSweeper() {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(this.closeIdle, Math.min(this.idleTimeout, 30000));
+
+        // Don't keep the process alive just for the sweeper
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Close connections that have not been used for longer than the idle timeout
+     * @returns {Promise<void>}
+     */
+    async closeIdle() {
+        const now = Date.now();
+
+        for (const [vhost, entry] of this.entries.entries()) {
+            if (entry.inUse === 0 && now - entry.lastUsed >= this.idleTimeout) {
+                this.logger.debug(`Closing idle AMQP connection for vhost "${vhost}"`);
+                await this._closeEntry(vhost, entry);
+            }
+        }
+    }
+
+    /**
+     * Close a pooled connection
+     * @param {string} vhost - Virtual host
+     * @param {Object} entry - Pool entry
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeEntry(vhost, entry) {
+        entry.closing = true;
+
+        if (this.entries.get(vhost) === entry) {
+            this.entries.delete(vhost);
+        }
+
+        try {
+            await entry.connection.close();
+        } catch (e) {
+            // Ignore errors when closing possibly already closed connections
+        }
+    }
+
+    /**
+     * Close all pooled connections
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+
+        const entries = Array.from(this.entries.entries());
+        await Promise.all(entries.map(([vhost, entry]) => this._closeEntry(vhost, entry)));
+
+        this.denied.clear();
+    }
+}
+
+module.exports = AmqpChannelPool;
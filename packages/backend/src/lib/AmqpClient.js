@@ -203,54 +203,6 @@ class AmqpClient extends EventEmitter {
         this.emit('disconnected');
     }
 
-    /**
-     * Get messages from a queue via AMQP
-     * @param {string} vhost - Virtual host
-     * @param {string} queueName - Queue name
-     * @param {number} count - Maximum number of messages to get
-     * @returns {Promise<Array>} Array of message objects
-     */
-    async getMessages(vhost, queueName, count = 10) {
-        if (!this.isChannelAvailable()) {
-            throw new Error('AMQP channel not available');
-        }
-
-        // Assert the queue exists
-        await this.channel.checkQueue(queueName);
-
-        const messages = [];
-
-        for (let i = 0; i < count; i++) {
-            // Get a message, don't acknowledge it (noAck: true means auto-ack)
-            const msg = await this.channel.get(queueName, { noAck: true });
-
-            if (!msg) {
-                // No more messages
-                break;
-            }
-
-            // Get content and try to parse it
-            let content = msg.content.toString();
-            try {
-                content = JSON.parse(content);
-            } catch (e) {
-                // Not JSON, keep as string
-            }
-
-            messages.push({
-                payload: content,
-                properties: {
-                    ...msg.properties
-                },
-                redelivered: msg.fields.redelivered,
-                routing_key: msg.fields.routingKey,
-                exchange: msg.fields.exchange
-            });
-        }
-
-        return messages;
-    }
-
     /**
      * Purge a queue
      * @param {string} queueName - Queue name
@@ -0,0 +1,241 @@
+// src/lib/AuditLog.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Append-only audit log of mutating actions, stored as one JSON object per
+ * line. When the file grows past the configured size it is rotated to
+ * `<file>.1`, `<file>.2`, ... and the oldest file is removed.
+ */
+class AuditLog {
+    /**
+     * Create a new AuditLog
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.logger = logger;
+        this.enabled = config.auditEnabled !== false;
+        this.file = path.resolve(config.auditLogFile || 'audit.log');
+        this.maxSize = config.auditMaxSize || 10 * 1024 * 1024;
+        this.maxFiles = config.auditMaxFiles || 5;
+        this.includePayloads = Boolean(config.auditIncludePayloads);
+
+        // Size of the current file, read on the first write
+        this.size = null;
+
+        // Writes and rotations run one after another
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append an entry. Failures are logged, never thrown, so auditing cannot
+     * break the action being audited.
+     * @param {Object} entry - Entry without a timestamp
+     * @returns {Promise<void>} Resolves when the entry is written
+     */
+    record(entry) {
+        if (!this.enabled) {
+            return Promise.resolve();
+        }
+
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+
+        this.queue = this.queue
+            .then(() => this._append(line))
+            .catch((error) => {
+                this.logger.error(`Error writing audit log ${this.file}: ${error.message}`);
+            });
+
+        return this.queue;
+    }
+
+    /**
+     * Describe a message body for an entry: its SHA-256 hash and size, or the
+     * body itself when AUDIT_LOG_PAYLOADS is enabled
+     * @param {string|Buffer} payload - Message body
+     * @returns {Object} { payloadHash, payloadSize } or { payload, payloadSize }
+     */
+    describePayload(payload) {
+        const content = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+
+        if (this.includePayloads) {
+            return { payload: content.toString('utf8'), payloadSize: content.length };
+        }
+
+        return {
+            payloadHash: crypto.createHash('sha256').update(content).digest('hex'),
+            payloadSize: content.length
+        };
+    }
+
+    /**
+     * Find entries, newest first
+     * @param {Object} filters - { user, action, cluster, vhost, resource, outcome, from, to, limit, offset }
+     * @returns {Promise<Object>} { entries, total, limit, offset }
+     */
+    async query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+        const from = filters.from ? Date.parse(filters.from) : null;
+        const to = filters.to ? Date.parse(filters.to) : null;
+
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            throw new HttpError(400, 'from and to must be ISO dates');
+        }
+
+        // Wait for pending writes so a just-recorded action shows up
+        await this.queue;
+
+        const matches = [];
+        for (const file of this._files()) {
+            const lines = await this._readLines(file);
+
+            // Lines are oldest first within a file
+            for (let i = lines.length - 1; i >= 0; i--) {
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (e) {
+                    continue;
+                }
+
+                if (this._matches(entry, filters, from, to)) {
+                    matches.push(entry);
+                }
+            }
+        }
+
+        return {
+            entries: matches.slice(offset, offset + limit),
+            total: matches.length,
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Check an entry against query filters
+     * @param {Object} entry - Audit entry
+     * @param {Object} filters - Query filters
+     * @param {number|null} from - Earliest time (ms)
+     * @param {number|null} to - Latest time (ms)
+     * @returns {boolean} Whether the entry matches
+     * @private
+     */
+    _matches(entry, filters, from, to) {
+        const time = Date.parse(entry.time);
+
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+        if (filters.user && entry.user !== filters.user) return false;
+        if (filters.outcome && entry.outcome !== filters.outcome) return false;
+        if (filters.cluster && entry.cluster !== filters.cluster) return false;
+        if (filters.vhost && entry.vhost !== filters.vhost) return false;
+
+        // "queue" matches every queue.* action
+        if (filters.action && entry.action !== filters.action &&
+            !entry.action.startsWith(`${filters.action}.`)) {
+            return false;
+        }
+
+        if (filters.resource) {
+            const name = entry.resource ? String(entry.resource.name) : '';
+            if (!name.toLowerCase().includes(String(filters.resource).toLowerCase())) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Current and rotated log files, newest first
+     * @returns {string[]} File paths
+     * @private
+     */
+    _files() {
+        const files = [this.file];
+        for (let i = 1; i < this.maxFiles; i++) {
+            files.push(`${this.file}.${i}`);
+        }
+        return files;
+    }
+
+    /**
+     * Read the lines of a log file
+     * @param {string} file - File path
+     * @returns {Promise<string[]>} Non-empty lines, empty if the file is missing
+     * @private
+     */
+    async _readLines(file) {
+        try {
+            const content = await fs.promises.readFile(file, 'utf8');
+            return content.split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Append a line, rotating first if it would make the file too large
+     * @param {string} line - Serialized entry
+     * @private
+     */
+    async _append(line) {
+        if (this.size === null) {
+            try {
+                this.size = (await fs.promises.stat(this.file)).size;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                this.size = 0;
+            }
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            await this._rotate();
+        }
+
+        await fs.promises.appendFile(this.file, line, { mode: 0o600 });
+        this.size += bytes;
+    }
+
+    /**
+     * Shift <file>.N to <file>.N+1, dropping the oldest, and start a new file
+     * @private
+     */
+    async _rotate() {
+        const files = this._files();
+
+        for (let i = files.length - 1; i > 0; i--) {
+            try {
+                await fs.promises.rename(files[i - 1], files[i]);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+
+        // With a single file there is nothing to keep
+        if (files.length === 1) {
+            await fs.promises.rm(this.file, { force: true });
+        }
+
+        this.size = 0;
+        this.logger.info(`Rotated audit log ${this.file}`);
+    }
+}
+
+module.exports = AuditLog;
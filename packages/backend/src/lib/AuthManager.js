@@ -0,0 +1,406 @@
+// src/lib/AuthManager.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { HttpError, getErrorStatus } = require('../utils/errors');
+const { ROLES, DEFAULT_ROLE, READ_ONLY_CAPABILITIES, can } = require('../utils/permissions');
+
+const SESSION_COOKIE = 'rmq_board_session';
+
+// Compared against when the username is unknown so failed logins take the same time
+const DUMMY_HASH = '$2a$10$CwTycUXWue0Thq9StjUM0uJ8.9j5hb5E5pS9lqcJ4v2y1F7x3yqQy';
+
+/**
+ * Optional authentication for the dashboard.
+ *
+ * Users are read from a JSON file with bcrypt password hashes. A successful
+ * login creates an in-memory session whose token is accepted as a cookie or
+ * as a bearer token, on the REST API and on the Socket.IO handshake.
+ *
+ * Each user has a role (viewer, operator or admin) and may be limited to some
+ * vhosts and to queues matching a pattern, see utils/permissions.
+ */
+class AuthManager {
+    /**
+     * Create a new AuthManager
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.enabled = Boolean(config.authEnabled);
+        this.readOnly = Boolean(config.readOnly);
+        this.sessionTtl = config.authSessionTtl || 8 * 60 * 60 * 1000;
+
+        // username -> user from the users file
+        this.users = new Map();
+
+        // token -> { token, username, createdAt, expiresAt }
+        this.sessions = new Map();
+
+        this.sweepTimer = null;
+
+        if (this.enabled) {
+            this.loadUsers();
+            this._startSweeper();
+        }
+    }
+
+    /**
+     * Load users from the configured users file
+     * @throws {Error} If the file is missing or invalid
+     */
+    loadUsers() {
+        const file = path.resolve(this.config.authUsersFile);
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read users file ${file}: ${error.message}`);
+        }
+
+        const users = Array.isArray(data) ? data : data.users;
+        if (!Array.isArray(users) || users.length === 0) {
+            throw new Error(`Users file ${file} must contain a non-empty "users" array`);
+        }
+
+        this.users.clear();
+        users.forEach((user, index) => {
+            if (!user || typeof user.username !== 'string' || !user.username) {
+                throw new Error(`User ${index + 1} in ${file} has no username`);
+            }
+            if (typeof user.passwordHash !== 'string' || !/^\$2[aby]\$/.test(user.passwordHash)) {
+                throw new Error(`User "${user.username}" in ${file} needs a bcrypt passwordHash`);
+            }
+            this.users.set(user.username, this._parseUser(user, file));
+        });
+
+        this.logger.info(`Authentication enabled with ${this.users.size} user(s) from ${file}`);
+    }
+
+    /**
+     * Validate the role and scope of a user from the users file
+     * @param {Object} user - User entry
+     * @param {string} file - Users file, for error messages
+     * @returns {Object} User with a role
+     * @throws {Error} If the role or scope is invalid
+     * @private
+     */
+    _parseUser(user, file) {
+        const { username, passwordHash, vhosts, queuePattern } = user;
+        let role = user.role;
+
+        if (role === undefined) {
+            this.logger.warn(`User "${username}" in ${file} has no role, using "${DEFAULT_ROLE}"`);
+            role = DEFAULT_ROLE;
+        } else if (!ROLES[role]) {
+            throw new Error(`User "${username}" in ${file} has unknown role "${role}" (use ${Object.keys(ROLES).join(', ')})`);
+        }
+
+        if (vhosts !== undefined && (!Array.isArray(vhosts) || !vhosts.every(v => typeof v === 'string'))) {
+            throw new Error(`"vhosts" of user "${username}" in ${file} must be an array of vhost names`);
+        }
+
+        if (queuePattern !== undefined) {
+            try {
+                new RegExp(queuePattern);
+            } catch (error) {
+                throw new Error(`"queuePattern" of user "${username}" in ${file} is not a valid regular expression: ${error.message}`);
+            }
+        }
+
+        return { username, passwordHash, role, vhosts, queuePattern };
+    }
+
+    /**
+     * Check a username and password and create a session
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Session
+     * @throws {HttpError} 401 if the credentials are wrong
+     */
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new HttpError(400, 'username and password are required');
+        }
+
+        const user = this.users.get(username);
+        const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+
+        if (!user || !valid) {
+            this.logger.warn(`Failed login for user "${username}"`);
+            throw new HttpError(401, 'Invalid username or password');
+        }
+
+        const now = Date.now();
+        const session = {
+            token: crypto.randomBytes(32).toString('hex'),
+            username,
+            createdAt: now,
+            expiresAt: now + this.sessionTtl
+        };
+
+        this.sessions.set(session.token, session);
+        this.logger.info(`User "${username}" logged in`);
+
+        return session;
+    }
+
+    /**
+     * End a session
+     * @param {string} token - Session token
+     * @returns {Object|null} The session that was ended
+     */
+    logout(token) {
+        const session = this.getSession(token);
+        if (session) {
+            this.sessions.delete(token);
+            this.logger.info(`User "${session.username}" logged out`);
+        }
+        return session;
+    }
+
+    /**
+     * Get a live session
+     * @param {string} token - Session token
+     * @returns {Object|null} Session, null if unknown or expired
+     */
+    getSession(token) {
+        if (!token) {
+            return null;
+        }
+
+        const session = this.sessions.get(token);
+        if (!session) {
+            return null;
+        }
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Get the public part of the user a session belongs to
+     * @param {Object} session - Session
+     * @returns {Object} User without the password hash
+     */
+    getUser(session) {
+        const { username, role, vhosts, queuePattern } = this.users.get(session.username);
+        return { username, role, vhosts: vhosts || null, queuePattern: queuePattern || null };
+    }
+
+    /**
+     * Check that a user may do something. In read-only mode only reading and
+     * peeking are allowed; otherwise everything is allowed when
+     * authentication is disabled.
+     * @param {Object} user - User from getUser()
+     * @param {string} capability - Capability from utils/permissions
+     * @param {Object} resource - { vhost, queue } the action applies to
+     * @throws {HttpError} 403 if the user may not
+     */
+    authorize(user, capability, resource = {}) {
+        if (this.readOnly && !READ_ONLY_CAPABILITIES.includes(capability)) {
+            throw new HttpError(403, `The dashboard is in read-only mode, ${capability} is disabled`);
+        }
+
+        if (!this.enabled || can(user, capability, resource)) {
+            return;
+        }
+
+        const target = [
+            resource.vhost !== undefined ? `vhost "${resource.vhost}"` : null,
+            resource.queue !== undefined ? `queue "${resource.queue}"` : null
+        ].filter(Boolean).join(', ');
+
+        throw new HttpError(403, `User "${user.username}" (${user.role}) is not allowed to ${capability}${target ? ` on ${target}` : ''}`);
+    }
+
+    /**
+     * Check whether a user may do something, see authorize()
+     * @param {Object} user - User from getUser()
+     * @param {string} capability - Capability from utils/permissions
+     * @param {Object} resource - { vhost, queue } the action applies to
+     * @returns {boolean} Whether the user may
+     */
+    isAllowed(user, capability, resource = {}) {
+        try {
+            this.authorize(user, capability, resource);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Express middleware rejecting requests the user's role or read-only mode
+     * does not allow. Must run after middleware().
+     * @param {string} capability - Capability from utils/permissions
+     * @param {Function} [getResource] - Gets { vhost, queue } from the request
+     * @returns {Function} Middleware
+     */
+    requireCapability(capability, getResource = () => ({})) {
+        return (req, res, next) => {
+            try {
+                this.authorize(req.user, capability, getResource(req));
+                next();
+            } catch (error) {
+                this.logger.warn(error.message);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        };
+    }
+
+    /**
+     * Get the session token from a bearer Authorization header or the session cookie
+     * @param {Object} headers - Request or handshake headers
+     * @returns {string|null} Token
+     */
+    getToken(headers = {}) {
+        const authorization = headers.authorization || '';
+        const match = authorization.match(/^Bearer\s+(\S+)$/i);
+        if (match) {
+            return match[1];
+        }
+
+        return parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    /**
+     * Express middleware rejecting requests without a valid session
+     * @returns {Function} Middleware
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+
+            const session = this.getSession(this.getToken(req.headers));
+            if (!session) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            req.session = session;
+            req.user = this.getUser(session);
+            next();
+        };
+    }
+
+    /**
+     * Socket.IO middleware rejecting handshakes without a valid session.
+     * The token may also be passed as `auth.token` when connecting.
+     * @returns {Function} Middleware
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+
+            const { handshake } = socket;
+            const token = (handshake.auth && handshake.auth.token) || this.getToken(handshake.headers);
+            const session = this.getSession(token);
+
+            if (!session) {
+                return next(new Error('Authentication required'));
+            }
+
+            socket.data.session = session;
+            socket.data.user = this.getUser(session);
+            next();
+        };
+    }
+
+    /**
+     * Set the session cookie on a response
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} session - Session
+     */
+    setSessionCookie(req, res, session) {
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: this.config.authCookieSecure || req.secure,
+            path: this.config.basePath || '/',
+            maxAge: session.expiresAt - Date.now()
+        });
+    }
+
+    /**
+     * Clear the session cookie on a response
+     * @param {Object} res - Express response
+     */
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: this.config.basePath || '/' });
+    }
+
+    /**
+     * Periodically drop expired sessions
+     * @private
+     */
+    _startSweeper() {
+        this.sweepTimer = setInterval(() => {
+            const now = Date.now();
+            for (const [token, session] of this.sessions.entries()) {
+                if (session.expiresAt <= now) {
+                    this.sessions.delete(token);
+                }
+            }
+        }, 60000);
+
+        // Don't keep the process alive just for the sweeper
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Stop the sweeper and drop all sessions
+     */
+    close() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+        this.sessions.clear();
+    }
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) {
+        return cookies;
+    }
+
+    header.split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index < 0) {
+            return;
+        }
+
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,309 @@
+// src/lib/Broker.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const AmqpChannelPool = require('./AmqpChannelPool');
+const MessageMover = require('./MessageMover');
+
+/**
+ * Connections to one RabbitMQ cluster: a management API client, a pool of
+ * AMQP connections (one per vhost), the message mover working on that pool
+ * and a short-lived cache of management API responses.
+ *
+ * Emits `move-progress` with a job whenever a move job on this cluster
+ * makes progress.
+ */
+class Broker extends EventEmitter {
+    /**
+     * Create a new Broker
+     * @param {Object} cluster - { id, name, environment, color }
+     * @param {Object} config - Configuration with the cluster's connection details
+     * @param {Object} logger - Logger instance
+     */
+    constructor(cluster, config, logger) {
+        super();
+
+        this.id = cluster.id;
+        this.name = cluster.name;
+        this.environment = cluster.environment;
+        this.color = cluster.color;
+        this.config = config;
+        this.logger = logger;
+
+        this.httpClient = null;
+        this.amqpPool = null;
+        this.amqpReconnecting = false;
+        this.messageMover = null;
+
+        // Connection states
+        this.httpConnected = false;
+        this.amqpConnected = false;
+
+        // Cache for API calls
+        this.cache = {
+            overview: null,
+            queues: null,
+            exchanges: null,
+            bindings: null,
+            connections: null,
+            channels: null,
+            consumers: null,
+            nodes: null,
+            vhosts: null,
+            users: null,
+            policies: null,
+            operatorPolicies: null,
+            lastUpdated: {}
+        };
+
+        // Management API polling, for the Prometheus endpoint
+        this.stats = {
+            cacheHits: 0,
+            cacheMisses: 0,
+            requests: 0,
+            requestErrors: 0,
+            lastRequestMs: null
+        };
+    }
+
+    /**
+     * Initialize API clients
+     */
+    async initialize() {
+        // AMQP is set up even when the management API is down, so it can be
+        // reconnected once the cluster is back
+        let httpError = null;
+        try {
+            await this._initializeHttpClient();
+        } catch (error) {
+            httpError = error;
+        }
+
+        try {
+            await this._initializeAmqpClient();
+        } catch (error) {
+            this.logger.warn(`[${this.id}] AMQP connection failed: ${error.message}. Using HTTP-only mode.`);
+        }
+
+        if (httpError) {
+            this.logger.error(`[${this.id}] Failed to initialize RabbitMQ connections: ${httpError.message}`);
+            throw httpError;
+        }
+
+        return true;
+    }
+
+    /**
+     * Initialize HTTP client
+     * @private
+     */
+    async _initializeHttpClient() {
+        const clientOptions = {
+            baseURL: this.config.rabbitMQUrl,
+            auth: {
+                username: this.config.username,
+                password: this.config.password
+            },
+            timeout: 10000
+        };
+
+        this.httpClient = axios.create(clientOptions);
+
+        try {
+            await this.httpClient.get('/api/overview');
+            this.httpConnected = true;
+            this.logger.info(`[${this.id}] Connected to RabbitMQ Management API`);
+            return true;
+        } catch (error) {
+            this.httpConnected = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize AMQP client
+     * @private
+     */
+    async _initializeAmqpClient() {
+        this.amqpPool = new AmqpChannelPool(this.config, this.logger);
+        this.messageMover = new MessageMover(this.amqpPool, this.logger, {
+            username: this.config.username
+        });
+
+        this.messageMover.on('progress', (job) => {
+            this.emit('move-progress', job);
+        });
+
+        this.amqpPool.on('connected', () => {
+            this.amqpConnected = true;
+        });
+
+        // Other vhosts are opened on demand, so only losing the connection to
+        // the configured vhost means AMQP is unavailable
+        this.amqpPool.on('connection-lost', (vhost) => {
+            if (vhost === this.config.vhost) {
+                this.amqpConnected = false;
+            }
+        });
+
+        try {
+            // Open the connection to the configured vhost to verify AMQP works
+            await this.amqpPool.getChannel(this.config.vhost);
+
+            this.amqpConnected = true;
+            return true;
+        } catch (error) {
+            this.logger.error(`[${this.id}] Failed to connect to RabbitMQ via AMQP: ${error.message}`);
+            this.amqpConnected = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Try to restore AMQP after the connection to the configured vhost was lost
+     * @returns {Promise<void>}
+     */
+    async reconnectAmqp() {
+        if (!this.amqpPool || this.amqpConnected || this.amqpReconnecting) {
+            return;
+        }
+
+        this.amqpReconnecting = true;
+        try {
+            await this.amqpPool.getChannel(this.config.vhost);
+            this.amqpConnected = true;
+        } catch (error) {
+            this.logger.debug(`[${this.id}] AMQP reconnect failed: ${error.message}`);
+        } finally {
+            this.amqpReconnecting = false;
+        }
+    }
+
+    /**
+     * Check if AMQP channel is available
+     * @returns {boolean} Whether AMQP is connected
+     */
+    isAmqpConnected() {
+        return Boolean(this.amqpConnected && this.amqpPool);
+    }
+
+    /**
+     * Run a function with the AMQP channel for a vhost
+     * @param {string} vhost - Virtual host
+     * @param {Function} fn - Function receiving the channel
+     * @returns {Promise<any>} Result of fn
+     */
+    async withAmqpChannel(vhost, fn) {
+        if (!this.isAmqpConnected()) {
+            throw new Error('AMQP channel not available');
+        }
+
+        return this.amqpPool.withChannel(vhost, fn);
+    }
+
+    /**
+     * Fetch data from RabbitMQ API with caching
+     * @param {string} endpoint - API endpoint
+     * @param {string} cacheKey - Cache key
+     * @param {number} cacheTTL - Cache time-to-live in milliseconds
+     * @returns {Promise<Object>} API response data
+     */
+    async fetchFromRabbitMQ(endpoint, cacheKey, cacheTTL = 5000) {
+        // Check cache if applicable
+        if (cacheKey && this.cache[cacheKey] && this.cache.lastUpdated[cacheKey]) {
+            const cacheAge = Date.now() - this.cache.lastUpdated[cacheKey];
+            if (cacheAge < cacheTTL) {
+                this.stats.cacheHits++;
+                return this.cache[cacheKey];
+            }
+        }
+
+        if (cacheKey) {
+            this.stats.cacheMisses++;
+        }
+
+        const started = Date.now();
+        this.stats.requests++;
+        try {
+            const response = await this.httpClient.get(endpoint);
+            this.stats.lastRequestMs = Date.now() - started;
+            this.httpConnected = true;
+
+            // Update cache if applicable
+            if (cacheKey) {
+                this.cache[cacheKey] = response.data;
+                this.cache.lastUpdated[cacheKey] = Date.now();
+            }
+
+            return response.data;
+        } catch (error) {
+            this.stats.requestErrors++;
+
+            // An error response still means the API is reachable
+            if (!error.response) {
+                this.httpConnected = false;
+            }
+
+            // Return cached data if available, even if expired
+            if (cacheKey && this.cache[cacheKey]) {
+                this.logger.info(`[${this.id}] Returning cached data for ${cacheKey} due to API error`);
+                return this.cache[cacheKey];
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Drop cached management API data so the next request fetches fresh data
+     * @param {...string} keys - Cache keys to invalidate
+     */
+    invalidateCache(...keys) {
+        for (const key of keys) {
+            this.cache[key] = null;
+            delete this.cache.lastUpdated[key];
+        }
+    }
+
+    /**
+     * Describe the cluster and its connection state, without credentials
+     * @returns {Object} { id, name, environment, color, http, amqp }
+     */
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            environment: this.environment,
+            color: this.color,
+            http: Boolean(this.httpConnected),
+            amqp: this.isAmqpConnected()
+        };
+    }
+
+    /**
+     * Stop move jobs and close the AMQP connections
+     * @returns {Promise<void>}
+     */
+    async close() {
+        // Let running move jobs finish the message they are moving
+        if (this.messageMover) {
+            try {
+                await this.messageMover.cancelAll();
+            } catch (e) {
+                // Ignore errors
+            }
+        }
+
+        // Close pooled AMQP connections
+        if (this.amqpPool) {
+            try {
+                await this.amqpPool.close();
+            } catch (e) {
+                // Ignore errors
+            }
+            this.amqpPool = null;
+            this.amqpConnected = false;
+        }
+    }
+}
+
+module.exports = Broker;
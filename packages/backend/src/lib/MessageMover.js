@@ -0,0 +1,367 @@
+// src/lib/MessageMover.js
+const EventEmitter = require('events');
+const { HttpError } = require('../utils/errors');
+const { generateUniqueId } = require('../utils/helpers');
+const { toPublishOptions, publishConfirmed } = require('../utils/amqp');
+
+// Keep this many finished jobs around so clients can see how they ended
+const MAX_FINISHED_JOBS = 50;
+
+// Minimum time between progress events for a running job (ms)
+const PROGRESS_INTERVAL = 250;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+/**
+ * Moves messages from a queue to an exchange or another queue.
+ *
+ * Messages are fetched one at a time with manual acknowledgements and only
+ * acked on the source queue once the broker has confirmed the republished
+ * copy. A failed or cancelled job therefore never loses messages; at worst a
+ * message whose ack was lost is delivered twice.
+ * @extends EventEmitter
+ */
+class MessageMover extends EventEmitter {
+    /**
+     * Create a new MessageMover
+     * @param {AmqpChannelPool} pool - AMQP connection pool
+     * @param {Object} logger - Logger instance
+     * @param {Object} options - Options
+     * @param {string} options.username - RabbitMQ user of the pool connections
+     */
+    constructor(pool, logger, options = {}) {
+        super();
+
+        this.pool = pool;
+        this.logger = logger;
+        this.username = options.username;
+
+        // id -> job
+        this.jobs = new Map();
+    }
+
+    /**
+     * Start moving messages in the background
+     * @param {Object} request - Move request
+     * @param {string} request.vhost - Virtual host of the source and target
+     * @param {string} request.queue - Source queue
+     * @param {Object} request.target - { queue } or { exchange, routingKey }
+     * @param {number|null} request.count - Messages to move, null for all
+     * @returns {Object} The new job
+     */
+    start({ vhost, queue, target, count }) {
+        const busy = this.listJobs().find(job =>
+            ACTIVE_STATUSES.includes(job.status) && job.vhost === vhost && job.queue === queue
+        );
+        if (busy) {
+            throw new HttpError(409, `Messages are already being moved from queue "${queue}" (job ${busy.id})`);
+        }
+
+        const job = {
+            id: generateUniqueId(),
+            vhost,
+            queue,
+            target,
+            requested: count,
+            total: null,
+            moved: 0,
+            status: 'pending',
+            error: null,
+            cancelRequested: false,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            lastProgressAt: 0
+        };
+
+        this.jobs.set(job.id, job);
+        this._pruneJobs();
+
+        this._run(job).catch((error) => {
+            this.logger.error(`Unexpected error in move job ${job.id}: ${error.message}`);
+        });
+
+        return this.serialize(job);
+    }
+
+    /**
+     * Ask a job to stop after the message it is currently moving
+     * @param {string} id - Job ID
+     * @returns {Object} The job
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, `Move job "${id}" not found`);
+        }
+
+        if (ACTIVE_STATUSES.includes(job.status)) {
+            job.cancelRequested = true;
+            this.logger.info(`Cancelling move job ${id}`);
+        }
+
+        return this.serialize(job);
+    }
+
+    /**
+     * Cancel every running job and wait for them to stop
+     * @returns {Promise<void>}
+     */
+    async cancelAll() {
+        const active = this.listJobs().filter(job => ACTIVE_STATUSES.includes(job.status));
+        if (!active.length) {
+            return;
+        }
+
+        const stopped = Promise.all(active.map(job => new Promise((resolve) => {
+            const onProgress = (update) => {
+                if (update.id === job.id && !ACTIVE_STATUSES.includes(update.status)) {
+                    this.off('progress', onProgress);
+                    resolve();
+                }
+            };
+            this.on('progress', onProgress);
+        })));
+
+        active.forEach((job) => {
+            job.cancelRequested = true;
+        });
+
+        await stopped;
+    }
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Object} The job
+     */
+    getJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, `Move job "${id}" not found`);
+        }
+        return this.serialize(job);
+    }
+
+    /**
+     * List jobs, newest first
+     * @returns {Array<Object>} Jobs
+     */
+    listJobs() {
+        return Array.from(this.jobs.values())
+            .reverse()
+            .map(job => this.serialize(job));
+    }
+
+    /**
+     * Get the client facing representation of a job
+     * @param {Object} job - Job
+     * @returns {Object} Job without internal fields
+     */
+    serialize(job) {
+        return {
+            id: job.id,
+            vhost: job.vhost,
+            queue: job.queue,
+            target: job.target,
+            requested: job.requested,
+            total: job.total,
+            moved: job.moved,
+            status: job.status,
+            error: job.error,
+            cancelling: job.cancelRequested && ACTIVE_STATUSES.includes(job.status),
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    /**
+     * Run a job until it has moved its messages, is cancelled or fails
+     * @param {Object} job - Job
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _run(job) {
+        let sourceChannel = null;
+        let targetChannel = null;
+
+        try {
+            sourceChannel = await this.pool.openChannel(job.vhost);
+            targetChannel = await this.pool.openChannel(job.vhost, { confirm: true });
+
+            const { messageCount } = await this._checkResource(
+                () => sourceChannel.checkQueue(job.queue),
+                `Queue "${job.queue}" not found`
+            );
+            await this._checkTarget(targetChannel, job.target);
+
+            // Only move what is in the queue now, so messages that are routed
+            // back into the source queue are not moved again and again
+            job.total = job.requested === null ? messageCount : Math.min(job.requested, messageCount);
+            job.status = 'running';
+            this._emitProgress(job, true);
+
+            // Unroutable messages come back as basic.return before their confirm
+            let returned = false;
+            targetChannel.on('return', () => {
+                returned = true;
+            });
+
+            while (!job.cancelRequested && job.moved < job.total) {
+                const message = await sourceChannel.get(job.queue, { noAck: false });
+                if (!message) {
+                    break;
+                }
+
+                returned = false;
+                try {
+                    await this._publish(targetChannel, job.target, message);
+                } catch (error) {
+                    this._requeue(sourceChannel, message);
+                    throw new Error(`${error.message}, it was left in the source queue`);
+                }
+
+                if (returned) {
+                    this._requeue(sourceChannel, message);
+                    throw new Error('The target did not route the message to any queue, it was left in the source queue');
+                }
+
+                sourceChannel.ack(message);
+                job.moved++;
+                this._emitProgress(job);
+            }
+
+            job.status = job.cancelRequested ? 'cancelled' : 'completed';
+            this.logger.info(`Move job ${job.id} ${job.status}: moved ${job.moved} messages from "${job.queue}"`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            this.logger.warn(`Move job ${job.id} failed after ${job.moved} messages: ${error.message}`);
+        } finally {
+            // Closing the source channel returns anything still unacked to the queue
+            await this._closeChannel(sourceChannel);
+            await this._closeChannel(targetChannel);
+
+            job.finishedAt = new Date().toISOString();
+            this._emitProgress(job, true);
+        }
+    }
+
+    /**
+     * Check that the target exchange or queue exists
+     * @param {Object} channel - Target channel
+     * @param {Object} target - Move target
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkTarget(channel, target) {
+        if (target.queue !== undefined) {
+            await this._checkResource(() => channel.checkQueue(target.queue), `Target queue "${target.queue}" not found`);
+        } else if (target.exchange !== '') {
+            await this._checkResource(() => channel.checkExchange(target.exchange), `Target exchange "${target.exchange}" not found`);
+        }
+    }
+
+    /**
+     * Run a passive declare, turning "not found" channel errors into a clear message
+     * @param {Function} check - Function running the check
+     * @param {string} notFoundMessage - Message used when the resource is missing
+     * @returns {Promise<Object>} Result of the check
+     * @private
+     */
+    async _checkResource(check, notFoundMessage) {
+        try {
+            return await check();
+        } catch (error) {
+            if (error.code === 404) {
+                throw new HttpError(404, notFoundMessage);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Republish a message and wait for the broker to confirm it
+     * @param {Object} channel - Confirm channel
+     * @param {Object} target - Move target
+     * @param {Object} message - Message from the source queue
+     * @returns {Promise<void>}
+     * @private
+     */
+    _publish(channel, target, message) {
+        const exchange = target.queue !== undefined ? '' : target.exchange;
+        const routingKey = target.queue !== undefined
+            ? target.queue
+            : (target.routingKey !== undefined ? target.routingKey : message.fields.routingKey);
+
+        return publishConfirmed(
+            channel,
+            exchange,
+            routingKey,
+            message.content,
+            toPublishOptions(message.properties, this.username)
+        );
+    }
+
+    /**
+     * Return a message to the source queue. If the channel is already closed
+     * the broker has requeued it anyway.
+     * @param {Object} channel - Source channel
+     * @param {Object} message - Message to requeue
+     * @private
+     */
+    _requeue(channel, message) {
+        try {
+            channel.nack(message, false, true);
+        } catch (e) {
+            // Channel closed, unacked messages are requeued by the broker
+        }
+    }
+
+    /**
+     * Close a job channel, ignoring errors from already closed channels
+     * @param {Object} channel - amqplib channel
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeChannel(channel) {
+        if (!channel) {
+            return;
+        }
+
+        try {
+            await channel.close();
+        } catch (e) {
+            // Ignore errors when closing possibly already closed channels
+        }
+    }
+
+    /**
+     * Emit a progress event, throttled unless forced
+     * @param {Object} job - Job
+     * @param {boolean} force - Emit even if the last event was recent
+     * @private
+     */
+    _emitProgress(job, force = false) {
+        const now = Date.now();
+        if (!force && now - job.lastProgressAt < PROGRESS_INTERVAL && job.moved < job.total) {
+            return;
+        }
+
+        job.lastProgressAt = now;
+        this.emit('progress', this.serialize(job));
+    }
+
+    /**
+     * Drop the oldest finished jobs
+     * @private
+     */
+    _pruneJobs() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => !ACTIVE_STATUSES.includes(job.status));
+
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = MessageMover;
@@ -0,0 +1,137 @@
+// src/lib/MetricsSampler.js
+const MetricsStore = require('./MetricsStore');
+const { QUEUE_FIELDS, getRates, getQueueSample } = require('../utils/metrics');
+
+// Fields recorded for the overview; queues record QUEUE_FIELDS
+const OVERVIEW_FIELDS = ['messages', 'messages_ready', 'messages_unacknowledged', 'publish_rate', 'deliver_rate', 'ack_rate'];
+
+// How often the store is written to disk
+const SAVE_INTERVAL = 60 * 1000;
+
+/**
+ * Samples the overview and every queue of every cluster on the refresh
+ * interval into a MetricsStore
+ */
+class MetricsSampler {
+    /**
+     * Create a new MetricsSampler
+     * @param {ClusterRegistry} clusters - Clusters to sample
+     * @param {MetricsStore} store - Store to record into
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(clusters, store, config, logger) {
+        this.clusters = clusters;
+        this.store = store;
+        this.interval = config.refreshInterval;
+        this.logger = logger;
+        this.sampleTimer = null;
+        this.saveTimer = null;
+        this.sampling = false;
+    }
+
+    /**
+     * Load earlier history and start sampling
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.sampleTimer) {
+            return;
+        }
+
+        await this.store.load();
+
+        this.sampleTimer = setInterval(() => this.sample(), this.interval);
+        this.saveTimer = setInterval(() => this._save(), SAVE_INTERVAL);
+
+        // Do not keep the process alive just for metrics
+        this.sampleTimer.unref();
+        this.saveTimer.unref();
+
+        this.sample();
+    }
+
+    /**
+     * Stop sampling and write the store
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.sampleTimer) {
+            return;
+        }
+
+        clearInterval(this.sampleTimer);
+        clearInterval(this.saveTimer);
+        this.sampleTimer = null;
+        this.saveTimer = null;
+
+        await this._save();
+    }
+
+    /**
+     * Record one sample of every cluster. A sample is skipped while the
+     * previous one is still running.
+     * @returns {Promise<void>}
+     */
+    async sample() {
+        if (this.sampling) {
+            return;
+        }
+
+        this.sampling = true;
+        try {
+            await Promise.all(this.clusters.list().map(broker => this._sampleBroker(broker)));
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    /**
+     * Record the overview and queues of one cluster
+     * @param {Broker} broker - Broker of the cluster
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _sampleBroker(broker) {
+        const time = Date.now();
+
+        try {
+            const overview = await broker.fetchFromRabbitMQ('/api/overview', 'overview');
+            const totals = overview.queue_totals || {};
+
+            this.store.record(MetricsStore.key(broker.id, 'overview'), OVERVIEW_FIELDS, {
+                messages: totals.messages,
+                messages_ready: totals.messages_ready,
+                messages_unacknowledged: totals.messages_unacknowledged,
+                ...getRates(overview.message_stats)
+            }, time);
+        } catch (error) {
+            this.logger.debug(`[${broker.id}] Skipping overview metrics: ${error.message}`);
+        }
+
+        try {
+            const queues = await broker.fetchFromRabbitMQ('/api/queues', 'queues');
+
+            for (const queue of queues) {
+                this.store.record(MetricsStore.key(broker.id, 'queue', queue.vhost, queue.name), QUEUE_FIELDS, getQueueSample(queue), time);
+            }
+        } catch (error) {
+            this.logger.debug(`[${broker.id}] Skipping queue metrics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the store, logging failures
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _save() {
+        try {
+            await this.store.save();
+        } catch (error) {
+            this.logger.error(`Error writing metrics file ${this.store.file}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = MetricsSampler;
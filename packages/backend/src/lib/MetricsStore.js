@@ -0,0 +1,314 @@
+// src/lib/MetricsStore.js
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../utils/errors');
+
+// Each range is served from its own tier: samples are averaged into buckets
+// of `step` ms, and the last `range / step` buckets are kept
+const TIERS = {
+    '1h': { step: 15 * 1000, range: 60 * 60 * 1000 },
+    '24h': { step: 5 * 60 * 1000, range: 24 * 60 * 60 * 1000 },
+    '7d': { step: 30 * 60 * 1000, range: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const RANGES = Object.keys(TIERS);
+
+// Series not sampled for this long belong to deleted queues
+const MAX_IDLE = TIERS['7d'].range;
+
+/**
+ * Fixed-size ring of buckets, each a time and one average per field
+ * @private
+ */
+class Ring {
+    /**
+     * @param {number} capacity - Number of buckets kept
+     * @param {number} width - Number of fields per bucket
+     */
+    constructor(capacity, width) {
+        this.capacity = capacity;
+        this.width = width;
+        this.times = new Float64Array(capacity);
+        this.values = new Float64Array(capacity * width);
+        this.head = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Append a bucket, overwriting the oldest when full
+     * @param {number} time - Bucket start (ms)
+     * @param {number[]} values - One value per field
+     */
+    push(time, values) {
+        const index = (this.head + this.length) % this.capacity;
+        this.times[index] = time;
+        this.values.set(values, index * this.width);
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.head = (this.head + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Buckets from oldest to newest
+     * @returns {Array<Array<number>>} [time, ...values] per bucket
+     */
+    toArray() {
+        const points = [];
+        for (let i = 0; i < this.length; i++) {
+            const index = (this.head + i) % this.capacity;
+            const offset = index * this.width;
+            points.push([this.times[index], ...this.values.subarray(offset, offset + this.width)]);
+        }
+        return points;
+    }
+}
+
+/**
+ * Bounded time-series store for queue and overview metrics.
+ *
+ * Every series keeps one ring buffer per range (1h, 24h and 7d), so memory
+ * per series is fixed and a query never returns more than a few hundred
+ * points. The store is written to `METRICS_FILE` every minute and on
+ * shutdown, and read back on startup, so history survives restarts.
+ */
+class MetricsStore {
+    /**
+     * Create a new MetricsStore
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.logger = logger;
+        this.file = config.metricsFile ? path.resolve(config.metricsFile) : null;
+        this.maxSeries = config.metricsMaxSeries || 1000;
+
+        // key -> { fields, lastSeen, tiers: { range -> { ring, bucket } } }
+        this.series = new Map();
+
+        // Warn once when maxSeries is reached
+        this.full = false;
+    }
+
+    /**
+     * Key of a series
+     * @param {string} cluster - Cluster id
+     * @param {string} type - 'overview' or 'queue'
+     * @param {string} [vhost] - Virtual host of a queue
+     * @param {string} [name] - Queue name
+     * @returns {string} Series key
+     */
+    static key(cluster, type, vhost, name) {
+        return JSON.stringify(type === 'queue' ? [cluster, type, vhost, name] : [cluster, type]);
+    }
+
+    /**
+     * Add a sample to a series
+     * @param {string} key - Series key from MetricsStore.key()
+     * @param {string[]} fields - Field names, the same for every sample of a series
+     * @param {Object} sample - Field values; missing values count as 0
+     * @param {number} [time] - Sample time (ms)
+     */
+    record(key, fields, sample, time = Date.now()) {
+        let series = this.series.get(key);
+
+        // History recorded with other fields, e.g. by an older version, is dropped
+        if (series && series.fields.join() !== fields.join()) {
+            this.series.delete(key);
+            series = null;
+        }
+
+        if (!series) {
+            if (this.series.size >= this.maxSeries) {
+                if (!this.full) {
+                    this.full = true;
+                    this.logger.warn(`Metrics store holds ${this.maxSeries} series, new queues are not recorded (see METRICS_MAX_SERIES)`);
+                }
+                return;
+            }
+            series = this._createSeries(fields);
+            this.series.set(key, series);
+        }
+
+        const values = fields.map(field => Number(sample[field]) || 0);
+        series.lastSeen = time;
+
+        for (const range of RANGES) {
+            const { step } = TIERS[range];
+            const tier = series.tiers[range];
+            const start = Math.floor(time / step) * step;
+
+            if (tier.bucket && tier.bucket.start !== start) {
+                this._flushBucket(tier);
+            }
+            if (!tier.bucket) {
+                tier.bucket = { start, sums: new Array(fields.length).fill(0), count: 0 };
+            }
+
+            values.forEach((value, i) => {
+                tier.bucket.sums[i] += value;
+            });
+            tier.bucket.count++;
+        }
+    }
+
+    /**
+     * Get the points of a series within a range
+     * @param {string} key - Series key from MetricsStore.key()
+     * @param {string} range - '1h', '24h' or '7d'
+     * @returns {Object} { range, step, fields, points: [{ time, ...fields }] }
+     * @throws {HttpError} 400 for an unknown range
+     */
+    query(key, range = '1h') {
+        const tierConfig = TIERS[range];
+        if (!tierConfig) {
+            throw new HttpError(400, `range must be one of: ${RANGES.join(', ')}`);
+        }
+
+        const series = this.series.get(key);
+        if (!series) {
+            return { range, step: tierConfig.step, fields: [], points: [] };
+        }
+
+        const tier = series.tiers[range];
+        const rows = tier.ring.toArray();
+
+        // Include the bucket still being filled so charts reach the present
+        if (tier.bucket) {
+            rows.push([tier.bucket.start, ...tier.bucket.sums.map(sum => sum / tier.bucket.count)]);
+        }
+
+        const since = Date.now() - tierConfig.range;
+        const points = rows
+            .filter(row => row[0] >= since)
+            .map(([time, ...values]) => {
+                const point = { time: new Date(time).toISOString() };
+                series.fields.forEach((field, i) => {
+                    point[field] = Math.round(values[i] * 100) / 100;
+                });
+                return point;
+            });
+
+        return { range, step: tierConfig.step, fields: series.fields, points };
+    }
+
+    /**
+     * Read the store written by a previous run. A missing or unreadable file
+     * starts an empty store.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.file) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Ignoring metrics file ${this.file}: ${error.message}`);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        for (const [key, saved] of Object.entries(data.series || {})) {
+            if (now - saved.lastSeen > MAX_IDLE || this.series.size >= this.maxSeries) {
+                continue;
+            }
+
+            const series = this._createSeries(saved.fields);
+            series.lastSeen = saved.lastSeen;
+
+            for (const range of RANGES) {
+                const tier = series.tiers[range];
+                const savedTier = saved.tiers && saved.tiers[range];
+                if (!savedTier) {
+                    continue;
+                }
+
+                for (const [time, ...values] of savedTier.points || []) {
+                    tier.ring.push(time, values);
+                }
+                tier.bucket = savedTier.bucket || null;
+            }
+
+            this.series.set(key, series);
+        }
+
+        this.logger.info(`Loaded ${this.series.size} metric series from ${this.file}`);
+    }
+
+    /**
+     * Write the store to its file, dropping series of deleted queues first
+     * @returns {Promise<void>}
+     */
+    async save() {
+        this._prune();
+
+        if (!this.file) {
+            return;
+        }
+
+        const series = {};
+        for (const [key, { fields, lastSeen, tiers }] of this.series.entries()) {
+            series[key] = { fields, lastSeen, tiers: {} };
+            for (const range of RANGES) {
+                series[key].tiers[range] = {
+                    points: tiers[range].ring.toArray(),
+                    bucket: tiers[range].bucket
+                };
+            }
+        }
+
+        // Write a temporary file first so a crash never leaves half a store
+        const temporary = `${this.file}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify({ series }));
+        await fs.promises.rename(temporary, this.file);
+    }
+
+    /**
+     * Create an empty series
+     * @param {string[]} fields - Field names
+     * @returns {Object} Series
+     * @private
+     */
+    _createSeries(fields) {
+        const tiers = {};
+        for (const range of RANGES) {
+            const { step, range: duration } = TIERS[range];
+            tiers[range] = { ring: new Ring(Math.ceil(duration / step), fields.length), bucket: null };
+        }
+        return { fields, lastSeen: 0, tiers };
+    }
+
+    /**
+     * Move a tier's filled bucket into its ring as an average
+     * @param {Object} tier - Tier of a series
+     * @private
+     */
+    _flushBucket(tier) {
+        const { start, sums, count } = tier.bucket;
+        tier.ring.push(start, sums.map(sum => sum / count));
+        tier.bucket = null;
+    }
+
+    /**
+     * Drop series that have not been sampled within the longest range
+     * @private
+     */
+    _prune() {
+        const now = Date.now();
+        for (const [key, series] of this.series.entries()) {
+            if (now - series.lastSeen > MAX_IDLE) {
+                this.series.delete(key);
+                this.full = false;
+            }
+        }
+    }
+}
+
+module.exports = MetricsStore;
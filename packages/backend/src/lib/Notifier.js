@@ -0,0 +1,245 @@
+// src/lib/Notifier.js
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { withRetry, generateUniqueId } = require('../utils/helpers');
+const { renderTemplate, describeAlert, maskUrl } = require('../utils/notifications');
+
+// Deliveries kept for the alerts page
+const MAX_DELIVERIES = 200;
+
+/**
+ * Sends alert notifications through the channels of a rule and keeps a
+ * record of every delivery and its attempts for debugging.
+ *
+ * Channels are sent by the function registered for their type in
+ * `this.senders`: generic webhooks with an optional JSON body template,
+ * Slack and Teams compatible incoming webhooks, and email over SMTP.
+ * Failed sends are retried with exponential backoff.
+ */
+class Notifier {
+    /**
+     * Create a new Notifier
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.maxRetries = config.notifyMaxRetries !== undefined ? config.notifyMaxRetries : 3;
+        this.timeout = config.notifyTimeout || 10000;
+
+        // type -> async (notification, event) => result description
+        this.senders = {
+            webhook: (notification, event) => this._sendWebhook(notification, event),
+            slack: (notification, event) => this._sendSlack(notification, event),
+            email: (notification, event) => this._sendEmail(notification, event)
+        };
+
+        // Newest first
+        this.deliveries = [];
+
+        // Created on the first email
+        this.transport = null;
+    }
+
+    /**
+     * Notify every channel of a rule that an alert fired or resolved.
+     * Failures are recorded and logged, never thrown.
+     * @param {Object} rule - Rule with notifications
+     * @param {Object} alert - Alert from AlertManager
+     * @returns {Promise<Array<Object>>} Deliveries
+     */
+    notify(rule, alert) {
+        const event = describeAlert(alert, alert.state === 'resolved' ? 'resolved' : 'firing');
+        return this._deliverAll(rule, event);
+    }
+
+    /**
+     * Send a test notification to every channel of a rule. Tests are not
+     * retried, so the result comes back at once.
+     * @param {Object} rule - Rule with notifications
+     * @returns {Promise<Array<Object>>} Deliveries
+     */
+    test(rule) {
+        const now = new Date().toISOString();
+        const alert = {
+            id: 'test',
+            ruleId: rule.id,
+            rule: rule.name,
+            severity: rule.severity,
+            cluster: rule.cluster || 'default',
+            vhost: rule.vhost || '/',
+            queue: 'test',
+            metric: rule.metric,
+            comparator: rule.comparator,
+            threshold: rule.threshold,
+            duration: rule.duration,
+            value: rule.threshold,
+            state: 'firing',
+            since: now,
+            firedAt: now,
+            resolvedAt: null
+        };
+
+        return this._deliverAll(rule, describeAlert(alert, 'test'), 0);
+    }
+
+    /**
+     * Recent deliveries, newest first
+     * @param {Object} [filters] - { ruleId }
+     * @returns {Array<Object>} Deliveries
+     */
+    getDeliveries(filters = {}) {
+        return filters.ruleId
+            ? this.deliveries.filter(delivery => delivery.ruleId === filters.ruleId)
+            : this.deliveries;
+    }
+
+    /**
+     * Close the SMTP connection
+     */
+    close() {
+        if (this.transport) {
+            this.transport.close();
+            this.transport = null;
+        }
+    }
+
+    /**
+     * Send an event to every channel of a rule
+     * @param {Object} rule - Rule with notifications
+     * @param {Object} event - Event from describeAlert()
+     * @param {number} [maxRetries] - Retries per channel
+     * @returns {Promise<Array<Object>>} Deliveries
+     * @private
+     */
+    _deliverAll(rule, event, maxRetries = this.maxRetries) {
+        return Promise.all((rule.notifications || []).map(notification => this._deliver(rule, notification, event, maxRetries)));
+    }
+
+    /**
+     * Send an event to one channel, retrying failures, and record the attempts
+     * @param {Object} rule - Rule the channel belongs to
+     * @param {Object} notification - Channel
+     * @param {Object} event - Event from describeAlert()
+     * @param {number} maxRetries - Retries after the first attempt
+     * @returns {Promise<Object>} Delivery
+     * @private
+     */
+    async _deliver(rule, notification, event, maxRetries) {
+        const delivery = {
+            id: generateUniqueId(),
+            time: new Date().toISOString(),
+            ruleId: rule.id,
+            rule: rule.name,
+            event: event.event,
+            alertId: event.alert.id,
+            vhost: event.alert.vhost,
+            queue: event.alert.queue,
+            channel: notification.type,
+            target: notification.type === 'email' ? notification.to.join(', ') : maskUrl(notification.url),
+            outcome: 'pending',
+            attempts: []
+        };
+
+        this.deliveries.unshift(delivery);
+        this.deliveries.length = Math.min(this.deliveries.length, MAX_DELIVERIES);
+
+        const send = withRetry(async () => {
+            const attempt = { time: new Date().toISOString(), durationMs: 0, result: null, error: null };
+            delivery.attempts.push(attempt);
+
+            const started = Date.now();
+            try {
+                attempt.result = await this.senders[notification.type](notification, event);
+            } catch (error) {
+                attempt.error = error.message;
+                throw error;
+            } finally {
+                attempt.durationMs = Date.now() - started;
+            }
+        }, { maxRetries, initialDelay: 1000 });
+
+        try {
+            await send();
+            delivery.outcome = 'success';
+        } catch (error) {
+            delivery.outcome = 'failure';
+            this.logger.error(`Alert notification "${rule.name}" via ${notification.type} to ${delivery.target} failed after ${delivery.attempts.length} attempts: ${error.message}`);
+        }
+
+        return delivery;
+    }
+
+    /**
+     * POST an event to a webhook, as the rule's body template or as the event
+     * @param {Object} notification - { url, headers, body }
+     * @param {Object} event - Event from describeAlert()
+     * @returns {Promise<string>} Response status
+     * @private
+     */
+    async _sendWebhook(notification, event) {
+        const body = notification.body ? renderTemplate(notification.body, event) : event;
+        return this._post(notification.url, body, notification.headers);
+    }
+
+    /**
+     * POST an event's text to an incoming webhook. Slack and Teams both accept
+     * a `text` field.
+     * @param {Object} notification - { url }
+     * @param {Object} event - Event from describeAlert()
+     * @returns {Promise<string>} Response status
+     * @private
+     */
+    async _sendSlack(notification, event) {
+        return this._post(notification.url, { text: event.text });
+    }
+
+    /**
+     * Email an event's text
+     * @param {Object} notification - { to }
+     * @param {Object} event - Event from describeAlert()
+     * @returns {Promise<string>} SMTP response
+     * @private
+     */
+    async _sendEmail(notification, event) {
+        if (!this.transport) {
+            this.transport = nodemailer.createTransport({
+                host: this.config.smtpHost,
+                port: this.config.smtpPort,
+                secure: this.config.smtpSecure,
+                auth: this.config.smtpUser ? { user: this.config.smtpUser, pass: this.config.smtpPassword } : undefined,
+                connectionTimeout: this.timeout,
+                socketTimeout: this.timeout
+            });
+        }
+
+        const info = await this.transport.sendMail({
+            from: this.config.smtpFrom,
+            to: notification.to,
+            subject: event.text.length > 150 ? `${event.text.slice(0, 147)}...` : event.text,
+            text: `${event.text}\n\n${JSON.stringify(event.alert, null, 2)}\n`
+        });
+
+        return info.response;
+    }
+
+    /**
+     * POST JSON, failing on any non-2xx response
+     * @param {string} url - URL
+     * @param {Object} body - JSON body
+     * @param {Object} [headers] - Extra headers
+     * @returns {Promise<string>} Response status
+     * @private
+     */
+    async _post(url, body, headers = {}) {
+        const response = await axios.post(url, body, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            timeout: this.timeout,
+            maxRedirects: 0
+        });
+        return `HTTP ${response.status}`;
+    }
+}
+
+module.exports = Notifier;
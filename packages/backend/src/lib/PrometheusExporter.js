@@ -0,0 +1,156 @@
+// src/lib/PrometheusExporter.js
+const { getQueueSample } = require('../utils/metrics');
+const { formatMetrics, createNameFilter } = require('../utils/prometheus');
+
+const PREFIX = 'rmq_board_';
+
+// Queue values exported as gauges, with their help text
+const QUEUE_METRICS = [
+    ['messages_ready', 'Messages ready for delivery'],
+    ['messages_unacknowledged', 'Messages delivered but not yet acknowledged'],
+    ['consumers', 'Consumers'],
+    ['publish_rate', 'Messages published per second'],
+    ['deliver_rate', 'Messages delivered per second'],
+    ['ack_rate', 'Messages acknowledged per second']
+];
+
+// object_totals of the overview exported as gauges
+const OBJECT_TOTALS = ['connections', 'channels', 'exchanges', 'queues', 'consumers'];
+
+/**
+ * Renders the state of every cluster and of the dashboard itself in the
+ * Prometheus text format.
+ *
+ * Management API data is read through each Broker's cache with a TTL of the
+ * refresh interval, so a scrape reuses what the dashboard already polled
+ * instead of adding load on the brokers.
+ */
+class PrometheusExporter {
+    /**
+     * Create a new PrometheusExporter
+     * @param {ClusterRegistry} clusters - Clusters to export
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     * @param {Function} getSocketClients - Returns the number of connected Socket.IO clients
+     * @throws {Error} If a filter pattern is invalid
+     */
+    constructor(clusters, config, logger, getSocketClients) {
+        this.clusters = clusters;
+        this.config = config;
+        this.logger = logger;
+        this.getSocketClients = getSocketClients;
+
+        this.queueFilter = createNameFilter({
+            vhosts: config.prometheusVhosts,
+            include: config.prometheusQueuePattern,
+            exclude: config.prometheusQueueExclude,
+            setting: 'PROMETHEUS_QUEUE'
+        });
+        this.exchangeFilter = createNameFilter({
+            vhosts: config.prometheusVhosts,
+            include: config.prometheusExchangePattern,
+            exclude: config.prometheusExchangeExclude,
+            setting: 'PROMETHEUS_EXCHANGE'
+        });
+    }
+
+    /**
+     * Collect every metric
+     * @returns {Promise<string>} Exposition text
+     */
+    async collect() {
+        const families = new Map();
+        const add = (name, type, help, labels, value) => {
+            if (!families.has(name)) {
+                families.set(name, { name: PREFIX + name, type, help, samples: [] });
+            }
+            families.get(name).samples.push({ labels, value });
+        };
+
+        await Promise.all(this.clusters.list().map(broker => this._collectBroker(broker, add)));
+
+        add('socket_clients', 'gauge', 'Connected Socket.IO clients', {}, this.getSocketClients());
+
+        return formatMetrics([...families.values()]);
+    }
+
+    /**
+     * Collect the metrics of one cluster
+     * @param {Broker} broker - Broker of the cluster
+     * @param {Function} add - (name, type, help, labels, value) => void
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _collectBroker(broker, add) {
+        const cluster = broker.id;
+        const ttl = this.config.refreshInterval;
+        let up = 1;
+
+        try {
+            const overview = await broker.fetchFromRabbitMQ('/api/overview', 'overview', ttl);
+            const totals = overview.object_totals || {};
+            for (const name of OBJECT_TOTALS) {
+                add(name, 'gauge', `Number of ${name} on the cluster`, { cluster }, totals[name] || 0);
+            }
+        } catch (error) {
+            up = 0;
+            this.logger.debug(`[${cluster}] Skipping overview metrics: ${error.message}`);
+        }
+
+        try {
+            const queues = await broker.fetchFromRabbitMQ('/api/queues', 'queues', ttl);
+            for (const queue of queues) {
+                if (!this.queueFilter(queue.vhost, queue.name)) {
+                    continue;
+                }
+
+                const sample = getQueueSample(queue);
+                const labels = { cluster, vhost: queue.vhost, queue: queue.name };
+                for (const [field, help] of QUEUE_METRICS) {
+                    add(`queue_${field}`, 'gauge', help, labels, sample[field]);
+                }
+            }
+        } catch (error) {
+            up = 0;
+            this.logger.debug(`[${cluster}] Skipping queue metrics: ${error.message}`);
+        }
+
+        try {
+            const exchanges = await broker.fetchFromRabbitMQ('/api/exchanges', 'exchanges', ttl);
+            for (const exchange of exchanges) {
+                if (!this.exchangeFilter(exchange.vhost, exchange.name)) {
+                    continue;
+                }
+
+                const stats = exchange.message_stats || {};
+                const labels = { cluster, vhost: exchange.vhost, exchange: exchange.name };
+                add('exchange_publish_in_rate', 'gauge', 'Messages published into the exchange per second',
+                    labels, stats.publish_in_details ? stats.publish_in_details.rate : 0);
+                add('exchange_publish_out_rate', 'gauge', 'Messages routed out of the exchange per second',
+                    labels, stats.publish_out_details ? stats.publish_out_details.rate : 0);
+            }
+        } catch (error) {
+            up = 0;
+            this.logger.debug(`[${cluster}] Skipping exchange metrics: ${error.message}`);
+        }
+
+        const { stats } = broker;
+        const lookups = stats.cacheHits + stats.cacheMisses;
+
+        add('up', 'gauge', 'Whether the last scrape read the management API without errors', { cluster }, up);
+        add('http_connected', 'gauge', 'Whether the management API is reachable', { cluster }, broker.httpConnected ? 1 : 0);
+        add('amqp_connected', 'gauge', 'Whether the AMQP connection is open', { cluster }, broker.isAmqpConnected() ? 1 : 0);
+        if (stats.lastRequestMs !== null) {
+            add('poll_latency_seconds', 'gauge', 'Duration of the last management API request', { cluster }, stats.lastRequestMs / 1000);
+        }
+        add('management_requests_total', 'counter', 'Management API requests', { cluster }, stats.requests);
+        add('management_request_errors_total', 'counter', 'Failed management API requests', { cluster }, stats.requestErrors);
+        add('cache_hits_total', 'counter', 'Management API reads answered from the cache', { cluster }, stats.cacheHits);
+        add('cache_misses_total', 'counter', 'Management API reads that went to the broker', { cluster }, stats.cacheMisses);
+        if (lookups > 0) {
+            add('cache_hit_ratio', 'gauge', 'Share of management API reads answered from the cache', { cluster }, stats.cacheHits / lookups);
+        }
+    }
+}
+
+module.exports = PrometheusExporter;
@@ -1,11 +1,62 @@
 // src/lib/RabbitMQAdmin.js
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
-const amqp = require('amqplib');
-const axios = require('axios');
 const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const AuthManager = require('./AuthManager');
+const AuditLog = require('./AuditLog');
+const ClusterRegistry = require('./ClusterRegistry');
+const MetricsStore = require('./MetricsStore');
+const MetricsSampler = require('./MetricsSampler');
+const AlertManager = require('./AlertManager');
+const SnapshotStore = require('./SnapshotStore');
+const TopologyManager = require('./TopologyManager');
+const Notifier = require('./Notifier');
+const PrometheusExporter = require('./PrometheusExporter');
 const { loadConfig } = require('../utils/config');
+const { HttpError, VhostAccessError, getErrorStatus } = require('../utils/errors');
+const { getCapabilities, isScoped, filterInScope } = require('../utils/permissions');
+const { maskNotification } = require('../utils/notifications');
+const { getNodeAlarms } = require('../utils/nodes');
+const {
+    buildQueueDeclaration,
+    buildExchangeDeclaration,
+    buildBindingDeclaration,
+    buildVhostDeclaration,
+    buildUserDeclaration,
+    buildPermissionDeclaration,
+    buildTopicPermissionDeclaration,
+    buildUserLimitDeclaration,
+    parsePolicyTarget,
+    buildPolicyDeclaration,
+    parseBoolean
+} = require('../utils/declarations');
+const { previewPolicy } = require('../utils/policies');
+const { DEFINITION_KINDS, validateDefinitions, selectVhost, diffDefinitions, describeDiff, summarizeImport } = require('../utils/definitions');
+const { getDeathInfo, stripDeathHeaders, fingerprintMessage } = require('../utils/deadLetters');
+const { toPublishOptions, publishConfirmed } = require('../utils/amqp');
+
+// Message fetching limits for the get messages endpoint
+const MESSAGE_FETCH_MODES = ['peek', 'consume'];
+const DEFAULT_MESSAGE_COUNT = 10;
+const MAX_MESSAGE_COUNT = 500;
+const DEFAULT_MESSAGE_TRUNCATE = 50000;
+
+// Vhost and queue of the items of each list, to keep lists to a user's scope;
+// other items, such as exchanges and connections, only have a vhost
+const SCOPED_RESOURCES = {
+    vhost: vhost => ({ vhost: vhost.name }),
+    queue: queue => ({ vhost: queue.vhost, queue: queue.name }),
+    binding: binding => (binding.destination_type === 'queue'
+        ? { vhost: binding.vhost, queue: binding.destination }
+        : { vhost: binding.vhost }),
+    consumer: consumer => (consumer.queue ? { vhost: consumer.queue.vhost, queue: consumer.queue.name } : {}),
+    alert: alert => ({ vhost: alert.vhost, queue: alert.queue }),
+    delivery: delivery => ({ vhost: delivery.vhost, queue: delivery.queue }),
+    move: job => ({ vhost: job.vhost, queue: job.queue })
+};
 
 /**
  * RabbitMQ Admin UI for monitoring and managing RabbitMQ servers
@@ -23,111 +74,102 @@ class RabbitMQAdmin {
         // Set up logger
         this.logger = options.logger || console;
 
+        // Optional authentication, throws if enabled without a valid users file
+        this.auth = new AuthManager(this.config, this.logger);
+
+        // Who changed what, written to a rotated JSON-lines file
+        this.audit = new AuditLog(this.config, this.logger);
+
+        // One Broker per RabbitMQ cluster, throws if the cluster definitions are invalid
+        this.clusters = new ClusterRegistry(this.config, this.logger);
+
+        // History of queue depths and message rates for the charts
+        this.metrics = new MetricsStore(this.config, this.logger);
+        this.metricsSampler = new MetricsSampler(this.clusters, this.metrics, this.config, this.logger);
+
+        // User-defined alert rules on queue depths, consumers and rates
+        this.alerts = new AlertManager(this.clusters, this.config, this.logger);
+        this.notifier = new Notifier(this.config, this.logger);
+
+        // Definitions snapshots to diff topologies against
+        this.snapshots = new SnapshotStore(this.config, this.logger);
+        this.topology = new TopologyManager(this.logger);
+
+        // Prometheus endpoint, throws if a filter pattern is invalid
+        this.prometheus = new PrometheusExporter(this.clusters, this.config, this.logger, () => this.connectedClients.size);
+        if (this.config.prometheusEnabled && this.auth.enabled && !this.config.prometheusToken) {
+            this.logger.warn('/metrics is refused while authentication is enabled and PROMETHEUS_TOKEN is not set');
+        }
+
         // Initialize state
         this.app = null;
         this.server = null;
         this.io = null;
         this.router = express.Router();
-        this.httpClient = null;
-        this.amqpConnection = null;
-        this.amqpChannel = null;
         this.connectedClients = new Set();
         this.updateIntervals = new Map();
 
-        // Connection states
-        this.httpConnected = false;
-        this.amqpConnected = false;
-
-        // Cache for API calls
-        this.cache = {
-            overview: null,
-            queues: null,
-            exchanges: null,
-            bindings: null,
-            lastUpdated: {}
-        };
+        // Stream move job progress to the dashboard clients of the job's cluster
+        for (const broker of this.clusters.list()) {
+            broker.on('move-progress', (job) => {
+                if (this.io) {
+                    this.io.to(this._clusterRoom(broker.id)).emit('move-progress', job);
+                }
+            });
+        }
+
+        // Tell the rule's channels when an alert fires or resolves
+        this.alerts.on('alert', (alert) => {
+            const rule = this.alerts.rules.get(alert.ruleId);
+            if (rule) {
+                this.notifier.notify(rule, alert);
+            }
+        });
+
+        // Alerts of every cluster go to every client, for the header bell
+        this.alerts.on('change', (alerts) => {
+            if (this.io) {
+                for (const socket of this.io.sockets.sockets.values()) {
+                    socket.emit('alerts', this._visibleAlerts(socket.data.user, alerts));
+                }
+            }
+        });
 
         // Set up routes
         this.setupRoutes();
     }
 
     /**
-     * Initialize API clients
+     * Connect to every cluster, start sampling metrics and evaluating alert rules
      */
     async initialize() {
-        try {
-            // Initialize HTTP client
-            await this._initializeHttpClient();
-
-            // Try to initialize AMQP client
-            try {
-                await this._initializeAmqpClient();
-            } catch (error) {
-                this.logger.warn(`AMQP connection failed: ${error.message}. Using HTTP-only mode.`);
-            }
+        await this.clusters.initialize();
 
-            return true;
-        } catch (error) {
-            this.logger.error(`Failed to initialize RabbitMQ connections: ${error.message}`);
-            throw error;
+        if (this.config.metricsEnabled) {
+            await this.metricsSampler.start();
         }
-    }
-
-    /**
-     * Initialize HTTP client
-     * @private
-     */
-    async _initializeHttpClient() {
-        const clientOptions = {
-            baseURL: this.config.rabbitMQUrl,
-            auth: {
-                username: this.config.username,
-                password: this.config.password
-            },
-            timeout: 10000
-        };
 
-        this.httpClient = axios.create(clientOptions);
+        await this.alerts.start();
 
-        try {
-            await this.httpClient.get('/api/overview');
-            this.httpConnected = true;
-            this.logger.info('Connected to RabbitMQ Management API');
-            return true;
-        } catch (error) {
-            this.httpConnected = false;
-            throw error;
-        }
+        return true;
     }
 
     /**
-     * Initialize AMQP client
+     * Decode a vhost or resource name route parameter.
+     * Clients may encode names twice, so decode once more if needed.
+     * @param {string} value - Route parameter
+     * @returns {string} Decoded value
      * @private
      */
-    async _initializeAmqpClient() {
-        try {
-            // Connect using the AMQP URL from config
-            this.amqpConnection = await amqp.connect(this.config.amqpUrl);
-            this.amqpChannel = await this.amqpConnection.createChannel();
-
-            // Set up event handlers
-            this.amqpConnection.on('error', (err) => {
-                this.logger.error(`AMQP connection error: ${err.message}`);
-                this.amqpConnected = false;
-            });
-
-            this.amqpConnection.on('close', () => {
-                this.logger.info('AMQP connection closed');
-                this.amqpConnected = false;
-            });
+    _decodeParam(value) {
+        if (!value || !value.includes('%')) {
+            return value;
+        }
 
-            this.amqpConnected = true;
-            this.logger.info('Successfully connected to RabbitMQ via AMQP');
-            return true;
-        } catch (error) {
-            this.logger.error(`Failed to connect to RabbitMQ via AMQP: ${error.message}`);
-            this.amqpConnected = false;
-            throw error;
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
         }
     }
 
@@ -148,6 +190,45 @@ class RabbitMQAdmin {
         }
     }
 
+    /**
+     * Keep the queues, exchanges or bindings of one virtual host
+     * @param {Array<Object>} items - Items with a vhost property
+     * @param {string|null} [vhost] - Virtual host; every item when not set
+     * @returns {Array<Object>} Items of the vhost
+     * @private
+     */
+    _filterByVhost(items, vhost) {
+        return vhost ? items.filter(item => (item.vhost || '/') === vhost) : items;
+    }
+
+    /**
+     * Keep the items of a list within a user's vhosts and queue pattern
+     * @param {Object} [user] - req.user or socket.data.user; every item
+     * without one
+     * @param {string} kind - 'vhost', 'queue', 'binding', 'consumer',
+     * 'alert', 'delivery' or 'move'; other items are kept by their vhost
+     * @param {Array<Object>} items - Items
+     * @returns {Array<Object>} Items the user may see
+     * @private
+     */
+    _filterInScope(user, kind, items) {
+        return filterInScope(user, items, SCOPED_RESOURCES[kind] || (item => ({ vhost: item.vhost })));
+    }
+
+    /**
+     * Firing and resolved alerts of the queues a user may see
+     * @param {Object} [user] - req.user or socket.data.user
+     * @param {Object} [alerts] - Alerts from AlertManager.getAlerts()
+     * @returns {Object} { alerts, resolved }
+     * @private
+     */
+    _visibleAlerts(user, { alerts, resolved } = this.alerts.getAlerts()) {
+        return {
+            alerts: this._filterInScope(user, 'alert', alerts),
+            resolved: this._filterInScope(user, 'alert', resolved)
+        };
+    }
+
     /**
      * Extract essential data from a queue object to prevent circular references
      * @param {Object} queue - Queue object
@@ -215,428 +296,2778 @@ class RabbitMQAdmin {
         };
     }
 
-    /**
-     * Check if AMQP channel is available
-     * @returns {boolean} Whether AMQP is connected
-     */
-    isAmqpConnected() {
-        return this.amqpConnected && this.amqpChannel;
-    }
-
     /**
      * Set up Express routes
      */
     setupRoutes() {
         // Enable JSON parsing
-        this.router.use(express.json());
+        this.router.use(express.json({ limit: this.config.bodyLimit }));
         this.router.use(express.urlencoded({ extended: true }));
 
         // CORS headers
         this.router.use(cors());
 
+        // Login and logout are reachable without a session
+        this._setupAuthApi();
+
+        // Scraped with PROMETHEUS_TOKEN rather than a session
+        this._setupPrometheusApi();
+
+        // Every other API route requires a session when auth is enabled.
+        // The health check stays open for container and load balancer probes.
+        const requireAuth = this.auth.middleware();
+        this.router.use('/api', (req, res, next) => {
+            if (req.path === '/health') {
+                return next();
+            }
+            return requireAuth(req, res, next);
+        });
+
+        // The audit log, the cluster list and alerts are not specific to a cluster
+        this._setupAuditApi();
+        this._setupClusterApi();
+        this._setupAlertApi();
+
+        // Every other API route works on the cluster the request names
+        this.router.use('/api', (req, res, next) => {
+            try {
+                req.broker = this.clusters.get(this._getClusterId(req));
+                next();
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
         // Set up API routes
         this._setupApiRoutes();
     }
 
     /**
-     * Set up API routes
+     * Get the cluster a request is for, from the X-Cluster header or the
+     * cluster query parameter
+     * @param {Object} req - Express request
+     * @returns {string|undefined} Cluster id, undefined for the default cluster
      * @private
      */
-    _setupApiRoutes() {
-        // Overview API
-        this.router.get('/api/overview', async (req, res) => {
-            try {
-                const data = await this.fetchFromRabbitMQ('/api/overview', 'overview');
-                res.json(data);
-            } catch (error) {
-                res.status(500).json({ error: error.message });
-            }
+    _getClusterId(req) {
+        const id = req.get('x-cluster') || req.query.cluster;
+        return typeof id === 'string' && id ? id : undefined;
+    }
+
+    /**
+     * Socket.IO room of the clients watching a cluster
+     * @param {string} id - Cluster id
+     * @returns {string} Room name
+     * @private
+     */
+    _clusterRoom(id) {
+        return `cluster:${id}`;
+    }
+
+    /**
+     * Cluster list API endpoint
+     * @private
+     */
+    _setupClusterApi() {
+        // The clusters a client can switch between, without their credentials
+        this.router.get('/api/clusters', (req, res) => {
+            res.json({
+                defaultCluster: this.clusters.defaultId,
+                clusters: this.clusters.list().map(broker => broker.describe())
+            });
         });
+    }
 
-        // Queues API
-        this.router.get('/api/queues', async (req, res) => {
+    /**
+     * Prometheus metrics endpoint
+     * @private
+     */
+    _setupPrometheusApi() {
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+
+        this.router.get('/metrics', async (req, res) => {
             try {
-                const data = await this.fetchFromRabbitMQ('/api/queues', 'queues');
+                if (!this.config.prometheusEnabled) {
+                    throw new HttpError(404, 'The Prometheus endpoint is disabled');
+                }
 
-                // Enhance with AMQP data if available
-                if (this.isAmqpConnected()) {
-                    await this._enhanceQueuesData(data);
+                // Queue names and depths are not for anyone who can reach the
+                // dashboard when it asks everyone else to log in
+                if (this.auth.enabled && !this.config.prometheusToken) {
+                    throw new HttpError(403, 'Set PROMETHEUS_TOKEN to serve /metrics while authentication is enabled');
                 }
 
-                res.json(data);
+                if (this.config.prometheusToken) {
+                    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+                    if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(this.config.prometheusToken))) {
+                        res.set('WWW-Authenticate', 'Bearer');
+                        throw new HttpError(401, 'A valid bearer token is required');
+                    }
+                }
+
+                res.type('text/plain; version=0.0.4; charset=utf-8').send(await this.prometheus.collect());
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                const status = getErrorStatus(error);
+                if (status >= 500) {
+                    this.logger.error(`Error collecting Prometheus metrics: ${error.message}`);
+                }
+                res.status(status).json({ error: error.message });
             }
         });
+    }
 
-        // Individual queue API
-        this.router.get('/api/queues/:vhost/:name', async (req, res) => {
+    /**
+     * Authentication API endpoints
+     * @private
+     */
+    _setupAuthApi() {
+        // Slow down password guessing
+        const loginLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 20,
+            standardHeaders: true,
+            legacyHeaders: false,
+            message: { error: 'Too many login attempts, please try again later' }
+        });
+
+        // Whether auth is enabled and who is logged in
+        this.router.get('/api/auth/status', (req, res) => {
+            const session = this.auth.enabled ? this.auth.getSession(this.auth.getToken(req.headers)) : null;
+
+            res.json({
+                enabled: this.auth.enabled,
+                authenticated: !this.auth.enabled || Boolean(session),
+                user: session ? this.auth.getUser(session) : null
+            });
+        });
+
+        this.router.post('/api/auth/login', loginLimiter, async (req, res) => {
             try {
-                const { vhost, name } = req.params;
+                if (!this.auth.enabled) {
+                    throw new HttpError(404, 'Authentication is not enabled');
+                }
 
-                // Fix double-encoding issue by decoding once if needed
-                const decodedVhost = vhost.includes('%') ? decodeURIComponent(vhost) : vhost;
-                const encodedVhost = encodeURIComponent(decodedVhost);
-                const encodedName = encodeURIComponent(name);
+                const { username, password } = req.body || {};
+                const session = await this.auth.login(username, password);
+
+                this.auth.setSessionCookie(req, res, session);
+                res.json({
+                    user: this.auth.getUser(session),
+                    token: session.token,
+                    expiresAt: new Date(session.expiresAt).toISOString()
+                });
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
 
-                console.log(`Getting queue info for vhost: ${decodedVhost}, queue: ${name}`);
-                console.log(`API endpoint: /api/queues/${encodedVhost}/${encodedName}`);
+        // The current user with the capabilities of their role
+        this.router.get('/api/auth/me', this.auth.middleware(), (req, res) => {
+            const { readOnly } = this.auth;
+
+            if (!this.auth.enabled) {
+                return res.json({
+                    enabled: false,
+                    user: null,
+                    role: 'admin',
+                    capabilities: getCapabilities('admin', readOnly),
+                    scope: null,
+                    readOnly
+                });
+            }
 
-                const response = await this.httpClient.get(`/api/queues/${encodedVhost}/${encodedName}`);
-                let queue = response.data;
+            const { username, role, vhosts, queuePattern } = req.user;
+            res.json({
+                enabled: true,
+                user: { username, role },
+                role,
+                capabilities: getCapabilities(role, readOnly),
+                scope: vhosts || queuePattern ? { vhosts, queuePattern } : null,
+                readOnly
+            });
+        });
 
-                // Enhance with AMQP if available
-                if (this.isAmqpConnected()) {
-                    try {
-                        const queueInfo = await this.amqpChannel.checkQueue(name);
-                        queue.messages = queueInfo.messageCount;
-                        queue.consumers = queueInfo.consumerCount;
+        this.router.post('/api/auth/logout', (req, res) => {
+            const token = this.auth.getToken(req.headers);
+            const session = this.auth.logout(token);
 
-                        // Add timestamp to queue info
-                        queue.last_checked = new Date().toISOString();
-                    } catch (e) {
-                        console.error(`Error checking queue via AMQP: ${e.message}`);
+            // Close the sockets that were opened with the ended session
+            if (session && this.io) {
+                for (const socket of this.io.sockets.sockets.values()) {
+                    if (socket.data.session && socket.data.session.token === token) {
+                        socket.disconnect(true);
                     }
                 }
+            }
 
-                res.json(queue);
+            this.auth.clearSessionCookie(res);
+            res.json({ success: true });
+        });
+    }
+
+    /**
+     * Middleware allowing a request only if the user's role grants a
+     * capability on the vhost, queue or binding named in the URL
+     * @param {string} capability - Capability from utils/permissions
+     * @param {string} [resource] - 'vhost', 'queue' or 'binding'
+     * @returns {Function} Middleware
+     * @private
+     */
+    _allow(capability, resource) {
+        const getResource = (req) => {
+            const vhost = this._decodeParam(req.params.vhost);
+
+            switch (resource) {
+                case 'queue':
+                    return { vhost, queue: this._decodeParam(req.params.name) };
+                case 'binding':
+                    return req.params.destinationType === 'q'
+                        ? { vhost, queue: this._decodeParam(req.params.destination) }
+                        : { vhost };
+                case 'vhost':
+                    return { vhost };
+                default:
+                    return {};
+            }
+        };
+
+        return this.auth.requireCapability(capability, getResource);
+    }
+
+    /**
+     * Middleware like _allow() for changes that reach beyond any vhost, such
+     * as broker users and their limits, which users limited to some vhosts
+     * may not make
+     * @param {string} capability - Capability from utils/permissions
+     * @returns {Function} Middleware
+     * @private
+     */
+    _allowBrokerWide(capability) {
+        const allow = this._allow(capability);
+
+        return (req, res, next) => allow(req, res, () => {
+            if (req.user && Array.isArray(req.user.vhosts)) {
+                const message = `User "${req.user.username}" is limited to some vhosts and may not ${capability} on the whole broker`;
+                this.logger.warn(message);
+                return res.status(403).json({ error: message });
+            }
+            next();
+        });
+    }
+
+    /**
+     * Middleware recording a request in the audit log once its response is
+     * sent, including requests refused for lack of permission
+     * @param {string} action - Action name, e.g. 'queue.purge'
+     * @param {string} resource - 'queue', 'exchange', 'binding', 'connection', 'vhost', 'user', 'permission', 'user-limit', 'policy', 'definitions', 'snapshot', 'topology', 'move' or 'alert-rule'
+     * @param {Function} [shouldAudit] - Only audit requests it returns true for
+     * @returns {Function} Middleware
+     * @private
+     */
+    _audit(action, resource, shouldAudit = () => true) {
+        return (req, res, next) => {
+            if (!this.audit.enabled || !shouldAudit(req)) {
+                return next();
+            }
+
+            // Keep the response body to record errors and job ids
+            let body = null;
+            const json = res.json.bind(res);
+            res.json = (data) => {
+                body = data;
+                return json(data);
+            };
+
+            res.on('finish', () => {
+                const entry = {
+                    user: req.user ? req.user.username : null,
+                    ip: req.ip,
+                    action,
+                    cluster: req.broker ? req.broker.id : null,
+                    vhost: req.params.vhost !== undefined ? this._decodeParam(req.params.vhost) : null,
+                    resource: this._auditResource(req, resource),
+                    params: this._auditParams(req, resource),
+                    outcome: res.statusCode < 400 ? 'success' : res.statusCode === 403 ? 'denied' : 'failure',
+                    status: res.statusCode
+                };
+
+                if (body && body.error) {
+                    entry.error = body.error;
+                } else if (body && body.id) {
+                    entry.jobId = body.id;
+                }
+
+                this.audit.record(entry);
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Describe the resource an audited request acts on
+     * @param {Object} req - Express request
+     * @param {string} type - 'queue', 'exchange', 'binding', 'connection', 'vhost', 'user', 'permission', 'user-limit', 'policy', 'definitions', 'snapshot', 'topology', 'move' or 'alert-rule'
+     * @returns {Object} { type, name }
+     * @private
+     */
+    _auditResource(req, type) {
+        if (type === 'binding') {
+            return {
+                type,
+                name: `${this._decodeParam(req.params.source)} -> ${this._decodeParam(req.params.destination)}`,
+                destinationType: req.params.destinationType === 'e' ? 'exchange' : 'queue'
+            };
+        }
+
+        if (type === 'move') {
+            return { type, name: req.params.id };
+        }
+
+        if (type === 'vhost') {
+            return { type, name: this._decodeParam(req.params.vhost) };
+        }
+
+        if (type === 'permission') {
+            return { type, name: this._decodeParam(req.params.user) };
+        }
+
+        if (type === 'user-limit') {
+            return { type, name: this._decodeParam(req.params.user), limit: this._decodeParam(req.params.limit) };
+        }
+
+        if (type === 'alert-rule' || type === 'snapshot') {
+            return { type, name: (req.body && req.body.name) || req.params.id || null };
+        }
+
+        if (type === 'definitions') {
+            return { type, name: req.params.vhost !== undefined ? this._decodeParam(req.params.vhost) : null };
+        }
+
+        if (type === 'topology') {
+            return { type, name: (req.body && req.body.name) || null };
+        }
+
+        return { type, name: this._decodeParam(req.params.name) };
+    }
+
+    /**
+     * Get the parameters of an audited request, with message bodies replaced
+     * by their hash and size unless AUDIT_LOG_PAYLOADS is enabled.
+     * Imported definitions are recorded as item counts, applied topologies
+     * as the id of their plan.
+     * @param {Object} req - Express request
+     * @param {string} [type] - Resource type given to _audit()
+     * @returns {Object} Query and body parameters
+     * @private
+     */
+    _auditParams(req, type) {
+        let body = req.body && typeof req.body === 'object' ? req.body : {};
+
+        // Definitions documents can be large, their item counts are enough
+        if (type === 'definitions') {
+            body = {};
+            for (const kind of Object.keys(DEFINITION_KINDS)) {
+                if (Array.isArray(req.body[kind])) {
+                    body[kind] = req.body[kind].length;
+                }
+            }
+        }
+
+        // The topology file is in the repository it is applied from
+        if (type === 'topology') {
+            body = { planId: req.body.planId, allowDestructive: Boolean(req.body.allowDestructive) };
+        }
+
+        const params = { ...req.query, ...body };
+
+        // Recorded as the entry's cluster
+        if (req.broker) {
+            delete params.cluster;
+        }
+
+        // Passwords of broker users are never recorded
+        if (params.password !== undefined) {
+            params.password = '[redacted]';
+        }
+
+        const describe = (payload) => this.audit.describePayload(
+            typeof payload === 'string' ? payload : JSON.stringify(payload)
+        );
+
+        if (params.payload !== undefined) {
+            Object.assign(params, describe(params.payload));
+            if (!this.audit.includePayloads) {
+                delete params.payload;
+            }
+        }
+
+        // Replays may carry edited payloads
+        if (Array.isArray(params.messages)) {
+            params.messages = params.messages.map((message) => {
+                if (!message || message.payload === undefined) {
+                    return message;
+                }
+                const { payload, ...rest } = message;
+                return { ...rest, ...describe(payload) };
+            });
+        }
+
+        return params;
+    }
+
+    /**
+     * Audit log API endpoint
+     * @private
+     */
+    _setupAuditApi() {
+        // Find audit entries, newest first
+        this.router.get('/api/audit', this._allow('audit'), async (req, res) => {
+            try {
+                const { user, action, cluster, vhost, resource, outcome, from, to, limit, offset } = req.query;
+                res.json(await this.audit.query({ user, action, cluster, vhost, resource, outcome, from, to, limit, offset }));
             } catch (error) {
-                console.error(`Error getting queue: ${error.message}`);
-                res.status(500).json({ error: error.message });
+                this.logger.error(`Error reading audit log: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
             }
         });
+    }
 
-        // Exchanges API
-        this.router.get('/api/exchanges', async (req, res) => {
+    /**
+     * Alert rule and alert API endpoints
+     * @private
+     */
+    _setupAlertApi() {
+        // Firing and recently resolved alerts of every cluster
+        this.router.get('/api/alerts', (req, res) => {
+            res.json(this._visibleAlerts(req.user));
+        });
+
+        // Webhook URLs and headers often hold tokens, so only users who may
+        // edit rules see them
+        this.router.get('/api/alerts/rules', (req, res) => {
+            const rules = this.alerts.listRules();
+            if (this.auth.isAllowed(req.user, 'alerts')) {
+                return res.json({ rules });
+            }
+            res.json({
+                rules: rules.map(rule => ({ ...rule, notifications: (rule.notifications || []).map(maskNotification) }))
+            });
+        });
+
+        // Recent notification deliveries with their attempts, optionally of one rule
+        this.router.get('/api/alerts/deliveries', (req, res) => {
+            const deliveries = this.notifier.getDeliveries({ ruleId: req.query.ruleId });
+            res.json({ deliveries: this._filterInScope(req.user, 'delivery', deliveries) });
+        });
+
+        this.router.post('/api/alerts/rules', this._audit('alert.rule.create', 'alert-rule'), this._allow('alerts'), async (req, res) => {
             try {
-                const data = await this.fetchFromRabbitMQ('/api/exchanges', 'exchanges');
-                res.json(data);
+                const rule = await this.alerts.createRule(req.body);
+                res.status(201).json({ success: true, rule });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                this.logger.warn(`Error creating alert rule: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
             }
         });
 
-        // Bindings API
-        this.router.get('/api/bindings', async (req, res) => {
+        this.router.put('/api/alerts/rules/:id', this._audit('alert.rule.update', 'alert-rule'), this._allow('alerts'), async (req, res) => {
             try {
-                const data = await this.fetchFromRabbitMQ('/api/bindings', 'bindings');
-                res.json(data);
+                const rule = await this.alerts.updateRule(req.params.id, req.body);
+                res.json({ success: true, rule });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                this.logger.warn(`Error updating alert rule: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
             }
         });
 
-        // Get messages from queue API
-        this.router.get('/api/queues/:vhost/:name/get', async (req, res) => {
+        // Send a test notification to every channel of a rule
+        this.router.post('/api/alerts/rules/:id/test', this._audit('alert.rule.test', 'alert-rule'), this._allow('alerts'), async (req, res) => {
+            try {
+                const rule = this.alerts.getRule(req.params.id);
+                if (!rule.notifications || rule.notifications.length === 0) {
+                    throw new HttpError(400, `Alert rule "${rule.name}" has no notifications`);
+                }
+
+                const deliveries = await this.notifier.test(rule);
+                res.json({ success: deliveries.every(delivery => delivery.outcome === 'success'), deliveries });
+            } catch (error) {
+                this.logger.warn(`Error testing alert rule: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        this.router.delete('/api/alerts/rules/:id', this._audit('alert.rule.delete', 'alert-rule'), this._allow('alerts'), async (req, res) => {
+            try {
+                await this.alerts.deleteRule(req.params.id);
+                res.json({ success: true, message: 'Alert rule deleted successfully' });
+            } catch (error) {
+                this.logger.warn(`Error deleting alert rule: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Set up API routes
+     * @private
+     */
+    _setupApiRoutes() {
+        // Overview API
+        this.router.get('/api/overview', async (req, res) => {
+            try {
+                const { broker } = req;
+                const data = await broker.fetchFromRabbitMQ('/api/overview', 'overview');
+                res.json(data);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Queues API
+        this.router.get('/api/queues', async (req, res) => {
+            try {
+                const { broker } = req;
+                const queues = this._filterByVhost(await broker.fetchFromRabbitMQ('/api/queues', 'queues'), req.query.vhost);
+                const data = this._filterInScope(req.user, 'queue', queues);
+
+                // Enhance with AMQP data if available
+                if (broker.isAmqpConnected()) {
+                    await this._enhanceQueuesData(broker, data);
+                }
+
+                res.json(data);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Individual queue API
+        this.router.get('/api/queues/:vhost/:name', this._allow('read', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+                const encodedVhost = encodeURIComponent(vhost);
+                const encodedName = encodeURIComponent(name);
+
+                this.logger.debug(`Getting queue info for vhost: ${vhost}, queue: ${name}`);
+
+                const response = await broker.httpClient.get(`/api/queues/${encodedVhost}/${encodedName}`);
+                let queue = response.data;
+
+                // Enhance with AMQP if available
+                if (broker.isAmqpConnected()) {
+                    try {
+                        const queueInfo = await broker.withAmqpChannel(vhost, channel => channel.checkQueue(name));
+                        queue.messages = queueInfo.messageCount;
+                        queue.consumers = queueInfo.consumerCount;
+
+                        // Add timestamp to queue info
+                        queue.last_checked = new Date().toISOString();
+                    } catch (e) {
+                        this.logger.warn(`Error checking queue via AMQP: ${e.message}`);
+                    }
+                }
+
+                res.json(queue);
+            } catch (error) {
+                this.logger.error(`Error getting queue: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // Exchanges API
+        this.router.get('/api/exchanges', async (req, res) => {
+            try {
+                const { broker } = req;
+                const data = await broker.fetchFromRabbitMQ('/api/exchanges', 'exchanges');
+                res.json(this._filterInScope(req.user, 'exchange', this._filterByVhost(data, req.query.vhost)));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Bindings API
+        this.router.get('/api/bindings', async (req, res) => {
+            try {
+                const { broker } = req;
+                const data = await broker.fetchFromRabbitMQ('/api/bindings', 'bindings');
+                res.json(this._filterInScope(req.user, 'binding', this._filterByVhost(data, req.query.vhost)));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get messages from queue API
+        this.router.get('/api/queues/:vhost/:name/get', this._audit('queue.consume', 'queue', req => req.query.mode === 'consume'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                let options;
+                try {
+                    options = this._parseMessageQueryOptions(req.query);
+                } catch (validationError) {
+                    return res.status(400).json({ error: validationError.message });
+                }
+
+                // Consuming removes the messages, so it needs more than peeking
+                this.auth.authorize(req.user, options.mode === 'consume' ? 'consume' : 'peek', { vhost, queue: name });
+
+                if (this.config.readOnly) {
+                    await this._assertPeekLeavesQueueUnchanged(broker, vhost, name);
+                }
+
+                let result;
+
+                // Try AMQP first if available
+                if (broker.isAmqpConnected()) {
+                    try {
+                        result = await this._getMessagesViaAmqp(broker, vhost, name, options);
+                    } catch (amqpError) {
+                        if (amqpError instanceof VhostAccessError) {
+                            throw amqpError;
+                        }
+
+                        this.logger.warn(`Error getting messages via AMQP: ${amqpError.message}. Falling back to HTTP.`);
+                        result = await this._getMessagesViaHttp(broker, vhost, name, options);
+                    }
+                } else {
+                    // Fall back to HTTP API
+                    result = await this._getMessagesViaHttp(broker, vhost, name, options);
+                }
+
+                res.json(result);
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // Purge queue API
+        this.router.post('/api/queues/:vhost/:name/purge', this._audit('queue.purge', 'queue'), this._allow('purge', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                // Try AMQP first if available
+                if (broker.isAmqpConnected()) {
+                    try {
+                        await broker.withAmqpChannel(vhost, channel => channel.purgeQueue(name));
+                        res.json({ success: true, message: 'Queue purged successfully' });
+                        return;
+                    } catch (amqpError) {
+                        if (amqpError instanceof VhostAccessError) {
+                            throw amqpError;
+                        }
+
+                        this.logger.warn(`Error purging queue via AMQP: ${amqpError.message}. Falling back to HTTP.`);
+                    }
+                }
+
+                // Fall back to HTTP API
+                const endpoint = `/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/contents`;
+                await broker.httpClient.delete(endpoint);
+
+                res.json({ success: true, message: 'Queue purged successfully' });
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // Publish message API
+        this.router.post('/api/exchanges/:vhost/:name/publish', this._audit('message.publish', 'exchange'), this._allow('publish', 'vhost'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+                const { routingKey, payload, properties } = req.body;
+
+                if (routingKey === undefined || payload === undefined) {
+                    return res.status(400).json({ error: 'Routing key and payload are required' });
+                }
+
+                // Try AMQP first if available
+                if (broker.isAmqpConnected()) {
+                    try {
+                        const content = Buffer.from(
+                            typeof payload === 'string' ? payload : JSON.stringify(payload)
+                        );
+
+                        await broker.withAmqpChannel(vhost, async (channel) => {
+                            // Fail here instead of publishing to a missing exchange,
+                            // which the broker reports asynchronously by closing the channel
+                            if (name !== '') {
+                                await channel.checkExchange(name);
+                            }
+                            return channel.publish(name, routingKey, content, properties || {});
+                        });
+
+                        res.json({ success: true, message: 'Message published successfully' });
+                        return;
+                    } catch (amqpError) {
+                        if (amqpError instanceof VhostAccessError) {
+                            throw amqpError;
+                        }
+
+                        this.logger.warn(`Error publishing message via AMQP: ${amqpError.message}. Falling back to HTTP.`);
+                    }
+                }
+
+                // Fall back to HTTP API
+                const encodedVhost = encodeURIComponent(vhost);
+                const endpoint = `/api/exchanges/${encodedVhost}/${encodeURIComponent(name || 'amq.default')}/publish`;
+
+                const data = {
+                    properties: properties || {},
+                    routing_key: routingKey,
+                    payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+                    payload_encoding: 'string'
+                };
+
+                await broker.httpClient.post(endpoint, data);
+                res.json({ success: true, message: 'Message published successfully' });
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // Health check API
+        this.router.get('/api/health', async (req, res) => {
+            const { broker } = req;
+            const health = {
+                status: 'UP',
+                cluster: broker.id,
+                amqp: broker.isAmqpConnected() ? 'CONNECTED' : 'DISCONNECTED',
+                http: broker.httpConnected,
+                amqpVhosts: broker.amqpPool ? broker.amqpPool.getStatus() : [],
+                readOnly: this.config.readOnly,
+                timestamp: new Date().toISOString()
+            };
+
+            if (!health.amqp && !health.http) {
+                health.status = 'DOWN';
+            } else if (!health.amqp) {
+                health.status = 'DEGRADED';
+            }
+
+            res.json(health);
+        });
+
+        this._setupQueueInfoApi();
+        this._setupQueueManagementApi();
+        this._setupExchangeManagementApi();
+        this._setupBindingManagementApi();
+        this._setupMessageMoveApi();
+        this._setupDeadLetterApi();
+        this._setupMetricsApi();
+        this._setupConnectionApi();
+        this._setupNodeApi();
+        this._setupVhostApi();
+        this._setupUserApi();
+        this._setupPolicyApi();
+        this._setupDefinitionApi();
+        this._setupTopologyApi();
+    }
+
+    /**
+     * Virtual host API endpoints
+     * @private
+     */
+    _setupVhostApi() {
+        // Virtual hosts with their description, tags, default queue type and message totals
+        this.router.get('/api/vhosts', async (req, res) => {
+            try {
+                res.json(this._filterInScope(req.user, 'vhost', await req.broker.fetchFromRabbitMQ('/api/vhosts', 'vhosts')));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Create a virtual host, or update the description and tags of an existing one
+        this.router.put('/api/vhosts/:vhost', this._audit('vhost.create', 'vhost'), this._allow('vhosts', 'vhost'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+
+                if (!vhost || !vhost.trim()) {
+                    throw new HttpError(400, 'Virtual host names must not be empty');
+                }
+
+                const declaration = buildVhostDeclaration(req.body);
+                await broker.httpClient.put(`/api/vhosts/${encodeURIComponent(vhost)}`, declaration);
+
+                broker.invalidateCache('vhosts', 'overview');
+                res.status(201).json({ success: true, message: 'Virtual host created successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error creating virtual host: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Delete a virtual host with every queue, exchange and message in it
+        this.router.delete('/api/vhosts/:vhost', this._audit('vhost.delete', 'vhost'), this._allow('vhosts', 'vhost'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+
+                await broker.httpClient.delete(`/api/vhosts/${encodeURIComponent(vhost)}`);
+
+                broker.invalidateCache('vhosts', 'overview', 'queues', 'exchanges', 'bindings', 'connections', 'channels', 'consumers');
+                res.json({ success: true, message: 'Virtual host deleted successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error deleting virtual host: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Broker user API endpoints: users, their permissions, topic permissions
+     * and limits
+     * @private
+     */
+    _setupUserApi() {
+        // Users with their tags; password hashes are left out
+        this.router.get('/api/users', this._allowBrokerWide('read'), async (req, res) => {
+            try {
+                const users = await req.broker.fetchFromRabbitMQ('/api/users', 'users');
+                res.json(users.map(user => this._withoutPasswordHash(user)));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // A user with their permissions, topic permissions and limits
+        this.router.get('/api/users/:name', this._allowBrokerWide('read'), async (req, res) => {
+            try {
+                const { httpClient } = req.broker;
+                const name = encodeURIComponent(this._decodeParam(req.params.name));
+
+                const [user, permissions, topicPermissions, limits] = await Promise.all([
+                    httpClient.get(`/api/users/${name}`),
+                    httpClient.get(`/api/users/${name}/permissions`),
+                    httpClient.get(`/api/users/${name}/topic-permissions`),
+                    httpClient.get(`/api/user-limits/${name}`)
+                ]);
+
+                res.json({
+                    ...this._withoutPasswordHash(user.data),
+                    permissions: permissions.data,
+                    topic_permissions: topicPermissions.data,
+                    limits: limits.data.length > 0 ? limits.data[0].value : {}
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error getting user: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Create a user, or change the tags and password of an existing one
+        this.router.put('/api/users/:name', this._audit('user.create', 'user'), this._allowBrokerWide('users'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const name = this._decodeParam(req.params.name);
+
+                if (!name || !name.trim()) {
+                    throw new HttpError(400, 'User names must not be empty');
+                }
+
+                const declaration = buildUserDeclaration(req.body);
+                await broker.httpClient.put(`/api/users/${encodeURIComponent(name)}`, declaration);
+
+                broker.invalidateCache('users');
+                res.status(201).json({ success: true, message: 'User saved successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error saving user: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Delete a user; their connections stay open until they reconnect
+        this.router.delete('/api/users/:name', this._audit('user.delete', 'user'), this._allowBrokerWide('users'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const name = this._decodeParam(req.params.name);
+
+                if (name === broker.config.username) {
+                    throw new HttpError(400, 'The dashboard connects as this user and cannot delete it');
+                }
+
+                await broker.httpClient.delete(`/api/users/${encodeURIComponent(name)}`);
+
+                broker.invalidateCache('users');
+                res.json({ success: true, message: 'User deleted successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error deleting user: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Permissions of every user in every virtual host
+        this.router.get('/api/permissions', async (req, res) => {
+            try {
+                const response = await req.broker.httpClient.get('/api/permissions');
+                res.json(this._filterInScope(req.user, 'permission', response.data));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Set a user's configure, write and read patterns in a virtual host
+        this.router.put('/api/permissions/:vhost/:user', this._audit('permission.set', 'permission'), this._allow('users', 'vhost'), async (req, res) => {
+            try {
+                const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+
+                const declaration = buildPermissionDeclaration(req.body);
+                await req.broker.httpClient.put(`/api/permissions/${vhost}/${user}`, declaration);
+
+                res.json({ success: true, message: 'Permissions set successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error setting permissions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Remove a user's access to a virtual host
+        this.router.delete('/api/permissions/:vhost/:user', this._audit('permission.delete', 'permission'), this._allow('users', 'vhost'), async (req, res) => {
+            try {
+                const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+
+                await req.broker.httpClient.delete(`/api/permissions/${vhost}/${user}`);
+
+                res.json({ success: true, message: 'Permissions cleared successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error clearing permissions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Topic permissions of every user, one entry per virtual host and exchange
+        this.router.get('/api/topic-permissions', async (req, res) => {
+            try {
+                const response = await req.broker.httpClient.get('/api/topic-permissions');
+                res.json(this._filterInScope(req.user, 'permission', response.data));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Set the routing keys a user may publish and bind with on a topic exchange
+        this.router.put('/api/topic-permissions/:vhost/:user', this._audit('topic-permission.set', 'permission'), this._allow('users', 'vhost'), async (req, res) => {
+            try {
+                const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+
+                const declaration = buildTopicPermissionDeclaration(req.body);
+                await req.broker.httpClient.put(`/api/topic-permissions/${vhost}/${user}`, declaration);
+
+                res.json({ success: true, message: 'Topic permissions set successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error setting topic permissions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Clear a user's topic permissions on every exchange of a virtual host
+        this.router.delete('/api/topic-permissions/:vhost/:user', this._audit('topic-permission.delete', 'permission'), this._allow('users', 'vhost'), async (req, res) => {
+            try {
+                const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+
+                await req.broker.httpClient.delete(`/api/topic-permissions/${vhost}/${user}`);
+
+                res.json({ success: true, message: 'Topic permissions cleared successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error clearing topic permissions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Connection and channel limits of every user that has any
+        this.router.get('/api/user-limits', this._allowBrokerWide('read'), async (req, res) => {
+            try {
+                const response = await req.broker.httpClient.get('/api/user-limits');
+                res.json(response.data);
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Set max-connections or max-channels for a user
+        this.router.put('/api/user-limits/:user/:limit', this._audit('user-limit.set', 'user-limit'), this._allowBrokerWide('users'), async (req, res) => {
+            try {
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+                const limit = this._decodeParam(req.params.limit);
+
+                const declaration = buildUserLimitDeclaration(limit, req.body);
+                await req.broker.httpClient.put(`/api/user-limits/${user}/${encodeURIComponent(limit)}`, declaration);
+
+                res.json({ success: true, message: 'User limit set successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error setting user limit: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Remove a user limit
+        this.router.delete('/api/user-limits/:user/:limit', this._audit('user-limit.delete', 'user-limit'), this._allowBrokerWide('users'), async (req, res) => {
+            try {
+                const user = encodeURIComponent(this._decodeParam(req.params.user));
+                const limit = encodeURIComponent(this._decodeParam(req.params.limit));
+
+                await req.broker.httpClient.delete(`/api/user-limits/${user}/${limit}`);
+
+                res.json({ success: true, message: 'User limit removed successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error removing user limit: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Policy and operator policy API endpoints. Both kinds have the same
+     * routes; operator policies only apply to queues and win over policies
+     * for the keys they set with a stricter value.
+     * @private
+     */
+    _setupPolicyApi() {
+        const kinds = [
+            { path: 'policies', cacheKey: 'policies', action: 'policy', label: 'Policy', field: 'policy', operator: false },
+            { path: 'operator-policies', cacheKey: 'operatorPolicies', action: 'operator-policy', label: 'Operator policy', field: 'operator_policy', operator: true }
+        ];
+
+        for (const kind of kinds) {
+            // Policies, optionally of one vhost
+            this.router.get(`/api/${kind.path}`, async (req, res) => {
+                try {
+                    const policies = await req.broker.fetchFromRabbitMQ(`/api/${kind.path}`, kind.cacheKey);
+                    res.json(this._filterInScope(req.user, 'policy', this._filterByVhost(policies, req.query.vhost)));
+                } catch (error) {
+                    const httpError = this._toHttpError(error);
+                    res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+                }
+            });
+
+            // Queues and exchanges a policy would match, with the policy applied to each now and once saved
+            this.router.post(`/api/${kind.path}/:vhost/preview`, this._allow('read', 'vhost'), async (req, res) => {
+                try {
+                    const { broker } = req;
+                    const vhost = this._decodeParam(req.params.vhost);
+                    const draft = { name: req.body.name || '', ...parsePolicyTarget(req.body, kind.operator) };
+
+                    const [policies, queues, exchanges] = await Promise.all([
+                        broker.fetchFromRabbitMQ(`/api/${kind.path}`, kind.cacheKey),
+                        broker.fetchFromRabbitMQ('/api/queues', 'queues'),
+                        broker.fetchFromRabbitMQ('/api/exchanges', 'exchanges')
+                    ]);
+
+                    res.json(previewPolicy(draft, this._filterByVhost(policies, vhost), {
+                        queues: this._filterInScope(req.user, 'queue', this._filterByVhost(queues, vhost)),
+                        exchanges: this._filterByVhost(exchanges, vhost)
+                    }, kind.field));
+                } catch (error) {
+                    const httpError = this._toHttpError(error);
+                    res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+                }
+            });
+
+            // Create or replace a policy
+            this.router.put(`/api/${kind.path}/:vhost/:name`, this._audit(`${kind.action}.set`, 'policy'), this._allow('policies', 'vhost'), async (req, res) => {
+                try {
+                    const { broker } = req;
+                    const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                    const name = this._decodeParam(req.params.name);
+
+                    if (!name || !name.trim()) {
+                        throw new HttpError(400, 'Policy names must not be empty');
+                    }
+
+                    const declaration = buildPolicyDeclaration(req.body, kind.operator);
+                    await broker.httpClient.put(`/api/${kind.path}/${vhost}/${encodeURIComponent(name)}`, declaration);
+
+                    broker.invalidateCache(kind.cacheKey, 'queues', 'exchanges');
+                    res.json({ success: true, message: `${kind.label} saved successfully` });
+                } catch (error) {
+                    const httpError = this._toHttpError(error);
+                    this.logger.warn(`Error saving ${kind.label.toLowerCase()}: ${httpError.message}`);
+                    res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+                }
+            });
+
+            // Delete a policy
+            this.router.delete(`/api/${kind.path}/:vhost/:name`, this._audit(`${kind.action}.delete`, 'policy'), this._allow('policies', 'vhost'), async (req, res) => {
+                try {
+                    const { broker } = req;
+                    const vhost = encodeURIComponent(this._decodeParam(req.params.vhost));
+                    const name = encodeURIComponent(this._decodeParam(req.params.name));
+
+                    await broker.httpClient.delete(`/api/${kind.path}/${vhost}/${name}`);
+
+                    broker.invalidateCache(kind.cacheKey, 'queues', 'exchanges');
+                    res.json({ success: true, message: `${kind.label} deleted successfully` });
+                } catch (error) {
+                    const httpError = this._toHttpError(error);
+                    this.logger.warn(`Error deleting ${kind.label.toLowerCase()}: ${httpError.message}`);
+                    res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+                }
+            });
+        }
+
+        // The policy and operator policy applied to a queue, and the definition they add up to
+        this.router.get('/api/queues/:vhost/:name/policy', this._allow('read', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                const [queue, policies, operatorPolicies] = await Promise.all([
+                    broker.httpClient.get(`/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`),
+                    broker.fetchFromRabbitMQ('/api/policies', 'policies'),
+                    broker.fetchFromRabbitMQ('/api/operator-policies', 'operatorPolicies')
+                ]);
+
+                const find = (items, policyName) => policyName
+                    ? items.find(item => item.vhost === vhost && item.name === policyName) || null
+                    : null;
+
+                res.json({
+                    queue: { name, vhost },
+                    policy: find(policies, queue.data.policy),
+                    operatorPolicy: find(operatorPolicies, queue.data.operator_policy),
+                    // Older brokers send an empty list when no policy applies
+                    effectiveDefinition: Array.isArray(queue.data.effective_policy_definition)
+                        ? {}
+                        : queue.data.effective_policy_definition || {}
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error getting queue policy: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Definitions API endpoints: export the broker's or a vhost's topology
+     * as a RabbitMQ definitions document, and import one with an optional
+     * dry run reporting what it would change
+     * @private
+     */
+    _setupDefinitionApi() {
+        const paths = ['/api/definitions', '/api/definitions/:vhost'];
+
+        // Definitions of the whole broker or of one vhost
+        this.router.get(paths, this._allow('read', 'vhost'), async (req, res) => {
+            try {
+                const vhost = req.params.vhost !== undefined ? this._decodeParam(req.params.vhost) : null;
+
+                // Whole-broker definitions hold every vhost and broker user
+                if (vhost === null && req.user && Array.isArray(req.user.vhosts)) {
+                    throw new HttpError(403, `User "${req.user.username}" may only export the definitions of a vhost`);
+                }
+
+                const definitions = await this._fetchDefinitions(req.broker, req.params.vhost);
+                res.json(this._visibleDefinitions(req, definitions, vhost));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error exporting definitions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Import definitions; ?dryRun=true only reports what would be created or
+        // changed, which reading the vhost is enough for
+        const isDryRun = req => req.query.dryRun === 'true';
+        this.router.post(paths, this._audit('definitions.import', 'definitions', req => !isDryRun(req)), (req, res, next) => {
+            return this._allow(isDryRun(req) ? 'read' : 'definitions', 'vhost')(req, res, next);
+        }, async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = req.params.vhost !== undefined ? this._decodeParam(req.params.vhost) : null;
+
+                // Whole-broker definitions create vhosts and users, beyond a scoped user's vhosts
+                if (vhost === null && req.user && Array.isArray(req.user.vhosts)) {
+                    throw new HttpError(403, `User "${req.user.username}" may only import definitions into a vhost`);
+                }
+
+                validateDefinitions(req.body);
+
+                const current = await this._fetchDefinitions(broker, req.params.vhost);
+                const changes = summarizeImport(diffDefinitions(current, req.body));
+
+                if (isDryRun(req)) {
+                    return res.json({ dryRun: true, vhost, changes });
+                }
+
+                await broker.httpClient.post(vhost === null ? '/api/definitions' : `/api/definitions/${encodeURIComponent(vhost)}`, req.body);
+
+                broker.invalidateCache('overview', 'vhosts', 'users', 'policies', 'operatorPolicies', 'queues', 'exchanges', 'bindings');
+                res.json({ success: true, message: 'Definitions imported successfully', changes });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error importing definitions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Topology API endpoints: definitions snapshots, the diff of two
+     * definitions documents taken from clusters, snapshots or uploaded files,
+     * and planning and applying topology files
+     * @private
+     */
+    _setupTopologyApi() {
+        // Snapshots without their definitions, newest first
+        this.router.get('/api/topology/snapshots', async (req, res) => {
+            try {
+                res.json({ snapshots: await this.snapshots.list() });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // A snapshot with its definitions
+        this.router.get('/api/topology/snapshots/:id', async (req, res) => {
+            try {
+                const snapshot = await this.snapshots.get(req.params.id);
+                res.json({ ...snapshot, definitions: this._visibleDefinitions(req, snapshot.definitions) });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Store the definitions of the request's cluster
+        this.router.post('/api/topology/snapshots', this._audit('snapshot.create', 'snapshot'), this._allow('definitions'), async (req, res) => {
+            try {
+                const definitions = await this._fetchDefinitions(req.broker);
+                const snapshot = await this.snapshots.create({
+                    name: req.body.name,
+                    cluster: req.broker.id,
+                    definitions,
+                    createdBy: req.user ? req.user.username : null
+                });
+                res.status(201).json({ success: true, snapshot });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error taking snapshot: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        this.router.delete('/api/topology/snapshots/:id', this._audit('snapshot.delete', 'snapshot'), this._allow('definitions'), async (req, res) => {
+            try {
+                await this.snapshots.delete(req.params.id);
+                res.json({ success: true, message: 'Snapshot deleted successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // What differs between two definitions documents, e.g. staging and production
+        this.router.post('/api/topology/diff', async (req, res) => {
+            try {
+                const body = req.body || {};
+                const [left, right] = await Promise.all([
+                    this._getDiffSide(req.user, body.left, 'left'),
+                    this._getDiffSide(req.user, body.right, 'right')
+                ]);
+
+                res.json({
+                    left: left.description,
+                    right: right.description,
+                    ...describeDiff(diffDefinitions(left.definitions, right.definitions))
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error comparing definitions: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // What applying a topology file would create, change and delete
+        this.router.post('/api/topology/plan', async (req, res) => {
+            try {
+                res.json(await this.topology.plan(req.broker, req.body.topology));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error planning topology: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Apply a reviewed plan; each action needs the capability its own
+        // endpoint needs, checked before anything is applied
+        this.router.post('/api/topology/apply', this._audit('topology.apply', 'topology'), this._allow('manage'), async (req, res) => {
+            try {
+                const { topology, planId, allowDestructive } = req.body;
+                if (typeof planId !== 'string' || !planId) {
+                    throw new HttpError(400, 'The id of the reviewed plan is required');
+                }
+
+                const plan = await this.topology.apply(req.broker, topology, {
+                    planId,
+                    allowDestructive: Boolean(allowDestructive),
+                    authorize: plan => this._authorizePlan(req.user, plan)
+                });
+
+                res.json({
+                    success: true,
+                    message: `Applied ${plan.actions.length} topology actions successfully`,
+                    plan
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error applying topology: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Check that a user may apply every action of a topology plan, with the
+     * capabilities the queue, exchange, binding and policy endpoints need
+     * @param {Object} user - User of the request
+     * @param {Object} plan - Plan from TopologyManager.plan()
+     * @throws {HttpError} 403 for the first action the user may not apply
+     * @private
+     */
+    _authorizePlan(user, plan) {
+        for (const action of plan.actions) {
+            const resource = { vhost: action.vhost };
+
+            if (action.kind === 'policy') {
+                this.auth.authorize(user, 'policies', resource);
+                continue;
+            }
+
+            if (action.kind === 'queue') {
+                resource.queue = action.name;
+            } else if (action.kind === 'binding' && action.item.destination_type === 'queue') {
+                resource.queue = action.item.destination;
+            }
+
+            // Recreating deletes first
+            if (action.kind !== 'binding' && action.action !== 'create') {
+                this.auth.authorize(user, 'delete', resource);
+            }
+            if (action.action !== 'delete' || action.kind === 'binding') {
+                this.auth.authorize(user, 'manage', resource);
+            }
+        }
+    }
+
+    /**
+     * Get the definitions one side of a diff compares, within the user's
+     * vhosts and queue pattern
+     * @param {Object} [user] - req.user
+     * @param {Object} source - { cluster } for its live definitions,
+     * { snapshot } for a stored snapshot or { definitions, name } for an
+     * uploaded file, each with an optional vhost to compare only it
+     * @param {string} side - 'left' or 'right'
+     * @returns {Promise<Object>} { description: { type, label, vhost }, definitions }
+     * @throws {HttpError} 400 for an invalid source, 404 for an unknown cluster or snapshot
+     * @private
+     */
+    async _getDiffSide(user, source, side) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            throw new HttpError(400, `The ${side} side must be an object`);
+        }
+
+        let type;
+        let label;
+        let definitions;
+
+        if (source.definitions !== undefined) {
+            validateDefinitions(source.definitions);
+            type = 'file';
+            label = source.name || 'Uploaded file';
+            definitions = source.definitions;
+        } else if (source.snapshot) {
+            const snapshot = await this.snapshots.get(source.snapshot);
+            type = 'snapshot';
+            label = `${snapshot.name} (${snapshot.cluster}, ${snapshot.createdAt})`;
+            definitions = snapshot.definitions;
+        } else if (source.cluster) {
+            const broker = this.clusters.get(source.cluster);
+            type = 'cluster';
+            label = broker.name || broker.id;
+            definitions = await this._fetchDefinitions(broker);
+        } else {
+            throw new HttpError(400, `The ${side} side needs a cluster, a snapshot or definitions`);
+        }
+
+        const vhost = source.vhost || null;
+        return {
+            description: { type, label, vhost },
+            definitions: this._scopeDefinitions(user, vhost ? selectVhost(definitions, vhost) : definitions, vhost)
+        };
+    }
+
+    /**
+     * Keep definitions to a user's scope and remove the users' password
+     * hashes, unless the user may import definitions and is not limited to
+     * some vhosts or queues
+     * @param {Object} req - Express request
+     * @param {Object} definitions - Definitions document
+     * @param {string|null} [vhost] - Vhost of definitions exported for one
+     * @returns {Object} Definitions to send
+     * @private
+     */
+    _visibleDefinitions(req, definitions, vhost = null) {
+        const visible = this._scopeDefinitions(req.user, definitions, vhost);
+        if (!Array.isArray(visible.users) || (this.auth.isAllowed(req.user, 'definitions') && !isScoped(req.user))) {
+            return visible;
+        }
+        return { ...visible, users: visible.users.map(user => this._withoutPasswordHash(user)) };
+    }
+
+    /**
+     * Keep the items of a definitions document within a user's vhosts and
+     * queue pattern. Users limited to some vhosts do not see broker users.
+     * @param {Object} [user] - req.user; everything is kept without one
+     * @param {Object} definitions - Definitions document
+     * @param {string|null} [vhost] - Vhost of items without one, in
+     * definitions exported for a vhost
+     * @returns {Object} Definitions in scope
+     * @private
+     */
+    _scopeDefinitions(user, definitions, vhost = null) {
+        if (!isScoped(user)) {
+            return definitions;
+        }
+
+        const getResource = (kind, item) => {
+            const itemVhost = item.vhost !== undefined || vhost === null ? item.vhost : vhost;
+            switch (kind) {
+                case 'vhosts':
+                    return { vhost: item.name };
+                case 'queues':
+                    return { vhost: itemVhost, queue: item.name };
+                case 'bindings':
+                    return item.destination_type === 'queue'
+                        ? { vhost: itemVhost, queue: item.destination }
+                        : { vhost: itemVhost };
+                default:
+                    return { vhost: itemVhost };
+            }
+        };
+
+        const result = { ...definitions };
+        for (const [kind, fields] of Object.entries(DEFINITION_KINDS)) {
+            if (Array.isArray(result[kind]) && (kind === 'vhosts' || fields.includes('vhost'))) {
+                result[kind] = filterInScope(user, result[kind], item => getResource(kind, item));
+            }
+        }
+
+        if (Array.isArray(user.vhosts)) {
+            delete result.users;
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the definitions of the whole broker or of one vhost
+     * @param {Broker} broker - Broker of the request
+     * @param {string} [vhostParam] - Encoded vhost from the URL
+     * @returns {Promise<Object>} Definitions document
+     * @private
+     */
+    async _fetchDefinitions(broker, vhostParam) {
+        const path = vhostParam === undefined
+            ? '/api/definitions'
+            : `/api/definitions/${encodeURIComponent(this._decodeParam(vhostParam))}`;
+        const response = await broker.httpClient.get(path);
+        return response.data;
+    }
+
+    /**
+     * Remove the password hash from a broker user
+     * @param {Object} user - User from the management API
+     * @returns {Object} User without password_hash and hashing_algorithm
+     * @private
+     */
+    _withoutPasswordHash(user) {
+        const result = { ...user };
+        delete result.password_hash;
+        delete result.hashing_algorithm;
+        return result;
+    }
+
+    /**
+     * Cluster node API endpoints
+     * @private
+     */
+    _setupNodeApi() {
+        // Nodes with memory, disk, file descriptor, socket and process usage
+        this.router.get('/api/nodes', async (req, res) => {
+            try {
+                res.json(await req.broker.fetchFromRabbitMQ('/api/nodes', 'nodes'));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // A node with its memory broken down by use
+        this.router.get('/api/nodes/:name', async (req, res) => {
+            try {
+                const name = this._decodeParam(req.params.name);
+                const response = await req.broker.httpClient.get(`/api/nodes/${encodeURIComponent(name)}`, {
+                    params: { memory: true }
+                });
+                res.json(response.data);
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error getting node: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Connection, channel and consumer API endpoints
+     * @private
+     */
+    _setupConnectionApi() {
+        // Client connections with their properties, state, TLS and throughput
+        this.router.get('/api/connections', async (req, res) => {
+            try {
+                res.json(this._filterInScope(req.user, 'connection', await req.broker.fetchFromRabbitMQ('/api/connections', 'connections')));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // A connection with its channels and their consumers
+        this.router.get('/api/connections/:name', async (req, res) => {
+            try {
+                const { broker } = req;
+                const name = this._decodeParam(req.params.name);
+                const encodedName = encodeURIComponent(name);
+
+                const [connection, channels, consumers] = await Promise.all([
+                    broker.httpClient.get(`/api/connections/${encodedName}`),
+                    broker.httpClient.get(`/api/connections/${encodedName}/channels`),
+                    broker.fetchFromRabbitMQ('/api/consumers', 'consumers')
+                ]);
+
+                this.auth.authorize(req.user, 'read', { vhost: connection.data.vhost });
+
+                res.json({
+                    connection: connection.data,
+                    channels: this._filterInScope(req.user, 'channel', channels.data),
+                    consumers: this._filterInScope(req.user, 'consumer', consumers.filter(consumer =>
+                        consumer.channel_details && consumer.channel_details.connection_name === name))
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error getting connection: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Channels of every connection with prefetch, unacked and consumer counts
+        this.router.get('/api/channels', async (req, res) => {
+            try {
+                res.json(this._filterInScope(req.user, 'channel', await req.broker.fetchFromRabbitMQ('/api/channels', 'channels')));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Consumers of every queue, optionally limited to a vhost and a queue
+        this.router.get('/api/consumers', async (req, res) => {
+            try {
+                const { vhost, queue } = req.query;
+                const consumers = this._filterInScope(req.user, 'consumer', await req.broker.fetchFromRabbitMQ('/api/consumers', 'consumers'));
+
+                res.json(consumers.filter(consumer =>
+                    (!vhost || (consumer.queue && consumer.queue.vhost === vhost)) &&
+                    (!queue || (consumer.queue && consumer.queue.name === queue))));
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Consumers of one queue. With single active consumer only one of them
+        // receives messages; the others wait with activity_status 'waiting'.
+        this.router.get('/api/queues/:vhost/:name/consumers', this._allow('read', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                const response = await broker.httpClient.get(`/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`);
+                const queue = response.data;
+
+                res.json({
+                    queue: { name, vhost },
+                    singleActiveConsumer: Boolean(queue.arguments && queue.arguments['x-single-active-consumer']),
+                    singleActiveConsumerTag: queue.single_active_consumer_tag || null,
+                    consumers: queue.consumer_details || []
+                });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error getting queue consumers: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+
+        // Force-close a connection; the client sees the reason in the close frame
+        this.router.delete('/api/connections/:name', this._audit('connection.close', 'connection'), this._allow('close'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const name = this._decodeParam(req.params.name);
+                const encodedName = encodeURIComponent(name);
+
+                const reason = (req.body && req.body.reason) || req.query.reason || 'Closed from the dashboard';
+                if (typeof reason !== 'string') {
+                    throw new HttpError(400, 'reason must be a string');
+                }
+
+                // Scoped users may only close connections to their vhosts
+                const response = await broker.httpClient.get(`/api/connections/${encodedName}`);
+                this.auth.authorize(req.user, 'close', { vhost: response.data.vhost });
+
+                await broker.httpClient.delete(`/api/connections/${encodedName}`, {
+                    headers: { 'X-Reason': reason }
+                });
+
+                broker.invalidateCache('connections', 'channels', 'consumers', 'overview');
+                res.json({ success: true, message: 'Connection closed successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error closing connection: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
+    }
+
+    /**
+     * Metrics history API endpoints
+     * @private
+     */
+    _setupMetricsApi() {
+        const sendMetrics = (res, key, range) => {
+            try {
+                if (!this.config.metricsEnabled) {
+                    throw new HttpError(404, 'Metrics are disabled');
+                }
+                res.json(this.metrics.query(key, range));
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        };
+
+        // Message totals and rates of the cluster over a range (1h, 24h or 7d);
+        // they cover every vhost, so users limited to some vhosts do not get them
+        this.router.get('/api/metrics/overview', this._allowBrokerWide('read'), (req, res) => {
+            sendMetrics(res, MetricsStore.key(req.broker.id, 'overview'), req.query.range);
+        });
+
+        // Depth, consumers and rates of a queue over a range (1h, 24h or 7d)
+        this.router.get('/api/metrics/queues/:vhost/:name', this._allow('read', 'queue'), (req, res) => {
+            const vhost = this._decodeParam(req.params.vhost);
+            const name = this._decodeParam(req.params.name);
+            sendMetrics(res, MetricsStore.key(req.broker.id, 'queue', vhost, name), req.query.range);
+        });
+    }
+
+    /**
+     * Parse and validate the query parameters of the get messages endpoint
+     * @param {Object} query - Request query parameters
+     * @returns {Object} Options with count, mode and truncate
+     * @private
+     */
+    _parseMessageQueryOptions(query = {}) {
+        const count = query.count === undefined ? DEFAULT_MESSAGE_COUNT : Number(query.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_MESSAGE_COUNT) {
+            throw new Error(`count must be an integer between 1 and ${MAX_MESSAGE_COUNT}`);
+        }
+
+        const mode = query.mode || 'peek';
+        if (!MESSAGE_FETCH_MODES.includes(mode)) {
+            throw new Error(`mode must be one of: ${MESSAGE_FETCH_MODES.join(', ')}`);
+        }
+
+        const truncate = query.truncate === undefined ? DEFAULT_MESSAGE_TRUNCATE : Number(query.truncate);
+        if (!Number.isInteger(truncate) || truncate < 0) {
+            throw new Error('truncate must be a non-negative integer (0 disables truncation)');
+        }
+
+        return { count, mode, truncate };
+    }
+
+    /**
+     * Build the response returned by the get messages endpoint
+     * @param {Array} messages - Messages that were fetched
+     * @param {Object} options - Options the messages were fetched with
+     * @param {string} source - Connection type used (amqp or http)
+     * @returns {Object} Messages with information about the fetch mode
+     * @private
+     */
+    _buildMessagesResult(messages, options, source) {
+        const requeued = options.mode === 'peek';
+
+        // A requeued message is flagged as redelivered by the broker, so a peek
+        // changes that flag for every message that had not been delivered before
+        const result = messages.map(message => ({
+            ...message,
+            marked_redelivered: requeued && !message.redelivered,
+            death: getDeathInfo(message.properties && message.properties.headers)
+        }));
+
+        return {
+            mode: options.mode,
+            source,
+            count: result.length,
+            requested: options.count,
+            truncate: options.truncate,
+            requeued,
+            markedRedelivered: result.filter(message => message.marked_redelivered).length,
+            messages: result
+        };
+    }
+
+    /**
+     * Get messages from a queue via HTTP API
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} name - Queue name
+     * @param {Object} options - Options from _parseMessageQueryOptions()
+     * @returns {Promise<Object>} Messages result
+     * @private
+     */
+    async _getMessagesViaHttp(broker, vhost, name, options) {
+        const encodedVhost = encodeURIComponent(vhost);
+        const endpoint = `/api/queues/${encodedVhost}/${encodeURIComponent(name)}/get`;
+        const requeue = options.mode === 'peek';
+
+        const body = {
+            count: options.count,
+            // ackmode is used by RabbitMQ 3.7+, requeue by older versions
+            ackmode: requeue ? 'ack_requeue_true' : 'ack_requeue_false',
+            requeue,
+            encoding: 'auto'
+        };
+
+        if (options.truncate > 0) {
+            body.truncate = options.truncate;
+        }
+
+        const response = await broker.httpClient.post(endpoint, body);
+
+        const messages = (response.data || []).map((message) => {
+            const truncated = options.truncate > 0 && message.payload_bytes > options.truncate;
+            const content = Buffer.from(message.payload || '', message.payload_encoding === 'base64' ? 'base64' : 'utf8');
+
+            return {
+                ...message,
+                payload_truncated: truncated,
+                // A truncated payload cannot identify the message
+                fingerprint: truncated ? null : fingerprintMessage(content, message.properties && message.properties.message_id)
+            };
+        });
+
+        return this._buildMessagesResult(messages, options, 'http');
+    }
+
+    /**
+     * Refuse to peek queues where requeueing a message changes it. A quorum
+     * queue counts the requeue as a delivery attempt, so peeking could push
+     * a message past its delivery limit and get it dropped or dead-lettered.
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} name - Queue name
+     * @throws {HttpError} 403 for quorum queues
+     * @private
+     */
+    async _assertPeekLeavesQueueUnchanged(broker, vhost, name) {
+        let queue;
+        try {
+            const response = await broker.httpClient.get(`/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`);
+            queue = response.data;
+        } catch (error) {
+            throw this._toHttpError(error);
+        }
+
+        if (queue && queue.type === 'quorum') {
+            throw new HttpError(403, `The dashboard is in read-only mode and peeking quorum queue "${name}" would count towards its delivery limit`);
+        }
+    }
+
+    /**
+     * Get messages from a queue via AMQP
+     *
+     * In peek mode messages are fetched with manual acknowledgement and all of
+     * them are rejected back onto the queue once the batch has been read, so
+     * nothing is consumed. In consume mode messages are auto-acknowledged.
+     *
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} queueName - Queue name
+     * @param {Object} options - Options from _parseMessageQueryOptions()
+     * @returns {Promise<Object>} Messages result
+     * @private
+     */
+    async _getMessagesViaAmqp(broker, vhost, queueName, options) {
+        return broker.withAmqpChannel(vhost, channel => this._fetchAmqpMessages(channel, queueName, options));
+    }
+
+    /**
+     * Fetch messages from a queue on an AMQP channel
+     * @param {Object} channel - amqplib channel for the queue's vhost
+     * @param {string} queueName - Queue name
+     * @param {Object} options - Options from _parseMessageQueryOptions()
+     * @returns {Promise<Object>} Messages result
+     * @private
+     */
+    async _fetchAmqpMessages(channel, queueName, options) {
+        const noAck = options.mode === 'consume';
+
+        // Assert the queue exists
+        await channel.checkQueue(queueName);
+
+        const messages = [];
+        const pending = [];
+
+        try {
+            for (let i = 0; i < options.count; i++) {
+                const msg = await channel.get(queueName, { noAck });
+
+                if (!msg) {
+                    // No more messages
+                    break;
+                }
+
+                if (!noAck) {
+                    pending.push(msg);
+                }
+
+                messages.push(this._formatAmqpMessage(msg, options.truncate));
+            }
+        } finally {
+            // Requeue everything we fetched, even if reading a later message failed
+            for (const msg of pending) {
+                try {
+                    channel.nack(msg, false, true);
+                } catch (nackError) {
+                    this.logger.error(`Failed to requeue message on ${queueName}: ${nackError.message}`);
+                }
+            }
+        }
+
+        return this._buildMessagesResult(messages, options, 'amqp');
+    }
+
+    /**
+     * Convert an AMQP message into the format returned by the API
+     * @param {Object} msg - Message from channel.get()
+     * @param {number} truncate - Maximum payload size in bytes, 0 for no limit
+     * @returns {Object} Formatted message
+     * @private
+     */
+    _formatAmqpMessage(msg, truncate) {
+        const payloadBytes = msg.content.length;
+        const truncated = truncate > 0 && payloadBytes > truncate;
+
+        // Get content and try to parse it
+        let content = (truncated ? msg.content.subarray(0, truncate) : msg.content).toString();
+        if (!truncated) {
+            try {
+                content = JSON.parse(content);
+            } catch (e) {
+                // Not JSON, keep as string
+            }
+        }
+
+        // Current timestamp if not provided in properties
+        const timestamp = msg.properties.timestamp || Date.now();
+
+        return {
+            payload: content,
+            payload_bytes: payloadBytes,
+            payload_truncated: truncated,
+            properties: {
+                ...msg.properties,
+                timestamp: timestamp
+            },
+            redelivered: msg.fields.redelivered,
+            routing_key: msg.fields.routingKey,
+            exchange: msg.fields.exchange,
+            fingerprint: fingerprintMessage(msg.content, msg.properties.messageId)
+        };
+    }
+
+    /**
+     * Get queue information API endpoint
+     * @private
+     */
+    _setupQueueInfoApi() {
+        // Get detailed queue information
+        this.router.get('/api/queues/:vhost/:name/info', this._allow('read', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+                const encodedVhost = encodeURIComponent(vhost);
+                const encodedName = encodeURIComponent(name);
+
+                // Get basic queue info from API
+                const queueResponse = await broker.httpClient.get(`/api/queues/${encodedVhost}/${encodedName}`);
+                let queueInfo = queueResponse.data;
+
+                // If AMQP is available, enhance with real-time data
+                if (broker.isAmqpConnected()) {
+                    try {
+                        const amqpQueueInfo = await broker.withAmqpChannel(vhost, channel => channel.checkQueue(name));
+
+                        // Enhance with more accurate message count and consumer count
+                        queueInfo.messages = amqpQueueInfo.messageCount;
+                        queueInfo.consumers = amqpQueueInfo.consumerCount;
+
+                        // Add some extra stats
+                        queueInfo.stats = {
+                            last_checked: new Date().toISOString(),
+                            connection_type: 'amqp+http',
+                            uptime: this.processUptime ? process.uptime() * 1000 : null
+                        };
+                    } catch (amqpError) {
+                        this.logger.warn(`Error enhancing queue info via AMQP: ${amqpError.message}`);
+                        // Add fallback stats
+                        queueInfo.stats = {
+                            last_checked: new Date().toISOString(),
+                            connection_type: 'http-only',
+                            error: amqpError instanceof VhostAccessError
+                                ? amqpError.message
+                                : 'AMQP connection not available for enhanced data'
+                        };
+                    }
+                }
+
+                res.json(queueInfo);
+            } catch (error) {
+                this.logger.error(`Error getting queue info: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Message move job API endpoints. Progress is streamed to clients with
+     * the `move-progress` Socket.IO event.
+     * @private
+     */
+    _setupMessageMoveApi() {
+        // Start moving messages from a queue to another queue or an exchange
+        this.router.post('/api/queues/:vhost/:name/move', this._audit('message.move', 'queue'), this._allow('move', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                if (!broker.messageMover || !broker.isAmqpConnected()) {
+                    throw new HttpError(503, 'Moving messages requires an AMQP connection');
+                }
+
+                const request = this._parseMoveRequest(req.body, name);
+                if (request.target.queue !== undefined) {
+                    this.auth.authorize(req.user, 'move', { vhost, queue: request.target.queue });
+                }
+                const job = broker.messageMover.start({ vhost, queue: name, ...request });
+
+                res.status(202).json(job);
+            } catch (error) {
+                this.logger.warn(`Error starting message move: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // List recent move jobs
+        this.router.get('/api/moves', (req, res) => {
+            const { broker } = req;
+            res.json(broker.messageMover ? this._filterInScope(req.user, 'move', broker.messageMover.listJobs()) : []);
+        });
+
+        // Get a move job
+        this.router.get('/api/moves/:id', (req, res) => {
+            try {
+                const { broker } = req;
+                if (!broker.messageMover) {
+                    throw new HttpError(404, `Move job "${req.params.id}" not found`);
+                }
+                const job = broker.messageMover.getJob(req.params.id);
+                this.auth.authorize(req.user, 'read', { vhost: job.vhost, queue: job.queue });
+
+                res.json(job);
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+
+        // Stop a move job after the message it is currently moving
+        this.router.post('/api/moves/:id/cancel', this._audit('move.cancel', 'move'), (req, res) => {
+            try {
+                const { broker } = req;
+                if (!broker.messageMover) {
+                    throw new HttpError(404, `Move job "${req.params.id}" not found`);
+                }
+
+                const job = broker.messageMover.getJob(req.params.id);
+                this.auth.authorize(req.user, 'move', { vhost: job.vhost, queue: job.queue });
+
+                res.json(broker.messageMover.cancel(req.params.id));
+            } catch (error) {
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Validate the body of a move request
+     * @param {Object} body - Request body with target and count
+     * @param {string} sourceQueue - Queue the messages are moved from
+     * @returns {Object} Target and count (null for all messages)
+     * @private
+     */
+    _parseMoveRequest(body = {}, sourceQueue) {
+        const { target = {}, count } = body;
+        let parsedTarget;
+
+        if (typeof target.queue === 'string' && target.queue !== '') {
+            if (target.queue === sourceQueue) {
+                throw new HttpError(400, 'The target queue must differ from the source queue');
+            }
+            parsedTarget = { queue: target.queue };
+        } else if (typeof target.exchange === 'string') {
+            const routingKey = target.routingKey !== undefined ? target.routingKey : target.routing_key;
+            if (routingKey !== undefined && routingKey !== null && typeof routingKey !== 'string') {
+                throw new HttpError(400, 'target.routingKey must be a string');
+            }
+            if (target.exchange === '' && !routingKey) {
+                throw new HttpError(400, 'A routing key is required when moving to the default exchange');
+            }
+
+            // Without a routing key each message keeps its original one
+            parsedTarget = { exchange: target.exchange };
+            if (routingKey !== undefined && routingKey !== null) {
+                parsedTarget.routingKey = routingKey;
+            }
+        } else {
+            throw new HttpError(400, 'target must contain a queue or an exchange');
+        }
+
+        let parsedCount = null;
+        if (count !== undefined && count !== null && count !== 'all') {
+            parsedCount = Number(count);
+            if (!Number.isInteger(parsedCount) || parsedCount < 1) {
+                throw new HttpError(400, 'count must be a positive integer or "all"');
+            }
+        }
+
+        return { target: parsedTarget, count: parsedCount };
+    }
+
+    /**
+     * Dead-letter replay API endpoint
+     * @private
+     */
+    _setupDeadLetterApi() {
+        // Republish selected dead-lettered messages to where they were dead-lettered from
+        this.router.post('/api/queues/:vhost/:name/replay', this._audit('message.replay', 'queue'), this._allow('move', 'queue'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+
+                if (!broker.isAmqpConnected()) {
+                    throw new HttpError(503, 'Replaying messages requires an AMQP connection');
+                }
+
+                const request = this._parseReplayRequest(req.body);
+                const result = await this._replayDeadLetters(broker, vhost, name, request);
+
+                res.json(result);
+            } catch (error) {
+                this.logger.warn(`Error replaying dead letters: ${error.message}`);
+                res.status(getErrorStatus(error)).json({ error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Validate the body of a replay request
+     * @param {Object} body - Request body
+     * @returns {Object} Messages to replay, scan limit and whether to strip death headers
+     * @private
+     */
+    _parseReplayRequest(body = {}) {
+        const { messages, scan } = body;
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new HttpError(400, 'messages must be a non-empty array');
+        }
+        if (messages.length > MAX_MESSAGE_COUNT) {
+            throw new HttpError(400, `At most ${MAX_MESSAGE_COUNT} messages can be replayed at once`);
+        }
+
+        const selections = messages.map((message) => {
+            if (!message || typeof message.fingerprint !== 'string' || !message.fingerprint) {
+                throw new HttpError(400, 'Every message needs the fingerprint returned when it was peeked');
+            }
+            return { fingerprint: message.fingerprint, payload: message.payload };
+        });
+
+        const scanLimit = scan === undefined ? MAX_MESSAGE_COUNT : Number(scan);
+        if (!Number.isInteger(scanLimit) || scanLimit < 1 || scanLimit > MAX_MESSAGE_COUNT) {
+            throw new HttpError(400, `scan must be an integer between 1 and ${MAX_MESSAGE_COUNT}`);
+        }
+
+        return {
+            selections,
+            scan: scanLimit,
+            stripDeathHeaders: parseBoolean(body.stripDeathHeaders, true, 'stripDeathHeaders')
+        };
+    }
+
+    /**
+     * Republish selected messages from a dead-letter queue to the exchange and
+     * routing key they were dead-lettered from.
+     *
+     * The first `scan` messages of the queue are fetched with manual acks and
+     * matched to the selection by fingerprint. A selected message is acked
+     * only after its copy was confirmed; everything else is requeued.
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} queueName - Dead-letter queue
+     * @param {Object} request - Request from _parseReplayRequest()
+     * @returns {Promise<Object>} Outcome of every selected message
+     * @private
+     */
+    async _replayDeadLetters(broker, vhost, queueName, request) {
+        // fingerprint -> selections not matched yet (identical messages share one)
+        const wanted = new Map();
+        request.selections.forEach((selection) => {
+            if (!wanted.has(selection.fingerprint)) {
+                wanted.set(selection.fingerprint, []);
+            }
+            wanted.get(selection.fingerprint).push(selection);
+        });
+
+        const results = [];
+        const unselected = [];
+        let remaining = request.selections.length;
+        let source = null;
+        let target = null;
+        let returned = false;
+
+        // Publishing to an exchange that no longer exists closes the channel
+        const getTarget = async () => {
+            if (!target) {
+                target = await broker.amqpPool.openChannel(vhost, { confirm: true });
+                target.on('return', () => {
+                    returned = true;
+                });
+                target.on('close', () => {
+                    target = null;
+                });
+            }
+            return target;
+        };
+
+        try {
+            source = await broker.amqpPool.openChannel(vhost);
+
+            for (let i = 0; i < request.scan && remaining > 0; i++) {
+                const msg = await source.get(queueName, { noAck: false });
+                if (!msg) {
+                    break;
+                }
+
+                const fingerprint = fingerprintMessage(msg.content, msg.properties.messageId);
+                const matches = wanted.get(fingerprint);
+                if (!matches || matches.length === 0) {
+                    unselected.push(msg);
+                    continue;
+                }
+
+                const selection = matches.shift();
+                remaining--;
+
+                const death = getDeathInfo(msg.properties.headers);
+                if (!death) {
+                    unselected.push(msg);
+                    results.push({ fingerprint, status: 'skipped', error: 'Message has no x-death header' });
+                    continue;
+                }
+
+                const exchange = death.exchange;
+                const routingKey = death.routing_keys[0] || '';
+                const outcome = { fingerprint, exchange, routing_key: routingKey, edited: selection.payload !== undefined };
+
+                const options = toPublishOptions(msg.properties, broker.config.username);
+                if (request.stripDeathHeaders) {
+                    options.headers = stripDeathHeaders(msg.properties.headers);
+                }
+
+                const content = selection.payload === undefined
+                    ? msg.content
+                    : Buffer.from(typeof selection.payload === 'string' ? selection.payload : JSON.stringify(selection.payload));
+
+                try {
+                    const channel = await getTarget();
+                    returned = false;
+                    await publishConfirmed(channel, exchange, routingKey, content, options);
+
+                    if (returned) {
+                        throw new Error('The message was not routed to any queue');
+                    }
+
+                    source.ack(msg);
+                    results.push({ ...outcome, status: 'replayed' });
+                } catch (error) {
+                    unselected.push(msg);
+                    results.push({ ...outcome, status: 'failed', error: error.message });
+                }
+            }
+        } finally {
+            // Put everything that was not replayed back on the queue
+            for (const msg of unselected) {
+                try {
+                    source.nack(msg, false, true);
+                } catch (nackError) {
+                    // Channel closed, the broker requeues unacked messages itself
+                }
+            }
+
+            for (const channel of [source, target]) {
+                if (channel) {
+                    try {
+                        await channel.close();
+                    } catch (e) {
+                        // Ignore errors when closing possibly already closed channels
+                    }
+                }
+            }
+        }
+
+        for (const [fingerprint, matches] of wanted.entries()) {
+            matches.forEach(() => {
+                results.push({ fingerprint, status: 'not_found', error: `Not found in the first ${request.scan} messages` });
+            });
+        }
+
+        broker.invalidateCache('queues');
+
+        return {
+            replayed: results.filter(result => result.status === 'replayed').length,
+            failed: results.filter(result => result.status !== 'replayed').length,
+            stripDeathHeaders: request.stripDeathHeaders,
+            results
+        };
+    }
+
+    /**
+     * Queue create and delete API endpoints
+     * @private
+     */
+    _setupQueueManagementApi() {
+        // Declare a queue
+        this.router.put('/api/queues/:vhost/:name', this._audit('queue.declare', 'queue'), this._allow('manage', 'queue'), async (req, res) => {
             try {
-                const { vhost, name } = req.params;
-                let messages = [];
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
 
-                // Try AMQP first if available
-                if (this.isAmqpConnected()) {
-                    try {
-                        messages = await this._getMessagesViaAmqp(vhost, name, 10);
-                    } catch (amqpError) {
-                        this.logger.warn(`Error getting messages via AMQP: ${amqpError.message}. Falling back to HTTP.`);
-                        messages = await this._getMessagesViaHttp(vhost, name);
-                    }
-                } else {
-                    // Fall back to HTTP API
-                    messages = await this._getMessagesViaHttp(vhost, name);
+                if (!name || name.startsWith('amq.')) {
+                    throw new HttpError(400, 'Queue names must not be empty or start with "amq."');
                 }
 
-                res.json(messages);
+                const declaration = buildQueueDeclaration(req.body);
+                const via = await this._declareQueue(broker, vhost, name, declaration);
+
+                broker.invalidateCache('queues', 'overview');
+                res.status(201).json({ success: true, message: 'Queue declared successfully', via });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error declaring queue: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
             }
         });
 
-        // Purge queue API
-        this.router.post('/api/queues/:vhost/:name/purge', async (req, res) => {
+        // Delete a queue
+        this.router.delete('/api/queues/:vhost/:name', this._audit('queue.delete', 'queue'), this._allow('delete', 'queue'), async (req, res) => {
             try {
-                const { vhost, name } = req.params;
-
-                // Try AMQP first if available
-                if (this.isAmqpConnected()) {
-                    try {
-                        await this.amqpChannel.purgeQueue(name);
-                        res.json({ success: true, message: 'Queue purged successfully' });
-                        return;
-                    } catch (amqpError) {
-                        this.logger.warn(`Error purging queue via AMQP: ${amqpError.message}. Falling back to HTTP.`);
-                    }
-                }
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+                const guards = {
+                    ifEmpty: parseBoolean(req.query['if-empty'], false, 'if-empty'),
+                    ifUnused: parseBoolean(req.query['if-unused'], false, 'if-unused')
+                };
 
-                // Fall back to HTTP API
-                const encodedVhost = encodeURIComponent(vhost);
-                const endpoint = `/api/queues/${encodedVhost}/${name}/purge`;
-                await this.httpClient.delete(endpoint);
+                const via = await this._deleteQueue(broker, vhost, name, guards);
 
-                res.json({ success: true, message: 'Queue purged successfully' });
+                broker.invalidateCache('queues', 'bindings', 'overview');
+                res.json({ success: true, message: 'Queue deleted successfully', via });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error deleting queue: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
             }
         });
+    }
 
-        // Publish message API
-        this.router.post('/api/exchanges/:vhost/:name/publish', async (req, res) => {
-            try {
-                const { vhost, name } = req.params;
-                const { routingKey, payload, properties } = req.body;
+    /**
+     * Declare a queue via the management API, falling back to AMQP
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} name - Queue name
+     * @param {Object} declaration - Declaration from buildQueueDeclaration()
+     * @returns {Promise<string>} Connection type used (http or amqp)
+     * @private
+     */
+    async _declareQueue(broker, vhost, name, declaration) {
+        const declareViaAmqp = () => broker.withAmqpChannel(vhost, channel => channel.assertQueue(name, {
+            durable: declaration.durable,
+            autoDelete: declaration.auto_delete,
+            exclusive: declaration.exclusive,
+            arguments: declaration.arguments
+        }));
+
+        // Exclusive queues belong to a connection, which the management API cannot own
+        if (declaration.exclusive) {
+            await declareViaAmqp();
+            return 'amqp';
+        }
 
-                if (routingKey === undefined || payload === undefined) {
-                    return res.status(400).json({ error: 'Routing key and payload are required' });
-                }
+        try {
+            await broker.httpClient.put(`/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`, {
+                durable: declaration.durable,
+                auto_delete: declaration.auto_delete,
+                arguments: declaration.arguments
+            });
+            return 'http';
+        } catch (error) {
+            if (!this._shouldFallBackToAmqp(broker, error)) {
+                throw error;
+            }
 
-                // Try AMQP first if available
-                if (this.isAmqpConnected()) {
-                    try {
-                        const content = Buffer.from(
-                            typeof payload === 'string' ? payload : JSON.stringify(payload)
-                        );
+            this.logger.warn(`Error declaring queue via HTTP: ${error.message}. Falling back to AMQP.`);
+            await declareViaAmqp();
+            return 'amqp';
+        }
+    }
 
-                        await this.amqpChannel.publish(name, routingKey, content, properties || {});
+    /**
+     * Delete a queue via the management API, falling back to AMQP
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} name - Queue name
+     * @param {Object} guards - { ifEmpty, ifUnused }
+     * @returns {Promise<string>} Connection type used (http or amqp)
+     * @private
+     */
+    async _deleteQueue(broker, vhost, name, guards) {
+        try {
+            const params = {};
+            if (guards.ifEmpty) params['if-empty'] = 'true';
+            if (guards.ifUnused) params['if-unused'] = 'true';
+
+            await broker.httpClient.delete(
+                `/api/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+                { params }
+            );
+            return 'http';
+        } catch (error) {
+            if (!this._shouldFallBackToAmqp(broker, error)) {
+                throw error;
+            }
 
-                        res.json({ success: true, message: 'Message published successfully' });
-                        return;
-                    } catch (amqpError) {
-                        this.logger.warn(`Error publishing message via AMQP: ${amqpError.message}. Falling back to HTTP.`);
-                    }
-                }
+            this.logger.warn(`Error deleting queue via HTTP: ${error.message}. Falling back to AMQP.`);
+            await broker.withAmqpChannel(vhost, async (channel) => {
+                // deleteQueue succeeds for missing queues, so check first to report a 404
+                await channel.checkQueue(name);
+                return channel.deleteQueue(name, guards);
+            });
+            return 'amqp';
+        }
+    }
 
-                // Fall back to HTTP API
-                const encodedVhost = encodeURIComponent(vhost);
-                const endpoint = `/api/exchanges/${encodedVhost}/${name}/publish`;
+    /**
+     * Exchange create and delete API endpoints
+     * @private
+     */
+    _setupExchangeManagementApi() {
+        // Declare an exchange
+        this.router.put('/api/exchanges/:vhost/:name', this._audit('exchange.declare', 'exchange'), this._allow('manage', 'vhost'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
 
-                const data = {
-                    properties: properties || {},
-                    routing_key: routingKey,
-                    payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
-                    payload_encoding: 'string'
-                };
+                this._assertExchangeModifiable(name);
 
-                await this.httpClient.post(endpoint, data);
-                res.json({ success: true, message: 'Message published successfully' });
+                const declaration = buildExchangeDeclaration(req.body);
+                const via = await this._declareExchange(broker, vhost, name, declaration);
+
+                broker.invalidateCache('exchanges', 'overview');
+                res.status(201).json({ success: true, message: 'Exchange declared successfully', via });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error declaring exchange: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
             }
         });
 
-        // Health check API
-        this.router.get('/api/health', async (req, res) => {
-            const health = {
-                status: 'UP',
-                amqp: this.isAmqpConnected() ? 'CONNECTED' : 'DISCONNECTED',
-                http: this.httpConnected,
-                timestamp: new Date().toISOString()
-            };
+        // Delete an exchange
+        this.router.delete('/api/exchanges/:vhost/:name', this._audit('exchange.delete', 'exchange'), this._allow('delete', 'vhost'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const name = this._decodeParam(req.params.name);
+                const ifUnused = parseBoolean(req.query['if-unused'], false, 'if-unused');
 
-            if (!health.amqp && !health.http) {
-                health.status = 'DOWN';
-            } else if (!health.amqp) {
-                health.status = 'DEGRADED';
-            }
+                this._assertExchangeModifiable(name);
 
-            res.json(health);
-        });
+                const via = await this._deleteExchange(broker, vhost, name, ifUnused);
 
-        this._setupQueueInfoApi();
+                broker.invalidateCache('exchanges', 'bindings', 'overview');
+                res.json({ success: true, message: 'Exchange deleted successfully', via });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error deleting exchange: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
+            }
+        });
     }
 
     /**
-     * Fetch data from RabbitMQ API with caching
-     * @param {string} endpoint - API endpoint
-     * @param {string} cacheKey - Cache key
-     * @param {number} cacheTTL - Cache time-to-live in milliseconds
-     * @returns {Promise<Object>} API response data
+     * Reject changes to the default exchange and the reserved amq.* exchanges
+     * @param {string} name - Exchange name
+     * @private
      */
-    async fetchFromRabbitMQ(endpoint, cacheKey, cacheTTL = 5000) {
-        // Check cache if applicable
-        if (cacheKey && this.cache[cacheKey] && this.cache.lastUpdated[cacheKey]) {
-            const cacheAge = Date.now() - this.cache.lastUpdated[cacheKey];
-            if (cacheAge < cacheTTL) {
-                return this.cache[cacheKey];
-            }
+    _assertExchangeModifiable(name) {
+        if (!name || name === 'amq.default' || name.startsWith('amq.')) {
+            throw new HttpError(400, 'The default exchange and exchanges starting with "amq." are reserved');
         }
+    }
 
+    /**
+     * Declare an exchange via the management API, falling back to AMQP
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} name - Exchange name
+     * @param {Object} declaration - Declaration from buildExchangeDeclaration()
+     * @returns {Promise<string>} Connection type used (http or amqp)
+     * @private
+     */
+    async _declareExchange(broker, vhost, name, declaration) {
         try {
-            const response = await this.httpClient.get(endpoint);
-
-            // Update cache if applicable
-            if (cacheKey) {
-                this.cache[cacheKey] = response.data;
-                this.cache.lastUpdated[cacheKey] = Date.now();
-            }
-
-            return response.data;
+            await broker.httpClient.put(`/api/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`, declaration);
+            return 'http';
         } catch (error) {
-            // Return cached data if available, even if expired
-            if (cacheKey && this.cache[cacheKey]) {
-                this.logger.info(`Returning cached data for ${cacheKey} due to API error`);
-                return this.cache[cacheKey];
+            if (!this._shouldFallBackToAmqp(broker, error)) {
+                throw error;
             }
 
-            throw error;
+            this.logger.warn(`Error declaring exchange via HTTP: ${error.message}. Falling back to AMQP.`);
+            await broker.withAmqpChannel(vhost, channel => channel.assertExchange(name, declaration.type, {
+                durable: declaration.durable,
+                autoDelete: declaration.auto_delete,
+                internal: declaration.internal,
+                arguments: declaration.arguments
+            }));
+            return 'amqp';
         }
     }
 
     /**
-     * Get messages from a queue via HTTP API
+     * Delete an exchange via the management API, falling back to AMQP
+     * @param {Broker} broker - Broker of the cluster
      * @param {string} vhost - Virtual host
-     * @param {string} name - Queue name
-     * @returns {Promise<Array>} Array of messages
+     * @param {string} name - Exchange name
+     * @param {boolean} ifUnused - Only delete the exchange if it has no bindings
+     * @returns {Promise<string>} Connection type used (http or amqp)
      * @private
      */
-    async _getMessagesViaHttp(vhost, name) {
-        const encodedVhost = encodeURIComponent(vhost);
-        const endpoint = `/api/queues/${encodedVhost}/${name}/get`;
-
-        const response = await this.httpClient.post(endpoint, {
-            count: 10,
-            requeue: true,
-            encoding: 'auto',
-            truncate: 50000
-        });
+    async _deleteExchange(broker, vhost, name, ifUnused) {
+        try {
+            await broker.httpClient.delete(
+                `/api/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+                { params: ifUnused ? { 'if-unused': 'true' } : {} }
+            );
+            return 'http';
+        } catch (error) {
+            if (!this._shouldFallBackToAmqp(broker, error)) {
+                throw error;
+            }
 
-        return response.data;
+            this.logger.warn(`Error deleting exchange via HTTP: ${error.message}. Falling back to AMQP.`);
+            await broker.withAmqpChannel(vhost, async (channel) => {
+                // deleteExchange succeeds for missing exchanges, so check first to report a 404
+                await channel.checkExchange(name);
+                return channel.deleteExchange(name, { ifUnused });
+            });
+            return 'amqp';
+        }
     }
 
     /**
-     * Get messages from a queue via AMQP
-     * @param {string} vhost - Virtual host
-     * @param {string} queueName - Queue name
-     * @param {number} count - Maximum number of messages to get
-     * @returns {Promise<Array>} Array of messages
+     * Binding create and delete API endpoints.
+     * Paths follow the management API: destination type is "q" or "e".
      * @private
      */
-    async _getMessagesViaAmqp(vhost, queueName, count = 10) {
-        if (!this.isAmqpConnected()) {
-            throw new Error('AMQP channel not available');
-        }
-
-        // Assert the queue exists
-        await this.amqpChannel.checkQueue(queueName);
+    _setupBindingManagementApi() {
+        // Create a binding from an exchange to a queue or another exchange
+        this.router.post('/api/bindings/:vhost/e/:source/:destinationType/:destination', this._audit('binding.create', 'binding'), this._allow('manage', 'binding'), async (req, res) => {
+            try {
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const source = this._decodeParam(req.params.source);
+                const destination = this._decodeParam(req.params.destination);
+                const { destinationType } = req.params;
+
+                if (!['q', 'e'].includes(destinationType)) {
+                    throw new HttpError(400, 'Destination type must be "q" (queue) or "e" (exchange)');
+                }
 
-        const messages = [];
+                if (!source || source === 'amq.default') {
+                    throw new HttpError(400, 'Queues are bound to the default exchange automatically');
+                }
 
-        for (let i = 0; i < count; i++) {
-            // Get a message, don't acknowledge it (noAck: true means auto-ack)
-            const msg = await this.amqpChannel.get(queueName, { noAck: true });
+                const binding = buildBindingDeclaration(req.body);
+                const result = await this._createBinding(broker, vhost, source, destinationType, destination, binding);
 
-            if (!msg) {
-                // No more messages
-                break;
+                broker.invalidateCache('bindings');
+                res.status(201).json({ success: true, message: 'Binding created successfully', ...result });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error creating binding: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
             }
+        });
 
-            // Get content and try to parse it
-            let content = msg.content.toString();
+        // Delete a binding identified by its properties_key from the management API
+        this.router.delete('/api/bindings/:vhost/e/:source/:destinationType/:destination/:propertiesKey', this._audit('binding.delete', 'binding'), this._allow('manage', 'binding'), async (req, res) => {
             try {
-                content = JSON.parse(content);
-            } catch (e) {
-                // Not JSON, keep as string
+                const { broker } = req;
+                const vhost = this._decodeParam(req.params.vhost);
+                const source = this._decodeParam(req.params.source);
+                const destination = this._decodeParam(req.params.destination);
+                const propertiesKey = this._decodeParam(req.params.propertiesKey);
+                const { destinationType } = req.params;
+
+                if (!['q', 'e'].includes(destinationType)) {
+                    throw new HttpError(400, 'Destination type must be "q" (queue) or "e" (exchange)');
+                }
+
+                // Bindings are only addressable by properties_key through the management API
+                await broker.httpClient.delete([
+                    '/api/bindings',
+                    encodeURIComponent(vhost),
+                    'e',
+                    encodeURIComponent(source),
+                    destinationType,
+                    encodeURIComponent(destination),
+                    encodeURIComponent(propertiesKey)
+                ].join('/'));
+
+                broker.invalidateCache('bindings');
+                res.json({ success: true, message: 'Binding deleted successfully' });
+            } catch (error) {
+                const httpError = this._toHttpError(error);
+                this.logger.warn(`Error deleting binding: ${httpError.message}`);
+                res.status(getErrorStatus(httpError)).json({ error: httpError.message });
             }
+        });
+    }
 
-            // Current timestamp if not provided in properties
-            const timestamp = msg.properties.timestamp || Date.now();
+    /**
+     * Create a binding via the management API, falling back to AMQP
+     * @param {Broker} broker - Broker of the cluster
+     * @param {string} vhost - Virtual host
+     * @param {string} source - Source exchange
+     * @param {string} destinationType - "q" or "e"
+     * @param {string} destination - Destination queue or exchange
+     * @param {Object} binding - Binding from buildBindingDeclaration()
+     * @returns {Promise<Object>} { via, properties_key }
+     * @private
+     */
+    async _createBinding(broker, vhost, source, destinationType, destination, binding) {
+        try {
+            const endpoint = [
+                '/api/bindings',
+                encodeURIComponent(vhost),
+                'e',
+                encodeURIComponent(source),
+                destinationType,
+                encodeURIComponent(destination)
+            ].join('/');
+
+            const response = await broker.httpClient.post(endpoint, binding);
+
+            // The Location header ends with the new binding's properties_key
+            const location = response.headers && response.headers.location;
+            const propertiesKey = location ? decodeURIComponent(location.split('/').pop()) : undefined;
+
+            return { via: 'http', properties_key: propertiesKey };
+        } catch (error) {
+            if (!this._shouldFallBackToAmqp(broker, error)) {
+                throw error;
+            }
 
-            messages.push({
-                payload: content,
-                properties: {
-                    ...msg.properties,
-                    timestamp: timestamp
-                },
-                redelivered: msg.fields.redelivered,
-                routing_key: msg.fields.routingKey,
-                exchange: msg.fields.exchange
+            this.logger.warn(`Error creating binding via HTTP: ${error.message}. Falling back to AMQP.`);
+            await broker.withAmqpChannel(vhost, (channel) => {
+                if (destinationType === 'q') {
+                    return channel.bindQueue(destination, source, binding.routing_key, binding.arguments);
+                }
+                return channel.bindExchange(destination, source, binding.routing_key, binding.arguments);
             });
+            return { via: 'amqp' };
         }
-
-        return messages;
     }
 
     /**
-     * Get queue information API endpoint
+     * Whether a failed management API call should be retried over AMQP.
+     * Only connection problems and server errors are retried; a 4xx answer
+     * from the broker would be the same over AMQP.
+     * @param {Broker} broker - Broker of the cluster
+     * @param {Error} error - Error from the HTTP client
+     * @returns {boolean} Whether to fall back
      * @private
      */
-    _setupQueueInfoApi() {
-        // Get detailed queue information
-        this.router.get('/api/queues/:vhost/:name/info', async (req, res) => {
-            try {
-                const { vhost, name } = req.params;
-                const encodedVhost = encodeURIComponent(vhost);
-                const encodedName = encodeURIComponent(name);
+    _shouldFallBackToAmqp(broker, error) {
+        if (!broker.isAmqpConnected()) {
+            return false;
+        }
 
-                // Get basic queue info from API
-                const queueResponse = await this.httpClient.get(`/api/queues/${encodedVhost}/${encodedName}`);
-                let queueInfo = queueResponse.data;
+        return !error.response || error.response.status >= 500;
+    }
 
-                // If AMQP is available, enhance with real-time data
-                if (this.isAmqpConnected()) {
-                    try {
-                        const amqpQueueInfo = await this.amqpChannel.checkQueue(name);
+    /**
+     * Convert management API and AMQP errors into errors with an HTTP status
+     * @param {Error} error - Error to convert
+     * @returns {Error} Error with a status property where one can be derived
+     * @private
+     */
+    _toHttpError(error) {
+        if (!error || error instanceof HttpError) {
+            return error;
+        }
 
-                        // Enhance with more accurate message count and consumer count
-                        queueInfo.messages = amqpQueueInfo.messageCount;
-                        queueInfo.consumers = amqpQueueInfo.consumerCount;
+        // Management API responses
+        if (error.response) {
+            const data = error.response.data || {};
+            const reason = data.reason || data.error || error.message;
+            let status = error.response.status;
 
-                        // Add some extra stats
-                        queueInfo.stats = {
-                            last_checked: new Date().toISOString(),
-                            connection_type: 'amqp+http',
-                            uptime: this.processUptime ? process.uptime() * 1000 : null
-                        };
-                    } catch (amqpError) {
-                        this.logger.warn(`Error enhancing queue info via AMQP: ${amqpError.message}`);
-                        // Add fallback stats
-                        queueInfo.stats = {
-                            last_checked: new Date().toISOString(),
-                            connection_type: 'http-only',
-                            error: 'AMQP connection not available for enhanced data'
-                        };
-                    }
-                }
+            // Declaring an existing queue or exchange with different settings
+            if (status === 400 && /inequivalent/i.test(reason)) {
+                status = 409;
+            }
 
-                res.json(queueInfo);
-            } catch (error) {
-                this.logger.error(`Error getting queue info: ${error.message}`);
-                res.status(500).json({ error: error.message });
+            // A 401 from the broker means its user lacks permission, not that the
+            // dashboard client is unauthenticated
+            if (status === 401) {
+                status = 403;
             }
-        });
+
+            return new HttpError(status, reason);
+        }
+
+        // AMQP channel errors carry the AMQP reply code
+        const amqpStatuses = { 403: 403, 404: 404, 405: 409, 406: 409 };
+        if (amqpStatuses[error.code]) {
+            return new HttpError(amqpStatuses[error.code], error.message);
+        }
+
+        return error;
     }
 
     /**
      * Enhance queue data with AMQP information
+     * @param {Broker} broker - Broker of the cluster
      * @param {Array} queues - Array of queue objects
      * @private
      */
-    async _enhanceQueuesData(queues) {
-        if (!this.isAmqpConnected() || !queues || !queues.length) {
+    async _enhanceQueuesData(broker, queues) {
+        if (!broker.isAmqpConnected() || !queues || !queues.length) {
             return;
         }
 
+        // Group queues by vhost so each is checked on its own vhost's channel
+        const queuesByVhost = new Map();
+        for (const queue of queues) {
+            const vhost = queue.vhost || '/';
+            if (!queuesByVhost.has(vhost)) {
+                queuesByVhost.set(vhost, []);
+            }
+            queuesByVhost.get(vhost).push(queue);
+        }
+
         // Process queues in smaller batches to avoid overwhelming the server
         const batchSize = 5;
 
-        for (let i = 0; i < queues.length; i += batchSize) {
-            const batch = queues.slice(i, i + batchSize);
-
-            await Promise.all(batch.map(async (queue) => {
-                try {
-                    // Get queue info via AMQP - just simple stats
-                    const queueInfo = await this.amqpChannel.checkQueue(queue.name);
-
-                    // Update only simple numeric properties
-                    queue.messages = queueInfo.messageCount;
-                    queue.consumers = queueInfo.consumerCount;
-
-                    // Be careful with nested objects
-                    if (!queue.message_stats) {
-                        queue.message_stats = {};
+        for (const [vhost, vhostQueues] of queuesByVhost.entries()) {
+            try {
+                await broker.withAmqpChannel(vhost, async (channel) => {
+                    for (let i = 0; i < vhostQueues.length; i += batchSize) {
+                        const batch = vhostQueues.slice(i, i + batchSize);
+
+                        await Promise.all(batch.map(async (queue) => {
+                            try {
+                                // Get queue info via AMQP - just simple stats
+                                const queueInfo = await channel.checkQueue(queue.name);
+
+                                // Update only simple numeric properties
+                                queue.messages = queueInfo.messageCount;
+                                queue.consumers = queueInfo.consumerCount;
+
+                                // Be careful with nested objects
+                                if (!queue.message_stats) {
+                                    queue.message_stats = {};
+                                }
+                            } catch (error) {
+                                // Skip errors for individual queues
+                            }
+                        }));
                     }
-                } catch (error) {
-                    // Skip errors for individual queues
-                }
-            }));
+                });
+            } catch (error) {
+                // Keep the management API data for vhosts we cannot reach over AMQP
+                this.logger.debug(`Skipping AMQP queue stats for vhost "${vhost}": ${error.message}`);
+            }
         }
     }
 
@@ -656,18 +3087,45 @@ class RabbitMQAdmin {
             }
         });
 
+        // Reject handshakes without a session when auth is enabled
+        this.io.use(this.auth.socketMiddleware());
+
+        // Every socket watches one cluster, named in the handshake auth or query,
+        // and optionally one of its virtual hosts
+        this.io.use((socket, next) => {
+            const { auth = {}, query = {} } = socket.handshake;
+            const id = auth.cluster || query.cluster;
+
+            try {
+                socket.data.broker = this.clusters.get(typeof id === 'string' && id ? id : undefined);
+                socket.data.vhost = this._parseSocketVhost(auth.vhost || query.vhost);
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+
         this.io.on('connection', (socket) => {
-            this.logger.info(`Client connected: ${socket.id}`);
+            this.logger.info(`Client connected: ${socket.id} (cluster ${socket.data.broker.id})`);
             this.connectedClients.add(socket.id);
+            socket.join(this._clusterRoom(socket.data.broker.id));
 
-            // Send initial connection status
+            // Send initial connection status, the firing alerts and node alarms
             this._sendConnectionStatus(socket);
+            socket.emit('alerts', this._visibleAlerts(socket.data.user));
+            this._sendNodeAlarms(socket);
 
             // Set up request handler
             socket.on('request-data', (type) => {
                 this._handleDataRequest(socket, type);
             });
 
+            // Only send queues, exchanges and bindings of this vhost from now on
+            socket.on('select-vhost', (vhost) => {
+                socket.data.vhost = this._parseSocketVhost(vhost);
+                this._sendLightweightUpdates(socket);
+            });
+
             // Set up lightweight periodic updates
             const intervalId = setInterval(() => {
                 try {
@@ -697,18 +3155,30 @@ class RabbitMQAdmin {
         this.logger.info('WebSocket server initialized');
     }
 
+    /**
+     * Get the virtual host a socket asked for
+     * @param {any} vhost - Value from the handshake or the select-vhost event
+     * @returns {string|null} Virtual host, null for every vhost
+     * @private
+     */
+    _parseSocketVhost(vhost) {
+        return typeof vhost === 'string' && vhost ? vhost : null;
+    }
+
     /**
      * Send connection status to client
      * @param {Object} socket - Socket.IO socket
      * @private
      */
     _sendConnectionStatus(socket) {
+        const { broker } = socket.data;
+
         try {
             // Create a new simple object with only primitive values
             // This breaks any circular references that might exist
             const status = {
-                http: Boolean(this.httpConnected),
-                amqp: Boolean(this.isAmqpConnected()),
+                http: Boolean(broker.httpConnected),
+                amqp: Boolean(broker.isAmqpConnected()),
                 timestamp: new Date().toISOString()
             };
 
@@ -723,7 +3193,7 @@ class RabbitMQAdmin {
             // Try to send a basic version if the detailed one fails
             try {
                 socket.emit("connection-status", {
-                    http: Boolean(this.httpConnected),
+                    http: Boolean(broker.httpConnected),
                     amqp: false,
                     timestamp: new Date().toISOString(),
                     error: "Connection status error"
@@ -740,13 +3210,19 @@ class RabbitMQAdmin {
      * @private
      */
     async _sendLightweightUpdates(socket) {
+        const { broker } = socket.data;
+
         try {
+            // Restore AMQP in the background if the connection was lost
+            broker.reconnectAmqp();
+
             // Always send connection status
             this._sendConnectionStatus(socket);
 
             // Send lightweight queue data
             try {
-                const queues = await this.fetchFromRabbitMQ('/api/queues', 'queues');
+                const queues = this._filterInScope(socket.data.user, 'queue',
+                    this._filterByVhost(await broker.fetchFromRabbitMQ('/api/queues', 'queues'), socket.data.vhost));
 
                 // Map to essential data only
                 const lightQueueData = queues.map(queue => ({
@@ -764,11 +3240,34 @@ class RabbitMQAdmin {
             } catch (error) {
                 this.logger.debug(`Error sending lightweight queue data: ${error.message}`);
             }
+
+            await this._sendNodeAlarms(socket);
         } catch (error) {
             this.logger.error(`Error in lightweight updates: ${error.message}`);
         }
     }
 
+    /**
+     * Send the memory and disk alarms of the cluster's nodes to a client, for
+     * the banners shown while publishers are blocked
+     * @param {Object} socket - Socket.IO socket
+     * @private
+     */
+    async _sendNodeAlarms(socket) {
+        const { broker } = socket.data;
+
+        try {
+            const nodes = await broker.fetchFromRabbitMQ('/api/nodes', 'nodes');
+
+            socket.emit('node-alarms', {
+                alarms: getNodeAlarms(nodes),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.logger.debug(`Error sending node alarms: ${error.message}`);
+        }
+    }
+
     /**
      * Handle data request from client
      * @param {Object} socket - Socket.IO socket
@@ -819,8 +3318,10 @@ class RabbitMQAdmin {
      * @private
      */
     async _sendOverviewData(socket) {
+        const { broker } = socket.data;
+
         try {
-            const overview = await this.fetchFromRabbitMQ('/api/overview', 'overview');
+            const overview = await broker.fetchFromRabbitMQ('/api/overview', 'overview');
 
             // Get system uptime from node process if available
             const processUptime = process.uptime() * 1000; // Convert to milliseconds
@@ -880,12 +3381,15 @@ class RabbitMQAdmin {
      * @private
      */
     async _sendQueuesData(socket) {
+        const { broker } = socket.data;
+
         try {
-            const queues = await this.fetchFromRabbitMQ('/api/queues', 'queues');
+            const queues = this._filterInScope(socket.data.user, 'queue',
+                this._filterByVhost(await broker.fetchFromRabbitMQ('/api/queues', 'queues'), socket.data.vhost));
 
             // Enhance with AMQP data if available
-            if (this.isAmqpConnected()) {
-                await this._enhanceQueuesData(queues);
+            if (broker.isAmqpConnected()) {
+                await this._enhanceQueuesData(broker, queues);
             }
 
             // Extract essential data
@@ -907,8 +3411,11 @@ class RabbitMQAdmin {
      * @private
      */
     async _sendExchangesData(socket) {
+        const { broker } = socket.data;
+
         try {
-            const exchanges = await this.fetchFromRabbitMQ('/api/exchanges', 'exchanges');
+            const exchanges = this._filterInScope(socket.data.user, 'exchange',
+                this._filterByVhost(await broker.fetchFromRabbitMQ('/api/exchanges', 'exchanges'), socket.data.vhost));
 
             // Extract essential data
             const essentialExchanges = exchanges.map(exchange => this._extractExchangeEssentials(exchange));
@@ -929,8 +3436,11 @@ class RabbitMQAdmin {
      * @private
      */
     async _sendBindingsData(socket) {
+        const { broker } = socket.data;
+
         try {
-            const bindings = await this.fetchFromRabbitMQ('/api/bindings', 'bindings');
+            const bindings = this._filterInScope(socket.data.user, 'binding',
+                this._filterByVhost(await broker.fetchFromRabbitMQ('/api/bindings', 'bindings'), socket.data.vhost));
 
             socket.emit('rabbitmq-data', {
                 bindings,
@@ -1044,24 +3554,16 @@ class RabbitMQAdmin {
             this.updateIntervals.clear();
         }
 
-        // Close AMQP connection
-        if (this.amqpChannel) {
-            try {
-                await this.amqpChannel.close();
-            } catch (e) {
-                // Ignore errors
-            }
-            this.amqpChannel = null;
-        }
+        this.auth.close();
 
-        if (this.amqpConnection) {
-            try {
-                await this.amqpConnection.close();
-            } catch (e) {
-                // Ignore errors
-            }
-            this.amqpConnection = null;
-        }
+        // Write the metrics history for the next start
+        await this.metricsSampler.stop();
+        await this.alerts.stop();
+        await this.snapshots.close();
+        this.notifier.close();
+
+        // Stop move jobs and close the AMQP connections of every cluster
+        await this.clusters.close();
 
         // Close HTTP server if it exists
         if (this.server) {
@@ -0,0 +1,183 @@
+// src/lib/SnapshotStore.js
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../utils/errors');
+const { generateUniqueId } = require('../utils/helpers');
+const { DEFINITION_KINDS } = require('../utils/definitions');
+
+/**
+ * Stored definitions snapshots, to compare a cluster's topology with what it
+ * was before. Snapshots are kept in `SNAPSHOTS_FILE`, loaded on first use.
+ */
+class SnapshotStore {
+    /**
+     * Create a new SnapshotStore
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.file = path.resolve(config.snapshotsFile || 'snapshots.json');
+
+        // id -> snapshot, in creation order
+        this.snapshots = new Map();
+        this.loading = null;
+
+        // Snapshot file writes run one after another
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Read the snapshots file once. A missing file means no snapshots.
+     * @returns {Promise<void>}
+     * @throws {Error} If the file is not valid JSON
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this._read().catch((error) => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Wait for pending snapshot file writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writes;
+    }
+
+    /**
+     * All snapshots without their definitions, newest first
+     * @returns {Promise<Array<Object>>} { id, name, cluster, createdAt, createdBy, counts }
+     */
+    async list() {
+        await this.load();
+        return Array.from(this.snapshots.values())
+            .map(snapshot => this._describe(snapshot))
+            .reverse();
+    }
+
+    /**
+     * Get a snapshot with its definitions
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Object>} Snapshot
+     * @throws {HttpError} 404 for an unknown snapshot
+     */
+    async get(id) {
+        await this.load();
+        const snapshot = this.snapshots.get(id);
+        if (!snapshot) {
+            throw new HttpError(404, `Snapshot "${id}" not found`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Store a snapshot
+     * @param {Object} options - Snapshot options
+     * @param {string} options.name - Name shown in the dashboard
+     * @param {string} options.cluster - Cluster the definitions come from
+     * @param {Object} options.definitions - Definitions document
+     * @param {string|null} [options.createdBy] - Dashboard user taking it
+     * @returns {Promise<Object>} The snapshot without its definitions
+     * @throws {HttpError} 400 without a name
+     */
+    async create({ name, cluster, definitions, createdBy = null }) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new HttpError(400, 'Snapshot names must not be empty');
+        }
+
+        await this.load();
+        const snapshot = {
+            id: generateUniqueId(),
+            name: name.trim(),
+            cluster,
+            createdAt: new Date().toISOString(),
+            createdBy,
+            definitions
+        };
+
+        this.snapshots.set(snapshot.id, snapshot);
+        await this._save();
+        return this._describe(snapshot);
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Promise<void>}
+     * @throws {HttpError} 404 for an unknown snapshot
+     */
+    async delete(id) {
+        await this.get(id);
+        this.snapshots.delete(id);
+        await this._save();
+    }
+
+    /**
+     * Read the snapshots file
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _read() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Cannot read snapshots file ${this.file}: ${error.message}`);
+        }
+
+        for (const snapshot of data.snapshots || []) {
+            this.snapshots.set(snapshot.id, snapshot);
+        }
+
+        this.logger.info(`Loaded ${this.snapshots.size} definitions snapshots from ${this.file}`);
+    }
+
+    /**
+     * Describe a snapshot without its definitions
+     * @param {Object} snapshot - Snapshot
+     * @returns {Object} Snapshot with the number of items of each kind instead
+     * @private
+     */
+    _describe(snapshot) {
+        const { definitions, ...description } = snapshot;
+        const counts = {};
+        for (const kind of Object.keys(DEFINITION_KINDS)) {
+            if (Array.isArray(definitions[kind])) {
+                counts[kind] = definitions[kind].length;
+            }
+        }
+        return { ...description, counts };
+    }
+
+    /**
+     * Write the snapshots file
+     * @returns {Promise<void>}
+     * @private
+     */
+    _save() {
+        const data = JSON.stringify({ snapshots: Array.from(this.snapshots.values()) });
+
+        // Write a temporary file first so a crash never leaves half a file
+        const temporary = `${this.file}.tmp`;
+        this.writes = this.writes
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(temporary, data);
+                await fs.promises.rename(temporary, this.file);
+            });
+
+        return this.writes;
+    }
+}
+
+module.exports = SnapshotStore;
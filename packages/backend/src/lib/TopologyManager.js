@@ -0,0 +1,181 @@
+// src/lib/TopologyManager.js
+const { HttpError } = require('../utils/errors');
+const { parseTopology, buildPlan, describePlanSummary } = require('../utils/topology');
+
+/**
+ * Brings a broker to a declared topology: plans the creates, changes and
+ * deletes a topology file needs against the live broker, and applies a plan
+ * once it was reviewed. Used by the topology API and the rmq-topology CLI.
+ */
+class TopologyManager {
+    /**
+     * Create a new TopologyManager
+     * @param {Object} logger - Logger instance
+     */
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * Plan what it takes to bring a broker to a topology
+     * @param {Broker} broker - Broker with a connected management API client
+     * @param {string|Object} source - YAML or JSON topology, see utils/topology
+     * @returns {Promise<Object>} Plan from buildPlan()
+     * @throws {HttpError} 400 for an invalid topology or a missing vhost
+     */
+    async plan(broker, source) {
+        const topology = parseTopology(source);
+        const live = await this._fetchLive(broker, topology.vhosts);
+        return buildPlan(topology, live);
+    }
+
+    /**
+     * Plan again and apply the plan, one action after another. Stops at the
+     * first action that fails.
+     * @param {Broker} broker - Broker with a connected management API client
+     * @param {string|Object} source - YAML or JSON topology
+     * @param {Object} options - Apply options
+     * @param {string} options.planId - Id of the reviewed plan; the broker
+     * must not have changed since
+     * @param {boolean} [options.allowDestructive] - Whether deleting queues
+     * and exchanges, or declaring them again, is allowed
+     * @param {Function} [options.authorize] - Called with the plan before
+     * anything is applied; throws to refuse it
+     * @param {Function} [options.onAction] - Called with each action once applied
+     * @returns {Promise<Object>} The plan that was applied
+     * @throws {HttpError} 409 if the plan changed, 400 for destructive actions
+     * that are not allowed, or the error of the action that failed
+     */
+    async apply(broker, source, { planId, allowDestructive = false, authorize = () => {}, onAction = () => {} }) {
+        const plan = await this.plan(broker, source);
+
+        if (plan.id !== planId) {
+            throw new HttpError(409, 'The broker or the topology changed since the plan was made, review the new plan');
+        }
+
+        if (plan.summary.destructive > 0 && !allowDestructive) {
+            throw new HttpError(400, `The plan has ${plan.summary.destructive} destructive actions, allow them to apply it`);
+        }
+
+        authorize(plan);
+
+        for (const [index, action] of plan.actions.entries()) {
+            try {
+                await this._applyAction(broker, action);
+            } catch (error) {
+                const reason = error.response && error.response.data
+                    ? error.response.data.reason || error.response.data.error || error.message
+                    : error.message;
+                throw new HttpError(
+                    error.response ? 502 : 500,
+                    `Applied ${index} of ${plan.actions.length} actions, then failed to ${action.action} ${action.kind} "${action.name}" in vhost "${action.vhost}": ${reason}`
+                );
+            }
+            onAction(action);
+        }
+
+        broker.invalidateCache('queues', 'exchanges', 'bindings', 'policies', 'overview');
+        this.logger.info(`[${broker.id}] Applied topology plan ${plan.id}: ${describePlanSummary(plan.summary)}`);
+        return plan;
+    }
+
+    /**
+     * Get the exchanges, queues, bindings and policies of some vhosts
+     * @param {Broker} broker - Broker
+     * @param {Array<string>} vhosts - Virtual hosts
+     * @returns {Promise<Object>} { exchanges, queues, bindings, policies }
+     * @throws {HttpError} 400 if a vhost does not exist
+     * @private
+     */
+    async _fetchLive(broker, vhosts) {
+        const live = { exchanges: [], queues: [], bindings: [], policies: [] };
+
+        for (const vhost of vhosts) {
+            const encoded = encodeURIComponent(vhost);
+            try {
+                await broker.httpClient.get(`/api/vhosts/${encoded}`);
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new HttpError(400, `Virtual host "${vhost}" does not exist, create it first`);
+                }
+                throw error;
+            }
+
+            const responses = await Promise.all(Object.keys(live).map(kind => broker.httpClient.get(`/api/${kind}/${encoded}`)));
+            Object.keys(live).forEach((kind, index) => live[kind].push(...responses[index].data));
+        }
+
+        return live;
+    }
+
+    /**
+     * Apply one action of a plan through the management API
+     * @param {Broker} broker - Broker
+     * @param {Object} action - Action from buildPlan()
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyAction(broker, action) {
+        const { httpClient } = broker;
+        const vhost = encodeURIComponent(action.vhost);
+        const item = action.item;
+
+        switch (action.kind) {
+            case 'exchange': {
+                const path = `/api/exchanges/${vhost}/${encodeURIComponent(action.name)}`;
+                if (action.action !== 'create') {
+                    await httpClient.delete(path);
+                }
+                if (action.action !== 'delete') {
+                    const { type, durable, auto_delete: autoDelete, internal } = item;
+                    await httpClient.put(path, { type, durable, auto_delete: autoDelete, internal, arguments: item.arguments });
+                }
+                return;
+            }
+            case 'queue': {
+                const path = `/api/queues/${vhost}/${encodeURIComponent(action.name)}`;
+                if (action.action !== 'create') {
+                    await httpClient.delete(path);
+                }
+                if (action.action !== 'delete') {
+                    await httpClient.put(path, { durable: item.durable, auto_delete: item.auto_delete, arguments: item.arguments });
+                }
+                return;
+            }
+            case 'binding': {
+                const path = [
+                    '/api/bindings',
+                    vhost,
+                    'e',
+                    encodeURIComponent(item.source),
+                    item.destination_type === 'exchange' ? 'e' : 'q',
+                    encodeURIComponent(item.destination)
+                ].join('/');
+                if (action.action === 'delete') {
+                    await httpClient.delete(`${path}/${encodeURIComponent(item.properties_key)}`);
+                } else {
+                    await httpClient.post(path, { routing_key: item.routing_key, arguments: item.arguments });
+                }
+                return;
+            }
+            case 'policy': {
+                const path = `/api/policies/${vhost}/${encodeURIComponent(action.name)}`;
+                if (action.action === 'delete') {
+                    await httpClient.delete(path);
+                } else {
+                    await httpClient.put(path, {
+                        pattern: item.pattern,
+                        definition: item.definition,
+                        priority: item.priority,
+                        'apply-to': item['apply-to']
+                    });
+                }
+                return;
+            }
+            default:
+                throw new Error(`Unknown kind "${action.kind}"`);
+        }
+    }
+}
+
+module.exports = TopologyManager;
@@ -0,0 +1,117 @@
+// src/utils/alerts.js
+const { HttpError } = require('./errors');
+const { QUEUE_FIELDS } = require('./metrics');
+const { parseBoolean } = require('./declarations');
+const { buildNotification } = require('./notifications');
+
+// Queue values a rule can watch
+const ALERT_METRICS = QUEUE_FIELDS;
+
+const COMPARATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold
+};
+
+const SEVERITIES = ['warning', 'critical'];
+
+/**
+ * Get an optional string from a request body, null when empty
+ * @param {any} value - Value to check
+ * @param {string} field - Field name for error messages
+ * @returns {string|null} The string or null
+ */
+function optionalString(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        throw new HttpError(400, `${field} must be a string`);
+    }
+    return value;
+}
+
+/**
+ * Build and validate an alert rule from a request body
+ * @param {Object} body - Request body
+ * @param {Object} [config] - Configuration from loadConfig(), for email notifications
+ * @returns {Object} Rule with name, enabled, cluster, vhost, queuePattern,
+ * metric, comparator, threshold, duration (seconds), severity and notifications
+ */
+function buildAlertRule(body = {}, config = {}) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        throw new HttpError(400, 'name is required');
+    }
+
+    if (!ALERT_METRICS.includes(body.metric)) {
+        throw new HttpError(400, `metric must be one of: ${ALERT_METRICS.join(', ')}`);
+    }
+
+    if (!COMPARATORS[body.comparator]) {
+        throw new HttpError(400, `comparator must be one of: ${Object.keys(COMPARATORS).join(', ')}`);
+    }
+
+    const threshold = Number(body.threshold);
+    if (body.threshold === '' || body.threshold === null || !Number.isFinite(threshold)) {
+        throw new HttpError(400, 'threshold must be a number');
+    }
+
+    const duration = body.duration === undefined || body.duration === '' ? 0 : Number(body.duration);
+    if (!Number.isFinite(duration) || duration < 0) {
+        throw new HttpError(400, 'duration must be a non-negative number of seconds');
+    }
+
+    const severity = body.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+        throw new HttpError(400, `severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    const queuePattern = optionalString(body.queuePattern, 'queuePattern');
+    if (queuePattern) {
+        try {
+            new RegExp(queuePattern);
+        } catch (error) {
+            throw new HttpError(400, `queuePattern is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    const notifications = body.notifications || [];
+    if (!Array.isArray(notifications)) {
+        throw new HttpError(400, 'notifications must be an array');
+    }
+
+    return {
+        name: body.name.trim(),
+        enabled: parseBoolean(body.enabled, true, 'enabled'),
+        cluster: optionalString(body.cluster, 'cluster'),
+        vhost: optionalString(body.vhost, 'vhost'),
+        queuePattern,
+        metric: body.metric,
+        comparator: body.comparator,
+        threshold,
+        duration,
+        severity,
+        notifications: notifications.map((notification, index) => buildNotification(notification, index, config))
+    };
+}
+
+/**
+ * Check whether a value breaks a rule's condition
+ * @param {Object} rule - Rule from buildAlertRule()
+ * @param {number} value - Current value of the rule's metric
+ * @returns {boolean} Whether the condition holds
+ */
+function isBreached(rule, value) {
+    return COMPARATORS[rule.comparator](value, rule.threshold);
+}
+
+module.exports = {
+    ALERT_METRICS,
+    COMPARATORS,
+    SEVERITIES,
+    buildAlertRule,
+    isBreached
+};
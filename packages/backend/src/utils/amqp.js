@@ -0,0 +1,44 @@
+// src/utils/amqp.js
+
+/**
+ * Build publish options that carry over the properties of a received message
+ * @param {Object} properties - Properties of the received message
+ * @param {string} username - RabbitMQ user of the publishing connection
+ * @returns {Object} Options for channel.publish()
+ */
+function toPublishOptions(properties, username) {
+    const options = { ...properties, mandatory: true };
+
+    // The broker rejects a user-id that differs from the connection's user
+    if (options.userId && options.userId !== username) {
+        delete options.userId;
+    }
+
+    return options;
+}
+
+/**
+ * Publish on a confirm channel and wait for the broker to confirm the message
+ * @param {Object} channel - amqplib confirm channel
+ * @param {string} exchange - Exchange name
+ * @param {string} routingKey - Routing key
+ * @param {Buffer} content - Message body
+ * @param {Object} options - Publish options
+ * @returns {Promise<void>} Rejects if the broker nacks the message
+ */
+function publishConfirmed(channel, exchange, routingKey, content, options) {
+    return new Promise((resolve, reject) => {
+        channel.publish(exchange, routingKey, content, options, (err) => {
+            if (err) {
+                reject(new Error(`The broker did not confirm the published message (${err.message})`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+module.exports = {
+    toPublishOptions,
+    publishConfirmed
+};
@@ -0,0 +1,89 @@
+// src/utils/deadLetters.js
+const crypto = require('crypto');
+
+// Headers RabbitMQ adds when it dead-letters a message
+const DEATH_HEADERS = [
+    'x-death',
+    'x-first-death-reason',
+    'x-first-death-queue',
+    'x-first-death-exchange',
+    'x-last-death-reason',
+    'x-last-death-queue',
+    'x-last-death-exchange'
+];
+
+/**
+ * Convert an AMQP timestamp header value to an ISO date string.
+ * amqplib decodes timestamps as { '!': 'timestamp', value }, the management
+ * API as a number of seconds.
+ * @param {any} value - Timestamp header value
+ * @returns {string|null} ISO date string
+ */
+function toIsoTime(value) {
+    const seconds = value && typeof value === 'object' ? value.value : value;
+    if (typeof seconds !== 'number') {
+        return null;
+    }
+    return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Get where and why a message was most recently dead-lettered from its
+ * `x-death` header
+ * @param {Object} headers - Message headers
+ * @returns {Object|null} Death details, null if the message was not dead-lettered
+ */
+function getDeathInfo(headers) {
+    const deaths = headers && headers['x-death'];
+    if (!Array.isArray(deaths) || deaths.length === 0) {
+        return null;
+    }
+
+    // RabbitMQ keeps the most recent death first
+    const latest = deaths[0];
+    const routingKeys = Array.isArray(latest['routing-keys']) ? latest['routing-keys'] : [];
+
+    return {
+        reason: latest.reason || 'unknown',
+        queue: latest.queue || '',
+        exchange: latest.exchange || '',
+        routing_keys: routingKeys,
+        count: Number(latest.count) || 1,
+        time: toIsoTime(latest.time),
+        deaths: deaths.length
+    };
+}
+
+/**
+ * Remove the headers RabbitMQ adds when dead-lettering
+ * @param {Object} headers - Message headers
+ * @returns {Object} Headers without death information
+ */
+function stripDeathHeaders(headers = {}) {
+    const result = { ...headers };
+    DEATH_HEADERS.forEach(header => delete result[header]);
+    return result;
+}
+
+/**
+ * Identify a message body across peeks, so a message seen in a peek can be
+ * found again when it is replayed
+ * @param {Buffer} content - Message body
+ * @param {string} messageId - message_id property, if any
+ * @returns {string} Fingerprint
+ */
+function fingerprintMessage(content, messageId) {
+    return crypto.createHash('sha256')
+        .update(messageId || '')
+        .update('\n')
+        .update(content)
+        .digest('hex')
+        .substring(0, 32);
+}
+
+module.exports = {
+    DEATH_HEADERS,
+    getDeathInfo,
+    stripDeathHeaders,
+    fingerprintMessage
+};
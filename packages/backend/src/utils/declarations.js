@@ -0,0 +1,411 @@
+// src/utils/declarations.js
+const { HttpError } = require('./errors');
+
+const QUEUE_TYPES = ['classic', 'quorum', 'stream'];
+const EXCHANGE_TYPES = ['direct', 'topic', 'fanout', 'headers'];
+const HEADERS_MATCH_MODES = ['all', 'any', 'all-with-x', 'any-with-x'];
+const QUEUE_OVERFLOW_MODES = ['drop-head', 'reject-publish', 'reject-publish-dlx'];
+
+// Patterns of a user's permissions in a virtual host
+const PERMISSION_FIELDS = ['configure', 'write', 'read'];
+
+// Limits that can be set on a user
+const USER_LIMITS = ['max-connections', 'max-channels'];
+
+// What a policy or an operator policy can apply to
+const POLICY_APPLY_TO = ['all', 'queues', 'exchanges', 'classic_queues', 'quorum_queues', 'streams'];
+const OPERATOR_POLICY_APPLY_TO = ['queues', 'classic_queues', 'quorum_queues', 'streams'];
+
+// Policy keys that RabbitMQ expects to be numbers
+const NUMERIC_POLICY_KEYS = [
+    'message-ttl',
+    'expires',
+    'max-length',
+    'max-length-bytes',
+    'max-in-memory-length',
+    'max-in-memory-bytes',
+    'delivery-limit',
+    'target-group-size',
+    'stream-max-segment-size-bytes',
+    'ha-sync-batch-size'
+];
+
+// Queue arguments that RabbitMQ expects to be numbers
+const NUMERIC_QUEUE_ARGUMENTS = [
+    'x-message-ttl',
+    'x-expires',
+    'x-max-length',
+    'x-max-length-bytes',
+    'x-max-priority',
+    'x-delivery-limit',
+    'x-initial-cluster-size',
+    'x-max-age-seconds',
+    'x-stream-max-segment-size-bytes'
+];
+
+// Queue arguments that only classic queues support
+const CLASSIC_ONLY_QUEUE_ARGUMENTS = ['x-max-priority', 'x-queue-mode'];
+
+/**
+ * Parse an optional boolean from a request body or query string
+ * @param {any} value - Value to parse
+ * @param {boolean} defaultValue - Value used when undefined
+ * @param {string} field - Field name for error messages
+ * @returns {boolean} Parsed value
+ */
+function parseBoolean(value, defaultValue, field) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    if (value === true || value === 'true') {
+        return true;
+    }
+    if (value === false || value === 'false') {
+        return false;
+    }
+    throw new HttpError(400, `${field} must be true or false`);
+}
+
+/**
+ * Validate an `x-` arguments object
+ * @param {Object} args - Arguments from the request
+ * @param {Array<string>} numericKeys - Arguments that must be numbers
+ * @returns {Object} Validated arguments with numbers coerced
+ */
+function normalizeArguments(args, numericKeys = []) {
+    if (args === undefined || args === null) {
+        return {};
+    }
+
+    if (typeof args !== 'object' || Array.isArray(args)) {
+        throw new HttpError(400, 'arguments must be an object');
+    }
+
+    const result = {};
+
+    for (const [key, value] of Object.entries(args)) {
+        // Empty values come from cleared form fields and mean "not set"
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+
+        if (numericKeys.includes(key)) {
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new HttpError(400, `${key} must be a non-negative number`);
+            }
+            result[key] = number;
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build and validate a queue declaration from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Declaration with durable, auto_delete, exclusive, type and arguments
+ */
+function buildQueueDeclaration(body = {}) {
+    const type = body.type || (body.arguments && body.arguments['x-queue-type']) || 'classic';
+    if (!QUEUE_TYPES.includes(type)) {
+        throw new HttpError(400, `type must be one of: ${QUEUE_TYPES.join(', ')}`);
+    }
+
+    const declaration = {
+        type,
+        durable: parseBoolean(body.durable, true, 'durable'),
+        auto_delete: parseBoolean(body.auto_delete, false, 'auto_delete'),
+        exclusive: parseBoolean(body.exclusive, false, 'exclusive'),
+        arguments: normalizeArguments(body.arguments, NUMERIC_QUEUE_ARGUMENTS)
+    };
+
+    for (const key of Object.keys(declaration.arguments)) {
+        if (!key.startsWith('x-')) {
+            throw new HttpError(400, `Unknown queue argument "${key}", arguments must start with "x-"`);
+        }
+    }
+
+    const overflow = declaration.arguments['x-overflow'];
+    if (overflow !== undefined && !QUEUE_OVERFLOW_MODES.includes(overflow)) {
+        throw new HttpError(400, `x-overflow must be one of: ${QUEUE_OVERFLOW_MODES.join(', ')}`);
+    }
+
+    const sac = declaration.arguments['x-single-active-consumer'];
+    if (sac !== undefined) {
+        declaration.arguments['x-single-active-consumer'] = parseBoolean(sac, false, 'x-single-active-consumer');
+    }
+
+    if (type !== 'classic') {
+        // Replicated queues must survive restarts and cannot belong to a connection
+        if (!declaration.durable || declaration.auto_delete || declaration.exclusive) {
+            throw new HttpError(400, `${type} queues must be durable and cannot be auto-delete or exclusive`);
+        }
+
+        const unsupported = CLASSIC_ONLY_QUEUE_ARGUMENTS.filter(key => key in declaration.arguments);
+        if (unsupported.length) {
+            throw new HttpError(400, `${type} queues do not support: ${unsupported.join(', ')}`);
+        }
+
+        declaration.arguments['x-queue-type'] = type;
+    } else if (declaration.arguments['x-queue-type'] === 'classic') {
+        // Classic is the default, leave the argument out so redeclaring old queues works
+        delete declaration.arguments['x-queue-type'];
+    }
+
+    return declaration;
+}
+
+/**
+ * Build and validate an exchange declaration from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Declaration with type, durable, auto_delete, internal and arguments
+ */
+function buildExchangeDeclaration(body = {}) {
+    const type = body.type || 'direct';
+
+    // Plugin exchange types (x-delayed-message, x-consistent-hash, ...) start with x-
+    if (!EXCHANGE_TYPES.includes(type) && !/^x-[\w-]+$/.test(type)) {
+        throw new HttpError(400, `type must be one of: ${EXCHANGE_TYPES.join(', ')} or a plugin type starting with "x-"`);
+    }
+
+    const declaration = {
+        type,
+        durable: parseBoolean(body.durable, true, 'durable'),
+        auto_delete: parseBoolean(body.auto_delete, false, 'auto_delete'),
+        internal: parseBoolean(body.internal, false, 'internal'),
+        arguments: normalizeArguments(body.arguments)
+    };
+
+    if (body.alternate_exchange) {
+        declaration.arguments['alternate-exchange'] = String(body.alternate_exchange);
+    }
+
+    return declaration;
+}
+
+/**
+ * Build and validate a binding from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Binding with routing_key and arguments
+ */
+function buildBindingDeclaration(body = {}) {
+    const routingKey = body.routing_key !== undefined ? body.routing_key : body.routingKey;
+
+    if (routingKey !== undefined && routingKey !== null && typeof routingKey !== 'string') {
+        throw new HttpError(400, 'routing_key must be a string');
+    }
+
+    const binding = {
+        routing_key: routingKey || '',
+        arguments: normalizeArguments(body.arguments)
+    };
+
+    const match = binding.arguments['x-match'];
+    if (match !== undefined && !HEADERS_MATCH_MODES.includes(match)) {
+        throw new HttpError(400, `x-match must be one of: ${HEADERS_MATCH_MODES.join(', ')}`);
+    }
+
+    return binding;
+}
+
+/**
+ * Parse tags given as an array or a comma separated string
+ * @param {Array<string>|string} tags - Tags from the request
+ * @returns {string} Comma separated tags, as the management API expects them
+ */
+function parseTags(tags) {
+    const tagList = tags === undefined || tags === null
+        ? []
+        : Array.isArray(tags) ? tags : String(tags).split(',');
+
+    if (tagList.some(tag => typeof tag !== 'string')) {
+        throw new HttpError(400, 'tags must be an array of strings or a comma separated string');
+    }
+
+    return tagList.map(tag => tag.trim()).filter(Boolean).join(',');
+}
+
+/**
+ * Build and validate a virtual host from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Virtual host with description, tags (comma separated, as
+ * the management API expects them) and, when set, default_queue_type
+ */
+function buildVhostDeclaration(body = {}) {
+    const description = body.description === undefined || body.description === null ? '' : body.description;
+    if (typeof description !== 'string') {
+        throw new HttpError(400, 'description must be a string');
+    }
+
+    const declaration = {
+        description,
+        tags: parseTags(body.tags)
+    };
+
+    if (body.default_queue_type !== undefined && body.default_queue_type !== null && body.default_queue_type !== '') {
+        if (!QUEUE_TYPES.includes(body.default_queue_type)) {
+            throw new HttpError(400, `default_queue_type must be one of: ${QUEUE_TYPES.join(', ')}`);
+        }
+        declaration.default_queue_type = body.default_queue_type;
+    }
+
+    return declaration;
+}
+
+/**
+ * Build and validate a broker user from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} User with tags and, when set, password. Without a
+ * password an existing user keeps theirs.
+ */
+function buildUserDeclaration(body = {}) {
+    const declaration = { tags: parseTags(body.tags) };
+
+    if (body.password !== undefined && body.password !== null && body.password !== '') {
+        if (typeof body.password !== 'string') {
+            throw new HttpError(400, 'password must be a string');
+        }
+        declaration.password = body.password;
+    }
+
+    return declaration;
+}
+
+/**
+ * Check that the given fields of a request body are valid regular expressions.
+ * RabbitMQ matches permissions with PCRE; the few patterns JavaScript parses
+ * differently are left for the broker to reject.
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields holding patterns
+ * @returns {Object} The patterns, '' for missing fields
+ */
+function parsePatterns(body, fields) {
+    const patterns = {};
+
+    for (const field of fields) {
+        const pattern = body[field] === undefined || body[field] === null ? '' : body[field];
+        if (typeof pattern !== 'string') {
+            throw new HttpError(400, `${field} must be a string`);
+        }
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            throw new HttpError(400, `${field} is not a valid regular expression: ${error.message}`);
+        }
+        patterns[field] = pattern;
+    }
+
+    return patterns;
+}
+
+/**
+ * Build and validate a user's permissions in a virtual host
+ * @param {Object} body - Request body
+ * @returns {Object} Permissions with configure, write and read patterns
+ */
+function buildPermissionDeclaration(body = {}) {
+    return parsePatterns(body, PERMISSION_FIELDS);
+}
+
+/**
+ * Build and validate a user's topic permissions on an exchange
+ * @param {Object} body - Request body
+ * @returns {Object} Topic permissions with exchange, write and read patterns
+ */
+function buildTopicPermissionDeclaration(body = {}) {
+    if (typeof body.exchange !== 'string' || !body.exchange) {
+        throw new HttpError(400, 'exchange is required');
+    }
+
+    return { exchange: body.exchange, ...parsePatterns(body, ['write', 'read']) };
+}
+
+/**
+ * Build and validate a user limit from a request body
+ * @param {string} name - Limit name
+ * @param {Object} body - Request body with the value
+ * @returns {Object} Limit as { value }
+ */
+function buildUserLimitDeclaration(name, body = {}) {
+    if (!USER_LIMITS.includes(name)) {
+        throw new HttpError(400, `limit must be one of: ${USER_LIMITS.join(', ')}`);
+    }
+
+    const value = Number(body.value);
+    if (body.value === undefined || body.value === null || body.value === '' ||
+        !Number.isInteger(value) || value < -1) {
+        throw new HttpError(400, 'value must be an integer, -1 for no limit');
+    }
+
+    return { value };
+}
+
+/**
+ * Validate what a policy or an operator policy applies to
+ * @param {Object} body - Request body; `apply-to` may also be given as apply_to
+ * @param {boolean} [operator] - Whether it is an operator policy
+ * @returns {Object} { pattern, priority, apply-to }
+ */
+function parsePolicyTarget(body = {}, operator = false) {
+    const { pattern } = parsePatterns(body, ['pattern']);
+
+    const priority = body.priority === undefined || body.priority === null || body.priority === ''
+        ? 0
+        : Number(body.priority);
+    if (!Number.isInteger(priority)) {
+        throw new HttpError(400, 'priority must be an integer');
+    }
+
+    const applyToValues = operator ? OPERATOR_POLICY_APPLY_TO : POLICY_APPLY_TO;
+    const applyTo = body['apply-to'] || body.apply_to || applyToValues[0];
+    if (!applyToValues.includes(applyTo)) {
+        throw new HttpError(400, `apply-to must be one of: ${applyToValues.join(', ')}`);
+    }
+
+    return { pattern, priority, 'apply-to': applyTo };
+}
+
+/**
+ * Build and validate a policy or an operator policy from a request body
+ * @param {Object} body - Request body; `apply-to` may also be given as apply_to
+ * @param {boolean} [operator] - Whether it is an operator policy
+ * @returns {Object} Policy with pattern, definition, priority and apply-to
+ */
+function buildPolicyDeclaration(body = {}, operator = false) {
+    const target = parsePolicyTarget(body, operator);
+
+    if (!body.definition || typeof body.definition !== 'object' || Array.isArray(body.definition)) {
+        throw new HttpError(400, 'definition must be an object');
+    }
+    const definition = normalizeArguments(body.definition, NUMERIC_POLICY_KEYS);
+    if (Object.keys(definition).length === 0) {
+        throw new HttpError(400, 'definition must set at least one key');
+    }
+
+    return { pattern: target.pattern, definition, priority: target.priority, 'apply-to': target['apply-to'] };
+}
+
+module.exports = {
+    QUEUE_TYPES,
+    QUEUE_OVERFLOW_MODES,
+    EXCHANGE_TYPES,
+    PERMISSION_FIELDS,
+    USER_LIMITS,
+    POLICY_APPLY_TO,
+    OPERATOR_POLICY_APPLY_TO,
+    parseBoolean,
+    normalizeArguments,
+    buildQueueDeclaration,
+    buildExchangeDeclaration,
+    buildBindingDeclaration,
+    buildVhostDeclaration,
+    buildUserDeclaration,
+    buildPermissionDeclaration,
+    buildTopicPermissionDeclaration,
+    buildUserLimitDeclaration,
+    parsePolicyTarget,
+    buildPolicyDeclaration
+};
@@ -0,0 +1,343 @@
+// src/utils/definitions.js
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Kinds of items in a definitions document, with the fields that identify an item.
+// Bindings have no name, so every field identifies them.
+const DEFINITION_KINDS = {
+    vhosts: ['name'],
+    users: ['name'],
+    permissions: ['user', 'vhost'],
+    topic_permissions: ['user', 'vhost', 'exchange'],
+    parameters: ['vhost', 'component', 'name'],
+    global_parameters: ['name'],
+    policies: ['vhost', 'name'],
+    queues: ['vhost', 'name'],
+    exchanges: ['vhost', 'name'],
+    bindings: ['vhost', 'source', 'destination_type', 'destination', 'routing_key', 'arguments']
+};
+
+// Fields that change while the broker runs; they never count as differences
+const VOLATILE_FIELDS = [
+    'messages',
+    'messages_ready',
+    'messages_unacknowledged',
+    'message_stats',
+    'consumers',
+    'consumer_capacity',
+    'consumer_utilisation',
+    'memory',
+    'state',
+    'node',
+    'idle_since',
+    'policy',
+    'operator_policy',
+    'effective_policy_definition',
+    'properties_key',
+    'cluster_state'
+];
+
+// Existing queues and exchanges keep their properties when definitions are
+// imported; they have to be deleted and declared again to change
+const IMMUTABLE_KINDS = ['queues', 'exchanges'];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values always
+ * give the same string
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Check that a request body looks like a definitions document
+ * @param {Object} definitions - Definitions document
+ * @throws {HttpError} 400 when it does not
+ */
+function validateDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        throw new HttpError(400, 'Definitions must be a JSON object');
+    }
+
+    const kinds = Object.keys(DEFINITION_KINDS).filter(kind => definitions[kind] !== undefined);
+    if (kinds.length === 0) {
+        throw new HttpError(400, `Definitions must contain at least one of: ${Object.keys(DEFINITION_KINDS).join(', ')}`);
+    }
+
+    for (const kind of kinds) {
+        const items = definitions[kind];
+        if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new HttpError(400, `${kind} must be a list of objects`);
+        }
+    }
+}
+
+/**
+ * Keep the items of one vhost, without their vhost field, like the
+ * definitions the management API exports for a vhost. Items without a vhost
+ * are kept, so definitions of a vhost pass through unchanged.
+ * @param {Object} definitions - Definitions document
+ * @param {string} vhost - Virtual host
+ * @returns {Object} Definitions of the vhost
+ */
+function selectVhost(definitions, vhost) {
+    const result = {};
+
+    for (const [kind, fields] of Object.entries(DEFINITION_KINDS)) {
+        if (!fields.includes('vhost') || !Array.isArray(definitions[kind])) {
+            continue;
+        }
+
+        result[kind] = definitions[kind]
+            .filter(item => item.vhost === undefined || item.vhost === vhost)
+            .map((item) => {
+                const copy = { ...item };
+                delete copy.vhost;
+                return copy;
+            });
+    }
+
+    return result;
+}
+
+/**
+ * Remove volatile fields and fill in defaults, so an item compares equal
+ * however it was exported. Password hashes are replaced by a fingerprint.
+ * @param {string} kind - Kind from DEFINITION_KINDS
+ * @param {Object} item - Item of a definitions document
+ * @returns {Object} Normalized copy
+ */
+function normalizeItem(kind, item) {
+    const result = { ...item };
+    for (const field of VOLATILE_FIELDS) {
+        delete result[field];
+    }
+
+    if (kind === 'users') {
+        // Tags are a comma separated string in older exports
+        const tags = Array.isArray(result.tags) ? result.tags : String(result.tags || '').split(',');
+        result.tags = tags.map(tag => tag.trim()).filter(Boolean).sort();
+
+        // Diffs are shown to every user: keep password changes visible, not the hashes
+        if (result.password_hash) {
+            result.password_hash = `sha256:${crypto.createHash('sha256').update(result.password_hash).digest('hex').slice(0, 12)}`;
+        }
+    }
+
+    if (kind === 'queues' || kind === 'exchanges' || kind === 'bindings') {
+        result.arguments = result.arguments || {};
+    }
+
+    if (kind === 'policies') {
+        result['apply-to'] = result['apply-to'] || 'all';
+        result.priority = result.priority || 0;
+    }
+
+    return result;
+}
+
+/**
+ * Get the identity of an item
+ * @param {string} kind - Kind from DEFINITION_KINDS
+ * @param {Object} item - Normalized item
+ * @returns {string} Key that is equal for the same item in two documents
+ */
+function getItemKey(kind, item) {
+    return stableStringify(DEFINITION_KINDS[kind].map(field => item[field]));
+}
+
+/**
+ * Describe an item for people, e.g. "orders (vhost shop)"
+ * @param {string} kind - Kind from DEFINITION_KINDS
+ * @param {Object} item - Item
+ * @returns {string} Label
+ */
+function getItemLabel(kind, item) {
+    let label;
+
+    switch (kind) {
+        case 'bindings':
+            label = `${item.source || '(default exchange)'} -> ${item.destination_type} ${item.destination}` +
+                (item.routing_key ? ` (${item.routing_key})` : '');
+            break;
+        case 'permissions':
+            label = item.user;
+            break;
+        case 'topic_permissions':
+            label = `${item.user} on ${item.exchange}`;
+            break;
+        case 'parameters':
+            label = `${item.component}/${item.name}`;
+            break;
+        default:
+            label = item.name;
+    }
+
+    return kind !== 'vhosts' && item.vhost !== undefined ? `${label} (vhost ${item.vhost})` : label;
+}
+
+/**
+ * List the fields that differ between two versions of an item. Objects such
+ * as arguments and policy definitions are compared key by key, so a changed
+ * argument is reported as e.g. `arguments.x-message-ttl`.
+ * @param {Object} before - Normalized item
+ * @param {Object} after - Normalized item
+ * @returns {Array<Object>} { field, before, after } for each difference
+ */
+function diffFields(before, after) {
+    const differences = [];
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    for (const field of fields) {
+        const a = before[field];
+        const b = after[field];
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject(a) && isObject(b)) {
+            const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+            for (const key of keys) {
+                if (stableStringify(a[key]) !== stableStringify(b[key])) {
+                    differences.push({ field: `${field}.${key}`, before: a[key], after: b[key] });
+                }
+            }
+        } else if (stableStringify(a) !== stableStringify(b)) {
+            differences.push({ field, before: a, after: b });
+        }
+    }
+
+    return differences;
+}
+
+/**
+ * Compare two definitions documents. Item order and volatile fields are
+ * ignored.
+ * @param {Object} before - Definitions document
+ * @param {Object} after - Definitions document
+ * @returns {Object} For each kind present in either document,
+ * { added, removed, changed: [{ name, before, after, fields }], unchanged }
+ * with added, removed and unchanged items
+ */
+function diffDefinitions(before = {}, after = {}) {
+    const result = {};
+
+    for (const kind of Object.keys(DEFINITION_KINDS)) {
+        if (before[kind] === undefined && after[kind] === undefined) {
+            continue;
+        }
+
+        const index = (items = []) => new Map(items.map(item => {
+            const normalized = normalizeItem(kind, item);
+            return [getItemKey(kind, normalized), normalized];
+        }));
+        const beforeItems = index(before[kind]);
+        const afterItems = index(after[kind]);
+
+        const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+        for (const [key, item] of afterItems) {
+            const previous = beforeItems.get(key);
+            if (!previous) {
+                diff.added.push(item);
+                continue;
+            }
+
+            const fields = diffFields(previous, item);
+            if (fields.length > 0) {
+                diff.changed.push({ name: getItemLabel(kind, item), before: previous, after: item, fields });
+            } else {
+                diff.unchanged.push(item);
+            }
+        }
+
+        for (const [key, item] of beforeItems) {
+            if (!afterItems.has(key)) {
+                diff.removed.push(item);
+            }
+        }
+
+        result[kind] = diff;
+    }
+
+    return result;
+}
+
+/**
+ * Describe a diff for people: items are named, unchanged ones only counted
+ * @param {Object} diff - diffDefinitions(left, right)
+ * @returns {Object} { kinds, totals } where kinds has, for each kind,
+ * { added: [{ name, item }], removed: [{ name, item }], changed: [{ name,
+ * before, after, fields }], unchanged: count } and totals the counts of all
+ * kinds
+ */
+function describeDiff(diff) {
+    const kinds = {};
+    const totals = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+    for (const [kind, { added, removed, changed, unchanged }] of Object.entries(diff)) {
+        const named = items => items
+            .map(item => ({ name: getItemLabel(kind, item), item }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        kinds[kind] = {
+            added: named(added),
+            removed: named(removed),
+            changed: [...changed].sort((a, b) => a.name.localeCompare(b.name)),
+            unchanged: unchanged.length
+        };
+
+        totals.added += added.length;
+        totals.removed += removed.length;
+        totals.changed += changed.length;
+        totals.unchanged += unchanged.length;
+    }
+
+    return { kinds, totals };
+}
+
+/**
+ * Summarize what importing definitions would do. Importing never deletes, so
+ * items only on the broker are left untouched like unchanged ones.
+ * @param {Object} diff - diffDefinitions(current, imported)
+ * @returns {Object} For each kind, { create: [label], change: [{ name, fields,
+ * applied }], untouched: count }; `applied` is false for queues and exchanges,
+ * which keep their properties
+ */
+function summarizeImport(diff) {
+    const summary = {};
+
+    for (const [kind, { added, removed, changed, unchanged }] of Object.entries(diff)) {
+        summary[kind] = {
+            create: added.map(item => getItemLabel(kind, item)),
+            change: changed.map(({ name, fields }) => ({
+                name,
+                fields,
+                applied: !IMMUTABLE_KINDS.includes(kind)
+            })),
+            untouched: unchanged.length + removed.length
+        };
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DEFINITION_KINDS,
+    stableStringify,
+    validateDefinitions,
+    selectVhost,
+    normalizeItem,
+    getItemKey,
+    getItemLabel,
+    diffDefinitions,
+    describeDiff,
+    summarizeImport
+};
@@ -0,0 +1,50 @@
+// src/utils/errors.js
+
+/**
+ * Error carrying the HTTP status code that should be returned to the client
+ * @extends Error
+ */
+class HttpError extends Error {
+    /**
+     * Create a new HttpError
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Raised when the configured RabbitMQ user may not open a connection to a vhost
+ * @extends HttpError
+ */
+class VhostAccessError extends HttpError {
+    /**
+     * Create a new VhostAccessError
+     * @param {string} vhost - Virtual host that was refused
+     * @param {string} username - RabbitMQ user used by the dashboard
+     */
+    constructor(vhost, username) {
+        super(403, `RabbitMQ user "${username}" does not have access to vhost "${vhost}"`);
+        this.name = 'VhostAccessError';
+        this.vhost = vhost;
+    }
+}
+
+/**
+ * Get the HTTP status code to use for an error
+ * @param {Error} error - Error object
+ * @returns {number} HTTP status code
+ */
+function getErrorStatus(error) {
+    return (error && error.status) || 500;
+}
+
+module.exports = {
+    HttpError,
+    VhostAccessError,
+    getErrorStatus
+};
@@ -0,0 +1,40 @@
+// src/utils/metrics.js
+
+// Values taken from a queue of the management API, for history and alerts
+const QUEUE_FIELDS = ['messages', 'messages_ready', 'messages_unacknowledged', 'consumers', 'publish_rate', 'deliver_rate', 'ack_rate'];
+
+/**
+ * Get the rates from a management API message_stats object
+ * @param {Object} [stats] - message_stats
+ * @returns {Object} { publish_rate, deliver_rate, ack_rate }
+ */
+function getRates(stats = {}) {
+    const rate = details => (details ? details.rate : 0);
+
+    return {
+        publish_rate: rate(stats.publish_details),
+        deliver_rate: rate(stats.deliver_get_details || stats.deliver_details),
+        ack_rate: rate(stats.ack_details)
+    };
+}
+
+/**
+ * Get the QUEUE_FIELDS of a queue from the management API
+ * @param {Object} queue - Queue from /api/queues
+ * @returns {Object} Field values, 0 when missing
+ */
+function getQueueSample(queue) {
+    return {
+        messages: queue.messages || 0,
+        messages_ready: queue.messages_ready || 0,
+        messages_unacknowledged: queue.messages_unacknowledged || 0,
+        consumers: queue.consumers || 0,
+        ...getRates(queue.message_stats)
+    };
+}
+
+module.exports = {
+    QUEUE_FIELDS,
+    getRates,
+    getQueueSample
+};
@@ -0,0 +1,26 @@
+// src/utils/nodes.js
+
+/**
+ * Get the resource alarms raised by cluster nodes. While a memory or disk
+ * alarm is active the broker blocks every publishing connection.
+ * @param {Array<Object>} nodes - Nodes from /api/nodes
+ * @returns {Array<Object>} Alarms as { node, type: 'memory' | 'disk', used, limit }
+ */
+function getNodeAlarms(nodes = []) {
+    const alarms = [];
+
+    for (const node of nodes) {
+        if (node.mem_alarm) {
+            alarms.push({ node: node.name, type: 'memory', used: node.mem_used, limit: node.mem_limit });
+        }
+        if (node.disk_free_alarm) {
+            alarms.push({ node: node.name, type: 'disk', used: node.disk_free, limit: node.disk_free_limit });
+        }
+    }
+
+    return alarms;
+}
+
+module.exports = {
+    getNodeAlarms
+};
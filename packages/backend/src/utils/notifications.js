@@ -0,0 +1,179 @@
+// src/utils/notifications.js
+const { HttpError } = require('./errors');
+
+const NOTIFICATION_TYPES = ['webhook', 'slack', 'email'];
+
+// Placeholders of a webhook body template, e.g. {{alert.queue}}
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Used to check body templates when a rule is saved
+const SAMPLE_EVENT = {
+    event: 'test',
+    text: 'Test notification',
+    alert: {
+        id: 'sample',
+        ruleId: 'sample',
+        rule: 'Sample rule',
+        severity: 'warning',
+        cluster: 'default',
+        vhost: '/',
+        queue: 'sample',
+        metric: 'messages_ready',
+        comparator: '>',
+        threshold: 0,
+        duration: 0,
+        value: 1,
+        state: 'firing',
+        since: new Date(0).toISOString(),
+        firedAt: new Date(0).toISOString(),
+        resolvedAt: null
+    }
+};
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {any} value - Value to check
+ * @param {string} field - Field name for error messages
+ * @returns {string} The URL
+ */
+function parseUrl(value, field) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new HttpError(400, `${field} must be a URL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new HttpError(400, `${field} must be an http or https URL`);
+    }
+    return value;
+}
+
+/**
+ * Fill the placeholders of a webhook body template. Values are inserted
+ * JSON-escaped, so they can be placed inside strings or, for numbers, on
+ * their own.
+ * @param {string} template - JSON with {{placeholders}}
+ * @param {Object} event - Notification event, see describeAlert()
+ * @returns {Object} Parsed body
+ * @throws {Error} If the result is not valid JSON
+ */
+function renderTemplate(template, event) {
+    const json = template.replace(PLACEHOLDER, (match, path) => {
+        const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), event);
+        return value === undefined || value === null ? '' : JSON.stringify(String(value)).slice(1, -1);
+    });
+
+    return JSON.parse(json);
+}
+
+/**
+ * Build and validate a notification channel of an alert rule
+ * @param {Object} notification - { type, ... } from the request body
+ * @param {number} index - Position in the rule, for error messages
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {Object} webhook: { type, url, headers, body }, slack: { type, url },
+ * email: { type, to }
+ */
+function buildNotification(notification, index, config) {
+    const field = `notifications[${index}]`;
+
+    if (!notification || !NOTIFICATION_TYPES.includes(notification.type)) {
+        throw new HttpError(400, `${field}.type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+
+    if (notification.type === 'slack') {
+        return { type: 'slack', url: parseUrl(notification.url, `${field}.url`) };
+    }
+
+    if (notification.type === 'email') {
+        if (!config.smtpHost) {
+            throw new HttpError(400, 'Email notifications need an SMTP server, see SMTP_HOST');
+        }
+
+        const to = Array.isArray(notification.to) ? notification.to : String(notification.to || '').split(',');
+        const recipients = to.map(address => String(address).trim()).filter(Boolean);
+        if (recipients.length === 0 || recipients.some(address => !/^[^\s@]+@[^\s@]+$/.test(address))) {
+            throw new HttpError(400, `${field}.to must be one or more email addresses`);
+        }
+
+        return { type: 'email', to: recipients };
+    }
+
+    const headers = notification.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) ||
+        Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new HttpError(400, `${field}.headers must be an object of strings`);
+    }
+
+    const body = notification.body || null;
+    if (body !== null) {
+        if (typeof body !== 'string') {
+            throw new HttpError(400, `${field}.body must be a JSON template string`);
+        }
+        try {
+            renderTemplate(body, SAMPLE_EVENT);
+        } catch (error) {
+            throw new HttpError(400, `${field}.body is not a valid JSON template: ${error.message}`);
+        }
+    }
+
+    return { type: 'webhook', url: parseUrl(notification.url, `${field}.url`), headers, body };
+}
+
+/**
+ * Describe an alert for notifications
+ * @param {Object} alert - Alert from AlertManager
+ * @param {string} event - 'firing', 'resolved' or 'test'
+ * @returns {Object} { event, text, alert }
+ */
+function describeAlert(alert, event) {
+    const condition = `${alert.metric} ${alert.comparator} ${alert.threshold}` +
+        (alert.duration ? ` for ${alert.duration}s` : '');
+
+    const text = `[${event.toUpperCase()}] ${alert.rule}: queue "${alert.queue}" ` +
+        `(vhost "${alert.vhost}", cluster "${alert.cluster}") ` +
+        `${event === 'resolved' ? 'is back within' : 'breaks'} ${condition}, ${alert.metric} is ${alert.value}`;
+
+    return { event, text, alert };
+}
+
+/**
+ * Hide the secret part of a URL: webhook URLs often carry a token in the path
+ * @param {string} url - URL
+ * @returns {string} Origin followed by an ellipsis
+ */
+function maskUrl(url) {
+    try {
+        return `${new URL(url).origin}/…`;
+    } catch (error) {
+        return '…';
+    }
+}
+
+/**
+ * Hide the URL and header values of a notification channel
+ * @param {Object} notification - Channel from buildNotification()
+ * @returns {Object} Channel safe to show to any user
+ */
+function maskNotification(notification) {
+    if (notification.type === 'email') {
+        return notification;
+    }
+
+    const masked = { ...notification, url: maskUrl(notification.url) };
+    if (notification.headers) {
+        masked.headers = Object.fromEntries(Object.keys(notification.headers).map(name => [name, '***']));
+    }
+    return masked;
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    SAMPLE_EVENT,
+    renderTemplate,
+    buildNotification,
+    describeAlert,
+    maskUrl,
+    maskNotification
+};
@@ -0,0 +1,119 @@
+// src/utils/permissions.js
+
+/**
+ * Capabilities, from least to most dangerous:
+ * - read: overview, queues, exchanges, bindings, connections, channels and move jobs
+ * - peek: look at messages without removing them
+ * - publish: publish messages to exchanges
+ * - consume: get messages and remove them from the queue
+ * - purge: purge queues
+ * - delete: delete queues and exchanges
+ * - close: force-close client connections
+ * - move: move and replay messages, cancel move jobs
+ * - manage: declare queues and exchanges, create and delete bindings, apply topology files
+ * - vhosts: create and delete virtual hosts
+ * - users: create and delete broker users, set their permissions and limits
+ * - policies: create, change and delete policies and operator policies
+ * - definitions: import definitions, export broker users' password hashes, take and delete snapshots
+ * - audit: read the audit log
+ * - alerts: create, change and delete alert rules
+ */
+const CAPABILITIES = ['read', 'peek', 'publish', 'consume', 'purge', 'delete', 'close', 'move', 'manage', 'vhosts', 'users', 'policies', 'definitions', 'audit', 'alerts'];
+
+// Capabilities granted by each role
+const ROLES = {
+    viewer: ['read'],
+    operator: ['read', 'peek', 'publish'],
+    admin: CAPABILITIES
+};
+
+const DEFAULT_ROLE = 'viewer';
+
+// Capabilities left in read-only mode, whatever the role
+const READ_ONLY_CAPABILITIES = ['read', 'peek', 'audit'];
+
+/**
+ * Get the capabilities of a role
+ * @param {string} role - Role name
+ * @param {boolean} [readOnly] - Whether the dashboard is in read-only mode
+ * @returns {string[]} Capabilities, empty for an unknown role
+ */
+function getCapabilities(role, readOnly = false) {
+    const capabilities = ROLES[role] || [];
+    return readOnly
+        ? capabilities.filter(capability => READ_ONLY_CAPABILITIES.includes(capability))
+        : capabilities;
+}
+
+/**
+ * Check whether a resource is within a user's scope. Everything, reading
+ * included, is limited to the user's `vhosts` and to queues matching the
+ * user's `queuePattern`, when those are set.
+ * @param {Object} user - User with optional vhosts and queuePattern
+ * @param {Object} resource - { vhost, queue }; omitted parts are not checked
+ * @returns {boolean} Whether the resource is in scope
+ */
+function isInScope(user, resource = {}) {
+    if (Array.isArray(user.vhosts) && resource.vhost !== undefined &&
+        !user.vhosts.includes(resource.vhost)) {
+        return false;
+    }
+
+    if (user.queuePattern && resource.queue !== undefined &&
+        !new RegExp(user.queuePattern).test(resource.queue)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether a user may do something
+ * @param {Object} user - User with a role and optional scope
+ * @param {string} capability - Capability from CAPABILITIES
+ * @param {Object} resource - { vhost, queue } the action applies to
+ * @returns {boolean} Whether the action is allowed
+ */
+function can(user, capability, resource = {}) {
+    if (!getCapabilities(user.role).includes(capability)) {
+        return false;
+    }
+
+    return isInScope(user, resource);
+}
+
+/**
+ * Check whether a user is limited to some vhosts or queues
+ * @param {Object} [user] - User with optional vhosts and queuePattern
+ * @returns {boolean} Whether the user has a scope
+ */
+function isScoped(user) {
+    return Boolean(user && (Array.isArray(user.vhosts) || user.queuePattern));
+}
+
+/**
+ * Keep the items of a list that are within a user's scope
+ * @param {Object} [user] - User with optional vhosts and queuePattern;
+ * everything is kept without one, as when authentication is disabled
+ * @param {Array<Object>} items - Items to filter
+ * @param {Function} getResource - Gets the { vhost, queue } of an item
+ * @returns {Array<Object>} Items in scope
+ */
+function filterInScope(user, items, getResource) {
+    if (!isScoped(user)) {
+        return items;
+    }
+    return items.filter(item => isInScope(user, getResource(item)));
+}
+
+module.exports = {
+    CAPABILITIES,
+    ROLES,
+    DEFAULT_ROLE,
+    READ_ONLY_CAPABILITIES,
+    getCapabilities,
+    isInScope,
+    isScoped,
+    can,
+    filterInScope
+};
@@ -0,0 +1,111 @@
+// src/utils/policies.js
+
+/**
+ * Check whether a policy's apply-to covers a queue or an exchange
+ * @param {string} applyTo - 'all', 'queues', 'exchanges', 'classic_queues', 'quorum_queues' or 'streams'
+ * @param {string} kind - 'queue' or 'exchange'
+ * @param {Object} resource - Queue or exchange from the management API
+ * @returns {boolean} Whether the policy can apply to the resource
+ */
+function appliesTo(applyTo, kind, resource) {
+    switch (applyTo || 'all') {
+        case 'all':
+            return true;
+        case 'queues':
+            return kind === 'queue';
+        case 'exchanges':
+            return kind === 'exchange';
+        case 'classic_queues':
+            return kind === 'queue' && (resource.type || 'classic') === 'classic';
+        case 'quorum_queues':
+            return kind === 'queue' && resource.type === 'quorum';
+        case 'streams':
+            return kind === 'queue' && resource.type === 'stream';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check whether a policy matches a queue or an exchange. Like RabbitMQ, the
+ * pattern may match anywhere in the name; the default exchange never matches.
+ * @param {Object} policy - Policy with pattern and apply-to
+ * @param {string} kind - 'queue' or 'exchange'
+ * @param {Object} resource - Queue or exchange from the management API
+ * @returns {boolean} Whether the policy matches
+ */
+function policyMatches(policy, kind, resource) {
+    if (kind === 'exchange' && !resource.name) {
+        return false;
+    }
+
+    if (!appliesTo(policy['apply-to'], kind, resource)) {
+        return false;
+    }
+
+    try {
+        return new RegExp(policy.pattern).test(resource.name);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Find the policy RabbitMQ applies to a queue or an exchange: the matching
+ * policy with the highest priority. Ties go to the first policy by name, the
+ * order RabbitMQ keeps them in.
+ * @param {Array<Object>} policies - Policies of the resource's vhost
+ * @param {string} kind - 'queue' or 'exchange'
+ * @param {Object} resource - Queue or exchange from the management API
+ * @returns {Object|null} Winning policy, null when none matches
+ */
+function findWinningPolicy(policies, kind, resource) {
+    const matching = policies
+        .filter(policy => policyMatches(policy, kind, resource))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.name.localeCompare(b.name));
+
+    return matching.length > 0 ? matching[0] : null;
+}
+
+/**
+ * Preview a policy before saving it: the queues and exchanges its pattern
+ * matches, with the policy applied to each now and once the policy is saved
+ * @param {Object} draft - Policy with name, pattern, apply-to and priority
+ * @param {Array<Object>} policies - Existing policies of the vhost; one with
+ * the draft's name is replaced by the draft
+ * @param {Object} resources - { queues, exchanges } of the vhost
+ * @param {string} policyField - Resource field naming the applied policy,
+ * 'policy' or 'operator_policy'
+ * @returns {Object} { queues, exchanges }, each a list of
+ * { name, type, current, winner }
+ */
+function previewPolicy(draft, policies, resources, policyField = 'policy') {
+    const candidates = [
+        ...policies.filter(policy => policy.name !== draft.name),
+        draft
+    ];
+
+    const preview = (kind, items = []) => items
+        .filter(item => policyMatches(draft, kind, item))
+        .map(item => {
+            const winner = findWinningPolicy(candidates, kind, item);
+            return {
+                name: item.name,
+                type: item.type,
+                current: item[policyField] || null,
+                winner: winner ? winner.name : null
+            };
+        });
+
+    return {
+        queues: preview('queue', resources.queues),
+        exchanges: preview('exchange', resources.exchanges)
+    };
+}
+
+module.exports = {
+    appliesTo,
+    policyMatches,
+    findWinningPolicy,
+    previewPolicy
+};
@@ -0,0 +1,97 @@
+// src/utils/prometheus.js
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a sample value, with the spellings Prometheus expects for
+ * non-finite numbers
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Render metric families in the Prometheus text exposition format (0.0.4)
+ * @param {Array<Object>} families - { name, help, type, samples: [{ labels, value }] }
+ * @returns {string} Exposition text
+ */
+function formatMetrics(families) {
+    const lines = [];
+
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+
+        for (const { labels = {}, value } of family.samples) {
+            const names = Object.keys(labels);
+            const labelText = names.length > 0
+                ? `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`
+                : '';
+            lines.push(`${family.name}${labelText} ${formatValue(Number(value))}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Compile an optional regular expression from the configuration
+ * @param {string|null} pattern - Pattern
+ * @param {string} name - Setting name for error messages
+ * @returns {RegExp|null} Compiled pattern
+ * @throws {Error} If the pattern is invalid
+ */
+function compilePattern(pattern, name) {
+    if (!pattern) {
+        return null;
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        throw new Error(`${name} is not a valid regular expression: ${error.message}`);
+    }
+}
+
+/**
+ * Build a filter deciding which queues or exchanges get series, to keep the
+ * number of label values in check
+ * @param {Object} options - { vhosts, include, exclude, setting }
+ * @param {Array<string>|null} options.vhosts - Vhosts to export, null for all
+ * @param {string|null} options.include - Names to export
+ * @param {string|null} options.exclude - Names to leave out, applied after include
+ * @param {string} options.setting - Setting prefix for error messages
+ * @returns {Function} (vhost, name) => boolean
+ * @throws {Error} If a pattern is invalid
+ */
+function createNameFilter({ vhosts, include, exclude, setting }) {
+    const includePattern = compilePattern(include, `${setting}_PATTERN`);
+    const excludePattern = compilePattern(exclude, `${setting}_EXCLUDE`);
+
+    return (vhost, name) => (!vhosts || vhosts.includes(vhost)) &&
+        (!includePattern || includePattern.test(name)) &&
+        (!excludePattern || !excludePattern.test(name));
+}
+
+module.exports = {
+    escapeLabelValue,
+    formatMetrics,
+    createNameFilter
+};
@@ -0,0 +1,490 @@
+// src/utils/topology.js
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { HttpError } = require('./errors');
+const {
+    buildQueueDeclaration,
+    buildExchangeDeclaration,
+    buildBindingDeclaration,
+    buildPolicyDeclaration
+} = require('./declarations');
+const { stableStringify } = require('./definitions');
+
+const DEFAULT_VHOST = '/';
+
+// Order actions run in: bindings go before the queues and exchanges they
+// need are deleted, and are created once those exist
+const STAGES = [
+    'delete binding',
+    'create exchange',
+    'recreate exchange',
+    'create queue',
+    'recreate queue',
+    'create binding',
+    'create policy',
+    'update policy',
+    'delete policy',
+    'delete queue',
+    'delete exchange'
+];
+
+/**
+ * Whether a queue or exchange is created by RabbitMQ or a client connection
+ * rather than declared, and so never managed by a topology file
+ * @param {string} name - Queue or exchange name
+ * @returns {boolean} Whether it is left alone
+ */
+function isSystemName(name) {
+    return name === '' || name.startsWith('amq.');
+}
+
+/**
+ * Parse a topology file
+ * @param {string|Object} source - YAML or JSON text, or the parsed object
+ * @returns {Object} Topology, see normalizeTopology()
+ * @throws {HttpError} 400 for invalid YAML or an invalid topology
+ */
+function parseTopology(source) {
+    let topology = source;
+
+    if (typeof source === 'string') {
+        try {
+            // YAML is a superset of JSON, so this reads both
+            topology = YAML.parse(source);
+        } catch (error) {
+            throw new HttpError(400, `Invalid topology file: ${error.message}`);
+        }
+    }
+
+    return normalizeTopology(topology);
+}
+
+/**
+ * Run a declaration builder on an item of the topology, naming the item in
+ * the error if it is invalid
+ * @param {string} where - e.g. 'queues[2] "orders"'
+ * @param {Function} build - Builder to run
+ * @returns {Object} What the builder returned
+ * @throws {HttpError} 400 for an invalid item
+ */
+function buildItem(where, build) {
+    try {
+        return build();
+    } catch (error) {
+        throw new HttpError(400, `${where}: ${error.message}`);
+    }
+}
+
+/**
+ * Validate a topology and fill in the defaults of every item
+ * @param {Object} topology - Parsed topology file with an optional default
+ * `vhost` and lists of exchanges, queues, bindings and policies; every item
+ * may name its own vhost
+ * @returns {Object} { vhosts, exchanges, queues, bindings, policies } where
+ * vhosts are the virtual hosts the file manages
+ * @throws {HttpError} 400 for an invalid topology
+ */
+function normalizeTopology(topology) {
+    if (!topology || typeof topology !== 'object' || Array.isArray(topology)) {
+        throw new HttpError(400, 'A topology file must be an object with exchanges, queues, bindings and policies');
+    }
+
+    // The file manages the vhost it names and the vhosts its items are in,
+    // not the default one unless an item falls back to it
+    const defaultVhost = topology.vhost || DEFAULT_VHOST;
+    const vhosts = new Set(topology.vhost ? [topology.vhost] : []);
+
+    const list = (kind) => {
+        const items = topology[kind] || [];
+        if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new HttpError(400, `${kind} must be a list of objects`);
+        }
+        return items.map((item, index) => {
+            const vhost = item.vhost || defaultVhost;
+            vhosts.add(vhost);
+            return { item, vhost, where: `${kind}[${index}]${item.name ? ` "${item.name}"` : ''}` };
+        });
+    };
+
+    const requireName = (where, name) => {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new HttpError(400, `${where}: name must not be empty`);
+        }
+    };
+
+    const exchanges = list('exchanges').map(({ item, vhost, where }) => {
+        requireName(where, item.name);
+        if (isSystemName(item.name)) {
+            throw new HttpError(400, `${where}: exchanges starting with "amq." belong to RabbitMQ`);
+        }
+        return { vhost, name: item.name, ...buildItem(where, () => buildExchangeDeclaration(item)) };
+    });
+
+    const queues = list('queues').map(({ item, vhost, where }) => {
+        requireName(where, item.name);
+        if (isSystemName(item.name)) {
+            throw new HttpError(400, `${where}: queues starting with "amq." are named by RabbitMQ`);
+        }
+        const { exclusive, ...declaration } = buildItem(where, () => buildQueueDeclaration(item));
+        if (exclusive) {
+            throw new HttpError(400, `${where}: exclusive queues belong to a connection and cannot be declared in a topology`);
+        }
+        return { vhost, name: item.name, ...declaration };
+    });
+
+    const bindings = list('bindings').map(({ item, vhost, where }) => {
+        const destinationType = item.destination_type || 'queue';
+        if (!['queue', 'exchange'].includes(destinationType)) {
+            throw new HttpError(400, `${where}: destination_type must be "queue" or "exchange"`);
+        }
+        if (typeof item.source !== 'string' || !item.source) {
+            throw new HttpError(400, `${where}: source must name an exchange; the default exchange cannot be bound`);
+        }
+        if (typeof item.destination !== 'string' || !item.destination) {
+            throw new HttpError(400, `${where}: destination must not be empty`);
+        }
+        return {
+            vhost,
+            source: item.source,
+            destination_type: destinationType,
+            destination: item.destination,
+            ...buildItem(where, () => buildBindingDeclaration(item))
+        };
+    });
+
+    const policies = list('policies').map(({ item, vhost, where }) => {
+        requireName(where, item.name);
+        return { vhost, name: item.name, ...buildItem(where, () => buildPolicyDeclaration(item)) };
+    });
+
+    const checkUnique = (kind, items, getKey) => {
+        const seen = new Set();
+        for (const item of items) {
+            const key = getKey(item);
+            if (seen.has(key)) {
+                throw new HttpError(400, `${kind} "${item.name || getBindingName(item)}" is declared twice in vhost "${item.vhost}"`);
+            }
+            seen.add(key);
+        }
+    };
+    checkUnique('Exchange', exchanges, item => stableStringify([item.vhost, item.name]));
+    checkUnique('Queue', queues, item => stableStringify([item.vhost, item.name]));
+    checkUnique('Binding', bindings, getBindingKey);
+    checkUnique('Policy', policies, item => stableStringify([item.vhost, item.name]));
+
+    // Anything else in the vhost is deleted, so bindings may only use what the file declares
+    const declared = {
+        exchange: new Set(exchanges.map(item => stableStringify([item.vhost, item.name]))),
+        queue: new Set(queues.map(item => stableStringify([item.vhost, item.name])))
+    };
+    const isDeclared = (type, vhost, name) => (type === 'exchange' && isSystemName(name)) ||
+        declared[type].has(stableStringify([vhost, name]));
+
+    for (const binding of bindings) {
+        if (!isDeclared('exchange', binding.vhost, binding.source)) {
+            throw new HttpError(400, `Binding "${getBindingName(binding)}": exchange "${binding.source}" is not declared in vhost "${binding.vhost}"`);
+        }
+        if (!isDeclared(binding.destination_type, binding.vhost, binding.destination)) {
+            throw new HttpError(400, `Binding "${getBindingName(binding)}": ${binding.destination_type} "${binding.destination}" is not declared in vhost "${binding.vhost}"`);
+        }
+    }
+
+    // An empty file would otherwise empty the default vhost without naming it
+    if (vhosts.size === 0) {
+        throw new HttpError(400, 'The topology file declares nothing; set vhost to empty a virtual host');
+    }
+
+    return { vhosts: [...vhosts].sort(), exchanges, queues, bindings, policies };
+}
+
+/**
+ * Identify a binding by everything RabbitMQ identifies it by
+ * @param {Object} binding - Binding with vhost
+ * @returns {string} Key
+ */
+function getBindingKey(binding) {
+    return stableStringify([
+        binding.vhost,
+        binding.source,
+        binding.destination_type,
+        binding.destination,
+        binding.routing_key,
+        binding.arguments || {}
+    ]);
+}
+
+/**
+ * Describe a binding for people
+ * @param {Object} binding - Binding
+ * @returns {string} e.g. "orders -> queue orders.new (order.created)"
+ */
+function getBindingName(binding) {
+    return `${binding.source} -> ${binding.destination_type} ${binding.destination}` +
+        (binding.routing_key ? ` (${binding.routing_key})` : '');
+}
+
+/**
+ * List the fields of a queue, exchange or policy that differ
+ * @param {Object} current - Live item, normalized like the desired one
+ * @param {Object} desired - Item from the topology
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} { field, before, after } for each difference;
+ * arguments and definitions are compared key by key
+ */
+function compareFields(current, desired, fields) {
+    const differences = [];
+
+    for (const field of fields) {
+        const before = current[field];
+        const after = desired[field];
+
+        if (field === 'arguments' || field === 'definition') {
+            const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+            for (const key of keys) {
+                if (stableStringify((before || {})[key]) !== stableStringify((after || {})[key])) {
+                    differences.push({ field: `${field}.${key}`, before: (before || {})[key], after: (after || {})[key] });
+                }
+            }
+        } else if (stableStringify(before) !== stableStringify(after)) {
+            differences.push({ field, before, after });
+        }
+    }
+
+    return differences;
+}
+
+/**
+ * Bring a queue from the management API into the shape of a topology queue
+ * @param {Object} queue - Queue from the management API
+ * @returns {Object} { vhost, name, type, durable, auto_delete, arguments }
+ */
+function normalizeLiveQueue(queue) {
+    const args = { ...(queue.arguments || {}) };
+    const type = queue.type || args['x-queue-type'] || 'classic';
+
+    // The topology sets x-queue-type for replicated queues only
+    if (type === 'classic') {
+        delete args['x-queue-type'];
+    } else {
+        args['x-queue-type'] = type;
+    }
+
+    return {
+        vhost: queue.vhost,
+        name: queue.name,
+        type,
+        durable: queue.durable !== false,
+        auto_delete: Boolean(queue.auto_delete),
+        arguments: args
+    };
+}
+
+/**
+ * Compute what it takes to bring the live broker to a topology. Within the
+ * vhosts the topology names, anything it does not declare is deleted;
+ * queues and exchanges named by RabbitMQ and exclusive queues are left alone.
+ * @param {Object} topology - Topology from parseTopology()
+ * @param {Object} live - { exchanges, queues, bindings, policies } of the
+ * topology's vhosts, as the management API lists them
+ * @returns {Object} { id, vhosts, actions, summary }; actions are in the
+ * order they are applied in and each is { action, kind, vhost, name,
+ * destructive, reason, fields, messages, item }; summary counts them by
+ * action and counts the destructive ones; id identifies the plan so it is
+ * only applied if the broker did not change since
+ */
+function buildPlan(topology, live) {
+    const actions = [];
+    const add = (action) => actions.push({ destructive: false, ...action });
+    const byName = (items) => new Map(items.map(item => [stableStringify([item.vhost, item.name]), item]));
+
+    const managed = new Set(topology.vhosts);
+    const inScope = item => managed.has(item.vhost);
+
+    // Queues and exchanges deleted and declared again lose their bindings
+    const recreated = { queue: new Set(), exchange: new Set() };
+
+    // Exchanges
+    const liveExchanges = byName(live.exchanges.filter(exchange => inScope(exchange) && !isSystemName(exchange.name)));
+    const desiredExchanges = byName(topology.exchanges);
+
+    for (const [key, exchange] of desiredExchanges) {
+        const current = liveExchanges.get(key);
+        if (!current) {
+            add({ action: 'create', kind: 'exchange', vhost: exchange.vhost, name: exchange.name, item: exchange });
+            continue;
+        }
+
+        const fields = compareFields(
+            { ...current, arguments: current.arguments || {} },
+            exchange,
+            ['type', 'durable', 'auto_delete', 'internal', 'arguments']
+        );
+        if (fields.length > 0) {
+            recreated.exchange.add(key);
+            add({
+                action: 'recreate',
+                kind: 'exchange',
+                vhost: exchange.vhost,
+                name: exchange.name,
+                destructive: true,
+                reason: 'RabbitMQ cannot change an existing exchange; it is deleted with its bindings and declared again, and messages published to it meanwhile are lost',
+                fields,
+                item: exchange
+            });
+        }
+    }
+
+    for (const [key, exchange] of liveExchanges) {
+        if (!desiredExchanges.has(key)) {
+            add({ action: 'delete', kind: 'exchange', vhost: exchange.vhost, name: exchange.name, destructive: true, reason: 'Not in the topology' });
+        }
+    }
+
+    // Queues
+    const liveQueues = byName(live.queues.filter(queue => inScope(queue) && !isSystemName(queue.name) && !queue.exclusive));
+    const desiredQueues = byName(topology.queues);
+
+    for (const [key, queue] of desiredQueues) {
+        const current = liveQueues.get(key);
+        if (!current) {
+            add({ action: 'create', kind: 'queue', vhost: queue.vhost, name: queue.name, item: queue });
+            continue;
+        }
+
+        const fields = compareFields(normalizeLiveQueue(current), queue, ['type', 'durable', 'auto_delete', 'arguments']);
+        if (fields.length > 0) {
+            recreated.queue.add(key);
+            add({
+                action: 'recreate',
+                kind: 'queue',
+                vhost: queue.vhost,
+                name: queue.name,
+                destructive: true,
+                reason: 'RabbitMQ cannot change the type, durability or arguments of an existing queue; it is deleted with its messages and declared again',
+                fields,
+                messages: current.messages || 0,
+                item: queue
+            });
+        }
+    }
+
+    for (const [key, queue] of liveQueues) {
+        if (!desiredQueues.has(key)) {
+            add({
+                action: 'delete',
+                kind: 'queue',
+                vhost: queue.vhost,
+                name: queue.name,
+                destructive: true,
+                reason: 'Not in the topology; its messages are lost',
+                messages: queue.messages || 0
+            });
+        }
+    }
+
+    // Bindings. Those of RabbitMQ-named and exclusive queues are left alone.
+    const isManagedDestination = binding => binding.destination_type === 'exchange'
+        ? !isSystemName(binding.destination)
+        : liveQueues.has(stableStringify([binding.vhost, binding.destination])) ||
+            desiredQueues.has(stableStringify([binding.vhost, binding.destination]));
+    const liveBindings = new Map(live.bindings
+        .filter(binding => inScope(binding) && binding.source !== '' && isManagedDestination(binding))
+        .map(binding => [getBindingKey(binding), binding]));
+    const desiredBindings = new Map(topology.bindings.map(binding => [getBindingKey(binding), binding]));
+
+    // Whether deleting and declaring a queue or exchange again drops a binding
+    const isDropped = binding => recreated.exchange.has(stableStringify([binding.vhost, binding.source])) ||
+        recreated[binding.destination_type].has(stableStringify([binding.vhost, binding.destination]));
+
+    for (const [key, binding] of desiredBindings) {
+        const name = getBindingName(binding);
+        if (!liveBindings.has(key)) {
+            add({ action: 'create', kind: 'binding', vhost: binding.vhost, name, item: binding });
+        } else if (isDropped(binding)) {
+            add({ action: 'create', kind: 'binding', vhost: binding.vhost, name, reason: 'Declared again with its queue or exchange', item: binding });
+        }
+    }
+
+    for (const [key, binding] of liveBindings) {
+        if (!desiredBindings.has(key)) {
+            add({
+                action: 'delete',
+                kind: 'binding',
+                vhost: binding.vhost,
+                name: getBindingName(binding),
+                reason: 'Not in the topology',
+                item: {
+                    vhost: binding.vhost,
+                    source: binding.source,
+                    destination_type: binding.destination_type,
+                    destination: binding.destination,
+                    properties_key: binding.properties_key
+                }
+            });
+        }
+    }
+
+    // Policies
+    const livePolicies = byName(live.policies.filter(inScope));
+    const desiredPolicies = byName(topology.policies);
+
+    for (const [key, policy] of desiredPolicies) {
+        const current = livePolicies.get(key);
+        if (!current) {
+            add({ action: 'create', kind: 'policy', vhost: policy.vhost, name: policy.name, item: policy });
+            continue;
+        }
+
+        const fields = compareFields(
+            { ...current, priority: current.priority || 0, 'apply-to': current['apply-to'] || 'all' },
+            policy,
+            ['pattern', 'apply-to', 'priority', 'definition']
+        );
+        if (fields.length > 0) {
+            add({ action: 'update', kind: 'policy', vhost: policy.vhost, name: policy.name, fields, item: policy });
+        }
+    }
+
+    for (const [key, policy] of livePolicies) {
+        if (!desiredPolicies.has(key)) {
+            add({ action: 'delete', kind: 'policy', vhost: policy.vhost, name: policy.name, reason: 'Not in the topology' });
+        }
+    }
+
+    actions.sort((a, b) => STAGES.indexOf(`${a.action} ${a.kind}`) - STAGES.indexOf(`${b.action} ${b.kind}`));
+
+    const summary = { create: 0, update: 0, recreate: 0, delete: 0, destructive: 0 };
+    for (const action of actions) {
+        summary[action.action]++;
+        if (action.destructive) {
+            summary.destructive++;
+        }
+    }
+
+    // Message counts change all the time and do not make a plan stale
+    const id = crypto.createHash('sha256')
+        .update(stableStringify(actions.map(({ action, kind, vhost, name, fields, item }) => [action, kind, vhost, name, fields || [], item || null])))
+        .digest('hex')
+        .slice(0, 16);
+
+    return { id, vhosts: topology.vhosts, actions, summary };
+}
+
+/**
+ * Describe how many actions of each kind a plan has
+ * @param {Object} summary - Summary from buildPlan()
+ * @returns {string} e.g. "2 to create, 1 to recreate"
+ */
+function describePlanSummary(summary) {
+    const parts = ['create', 'update', 'recreate', 'delete']
+        .filter(action => summary[action] > 0)
+        .map(action => `${summary[action]} to ${action}`);
+    return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+module.exports = {
+    parseTopology,
+    normalizeTopology,
+    buildPlan,
+    describePlanSummary
+};
@@ -0,0 +1,117 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const RabbitMQAdmin = require('../src');
+
+const PASSWORD = 'secret';
+
+// Dashboard users of the route tests: every role, and an admin limited to one vhost
+const USERS = [
+    { username: 'admin', role: 'admin' },
+    { username: 'operator', role: 'operator' },
+    { username: 'viewer', role: 'viewer' },
+    { username: 'scoped', role: 'admin', vhosts: ['shop'], queuePattern: '^orders\\.' }
+];
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Create a temporary directory removed with removeTempDir()
+ * @returns {string} Directory path
+ */
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'rmq-board-test-'));
+}
+
+/**
+ * Remove a directory from createTempDir()
+ * @param {string} dir - Directory path
+ */
+function removeTempDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Create the dashboard's router with authentication enabled, its files in a
+ * temporary directory and the management API of the default cluster
+ * replaced by a stub
+ * @param {Object} [options] - Options
+ * @param {Object} [options.routes] - Stub responses by 'GET /api/queues';
+ * functions are called with the request body
+ * @param {Object} [options.config] - Configuration overriding the defaults
+ * @returns {Object} { admin, app, broker, calls, as(username), close() }
+ * where calls lists the write requests sent to the management API and as()
+ * resolves to a supertest agent logged in as one of USERS
+ */
+function createTestApp({ routes = {}, config = {} } = {}) {
+    const dir = createTempDir();
+    const usersFile = path.join(dir, 'users.json');
+    const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+    fs.writeFileSync(usersFile, JSON.stringify({ users: USERS.map(user => ({ ...user, passwordHash })) }));
+
+    const admin = new RabbitMQAdmin({
+        logger: silentLogger,
+        authEnabled: true,
+        authUsersFile: usersFile,
+        auditLogFile: path.join(dir, 'audit.log'),
+        metricsEnabled: false,
+        alertRulesFile: path.join(dir, 'alert-rules.json'),
+        snapshotsFile: path.join(dir, 'snapshots.json'),
+        ...config
+    });
+
+    const calls = [];
+    const respond = async (method, url, body) => {
+        if (method !== 'GET') {
+            calls.push({ method, url, body });
+        }
+        const route = routes[`${method} ${url}`];
+        if (route === undefined) {
+            if (method !== 'GET') {
+                return { data: {} };
+            }
+            throw Object.assign(new Error(`Not stubbed: ${method} ${url}`), { response: { status: 404, data: {} } });
+        }
+        return { data: typeof route === 'function' ? route(body) : JSON.parse(JSON.stringify(route)) };
+    };
+
+    const broker = admin.clusters.get();
+    broker.httpClient = {
+        get: url => respond('GET', url.split('?')[0]),
+        put: (url, body) => respond('PUT', url, body),
+        post: (url, body) => respond('POST', url, body),
+        delete: url => respond('DELETE', url)
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/', admin.router);
+
+    const as = async (username) => {
+        const agent = request.agent(app);
+        const response = await agent.post('/api/auth/login').send({ username, password: PASSWORD });
+        if (response.status !== 200) {
+            throw new Error(`Cannot log in as ${username}: ${response.body.error}`);
+        }
+        return agent.set('Authorization', `Bearer ${response.body.token}`);
+    };
+
+    const close = () => {
+        admin.auth.close();
+        removeTempDir(dir);
+    };
+
+    return { admin, app, broker, calls, as, close };
+}
+
+module.exports = {
+    USERS,
+    silentLogger,
+    createTempDir,
+    removeTempDir,
+    createTestApp
+};
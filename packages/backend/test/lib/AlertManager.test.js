@@ -0,0 +1,89 @@
+// test/lib/AlertManager.test.js
+const fs = require('fs');
+const path = require('path');
+const AlertManager = require('../../src/lib/AlertManager');
+const { createTempDir, removeTempDir } = require('../helpers');
+
+const rule = { name: 'Backlog', metric: 'messages', comparator: '>', threshold: 100 };
+
+describe('AlertManager', () => {
+    let dir;
+    let file;
+    let broker;
+    let logger;
+    let manager;
+
+    beforeEach(() => {
+        dir = createTempDir();
+        file = path.join(dir, 'alert-rules.json');
+        broker = { id: 'default', fetchFromRabbitMQ: jest.fn().mockResolvedValue([]) };
+        logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        manager = new AlertManager({ list: () => [broker] }, { alertRulesFile: file, refreshInterval: 60000 }, logger);
+    });
+
+    afterEach(async () => {
+        await manager.stop();
+        removeTempDir(dir);
+    });
+
+    test('saves rules and loads them again', async () => {
+        const created = await manager.createRule(rule);
+
+        const loaded = new AlertManager({ list: () => [broker] }, { alertRulesFile: file }, logger);
+        await loaded.load();
+
+        expect(loaded.listRules()).toEqual([created]);
+    });
+
+    test('skips invalid rules in the file', async () => {
+        fs.writeFileSync(file, JSON.stringify({
+            rules: [
+                { id: 'good', ...rule, createdAt: '2024-01-01T00:00:00.000Z' },
+                { id: 'bad-metric', ...rule, metric: 'bytes' },
+                { ...rule },
+                null
+            ]
+        }));
+
+        await manager.load();
+
+        expect(manager.listRules().map(({ id }) => id)).toEqual(['good']);
+        expect(manager.getRule('good')).toMatchObject({ threshold: 100, enabled: true, createdAt: '2024-01-01T00:00:00.000Z' });
+        expect(logger.warn).toHaveBeenCalledTimes(3);
+        expect(logger.warn.mock.calls[0][0]).toMatch(/Skipping alert rule 2 .*metric must be one of/);
+    });
+
+    test('rejects a rules file that is not JSON', async () => {
+        fs.writeFileSync(file, '{');
+        await expect(manager.load()).rejects.toThrow(/Cannot read alert rules file/);
+    });
+
+    test('fires once the condition held for the duration and resolves after', async () => {
+        const created = await manager.createRule({ ...rule, duration: 0 });
+        const events = [];
+        manager.on('alert', alert => events.push(alert.state));
+
+        broker.fetchFromRabbitMQ.mockResolvedValue([{ vhost: '/', name: 'orders', messages: 150 }]);
+        await manager.evaluate();
+
+        expect(manager.getAlerts().alerts).toEqual([
+            expect.objectContaining({ ruleId: created.id, queue: 'orders', value: 150, state: 'firing' })
+        ]);
+
+        broker.fetchFromRabbitMQ.mockResolvedValue([{ vhost: '/', name: 'orders', messages: 10 }]);
+        await manager.evaluate();
+
+        expect(manager.getAlerts().alerts).toEqual([]);
+        expect(manager.getAlerts().resolved[0]).toMatchObject({ queue: 'orders', state: 'resolved' });
+        expect(events).toEqual(['firing', 'resolved']);
+    });
+
+    test('logs evaluation errors when started instead of rejecting', async () => {
+        manager.evaluate = jest.fn().mockRejectedValue(new Error('boom'));
+
+        await manager.start();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(logger.error).toHaveBeenCalledWith('Error evaluating alert rules: boom');
+    });
+});
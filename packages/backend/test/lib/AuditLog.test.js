@@ -0,0 +1,129 @@
+// test/lib/AuditLog.test.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AuditLog = require('../../src/lib/AuditLog');
+const { createTempDir, removeTempDir } = require('../helpers');
+
+const entry = (i, extra = {}) => ({
+    user: 'admin',
+    action: 'queue.purge',
+    outcome: 'success',
+    cluster: 'default',
+    vhost: '/',
+    resource: { type: 'queue', name: `jobs-${i}` },
+    ...extra
+});
+
+describe('AuditLog', () => {
+    let dir;
+    let file;
+    let logger;
+
+    const createLog = (config = {}) => new AuditLog({ auditLogFile: file, ...config }, logger);
+
+    beforeEach(() => {
+        dir = createTempDir();
+        file = path.join(dir, 'audit.log');
+        logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    afterEach(() => {
+        removeTempDir(dir);
+    });
+
+    test('rotates full files and drops the oldest', async () => {
+        // Two entries per file, three files in all
+        const lineSize = Buffer.byteLength(JSON.stringify({ time: new Date().toISOString(), ...entry(0) }) + '\n');
+        const log = createLog({ auditMaxSize: lineSize * 2, auditMaxFiles: 3 });
+
+        for (let i = 0; i < 7; i++) {
+            await log.record(entry(i));
+        }
+
+        const names = async name => (await log._readLines(name)).map(line => JSON.parse(line).resource.name);
+        expect(await names(file)).toEqual(['jobs-6']);
+        expect(await names(`${file}.1`)).toEqual(['jobs-4', 'jobs-5']);
+        expect(await names(`${file}.2`)).toEqual(['jobs-2', 'jobs-3']);
+        expect(fs.existsSync(`${file}.3`)).toBe(false);
+
+        const { entries, total } = await log.query();
+        expect(total).toBe(5);
+        expect(entries.map(({ resource }) => resource.name)).toEqual(['jobs-6', 'jobs-5', 'jobs-4', 'jobs-3', 'jobs-2']);
+    });
+
+    test('keeps a single file by emptying it', async () => {
+        const log = createLog({ auditMaxSize: 10, auditMaxFiles: 1 });
+
+        await log.record(entry(0));
+        await log.record(entry(1));
+
+        expect((await log.query()).entries.map(({ resource }) => resource.name)).toEqual(['jobs-1']);
+    });
+
+    test('filters entries, newest first', async () => {
+        const log = createLog();
+        await log.record(entry(0));
+        await log.record(entry(1, { action: 'queue.delete', vhost: 'shop' }));
+        await log.record(entry(2, { action: 'exchange.delete', user: 'operator' }));
+        await log.record(entry(3, { action: 'queue', outcome: 'denied', resource: { type: 'queue', name: 'Orders' } }));
+
+        const names = async filters => (await log.query(filters)).entries.map(({ resource }) => resource.name);
+
+        expect(await names({})).toEqual(['Orders', 'jobs-2', 'jobs-1', 'jobs-0']);
+        expect(await names({ action: 'queue' })).toEqual(['Orders', 'jobs-1', 'jobs-0']);
+        expect(await names({ action: 'queue.delete' })).toEqual(['jobs-1']);
+        expect(await names({ user: 'operator' })).toEqual(['jobs-2']);
+        expect(await names({ vhost: 'shop' })).toEqual(['jobs-1']);
+        expect(await names({ outcome: 'denied' })).toEqual(['Orders']);
+        expect(await names({ resource: 'order' })).toEqual(['Orders']);
+        expect(await names({ from: new Date(Date.now() + 60000).toISOString() })).toEqual([]);
+        expect(await names({ to: new Date(Date.now() + 60000).toISOString() })).toHaveLength(4);
+    });
+
+    test('pages through entries', async () => {
+        const log = createLog();
+        for (let i = 0; i < 5; i++) {
+            await log.record(entry(i));
+        }
+
+        const page = await log.query({ limit: '2', offset: '1' });
+
+        expect(page).toMatchObject({ total: 5, limit: 2, offset: 1 });
+        expect(page.entries.map(({ resource }) => resource.name)).toEqual(['jobs-3', 'jobs-2']);
+        expect((await log.query({ limit: 10000 })).limit).toBe(500);
+    });
+
+    test('rejects dates that do not parse', async () => {
+        await expect(createLog().query({ from: 'yesterday' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('skips lines that are not JSON', async () => {
+        const log = createLog();
+        await log.record(entry(0));
+        fs.appendFileSync(file, '{"time": \n');
+
+        expect((await log.query()).total).toBe(1);
+    });
+
+    test('logs write errors instead of throwing', async () => {
+        file = path.join(dir, 'missing', 'audit.log');
+        const log = createLog();
+
+        await expect(log.record(entry(0))).resolves.toBeUndefined();
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error writing audit log'));
+    });
+
+    test('writes nothing when disabled', async () => {
+        await createLog({ auditEnabled: false }).record(entry(0));
+
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('describes payloads by their hash unless payloads are included', () => {
+        const hash = crypto.createHash('sha256').update('hello').digest('hex');
+
+        expect(createLog().describePayload('hello')).toEqual({ payloadHash: hash, payloadSize: 5 });
+        expect(createLog({ auditIncludePayloads: true }).describePayload(Buffer.from('hello'))).toEqual({ payload: 'hello', payloadSize: 5 });
+    });
+});
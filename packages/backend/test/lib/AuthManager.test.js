@@ -0,0 +1,107 @@
+// test/lib/AuthManager.test.js
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const AuthManager = require('../../src/lib/AuthManager');
+const { silentLogger, createTempDir, removeTempDir } = require('../helpers');
+
+const passwordHash = bcrypt.hashSync('secret', 4);
+
+describe('AuthManager', () => {
+    let dir;
+    let file;
+    let auth;
+
+    const createAuth = (users, config = {}) => {
+        fs.writeFileSync(file, JSON.stringify(users));
+        auth = new AuthManager({ authEnabled: true, authUsersFile: file, ...config }, silentLogger);
+        return auth;
+    };
+
+    beforeEach(() => {
+        dir = createTempDir();
+        file = path.join(dir, 'users.json');
+        auth = null;
+    });
+
+    afterEach(() => {
+        if (auth) {
+            auth.close();
+        }
+        removeTempDir(dir);
+    });
+
+    test('reads users with a role, defaulting to viewer', () => {
+        createAuth({ users: [{ username: 'ops', passwordHash, role: 'operator', vhosts: ['shop'] }, { username: 'guest', passwordHash }] });
+
+        expect(auth.users.get('ops')).toMatchObject({ role: 'operator', vhosts: ['shop'] });
+        expect(auth.users.get('guest').role).toBe('viewer');
+    });
+
+    test.each([
+        ['an empty list', { users: [] }, /non-empty "users" array/],
+        ['a user without a username', [{ passwordHash }], /User 1 .* has no username/],
+        ['a plain text password', [{ username: 'ops', passwordHash: 'secret' }], /needs a bcrypt passwordHash/],
+        ['an unknown role', [{ username: 'ops', passwordHash, role: 'root' }], /unknown role "root"/],
+        ['vhosts that are not a list', [{ username: 'ops', passwordHash, vhosts: 'shop' }], /"vhosts" of user "ops"/],
+        ['an invalid queue pattern', [{ username: 'ops', passwordHash, queuePattern: '(' }], /"queuePattern" of user "ops" .* not a valid regular expression/]
+    ])('rejects a users file with %s', (_, users, message) => {
+        expect(() => createAuth(users)).toThrow(message);
+    });
+
+    test('logs in with the right password only', async () => {
+        createAuth([{ username: 'ops', passwordHash, role: 'operator' }]);
+
+        const session = await auth.login('ops', 'secret');
+
+        expect(session.token).toMatch(/^[0-9a-f]{64}$/);
+        expect(auth.getUser(auth.getSession(session.token))).toEqual({ username: 'ops', role: 'operator', vhosts: null, queuePattern: null });
+        await expect(auth.login('ops', 'wrong')).rejects.toMatchObject({ status: 401 });
+        await expect(auth.login('nobody', 'secret')).rejects.toMatchObject({ status: 401 });
+        await expect(auth.login('ops')).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('ends sessions on logout and when they expire', async () => {
+        createAuth([{ username: 'ops', passwordHash }], { authSessionTtl: 1000 });
+
+        const first = await auth.login('ops', 'secret');
+        expect(auth.logout(first.token)).toBe(first);
+        expect(auth.getSession(first.token)).toBeNull();
+
+        const second = await auth.login('ops', 'secret');
+        second.expiresAt = Date.now() - 1;
+        expect(auth.getSession(second.token)).toBeNull();
+        expect(auth.sessions.size).toBe(0);
+    });
+
+    test('reads the token from a bearer header or the session cookie', () => {
+        createAuth([{ username: 'ops', passwordHash }]);
+
+        expect(auth.getToken({ authorization: 'Bearer abc' })).toBe('abc');
+        expect(auth.getToken({ cookie: 'theme=dark; rmq_board_session=def' })).toBe('def');
+        expect(auth.getToken({ authorization: 'Basic abc' })).toBeNull();
+    });
+
+    test('refuses what the role does not allow, and writes in read-only mode', () => {
+        createAuth([{ username: 'ops', passwordHash, role: 'operator' }], { readOnly: true });
+        const viewer = { username: 'view', role: 'viewer' };
+
+        expect(() => auth.authorize(viewer, 'purge', { vhost: '/', queue: 'jobs' }))
+            .toThrow('The dashboard is in read-only mode, purge is disabled');
+        auth.readOnly = false;
+        expect(() => auth.authorize(viewer, 'purge', { vhost: '/', queue: 'jobs' }))
+            .toThrow('User "view" (viewer) is not allowed to purge on vhost "/", queue "jobs"');
+        expect(auth.isAllowed(viewer, 'read', { vhost: '/' })).toBe(true);
+    });
+
+    test('allows everything but read-only writes when disabled', () => {
+        auth = new AuthManager({ authEnabled: false, readOnly: true }, silentLogger);
+        const next = jest.fn();
+
+        auth.middleware()({ headers: {} }, {}, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(auth.isAllowed(undefined, 'delete')).toBe(false);
+        expect(auth.isAllowed(undefined, 'read')).toBe(true);
+    });
+});
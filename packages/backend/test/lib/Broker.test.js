@@ -0,0 +1,73 @@
+// test/lib/Broker.test.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const Broker = require('../../src/lib/Broker');
+const AmqpChannelPool = require('../../src/lib/AmqpChannelPool');
+const { silentLogger } = require('../helpers');
+
+jest.mock('axios');
+jest.mock('../../src/lib/AmqpChannelPool', () => jest.fn());
+
+const config = { rabbitMQUrl: 'http://localhost:15672', username: 'guest', password: 'guest', vhost: '/' };
+
+describe('Broker', () => {
+    let get;
+    let getChannel;
+
+    beforeEach(() => {
+        get = jest.fn();
+        axios.create.mockReturnValue({ get });
+
+        getChannel = jest.fn();
+        AmqpChannelPool.mockImplementation(() => Object.assign(new EventEmitter(), { getChannel, close: jest.fn() }));
+    });
+
+    test('connects both clients', async () => {
+        get.mockResolvedValue({ data: {} });
+        getChannel.mockResolvedValue({});
+        const broker = new Broker({ id: 'default' }, config, silentLogger);
+
+        await expect(broker.initialize()).resolves.toBe(true);
+
+        expect(broker.describe()).toMatchObject({ http: true, amqp: true });
+    });
+
+    test('falls back to HTTP only when AMQP fails', async () => {
+        get.mockResolvedValue({ data: {} });
+        getChannel.mockRejectedValue(new Error('ECONNREFUSED'));
+        const broker = new Broker({ id: 'default' }, config, silentLogger);
+
+        await expect(broker.initialize()).resolves.toBe(true);
+
+        expect(broker.describe()).toMatchObject({ http: true, amqp: false });
+    });
+
+    test('sets up AMQP when the management API is down, and reconnects it later', async () => {
+        get.mockRejectedValue(new Error('ECONNREFUSED'));
+        getChannel.mockRejectedValue(new Error('ECONNREFUSED'));
+        const broker = new Broker({ id: 'default' }, config, silentLogger);
+
+        await expect(broker.initialize()).rejects.toThrow('ECONNREFUSED');
+        expect(broker.amqpPool).not.toBeNull();
+        expect(broker.isAmqpConnected()).toBe(false);
+
+        getChannel.mockResolvedValue({});
+        await broker.reconnectAmqp();
+
+        expect(getChannel).toHaveBeenLastCalledWith('/');
+        expect(broker.isAmqpConnected()).toBe(true);
+    });
+
+    test('marks AMQP down when the configured vhost loses its connection', async () => {
+        get.mockResolvedValue({ data: {} });
+        getChannel.mockResolvedValue({});
+        const broker = new Broker({ id: 'default' }, config, silentLogger);
+        await broker.initialize();
+
+        broker.amqpPool.emit('connection-lost', 'other');
+        expect(broker.isAmqpConnected()).toBe(true);
+
+        broker.amqpPool.emit('connection-lost', '/');
+        expect(broker.isAmqpConnected()).toBe(false);
+    });
+});
@@ -0,0 +1,185 @@
+// test/lib/MessageMover.test.js
+const EventEmitter = require('events');
+const MessageMover = require('../../src/lib/MessageMover');
+const { silentLogger } = require('../helpers');
+
+const notFound = () => Object.assign(new Error('NOT_FOUND'), { code: 404 });
+
+/**
+ * Pool of channels on a broker kept in memory: queues are arrays of
+ * messages, exchanges route by routing key to the queue of the same name
+ */
+function createBroker(queues, { exchanges = [], nack = false } = {}) {
+    const state = { queues, published: [] };
+
+    const openChannel = async () => {
+        const channel = new EventEmitter();
+        channel.checkQueue = async (name) => {
+            if (!queues[name]) throw notFound();
+            return { messageCount: queues[name].length };
+        };
+        channel.checkExchange = async (name) => {
+            if (!exchanges.includes(name)) throw notFound();
+        };
+        channel.get = async name => queues[name].shift() || false;
+        channel.ack = () => {};
+        channel.nack = (message, allUpTo, requeue) => {
+            if (requeue) queues[message.fields.queue].unshift(message);
+        };
+        channel.publish = (exchange, routingKey, content, options, callback) => {
+            state.published.push({ exchange, routingKey, options });
+            if (nack) {
+                return callback(new Error('nack'));
+            }
+            if (queues[routingKey]) {
+                queues[routingKey].push({ content, properties: options, fields: { queue: routingKey, routingKey } });
+            } else if (options.mandatory) {
+                channel.emit('return');
+            }
+            callback(null);
+        };
+        channel.close = async () => {};
+        return channel;
+    };
+
+    return { pool: { openChannel }, state };
+}
+
+const message = (queue, body, properties = {}) => ({
+    content: Buffer.from(body),
+    properties,
+    fields: { queue, routingKey: `key.${body}` }
+});
+
+// Resolve with the job once it stops
+const finished = (mover, id) => new Promise((resolve) => {
+    const onProgress = (job) => {
+        if (job.id === id && job.finishedAt) {
+            mover.off('progress', onProgress);
+            resolve(job);
+        }
+    };
+    mover.on('progress', onProgress);
+});
+
+describe('MessageMover', () => {
+    const start = (mover, request) => {
+        const job = mover.start({ vhost: '/', queue: 'source', count: null, ...request });
+        return finished(mover, job.id);
+    };
+
+    test('moves every message to the target queue', async () => {
+        const { pool, state } = createBroker({
+            source: [message('source', 'a', { headers: { n: 1 } }), message('source', 'b')],
+            target: []
+        });
+        const mover = new MessageMover(pool, silentLogger, { username: 'board' });
+
+        const job = await start(mover, { target: { queue: 'target' } });
+
+        expect(job).toMatchObject({ status: 'completed', total: 2, moved: 2, error: null });
+        expect(state.queues.source).toEqual([]);
+        expect(state.queues.target.map(({ content }) => content.toString())).toEqual(['a', 'b']);
+        expect(state.published[0]).toMatchObject({ exchange: '', routingKey: 'target', options: { headers: { n: 1 } } });
+        expect(mover.getJob(job.id)).toEqual(job);
+    });
+
+    test('moves no more than requested', async () => {
+        const { pool, state } = createBroker({
+            source: ['a', 'b', 'c'].map(body => message('source', body)),
+            target: []
+        });
+        const mover = new MessageMover(pool, silentLogger);
+
+        const job = await start(mover, { target: { queue: 'target' }, count: 2 });
+
+        expect(job).toMatchObject({ status: 'completed', requested: 2, total: 2, moved: 2 });
+        expect(state.queues.source.map(({ content }) => content.toString())).toEqual(['c']);
+        expect(state.queues.target.map(({ content }) => content.toString())).toEqual(['a', 'b']);
+    });
+
+    test('keeps the routing key unless the target sets one', async () => {
+        const { pool, state } = createBroker(
+            { source: [message('source', 'a')], 'key.a': [] },
+            { exchanges: ['orders'] }
+        );
+        const mover = new MessageMover(pool, silentLogger, { username: 'board' });
+
+        await start(mover, { target: { exchange: 'orders' } });
+
+        expect(state.published).toEqual([
+            expect.objectContaining({ exchange: 'orders', routingKey: 'key.a' })
+        ]);
+    });
+
+    test('drops a user id the connection may not publish as', async () => {
+        const { pool, state } = createBroker({
+            source: [message('source', 'a', { userId: 'alice' }), message('source', 'b', { userId: 'board' })],
+            target: []
+        });
+        const mover = new MessageMover(pool, silentLogger, { username: 'board' });
+
+        await start(mover, { target: { queue: 'target' } });
+
+        expect(state.published.map(({ options }) => options.userId)).toEqual([undefined, 'board']);
+        expect(state.published.every(({ options }) => options.mandatory)).toBe(true);
+    });
+
+    test('leaves a message the broker did not confirm in the source queue', async () => {
+        const { pool, state } = createBroker({ source: [message('source', 'a')], target: [] }, { nack: true });
+        const mover = new MessageMover(pool, silentLogger);
+
+        const job = await start(mover, { target: { queue: 'target' } });
+
+        expect(job).toMatchObject({ status: 'failed', moved: 0 });
+        expect(job.error).toMatch(/did not confirm.*left in the source queue/);
+        expect(state.queues.source).toHaveLength(1);
+    });
+
+    test('leaves a message the target did not route in the source queue', async () => {
+        const { pool, state } = createBroker({ source: [message('source', 'a')] }, { exchanges: ['orders'] });
+        const mover = new MessageMover(pool, silentLogger);
+
+        const job = await start(mover, { target: { exchange: 'orders', routingKey: 'nowhere' } });
+
+        expect(job).toMatchObject({ status: 'failed', moved: 0 });
+        expect(job.error).toMatch(/did not route/);
+        expect(state.queues.source).toHaveLength(1);
+    });
+
+    test.each([
+        ['source queue', { queue: 'missing', target: { queue: 'target' } }, 'Queue "missing" not found'],
+        ['target queue', { target: { queue: 'missing' } }, 'Target queue "missing" not found'],
+        ['target exchange', { target: { exchange: 'missing' } }, 'Target exchange "missing" not found']
+    ])('fails when the %s does not exist', async (_, request, error) => {
+        const { pool } = createBroker({ source: [], target: [] });
+        const mover = new MessageMover(pool, silentLogger);
+
+        expect(await start(mover, request)).toMatchObject({ status: 'failed', error });
+    });
+
+    test('refuses a second job on a queue being moved from', async () => {
+        const { pool } = createBroker({ source: [message('source', 'a')], target: [] });
+        const mover = new MessageMover(pool, silentLogger);
+
+        const job = mover.start({ vhost: '/', queue: 'source', target: { queue: 'target' }, count: null });
+        const done = finished(mover, job.id);
+
+        expect(() => mover.start({ vhost: '/', queue: 'source', target: { queue: 'target' }, count: null }))
+            .toThrow(expect.objectContaining({ status: 409 }));
+        await done;
+    });
+
+    test('stops a cancelled job', async () => {
+        const { pool, state } = createBroker({ source: [message('source', 'a')], target: [] });
+        const mover = new MessageMover(pool, silentLogger);
+
+        const job = mover.start({ vhost: '/', queue: 'source', target: { queue: 'target' }, count: null });
+        const done = finished(mover, job.id);
+
+        expect(mover.cancel(job.id).cancelling).toBe(true);
+        expect(await done).toMatchObject({ status: 'cancelled', moved: 0, cancelling: false });
+        expect(state.queues.source).toHaveLength(1);
+        expect(() => mover.cancel('unknown')).toThrow(expect.objectContaining({ status: 404 }));
+    });
+});
@@ -0,0 +1,106 @@
+// test/lib/MetricsStore.test.js
+const path = require('path');
+const MetricsStore = require('../../src/lib/MetricsStore');
+const { createTempDir, removeTempDir } = require('../helpers');
+
+const FIELDS = ['messages', 'publishRate'];
+const START = Date.UTC(2024, 0, 1);
+const SECOND = 1000;
+
+describe('MetricsStore', () => {
+    let dir;
+    let logger;
+    let store;
+    const key = MetricsStore.key('default', 'queue', '/', 'jobs');
+
+    // Record one sample every 15 seconds from START, ending at the current time
+    const recordEvery15s = (values) => {
+        values.forEach((value, i) => {
+            const time = START + i * 15 * SECOND;
+            jest.setSystemTime(time);
+            store.record(key, FIELDS, { messages: value, publishRate: '2.5' }, time);
+        });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        dir = createTempDir();
+        logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        store = new MetricsStore({ metricsFile: path.join(dir, 'metrics.json'), metricsMaxSeries: 2 }, logger);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        removeTempDir(dir);
+    });
+
+    test('keeps the last hour of 15 second buckets in the 1h ring', () => {
+        recordEvery15s(Array.from({ length: 300 }, (_, i) => i));
+
+        const { step, fields, points } = store.query(key, '1h');
+
+        expect(step).toBe(15 * SECOND);
+        expect(fields).toEqual(FIELDS);
+        // 240 buckets in the ring and the one being filled
+        expect(points).toHaveLength(241);
+        expect(points[0]).toEqual({ time: new Date(START + 59 * 15 * SECOND).toISOString(), messages: 59, publishRate: 2.5 });
+        expect(points[points.length - 1].messages).toBe(299);
+    });
+
+    test('averages samples into 5 minute buckets for 24h', () => {
+        // 20 samples fill the first 5 minutes, the 21st starts the next bucket
+        recordEvery15s(Array.from({ length: 21 }, (_, i) => i));
+
+        const { step, points } = store.query(key, '24h');
+
+        expect(step).toBe(5 * 60 * SECOND);
+        expect(points.map(point => point.messages)).toEqual([9.5, 20]);
+        expect(points[1].time).toBe(new Date(START + 5 * 60 * SECOND).toISOString());
+    });
+
+    test('drops history recorded with other fields', () => {
+        recordEvery15s([1, 2]);
+        store.record(key, ['messages'], { messages: 5 }, START + 30 * SECOND);
+
+        expect(store.query(key, '1h')).toMatchObject({ fields: ['messages'], points: [{ messages: 5 }] });
+    });
+
+    test('stops adding series at metricsMaxSeries and warns once', () => {
+        jest.setSystemTime(START);
+        for (const name of ['a', 'b', 'c', 'd']) {
+            store.record(MetricsStore.key('default', 'queue', '/', name), FIELDS, {}, START);
+        }
+
+        expect(store.series.size).toBe(2);
+        expect(store.query(MetricsStore.key('default', 'queue', '/', 'c')).points).toEqual([]);
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects unknown ranges', () => {
+        expect(() => store.query(key, '30d')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('saves the store and loads it again', async () => {
+        jest.useRealTimers();
+        const now = Date.now();
+        store.record(key, FIELDS, { messages: 4, publishRate: 1 }, now - 60 * SECOND);
+        store.record(key, FIELDS, { messages: 6, publishRate: 1 }, now);
+        await store.save();
+
+        const loaded = new MetricsStore({ metricsFile: store.file }, logger);
+        await loaded.load();
+
+        for (const range of ['1h', '24h', '7d']) {
+            expect(loaded.query(key, range)).toEqual(store.query(key, range));
+        }
+    });
+
+    test('forgets series not sampled for 7 days', async () => {
+        jest.useRealTimers();
+        store.record(key, FIELDS, { messages: 1 }, Date.now() - 8 * 24 * 60 * 60 * SECOND);
+
+        await store.save();
+
+        expect(store.series.size).toBe(0);
+    });
+});
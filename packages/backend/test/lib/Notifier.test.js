@@ -0,0 +1,165 @@
+// test/lib/Notifier.test.js
+const http = require('http');
+const nodemailer = require('nodemailer');
+const Notifier = require('../../src/lib/Notifier');
+const { silentLogger } = require('../helpers');
+
+const alert = {
+    id: 'alert-1',
+    ruleId: 'rule-1',
+    rule: 'Backlog',
+    severity: 'critical',
+    cluster: 'default',
+    vhost: '/',
+    queue: 'orders',
+    metric: 'messages',
+    comparator: '>',
+    threshold: 100,
+    duration: 0,
+    value: 150,
+    state: 'firing'
+};
+
+/**
+ * Start an HTTP server answering with the given statuses in turn, then 200
+ * @param {Array<number>} statuses - Statuses of the first responses
+ * @returns {Promise<Object>} { url, requests, close() }
+ */
+function startServer(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.statusCode = statuses.shift() || 200;
+            res.end();
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+describe('Notifier', () => {
+    let server;
+
+    afterEach(async () => {
+        if (server) {
+            await server.close();
+            server = null;
+        }
+    });
+
+    test('posts the event to webhooks with their headers', async () => {
+        server = await startServer();
+        const notifier = new Notifier({ notifyMaxRetries: 0 }, silentLogger);
+        const rule = { id: 'rule-1', name: 'Backlog', notifications: [{ type: 'webhook', url: `${server.url}/hook`, headers: { 'X-Token': 'secret' }, body: null }] };
+
+        const [delivery] = await notifier.notify(rule, alert);
+
+        expect(delivery).toMatchObject({ ruleId: 'rule-1', event: 'firing', channel: 'webhook', outcome: 'success' });
+        expect(delivery.attempts).toEqual([expect.objectContaining({ result: 'HTTP 200', error: null })]);
+        expect(server.requests).toHaveLength(1);
+        expect(server.requests[0]).toMatchObject({ method: 'POST', url: '/hook', headers: { 'x-token': 'secret' } });
+        expect(server.requests[0].body).toMatchObject({ event: 'firing', alert: { queue: 'orders', value: 150 } });
+    });
+
+    test('renders webhook body templates', async () => {
+        server = await startServer();
+        const notifier = new Notifier({ notifyMaxRetries: 0 }, silentLogger);
+        const body = '{"summary": "{{text}}", "queue": "{{alert.queue}}", "value": {{alert.value}}}';
+
+        await notifier.notify({ id: 'rule-1', name: 'Backlog', notifications: [{ type: 'webhook', url: server.url, headers: {}, body }] }, alert);
+
+        expect(server.requests[0].body).toEqual({
+            summary: expect.stringContaining('[FIRING] Backlog'),
+            queue: 'orders',
+            value: 150
+        });
+    });
+
+    test('posts the text to Slack webhooks', async () => {
+        server = await startServer();
+        const notifier = new Notifier({ notifyMaxRetries: 0 }, silentLogger);
+
+        await notifier.notify({ id: 'rule-1', name: 'Backlog', notifications: [{ type: 'slack', url: `${server.url}/services/T0/B0/token` }] }, { ...alert, state: 'resolved' });
+
+        expect(server.requests[0].body).toEqual({ text: expect.stringMatching(/^\[RESOLVED\] Backlog: queue "orders"/) });
+        // The token in the URL is not kept in the delivery record
+        expect(notifier.getDeliveries()[0].target).toBe(`${server.url}/…`);
+    });
+
+    test('retries failed sends and records every attempt', async () => {
+        server = await startServer([500]);
+        const notifier = new Notifier({ notifyMaxRetries: 1 }, silentLogger);
+
+        const [delivery] = await notifier.notify({ id: 'rule-1', name: 'Backlog', notifications: [{ type: 'slack', url: server.url }] }, alert);
+
+        expect(delivery.outcome).toBe('success');
+        expect(delivery.attempts).toEqual([
+            expect.objectContaining({ result: null, error: expect.stringContaining('500') }),
+            expect.objectContaining({ result: 'HTTP 200', error: null })
+        ]);
+        expect(server.requests).toHaveLength(2);
+    });
+
+    test('records failures once the retries are used up', async () => {
+        server = await startServer([503, 503]);
+        const logger = { ...silentLogger, error: jest.fn() };
+        const notifier = new Notifier({ notifyMaxRetries: 1 }, logger);
+        const rule = { id: 'rule-1', name: 'Backlog', notifications: [{ type: 'slack', url: server.url }] };
+
+        const [delivery] = await notifier.notify(rule, alert);
+
+        expect(delivery.outcome).toBe('failure');
+        expect(delivery.attempts).toHaveLength(2);
+        expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/failed after 2 attempts/));
+    });
+
+    test('does not retry test notifications', async () => {
+        server = await startServer([500]);
+        const notifier = new Notifier({ notifyMaxRetries: 3 }, silentLogger);
+
+        const [delivery] = await notifier.test({ id: 'rule-1', name: 'Backlog', metric: 'messages', notifications: [{ type: 'slack', url: server.url }] });
+
+        expect(delivery).toMatchObject({ event: 'test', outcome: 'failure' });
+        expect(delivery.attempts).toHaveLength(1);
+    });
+
+    test('emails the event through the SMTP transport', async () => {
+        const notifier = new Notifier({ notifyMaxRetries: 0, smtpFrom: 'rmq-board@example.com' }, silentLogger);
+        notifier.transport = nodemailer.createTransport({ jsonTransport: true });
+        const sendMail = jest.spyOn(notifier.transport, 'sendMail');
+
+        const [delivery] = await notifier.notify({ id: 'rule-1', name: 'Backlog', notifications: [{ type: 'email', to: ['ops@example.com'] }] }, alert);
+
+        expect(delivery).toMatchObject({ channel: 'email', target: 'ops@example.com', outcome: 'success' });
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+            from: 'rmq-board@example.com',
+            to: ['ops@example.com'],
+            subject: expect.stringMatching(/^\[FIRING\] Backlog/),
+            text: expect.stringContaining('"queue": "orders"')
+        }));
+    });
+
+    test('keeps the deliveries of each rule', async () => {
+        const notifier = new Notifier({ notifyMaxRetries: 0 }, silentLogger);
+        notifier.senders.slack = jest.fn().mockResolvedValue('ok');
+        const channel = { type: 'slack', url: 'https://hooks.example.com/token' };
+
+        await notifier.notify({ id: 'a', name: 'A', notifications: [channel] }, alert);
+        await notifier.notify({ id: 'b', name: 'B', notifications: [channel, channel] }, alert);
+
+        expect(notifier.getDeliveries()).toHaveLength(3);
+        expect(notifier.getDeliveries({ ruleId: 'a' }).map(delivery => delivery.rule)).toEqual(['A']);
+        expect(notifier.getDeliveries()[0]).toMatchObject({ alertId: 'alert-1', vhost: '/', queue: 'orders' });
+    });
+});
@@ -0,0 +1,69 @@
+// test/lib/SnapshotStore.test.js
+const fs = require('fs');
+const path = require('path');
+const SnapshotStore = require('../../src/lib/SnapshotStore');
+const { silentLogger, createTempDir, removeTempDir } = require('../helpers');
+
+const definitions = {
+    queues: [{ vhost: '/', name: 'jobs' }, { vhost: '/', name: 'orders' }],
+    exchanges: [{ vhost: '/', name: 'orders', type: 'topic' }]
+};
+
+describe('SnapshotStore', () => {
+    let dir;
+    let file;
+    let store;
+
+    beforeEach(() => {
+        dir = createTempDir();
+        file = path.join(dir, 'snapshots.json');
+        store = new SnapshotStore({ snapshotsFile: file }, silentLogger);
+    });
+
+    afterEach(async () => {
+        await store.close();
+        removeTempDir(dir);
+    });
+
+    test('lists snapshots newest first, counting their items', async () => {
+        const first = await store.create({ name: ' Before upgrade ', cluster: 'default', definitions, createdBy: 'admin' });
+        const second = await store.create({ name: 'After upgrade', cluster: 'default', definitions: { queues: [] } });
+
+        expect(first).toMatchObject({ name: 'Before upgrade', cluster: 'default', createdBy: 'admin', counts: { queues: 2, exchanges: 1 } });
+        expect(first).not.toHaveProperty('definitions');
+        expect((await store.list()).map(({ id }) => id)).toEqual([second.id, first.id]);
+        expect((await store.get(first.id)).definitions).toEqual(definitions);
+    });
+
+    test('keeps snapshots in the file', async () => {
+        const { id } = await store.create({ name: 'Nightly', cluster: 'default', definitions });
+
+        const loaded = new SnapshotStore({ snapshotsFile: file }, silentLogger);
+
+        expect((await loaded.get(id)).definitions).toEqual(definitions);
+        expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+    });
+
+    test('deletes snapshots', async () => {
+        const { id } = await store.create({ name: 'Nightly', cluster: 'default', definitions });
+
+        await store.delete(id);
+
+        expect(await store.list()).toEqual([]);
+        await expect(store.get(id)).rejects.toMatchObject({ status: 404 });
+        await expect(store.delete(id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('requires a name', async () => {
+        await expect(store.create({ name: '  ', cluster: 'default', definitions })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('reports a file that is not JSON and reads it again once fixed', async () => {
+        fs.writeFileSync(file, '{');
+
+        await expect(store.list()).rejects.toThrow(/Cannot read snapshots file/);
+
+        fs.writeFileSync(file, JSON.stringify({ snapshots: [] }));
+        expect(await store.list()).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+// test/routes/consumers.test.js
+const { createTestApp } = require('../helpers');
+
+const consumer = (tag, vhost, queue, details = {}) => ({
+    consumer_tag: tag,
+    queue: { vhost, name: queue },
+    ack_required: true,
+    prefetch_count: 10,
+    activity_status: 'up',
+    ...details
+});
+
+const routes = {
+    'GET /api/consumers': [
+        consumer('a', 'shop', 'orders.new'),
+        consumer('b', 'shop', 'orders.new', { ack_required: false }),
+        consumer('c', 'shop', 'billing'),
+        consumer('d', '/', 'orders.new')
+    ],
+    'GET /api/queues/shop/orders.new': {
+        vhost: 'shop',
+        name: 'orders.new',
+        arguments: { 'x-single-active-consumer': true },
+        single_active_consumer_tag: 'a',
+        consumer_details: [
+            consumer('a', 'shop', 'orders.new', { activity_status: 'single_active' }),
+            consumer('b', 'shop', 'orders.new', { activity_status: 'waiting', ack_required: false })
+        ]
+    },
+    'GET /api/queues/shop/billing': { vhost: 'shop', name: 'billing', arguments: {} }
+};
+
+describe('consumer routes', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp({ routes });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('lists every consumer with its ack mode', async () => {
+        const viewer = await context.as('viewer');
+
+        const response = await viewer.get('/api/consumers');
+
+        expect(response.status).toBe(200);
+        expect(response.body.map(({ consumer_tag: tag, ack_required: ack }) => [tag, ack]))
+            .toEqual([['a', true], ['b', false], ['c', true], ['d', true]]);
+    });
+
+    test('filters consumers by vhost and queue', async () => {
+        const viewer = await context.as('viewer');
+
+        const byVhost = await viewer.get('/api/consumers?vhost=shop');
+        expect(byVhost.body.map(({ consumer_tag: tag }) => tag)).toEqual(['a', 'b', 'c']);
+
+        const byQueue = await viewer.get('/api/consumers?vhost=shop&queue=orders.new');
+        expect(byQueue.body.map(({ consumer_tag: tag }) => tag)).toEqual(['a', 'b']);
+    });
+
+    test('leaves out the consumers of queues outside the scope', async () => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.get('/api/consumers');
+
+        expect(response.body.map(({ consumer_tag: tag }) => tag)).toEqual(['a', 'b']);
+    });
+
+    test('shows which consumer of a single active consumer queue is active', async () => {
+        const viewer = await context.as('viewer');
+
+        const response = await viewer.get('/api/queues/shop/orders.new/consumers');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            queue: { vhost: 'shop', name: 'orders.new' },
+            singleActiveConsumer: true,
+            singleActiveConsumerTag: 'a'
+        });
+        expect(response.body.consumers.map(({ consumer_tag: tag, activity_status: status }) => [tag, status]))
+            .toEqual([['a', 'single_active'], ['b', 'waiting']]);
+    });
+
+    test('queues without consumers have an empty list', async () => {
+        const viewer = await context.as('viewer');
+
+        const response = await viewer.get('/api/queues/shop/billing/consumers');
+
+        expect(response.body).toEqual({
+            queue: { vhost: 'shop', name: 'billing' },
+            singleActiveConsumer: false,
+            singleActiveConsumerTag: null,
+            consumers: []
+        });
+    });
+
+    test('the consumers of a queue outside the scope cannot be read', async () => {
+        const scoped = await context.as('scoped');
+
+        expect((await scoped.get('/api/queues/shop/orders.new/consumers')).status).toBe(200);
+        expect((await scoped.get('/api/queues/shop/billing/consumers')).status).toBe(403);
+    });
+});
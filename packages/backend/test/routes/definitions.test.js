@@ -0,0 +1,141 @@
+// test/routes/definitions.test.js
+const { createTestApp } = require('../helpers');
+
+const DEFINITIONS = { queues: [{ name: 'orders.new', durable: true }] };
+
+const BROKER_DEFINITIONS = {
+    vhosts: [{ name: '/' }, { name: 'shop' }],
+    users: [{ name: 'app', password_hash: 'c2VjcmV0', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [] }],
+    permissions: [{ user: 'app', vhost: '/', configure: '.*', write: '.*', read: '.*' }, { user: 'app', vhost: 'shop', configure: '', write: '.*', read: '.*' }],
+    queues: [{ vhost: '/', name: 'jobs' }, { vhost: 'shop', name: 'orders.new' }, { vhost: 'shop', name: 'billing' }],
+    exchanges: [{ vhost: '/', name: 'jobs', type: 'direct' }, { vhost: 'shop', name: 'orders', type: 'topic' }],
+    bindings: [
+        { vhost: 'shop', source: 'orders', destination: 'orders.new', destination_type: 'queue', routing_key: '#' },
+        { vhost: 'shop', source: 'orders', destination: 'billing', destination_type: 'queue', routing_key: '#' }
+    ]
+};
+
+describe('definitions export', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp({
+            routes: {
+                'GET /api/definitions': BROKER_DEFINITIONS,
+                'GET /api/definitions/shop': {
+                    queues: [{ name: 'orders.new' }, { name: 'billing' }],
+                    exchanges: [{ name: 'orders', type: 'topic' }],
+                    bindings: [
+                        { source: 'orders', destination: 'orders.new', destination_type: 'queue', routing_key: '#' },
+                        { source: 'orders', destination: 'billing', destination_type: 'queue', routing_key: '#' }
+                    ]
+                },
+                'GET /api/definitions/%2F': { queues: [{ name: 'jobs' }] }
+            }
+        });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('admins get the password hashes', async () => {
+        const admin = await context.as('admin');
+
+        const response = await admin.get('/api/definitions');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(BROKER_DEFINITIONS);
+    });
+
+    test('other roles get the users without their hashes', async () => {
+        const viewer = await context.as('viewer');
+
+        const { body } = await viewer.get('/api/definitions');
+
+        expect(body.users).toEqual([{ name: 'app', tags: [] }]);
+        expect(body.queues).toHaveLength(3);
+    });
+
+    test('admins limited to some vhosts may not export the whole broker', async () => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.get('/api/definitions');
+
+        expect(response.status).toBe(403);
+        expect(response.body).not.toHaveProperty('users');
+    });
+
+    test('admins limited to some vhosts export theirs within their queue pattern', async () => {
+        const scoped = await context.as('scoped');
+
+        expect((await scoped.get('/api/definitions/%2F')).status).toBe(403);
+
+        const response = await scoped.get('/api/definitions/shop');
+        expect(response.status).toBe(200);
+        expect(response.body.queues).toEqual([{ name: 'orders.new' }]);
+        expect(response.body.exchanges).toEqual([{ name: 'orders', type: 'topic' }]);
+        expect(response.body.bindings.map(({ destination }) => destination)).toEqual(['orders.new']);
+    });
+});
+
+describe('definitions import', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp({
+            routes: {
+                'GET /api/definitions': { vhosts: [{ name: '/' }, { name: 'shop' }], queues: [] },
+                'GET /api/definitions/shop': { queues: [] }
+            }
+        });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('dry runs report the changes without importing', async () => {
+        const viewer = await context.as('viewer');
+
+        const response = await viewer.post('/api/definitions/shop?dryRun=true').send(DEFINITIONS);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ dryRun: true, vhost: 'shop', changes: { queues: { create: ['orders.new'] } } });
+        expect(context.calls).toEqual([]);
+    });
+
+    test('admins import into the broker', async () => {
+        const admin = await context.as('admin');
+
+        expect((await admin.post('/api/definitions').send(DEFINITIONS)).status).toBe(200);
+        expect(context.calls.map(({ method, url }) => `${method} ${url}`)).toEqual(['POST /api/definitions']);
+    });
+
+    test('viewers may not import', async () => {
+        const viewer = await context.as('viewer');
+
+        expect((await viewer.post('/api/definitions/shop').send(DEFINITIONS)).status).toBe(403);
+        expect(context.calls).toEqual([]);
+    });
+
+    test('admins limited to some vhosts import into them only', async () => {
+        const scoped = await context.as('scoped');
+
+        expect((await scoped.post('/api/definitions/shop').send(DEFINITIONS)).status).toBe(200);
+        expect((await scoped.post('/api/definitions/%2F').send(DEFINITIONS)).status).toBe(403);
+        expect(context.calls.map(({ url }) => url)).toEqual(['/api/definitions/shop']);
+    });
+
+    test.each([
+        ['the whole broker', '/api/definitions?dryRun=true'],
+        ['another vhost', '/api/definitions/%2F?dryRun=true']
+    ])('users limited to some vhosts may not dry run against %s', async (_, url) => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.post(url).send(DEFINITIONS);
+
+        expect(response.status).toBe(403);
+        expect(response.body).not.toHaveProperty('changes');
+    });
+});
@@ -0,0 +1,198 @@
+// test/routes/messages.test.js
+const { createTestApp } = require('../helpers');
+
+const message = (body, { redelivered = false, properties = {} } = {}) => ({
+    content: Buffer.from(body),
+    properties,
+    fields: { redelivered, routingKey: 'orders.created', exchange: 'orders' }
+});
+
+/**
+ * Channel over a queue kept in memory: get() takes the first message and
+ * nack() with requeue puts it back in front
+ */
+function createChannel(messages, { failOnGet = null } = {}) {
+    const queue = [...messages];
+    let gets = 0;
+
+    const channel = {
+        queue,
+        checkQueue: jest.fn(async () => ({ messageCount: queue.length })),
+        get: jest.fn(async () => {
+            gets++;
+            if (gets === failOnGet) {
+                throw new Error('channel closed');
+            }
+            return queue.shift() || false;
+        }),
+        nack: jest.fn((msg, allUpTo, requeue) => {
+            if (requeue) queue.unshift(msg);
+        })
+    };
+
+    return channel;
+}
+
+describe('getting messages', () => {
+    let context;
+    let channel;
+
+    const connect = (messages, options) => {
+        channel = createChannel(messages, options);
+        context.broker.amqpConnected = true;
+        context.broker.amqpPool = { withChannel: (vhost, fn) => fn(channel) };
+    };
+
+    beforeEach(() => {
+        context = createTestApp({
+            routes: {
+                'POST /api/queues/%2F/orders/get': []
+            }
+        });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('a peek requeues every message it read', async () => {
+        connect([message('{"id":1}'), message('plain text')]);
+        const operator = await context.as('operator');
+
+        const response = await operator.get('/api/queues/%2F/orders/get');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ mode: 'peek', source: 'amqp', count: 2, requested: 10, requeued: true });
+        expect(response.body.messages.map(({ payload }) => payload)).toEqual([{ id: 1 }, 'plain text']);
+        expect(channel.get).toHaveBeenCalledWith('orders', { noAck: false });
+        expect(channel.nack).toHaveBeenCalledTimes(2);
+        expect(channel.queue).toHaveLength(2);
+    });
+
+    test('a consume removes the messages it read', async () => {
+        connect([message('a'), message('b')]);
+        const admin = await context.as('admin');
+
+        const response = await admin.get('/api/queues/%2F/orders/get?mode=consume');
+
+        expect(response.body).toMatchObject({ mode: 'consume', count: 2, requeued: false, markedRedelivered: 0 });
+        expect(channel.get).toHaveBeenCalledWith('orders', { noAck: true });
+        expect(channel.nack).not.toHaveBeenCalled();
+        expect(channel.queue).toEqual([]);
+    });
+
+    test('operators may peek but not consume', async () => {
+        connect([message('a')]);
+        const operator = await context.as('operator');
+
+        expect((await operator.get('/api/queues/%2F/orders/get?mode=consume')).status).toBe(403);
+        expect(channel.get).not.toHaveBeenCalled();
+    });
+
+    test('reads no more than count messages', async () => {
+        connect([message('a'), message('b'), message('c')]);
+        const operator = await context.as('operator');
+
+        const response = await operator.get('/api/queues/%2F/orders/get?count=2');
+
+        expect(response.body).toMatchObject({ count: 2, requested: 2 });
+        expect(channel.get).toHaveBeenCalledTimes(2);
+        expect(channel.queue).toHaveLength(3);
+    });
+
+    test('truncates payloads longer than truncate bytes', async () => {
+        connect([message('{"id":12345}'), message('{"id":1}')]);
+        const operator = await context.as('operator');
+
+        const response = await operator.get('/api/queues/%2F/orders/get?truncate=8');
+        const [long, short] = response.body.messages;
+
+        expect(response.body.truncate).toBe(8);
+        expect(long).toMatchObject({ payload: '{"id":12', payload_bytes: 12, payload_truncated: true });
+        expect(short).toMatchObject({ payload: { id: 1 }, payload_bytes: 8, payload_truncated: false });
+    });
+
+    test('reports the messages a peek marks as redelivered', async () => {
+        connect([message('a', { redelivered: true }), message('b'), message('c')]);
+        const operator = await context.as('operator');
+
+        const response = await operator.get('/api/queues/%2F/orders/get');
+
+        expect(response.body.markedRedelivered).toBe(2);
+        expect(response.body.messages.map(({ redelivered, marked_redelivered: marked }) => [redelivered, marked]))
+            .toEqual([[true, false], [false, true], [false, true]]);
+    });
+
+    test('requeues the messages read before a failing get', async () => {
+        connect([message('a'), message('b')], { failOnGet: 2 });
+        const operator = await context.as('operator');
+
+        const response = await operator.get('/api/queues/%2F/orders/get');
+
+        // The peek falls back to the HTTP API
+        expect(response.body.source).toBe('http');
+        expect(channel.nack).toHaveBeenCalledTimes(1);
+        expect(channel.queue).toHaveLength(2);
+    });
+
+    test.each([
+        ['count=0', /count must be an integer between 1 and 500/],
+        ['count=501', /count must be an integer between 1 and 500/],
+        ['count=two', /count must be an integer/],
+        ['mode=drain', /mode must be one of: peek, consume/],
+        ['truncate=-1', /truncate must be a non-negative integer/]
+    ])('refuses %s', async (query, error) => {
+        connect([message('a')]);
+        const operator = await context.as('operator');
+
+        const response = await operator.get(`/api/queues/%2F/orders/get?${query}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(error);
+        expect(channel.get).not.toHaveBeenCalled();
+    });
+
+    describe('in read-only mode', () => {
+        beforeEach(() => {
+            context.close();
+            context = createTestApp({
+                routes: {
+                    'GET /api/queues/%2F/orders': { vhost: '/', name: 'orders', type: 'classic' },
+                    'GET /api/queues/%2F/votes': { vhost: '/', name: 'votes', type: 'quorum' }
+                },
+                config: { readOnly: true }
+            });
+        });
+
+        test('peeks classic queues', async () => {
+            connect([message('a')]);
+            const operator = await context.as('operator');
+
+            const response = await operator.get('/api/queues/%2F/orders/get');
+
+            expect(response.status).toBe(200);
+            expect(channel.queue).toHaveLength(1);
+        });
+
+        test('refuses to peek quorum queues', async () => {
+            connect([message('a')]);
+            const operator = await context.as('operator');
+
+            const response = await operator.get('/api/queues/%2F/votes/get');
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toMatch(/quorum queue "votes" would count towards its delivery limit/);
+            expect(channel.get).not.toHaveBeenCalled();
+        });
+
+        test('refuses to peek queues it cannot look up', async () => {
+            connect([message('a')]);
+            const operator = await context.as('operator');
+
+            const response = await operator.get('/api/queues/%2F/missing/get');
+
+            expect(response.status).toBe(404);
+            expect(channel.get).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,51 @@
+// test/routes/prometheus.test.js
+const request = require('supertest');
+const { createTestApp } = require('../helpers');
+
+describe('GET /metrics', () => {
+    let context;
+
+    const setUp = (config) => {
+        context = createTestApp({ config });
+        context.admin.prometheus.collect = jest.fn().mockResolvedValue('rmq_board_up 1\n');
+    };
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('is refused while authentication is enabled without a token', async () => {
+        setUp({ prometheusToken: null });
+
+        const response = await request(context.app).get('/metrics');
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(/PROMETHEUS_TOKEN/);
+        expect(context.admin.prometheus.collect).not.toHaveBeenCalled();
+    });
+
+    test('requires the token when one is set', async () => {
+        setUp({ prometheusToken: 'scrape-me' });
+
+        let response = await request(context.app).get('/metrics').set('Authorization', 'Bearer wrong');
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer');
+
+        response = await request(context.app).get('/metrics').set('Authorization', 'Bearer scrape-me');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(response.text).toBe('rmq_board_up 1\n');
+    });
+
+    test('is open without authentication', async () => {
+        setUp({ authEnabled: false });
+
+        expect((await request(context.app).get('/metrics')).status).toBe(200);
+    });
+
+    test('is not found when disabled', async () => {
+        setUp({ prometheusEnabled: false, prometheusToken: 'scrape-me' });
+
+        expect((await request(context.app).get('/metrics').set('Authorization', 'Bearer scrape-me')).status).toBe(404);
+    });
+});
@@ -0,0 +1,63 @@
+// test/routes/readonly.test.js
+const { createTestApp } = require('../helpers');
+
+describe('read-only mode', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp({
+            routes: {
+                'GET /api/queues/%2F/orders': { vhost: '/', name: 'orders', type: 'classic' }
+            },
+            config: { readOnly: true }
+        });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test.each([
+        ['post', '/api/queues/%2F/orders/purge', {}, /purge is disabled/],
+        ['post', '/api/exchanges/%2F/orders/publish', { routingKey: 'orders.new', payload: 'hello' }, /publish is disabled/],
+        ['delete', '/api/queues/%2F/orders', {}, /delete is disabled/],
+        ['post', '/api/queues/%2F/orders/move', { target: { queue: 'archive' } }, /move is disabled/]
+    ])('refuses %s %s even to admins', async (method, url, body, error) => {
+        const admin = await context.as('admin');
+
+        const response = await admin[method](url).send(body);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(error);
+        expect(context.calls).toEqual([]);
+    });
+
+    test('refuses to consume messages but lets admins peek', async () => {
+        const admin = await context.as('admin');
+        const channel = {
+            checkQueue: async () => ({ messageCount: 0 }),
+            get: jest.fn(async () => false),
+            nack: () => {}
+        };
+        context.broker.amqpConnected = true;
+        context.broker.amqpPool = { withChannel: (vhost, fn) => fn(channel) };
+
+        const consume = await admin.get('/api/queues/%2F/orders/get?mode=consume');
+        expect(consume.status).toBe(403);
+        expect(consume.body.error).toMatch(/consume is disabled/);
+        expect(channel.get).not.toHaveBeenCalled();
+
+        const peek = await admin.get('/api/queues/%2F/orders/get');
+        expect(peek.status).toBe(200);
+        expect(peek.body.mode).toBe('peek');
+    });
+
+    test('reports read-only capabilities to the dashboard', async () => {
+        const admin = await context.as('admin');
+
+        const response = await admin.get('/api/auth/me');
+
+        expect(response.body.readOnly).toBe(true);
+        expect(response.body.capabilities).toEqual(['read', 'peek', 'audit']);
+    });
+});
@@ -0,0 +1,182 @@
+// test/routes/scope.test.js
+const { createTestApp } = require('../helpers');
+
+// The scoped user of the helpers sees vhost "shop" and queues matching ^orders\.
+const routes = {
+    'GET /api/vhosts': [{ name: '/' }, { name: 'shop' }],
+    'GET /api/queues': [
+        { vhost: 'shop', name: 'orders.new' },
+        { vhost: 'shop', name: 'billing' },
+        { vhost: '/', name: 'orders.new' }
+    ],
+    'GET /api/exchanges': [
+        { vhost: 'shop', name: 'orders' },
+        { vhost: '/', name: 'orders' }
+    ],
+    'GET /api/bindings': [
+        { vhost: 'shop', source: 'orders', destination: 'orders.new', destination_type: 'queue' },
+        { vhost: 'shop', source: 'orders', destination: 'billing', destination_type: 'queue' },
+        { vhost: 'shop', source: 'orders', destination: 'audit', destination_type: 'exchange' },
+        { vhost: '/', source: 'orders', destination: 'orders.new', destination_type: 'queue' }
+    ],
+    'GET /api/connections': [
+        { name: 'a', vhost: 'shop' },
+        { name: 'b', vhost: '/' }
+    ],
+    'GET /api/channels': [
+        { name: 'a (1)', vhost: 'shop' },
+        { name: 'b (1)', vhost: '/' }
+    ],
+    'GET /api/consumers': [
+        { consumer_tag: 'a', queue: { vhost: 'shop', name: 'orders.new' }, channel_details: { connection_name: 'a' } },
+        { consumer_tag: 'b', queue: { vhost: 'shop', name: 'billing' }, channel_details: { connection_name: 'a' } }
+    ],
+    'GET /api/connections/a': { name: 'a', vhost: 'shop', client_properties: { product: 'shop-app' } },
+    'GET /api/connections/a/channels': [{ name: 'a (1)', vhost: 'shop' }],
+    'GET /api/connections/b': { name: 'b', vhost: '/', client_properties: { product: 'jobs' } },
+    'GET /api/connections/b/channels': [{ name: 'b (1)', vhost: '/' }],
+    'GET /api/permissions': [
+        { user: 'app', vhost: 'shop' },
+        { user: 'app', vhost: '/' }
+    ],
+    'GET /api/policies': [
+        { vhost: 'shop', name: 'ha' },
+        { vhost: '/', name: 'ha' }
+    ],
+    'GET /api/operator-policies': [
+        { vhost: '/', name: 'limits' }
+    ],
+    'GET /api/queues/shop/billing': { vhost: 'shop', name: 'billing' },
+    'GET /api/queues/shop/orders.new': { vhost: 'shop', name: 'orders.new' }
+};
+
+describe('reading within a scope', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp({ routes });
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test.each([
+        ['/api/vhosts', item => item.name, ['shop']],
+        ['/api/queues', item => `${item.vhost}/${item.name}`, ['shop/orders.new']],
+        ['/api/exchanges', item => `${item.vhost}/${item.name}`, ['shop/orders']],
+        ['/api/bindings', item => `${item.vhost}/${item.destination}`, ['shop/orders.new', 'shop/audit']],
+        ['/api/connections', item => item.name, ['a']],
+        ['/api/channels', item => item.name, ['a (1)']],
+        ['/api/consumers', item => item.consumer_tag, ['a']],
+        ['/api/permissions', item => item.vhost, ['shop']],
+        ['/api/policies', item => `${item.vhost}/${item.name}`, ['shop/ha']],
+        ['/api/operator-policies', item => item.name, []]
+    ])('%s leaves out what is outside the scope', async (url, describe, expected) => {
+        const scoped = await context.as('scoped');
+        const viewer = await context.as('viewer');
+
+        const response = await scoped.get(url);
+        expect(response.status).toBe(200);
+        expect(response.body.map(describe)).toEqual(expected);
+
+        // Users without a scope see everything
+        expect((await viewer.get(url)).body).toHaveLength(routes[`GET ${url}`].length);
+    });
+
+    test('queues outside the scope cannot be read one by one', async () => {
+        const scoped = await context.as('scoped');
+
+        expect((await scoped.get('/api/queues/shop/orders.new')).status).toBe(200);
+        expect((await scoped.get('/api/queues/shop/billing')).status).toBe(403);
+    });
+
+    test('connections outside the scope cannot be read one by one', async () => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.get('/api/connections/a');
+        expect(response.status).toBe(200);
+        expect(response.body.channels.map(({ name }) => name)).toEqual(['a (1)']);
+        expect(response.body.consumers.map(({ consumer_tag: tag }) => tag)).toEqual(['a']);
+
+        const refused = await scoped.get('/api/connections/b');
+        expect(refused.status).toBe(403);
+        expect(refused.body).not.toHaveProperty('connection');
+    });
+
+    test('policy previews only cover the queues in scope', async () => {
+        const scoped = await context.as('scoped');
+        const draft = { name: 'ttl', pattern: '.*', 'apply-to': 'all' };
+
+        const response = await scoped.post('/api/policies/shop/preview').send(draft);
+        expect(response.status).toBe(200);
+        expect(response.body.queues.map(({ name }) => name)).toEqual(['orders.new']);
+        expect(response.body.exchanges.map(({ name }) => name)).toEqual(['orders']);
+
+        expect((await scoped.post('/api/policies/%2F/preview').send(draft)).status).toBe(403);
+        expect((await scoped.post('/api/operator-policies/%2F/preview').send(draft)).status).toBe(403);
+    });
+
+    test('metrics are limited to the queues in scope', async () => {
+        context.close();
+        context = createTestApp({ routes, config: { metricsEnabled: true, metricsFile: null } });
+        const scoped = await context.as('scoped');
+        const viewer = await context.as('viewer');
+
+        expect((await scoped.get('/api/metrics/queues/shop/orders.new')).status).toBe(200);
+        expect((await scoped.get('/api/metrics/queues/shop/billing')).status).toBe(403);
+        expect((await scoped.get('/api/metrics/queues/%2F/orders.new')).status).toBe(403);
+
+        const overview = await scoped.get('/api/metrics/overview');
+        expect(overview.status).toBe(403);
+        expect(overview.body.error).toMatch(/limited to some vhosts/);
+        expect((await viewer.get('/api/metrics/overview')).status).toBe(200);
+    });
+
+    test('alerts are limited to the queues in scope', async () => {
+        const scoped = await context.as('scoped');
+        context.admin.alerts.alerts.set('a', { vhost: 'shop', queue: 'orders.new', state: 'firing', firedAt: '2024-01-01T00:00:00.000Z' });
+        context.admin.alerts.alerts.set('b', { vhost: '/', queue: 'orders.new', state: 'firing', firedAt: '2024-01-01T00:00:00.000Z' });
+        context.admin.alerts.resolved.push({ vhost: 'shop', queue: 'billing', state: 'resolved' });
+
+        const response = await scoped.get('/api/alerts');
+
+        expect(response.body).toEqual({
+            alerts: [expect.objectContaining({ vhost: 'shop', queue: 'orders.new' })],
+            resolved: []
+        });
+    });
+
+    test('move jobs are limited to the queues in scope', async () => {
+        const jobs = [
+            { id: '1', vhost: 'shop', queue: 'orders.new', status: 'running' },
+            { id: '2', vhost: 'shop', queue: 'billing', status: 'running' }
+        ];
+        context.broker.messageMover = {
+            listJobs: () => jobs,
+            getJob: id => jobs.find(job => job.id === id)
+        };
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.get('/api/moves');
+        expect(response.body.map(({ id }) => id)).toEqual(['1']);
+
+        expect((await scoped.get('/api/moves/1')).status).toBe(200);
+        const refused = await scoped.get('/api/moves/2');
+        expect(refused.status).toBe(403);
+        expect(refused.body).not.toHaveProperty('queue');
+    });
+
+    test('alert deliveries are limited to the queues in scope', async () => {
+        context.admin.notifier.deliveries.push(
+            { id: 'a', ruleId: 'r', vhost: 'shop', queue: 'orders.new', outcome: 'success', attempts: [] },
+            { id: 'b', ruleId: 'r', vhost: '/', queue: 'orders.new', outcome: 'success', attempts: [] }
+        );
+        const scoped = await context.as('scoped');
+        const viewer = await context.as('viewer');
+
+        const response = await scoped.get('/api/alerts/deliveries');
+        expect(response.body.deliveries.map(({ id }) => id)).toEqual(['a']);
+        expect((await viewer.get('/api/alerts/deliveries')).body.deliveries).toHaveLength(2);
+    });
+});
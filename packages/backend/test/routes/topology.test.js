@@ -0,0 +1,66 @@
+// test/routes/topology.test.js
+const { createTestApp } = require('../helpers');
+
+const DEFINITIONS = {
+    vhosts: [{ name: '/' }, { name: 'shop' }],
+    users: [{ name: 'app', password_hash: 'c2VjcmV0', tags: [] }],
+    queues: [{ vhost: '/', name: 'jobs' }, { vhost: 'shop', name: 'orders.new' }, { vhost: 'shop', name: 'billing' }]
+};
+
+describe('topology snapshots and diff', () => {
+    let context;
+    let snapshotId;
+
+    beforeEach(async () => {
+        context = createTestApp({ routes: { 'GET /api/definitions': DEFINITIONS } });
+        const admin = await context.as('admin');
+        snapshotId = (await admin.post('/api/topology/snapshots').send({ name: 'Nightly' })).body.snapshot.id;
+    });
+
+    afterEach(async () => {
+        await context.admin.snapshots.close();
+        context.close();
+    });
+
+    test('admins get snapshots with their password hashes', async () => {
+        const admin = await context.as('admin');
+
+        const response = await admin.get(`/api/topology/snapshots/${snapshotId}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.definitions).toEqual(DEFINITIONS);
+    });
+
+    test('admins limited to some vhosts get the part of a snapshot in their scope', async () => {
+        const scoped = await context.as('scoped');
+
+        const { body } = await scoped.get(`/api/topology/snapshots/${snapshotId}`);
+
+        expect(body.definitions).toEqual({ vhosts: [{ name: 'shop' }], queues: [{ vhost: 'shop', name: 'orders.new' }] });
+    });
+
+    test('diffs compare the live cluster within the user\'s scope', async () => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.post('/api/topology/diff').send({
+            left: { definitions: { queues: [] } },
+            right: { cluster: 'default' }
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.kinds.queues.added.map(({ name }) => name)).toEqual(['orders.new (vhost shop)']);
+        expect(response.body.kinds).not.toHaveProperty('users');
+        expect(response.body.totals).toMatchObject({ added: 2, removed: 0 });
+    });
+
+    test('diffs of a vhost outside the user\'s scope are empty', async () => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.post('/api/topology/diff').send({
+            left: { snapshot: snapshotId, vhost: '/' },
+            right: { cluster: 'default', vhost: '/' }
+        });
+
+        expect(response.body.totals).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 0 });
+    });
+});
@@ -0,0 +1,87 @@
+// test/routes/users.test.js
+const { createTestApp } = require('../helpers');
+
+describe('user routes', () => {
+    let context;
+
+    beforeEach(() => {
+        context = createTestApp();
+    });
+
+    afterEach(() => {
+        context.close();
+    });
+
+    test('admins create and delete users', async () => {
+        const admin = await context.as('admin');
+
+        let response = await admin.put('/api/users/alice').send({ password: 'changeit', tags: 'management' });
+        expect(response.status).toBe(201);
+
+        response = await admin.delete('/api/users/alice');
+        expect(response.status).toBe(200);
+        expect(context.calls.map(({ method, url }) => `${method} ${url}`)).toEqual(['PUT /api/users/alice', 'DELETE /api/users/alice']);
+    });
+
+    test('admins set and remove user limits', async () => {
+        const admin = await context.as('admin');
+
+        expect((await admin.put('/api/user-limits/alice/max-connections').send({ value: 10 })).status).toBe(200);
+        expect((await admin.delete('/api/user-limits/alice/max-connections')).status).toBe(200);
+        expect(context.calls).toHaveLength(2);
+    });
+
+    test.each([
+        ['PUT', '/api/users/alice', { password: 'changeit', tags: 'administrator' }],
+        ['DELETE', '/api/users/alice', {}],
+        ['PUT', '/api/user-limits/alice/max-connections', { value: 10 }],
+        ['DELETE', '/api/user-limits/alice/max-connections', {}]
+    ])('admins limited to some vhosts may not %s %s', async (method, url, body) => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped[method.toLowerCase()](url).send(body);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(/limited to some vhosts/);
+        expect(context.calls).toEqual([]);
+    });
+
+    test.each([
+        '/api/users',
+        '/api/users/alice',
+        '/api/user-limits'
+    ])('admins limited to some vhosts may not read %s', async (url) => {
+        const scoped = await context.as('scoped');
+
+        const response = await scoped.get(url);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(/limited to some vhosts/);
+    });
+
+    test('viewers read users without their password hashes', async () => {
+        context.close();
+        context = createTestApp({
+            routes: {
+                'GET /api/users': [{ name: 'alice', tags: ['management'], password_hash: 'abc' }],
+                'GET /api/user-limits': [{ user: 'alice', value: { 'max-connections': 10 } }]
+            }
+        });
+        const viewer = await context.as('viewer');
+
+        let response = await viewer.get('/api/users');
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([{ name: 'alice', tags: ['management'] }]);
+
+        response = await viewer.get('/api/user-limits');
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveLength(1);
+    });
+
+    test('viewers may not change users', async () => {
+        const viewer = await context.as('viewer');
+
+        expect((await viewer.delete('/api/users/alice')).status).toBe(403);
+        expect(context.calls).toEqual([]);
+    });
+});
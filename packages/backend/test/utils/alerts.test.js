@@ -0,0 +1,58 @@
+// test/utils/alerts.test.js
+const { buildAlertRule, isBreached } = require('../../src/utils/alerts');
+
+const validRule = { name: ' Backlog ', metric: 'messages', comparator: '>', threshold: '100' };
+
+describe('buildAlertRule', () => {
+    test('fills in defaults and converts numbers', () => {
+        expect(buildAlertRule(validRule)).toEqual({
+            name: 'Backlog',
+            enabled: true,
+            cluster: null,
+            vhost: null,
+            queuePattern: null,
+            metric: 'messages',
+            comparator: '>',
+            threshold: 100,
+            duration: 0,
+            severity: 'warning',
+            notifications: []
+        });
+    });
+
+    test.each([
+        ['a name', { name: '' }, /name is required/],
+        ['a known metric', { metric: 'bytes' }, /metric must be one of/],
+        ['a known comparator', { comparator: '=>' }, /comparator must be one of/],
+        ['a numeric threshold', { threshold: 'many' }, /threshold must be a number/],
+        ['a non-negative duration', { duration: -1 }, /duration must be/],
+        ['a known severity', { severity: 'info' }, /severity must be one of/],
+        ['a valid queue pattern', { queuePattern: '(' }, /queuePattern is not a valid regular expression/],
+        ['valid notifications', { notifications: [{ type: 'pager' }] }, /notifications\[0\]\.type/],
+        ['an SMTP server for email', { notifications: [{ type: 'email', to: 'ops@example.com' }] }, /SMTP_HOST/]
+    ])('requires %s', (_, change, message) => {
+        expect(() => buildAlertRule({ ...validRule, ...change })).toThrow(message);
+    });
+
+    test('accepts email notifications when SMTP is configured', () => {
+        const rule = buildAlertRule(
+            { ...validRule, notifications: [{ type: 'email', to: 'ops@example.com, dev@example.com' }] },
+            { smtpHost: 'localhost' }
+        );
+        expect(rule.notifications).toEqual([{ type: 'email', to: ['ops@example.com', 'dev@example.com'] }]);
+    });
+});
+
+describe('isBreached', () => {
+    test.each([
+        ['>', 101, true],
+        ['>', 100, false],
+        ['>=', 100, true],
+        ['<', 99, true],
+        ['<=', 101, false],
+        ['==', 100, true],
+        ['!=', 100, false]
+    ])('%s 100 with %d is %s', (comparator, value, expected) => {
+        expect(isBreached({ comparator, threshold: 100 }, value)).toBe(expected);
+    });
+});
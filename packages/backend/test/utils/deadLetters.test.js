@@ -0,0 +1,55 @@
+// test/utils/deadLetters.test.js
+const { getDeathInfo, stripDeathHeaders, fingerprintMessage } = require('../../src/utils/deadLetters');
+
+describe('getDeathInfo', () => {
+    test('describes the most recent death', () => {
+        const headers = {
+            'x-death': [
+                { reason: 'expired', queue: 'orders.retry', exchange: 'retry', 'routing-keys': ['order.created'], count: 3, time: { '!': 'timestamp', value: 1704067200 } },
+                { reason: 'rejected', queue: 'orders', exchange: 'orders', count: 1 }
+            ]
+        };
+
+        expect(getDeathInfo(headers)).toEqual({
+            reason: 'expired',
+            queue: 'orders.retry',
+            exchange: 'retry',
+            routing_keys: ['order.created'],
+            count: 3,
+            time: '2024-01-01T00:00:00.000Z',
+            deaths: 2
+        });
+    });
+
+    test('reads timestamps of the management API and fills in missing fields', () => {
+        expect(getDeathInfo({ 'x-death': [{ time: 1704067200 }] })).toMatchObject({
+            reason: 'unknown',
+            queue: '',
+            routing_keys: [],
+            count: 1,
+            time: '2024-01-01T00:00:00.000Z'
+        });
+    });
+
+    test.each([undefined, {}, { 'x-death': [] }])('is null for messages that were not dead-lettered: %p', (headers) => {
+        expect(getDeathInfo(headers)).toBeNull();
+    });
+});
+
+describe('stripDeathHeaders', () => {
+    test('keeps the headers of the publisher', () => {
+        expect(stripDeathHeaders({ 'x-death': [], 'x-first-death-reason': 'expired', 'x-last-death-queue': 'orders', tenant: 'eu' }))
+            .toEqual({ tenant: 'eu' });
+    });
+});
+
+describe('fingerprintMessage', () => {
+    test('tells messages apart by body and message id', () => {
+        const fingerprint = fingerprintMessage(Buffer.from('{"id":1}'), 'm-1');
+
+        expect(fingerprint).toMatch(/^[0-9a-f]{32}$/);
+        expect(fingerprintMessage(Buffer.from('{"id":1}'), 'm-1')).toBe(fingerprint);
+        expect(fingerprintMessage(Buffer.from('{"id":1}'), 'm-2')).not.toBe(fingerprint);
+        expect(fingerprintMessage(Buffer.from('{"id":2}'), 'm-1')).not.toBe(fingerprint);
+    });
+});
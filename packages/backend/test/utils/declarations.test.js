@@ -0,0 +1,209 @@
+// test/utils/declarations.test.js
+const {
+    parseBoolean,
+    normalizeArguments,
+    buildQueueDeclaration,
+    buildExchangeDeclaration,
+    buildBindingDeclaration,
+    buildVhostDeclaration,
+    buildUserDeclaration,
+    buildPermissionDeclaration,
+    buildTopicPermissionDeclaration,
+    buildUserLimitDeclaration,
+    parsePolicyTarget,
+    buildPolicyDeclaration
+} = require('../../src/utils/declarations');
+
+describe('parseBoolean', () => {
+    test.each([
+        [undefined, true],
+        ['', true],
+        [true, true],
+        ['true', true],
+        [false, false],
+        ['false', false]
+    ])('reads %p', (value, expected) => {
+        expect(parseBoolean(value, true, 'durable')).toBe(expected);
+    });
+
+    test('rejects anything else', () => {
+        expect(() => parseBoolean('yes', true, 'durable')).toThrow('durable must be true or false');
+    });
+});
+
+describe('normalizeArguments', () => {
+    test('coerces numbers and drops cleared fields', () => {
+        expect(normalizeArguments({ 'x-message-ttl': '1000', 'x-dead-letter-exchange': 'dlx', 'x-expires': '' }, ['x-message-ttl', 'x-expires']))
+            .toEqual({ 'x-message-ttl': 1000, 'x-dead-letter-exchange': 'dlx' });
+        expect(normalizeArguments(undefined)).toEqual({});
+    });
+
+    test.each([
+        [['x'], 'arguments must be an object'],
+        [{ 'x-message-ttl': '-1' }, 'x-message-ttl must be a non-negative number'],
+        [{ 'x-message-ttl': 'soon' }, 'x-message-ttl must be a non-negative number']
+    ])('rejects %p', (args, message) => {
+        expect(() => normalizeArguments(args, ['x-message-ttl'])).toThrow(message);
+    });
+});
+
+describe('buildQueueDeclaration', () => {
+    test('declares durable classic queues by default', () => {
+        expect(buildQueueDeclaration({})).toEqual({
+            type: 'classic',
+            durable: true,
+            auto_delete: false,
+            exclusive: false,
+            arguments: {}
+        });
+    });
+
+    test('sets the queue type argument of replicated queues', () => {
+        const declaration = buildQueueDeclaration({ type: 'quorum', arguments: { 'x-delivery-limit': '5', 'x-single-active-consumer': 'true' } });
+
+        expect(declaration.arguments).toEqual({ 'x-queue-type': 'quorum', 'x-delivery-limit': 5, 'x-single-active-consumer': true });
+    });
+
+    test('takes the type from the arguments and leaves out the classic default', () => {
+        expect(buildQueueDeclaration({ arguments: { 'x-queue-type': 'stream' } }).type).toBe('stream');
+        expect(buildQueueDeclaration({ arguments: { 'x-queue-type': 'classic' } }).arguments).toEqual({});
+    });
+
+    test.each([
+        [{ type: 'lazy' }, /type must be one of/],
+        [{ arguments: { ttl: 1000 } }, /must start with "x-"/],
+        [{ arguments: { 'x-overflow': 'drop-tail' } }, /x-overflow must be one of/],
+        [{ type: 'quorum', durable: false }, /quorum queues must be durable/],
+        [{ type: 'stream', exclusive: true }, /stream queues must be durable/],
+        [{ type: 'quorum', arguments: { 'x-max-priority': 10 } }, /quorum queues do not support: x-max-priority/]
+    ])('rejects %p', (body, message) => {
+        expect(() => buildQueueDeclaration(body)).toThrow(message);
+        expect(() => buildQueueDeclaration(body)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('buildExchangeDeclaration', () => {
+    test('declares durable direct exchanges by default', () => {
+        expect(buildExchangeDeclaration({})).toEqual({
+            type: 'direct',
+            durable: true,
+            auto_delete: false,
+            internal: false,
+            arguments: {}
+        });
+    });
+
+    test('accepts plugin types and an alternate exchange', () => {
+        const declaration = buildExchangeDeclaration({ type: 'x-delayed-message', alternate_exchange: 'unrouted', arguments: { 'x-delayed-type': 'topic' } });
+
+        expect(declaration.type).toBe('x-delayed-message');
+        expect(declaration.arguments).toEqual({ 'x-delayed-type': 'topic', 'alternate-exchange': 'unrouted' });
+    });
+
+    test('rejects unknown types', () => {
+        expect(() => buildExchangeDeclaration({ type: 'broadcast' })).toThrow(/type must be one of/);
+    });
+});
+
+describe('buildBindingDeclaration', () => {
+    test('accepts either spelling of the routing key', () => {
+        expect(buildBindingDeclaration({ routingKey: 'orders.*' })).toEqual({ routing_key: 'orders.*', arguments: {} });
+        expect(buildBindingDeclaration({ routing_key: 'a', routingKey: 'b' }).routing_key).toBe('a');
+        expect(buildBindingDeclaration({}).routing_key).toBe('');
+    });
+
+    test.each([
+        [{ routing_key: 42 }, 'routing_key must be a string'],
+        [{ arguments: { 'x-match': 'some' } }, /x-match must be one of/]
+    ])('rejects %p', (body, message) => {
+        expect(() => buildBindingDeclaration(body)).toThrow(message);
+    });
+});
+
+describe('buildVhostDeclaration', () => {
+    test('joins tags and keeps a default queue type', () => {
+        expect(buildVhostDeclaration({ description: 'Shop', tags: [' prod ', '', 'eu'], default_queue_type: 'quorum' }))
+            .toEqual({ description: 'Shop', tags: 'prod,eu', default_queue_type: 'quorum' });
+        expect(buildVhostDeclaration({ tags: 'prod, eu', default_queue_type: '' })).toEqual({ description: '', tags: 'prod,eu' });
+    });
+
+    test.each([
+        [{ description: 1 }, 'description must be a string'],
+        [{ tags: [1] }, /tags must be/],
+        [{ default_queue_type: 'lazy' }, /default_queue_type must be one of/]
+    ])('rejects %p', (body, message) => {
+        expect(() => buildVhostDeclaration(body)).toThrow(message);
+    });
+});
+
+describe('buildUserDeclaration', () => {
+    test('sets the password only when one is given', () => {
+        expect(buildUserDeclaration({ password: 'changeit', tags: ['management'] })).toEqual({ password: 'changeit', tags: 'management' });
+        expect(buildUserDeclaration({ password: '', tags: 'monitoring' })).toEqual({ tags: 'monitoring' });
+        expect(() => buildUserDeclaration({ password: 1234 })).toThrow('password must be a string');
+    });
+});
+
+describe('buildPermissionDeclaration', () => {
+    test('fills missing patterns with the empty pattern', () => {
+        expect(buildPermissionDeclaration({ configure: '^orders\\.', read: '.*' })).toEqual({ configure: '^orders\\.', write: '', read: '.*' });
+    });
+
+    test.each([
+        [{ write: 1 }, 'write must be a string'],
+        [{ read: '(' }, /read is not a valid regular expression/]
+    ])('rejects %p', (body, message) => {
+        expect(() => buildPermissionDeclaration(body)).toThrow(message);
+    });
+});
+
+describe('buildTopicPermissionDeclaration', () => {
+    test('requires an exchange', () => {
+        expect(buildTopicPermissionDeclaration({ exchange: 'amq.topic', write: '^orders' })).toEqual({ exchange: 'amq.topic', write: '^orders', read: '' });
+        expect(() => buildTopicPermissionDeclaration({ write: '.*' })).toThrow('exchange is required');
+    });
+});
+
+describe('buildUserLimitDeclaration', () => {
+    test('accepts integers down to -1', () => {
+        expect(buildUserLimitDeclaration('max-connections', { value: '10' })).toEqual({ value: 10 });
+        expect(buildUserLimitDeclaration('max-channels', { value: -1 })).toEqual({ value: -1 });
+    });
+
+    test.each([
+        ['max-queues', { value: 1 }, /limit must be one of/],
+        ['max-channels', {}, /value must be an integer/],
+        ['max-channels', { value: 1.5 }, /value must be an integer/],
+        ['max-channels', { value: -2 }, /value must be an integer/]
+    ])('rejects %s %p', (name, body, message) => {
+        expect(() => buildUserLimitDeclaration(name, body)).toThrow(message);
+    });
+});
+
+describe('buildPolicyDeclaration', () => {
+    test('coerces numeric keys and fills in defaults', () => {
+        expect(buildPolicyDeclaration({ pattern: '^orders\\.', definition: { 'message-ttl': '60000', 'dead-letter-exchange': 'dlx' } })).toEqual({
+            pattern: '^orders\\.',
+            definition: { 'message-ttl': 60000, 'dead-letter-exchange': 'dlx' },
+            priority: 0,
+            'apply-to': 'all'
+        });
+    });
+
+    test('applies operator policies to queues only', () => {
+        expect(parsePolicyTarget({ pattern: '.*', apply_to: 'quorum_queues', priority: '2' }, true))
+            .toEqual({ pattern: '.*', priority: 2, 'apply-to': 'quorum_queues' });
+        expect(parsePolicyTarget({ pattern: '.*' }, true)['apply-to']).toBe('queues');
+        expect(() => parsePolicyTarget({ pattern: '.*', 'apply-to': 'exchanges' }, true)).toThrow(/apply-to must be one of: queues,/);
+    });
+
+    test.each([
+        [{ pattern: '(', definition: { 'max-length': 1 } }, /pattern is not a valid regular expression/],
+        [{ pattern: '.*', priority: 'high', definition: { 'max-length': 1 } }, 'priority must be an integer'],
+        [{ pattern: '.*' }, 'definition must be an object'],
+        [{ pattern: '.*', definition: { 'max-length': '' } }, 'definition must set at least one key'],
+        [{ pattern: '.*', definition: { 'max-length': 'many' } }, 'max-length must be a non-negative number']
+    ])('rejects %p', (body, message) => {
+        expect(() => buildPolicyDeclaration(body)).toThrow(message);
+    });
+});
@@ -0,0 +1,108 @@
+// test/utils/definitions.test.js
+const {
+    stableStringify,
+    validateDefinitions,
+    selectVhost,
+    normalizeItem,
+    diffDefinitions,
+    describeDiff,
+    summarizeImport
+} = require('../../src/utils/definitions');
+
+describe('stableStringify', () => {
+    test('sorts object keys at every level', () => {
+        expect(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }))
+            .toBe('{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+    });
+});
+
+describe('validateDefinitions', () => {
+    test.each([
+        ['a list', [], /must be a JSON object/],
+        ['an object without known kinds', { rabbit_version: '3.12.0' }, /at least one of/],
+        ['a kind that is not a list of objects', { queues: ['jobs'] }, /queues must be a list of objects/]
+    ])('rejects %s', (_, definitions, message) => {
+        expect(() => validateDefinitions(definitions)).toThrow(message);
+        expect(() => validateDefinitions(definitions)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('accepts a document with one kind', () => {
+        expect(() => validateDefinitions({ queues: [] })).not.toThrow();
+    });
+});
+
+describe('selectVhost', () => {
+    test('keeps the items of the vhost without their vhost field', () => {
+        const definitions = {
+            users: [{ name: 'guest' }],
+            queues: [{ vhost: 'shop', name: 'orders' }, { vhost: '/', name: 'jobs' }, { name: 'local' }]
+        };
+
+        expect(selectVhost(definitions, 'shop')).toEqual({ queues: [{ name: 'orders' }, { name: 'local' }] });
+    });
+});
+
+describe('normalizeItem', () => {
+    test('replaces password hashes by a fingerprint', () => {
+        const user = normalizeItem('users', { name: 'app', password_hash: 'c2VjcmV0aGFzaA==', tags: 'monitoring, administrator' });
+
+        expect(user.password_hash).toMatch(/^sha256:[0-9a-f]{12}$/);
+        expect(user.password_hash).not.toContain('c2VjcmV0aGFzaA');
+        expect(user.tags).toEqual(['administrator', 'monitoring']);
+        expect(normalizeItem('users', { name: 'app', password_hash: 'c2VjcmV0aGFzaA==' }).password_hash).toBe(user.password_hash);
+        expect(normalizeItem('users', { name: 'app', password_hash: 'b3RoZXI=' }).password_hash).not.toBe(user.password_hash);
+    });
+
+    test('drops volatile fields and fills in defaults', () => {
+        expect(normalizeItem('queues', { name: 'jobs', messages: 12, state: 'running' })).toEqual({ name: 'jobs', arguments: {} });
+        expect(normalizeItem('policies', { name: 'ttl' })).toEqual({ name: 'ttl', 'apply-to': 'all', priority: 0 });
+    });
+});
+
+describe('diffDefinitions', () => {
+    const before = {
+        users: [{ name: 'app', password_hash: 'old', tags: '' }],
+        queues: [
+            { vhost: '/', name: 'jobs', durable: true, arguments: { 'x-message-ttl': 1000 }, messages: 3 },
+            { vhost: '/', name: 'stale', durable: true }
+        ]
+    };
+    const after = {
+        users: [{ name: 'app', password_hash: 'new', tags: [] }],
+        queues: [
+            { vhost: '/', name: 'jobs', durable: true, arguments: { 'x-message-ttl': 2000 }, messages: 9 },
+            { vhost: '/', name: 'fresh', durable: true }
+        ]
+    };
+
+    test('reports added, removed and changed items, field by field', () => {
+        const diff = diffDefinitions(before, after);
+
+        expect(diff.queues.added.map(queue => queue.name)).toEqual(['fresh']);
+        expect(diff.queues.removed.map(queue => queue.name)).toEqual(['stale']);
+        expect(diff.queues.changed).toEqual([expect.objectContaining({
+            name: 'jobs (vhost /)',
+            fields: [{ field: 'arguments.x-message-ttl', before: 1000, after: 2000 }]
+        })]);
+        expect(Object.keys(diff)).toEqual(['users', 'queues']);
+    });
+
+    test('shows password changes without the hashes', () => {
+        const [change] = diffDefinitions(before, after).users.changed;
+
+        expect(change.fields.map(({ field }) => field)).toEqual(['password_hash']);
+        expect(JSON.stringify(change)).not.toMatch(/"(old|new)"/);
+    });
+
+    test('describes and summarizes the diff', () => {
+        const diff = diffDefinitions(before, after);
+
+        expect(describeDiff(diff).totals).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 0 });
+        expect(summarizeImport(diff).queues).toEqual({
+            create: ['fresh (vhost /)'],
+            change: [expect.objectContaining({ name: 'jobs (vhost /)', applied: false })],
+            untouched: 1
+        });
+        expect(summarizeImport(diff).users.change[0].applied).toBe(true);
+    });
+});
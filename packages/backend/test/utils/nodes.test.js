@@ -0,0 +1,21 @@
+// test/utils/nodes.test.js
+const { getNodeAlarms } = require('../../src/utils/nodes');
+
+describe('getNodeAlarms', () => {
+    test('lists memory and disk alarms by node', () => {
+        const nodes = [
+            { name: 'rabbit@a', mem_alarm: true, mem_used: 900, mem_limit: 800, disk_free_alarm: false },
+            { name: 'rabbit@b', mem_alarm: false, disk_free_alarm: true, disk_free: 10, disk_free_limit: 50 },
+            { name: 'rabbit@c', mem_alarm: false, disk_free_alarm: false }
+        ];
+
+        expect(getNodeAlarms(nodes)).toEqual([
+            { node: 'rabbit@a', type: 'memory', used: 900, limit: 800 },
+            { node: 'rabbit@b', type: 'disk', used: 10, limit: 50 }
+        ]);
+    });
+
+    test('is empty without nodes', () => {
+        expect(getNodeAlarms()).toEqual([]);
+    });
+});
@@ -0,0 +1,60 @@
+// test/utils/notifications.test.js
+const {
+    SAMPLE_EVENT,
+    renderTemplate,
+    buildNotification,
+    describeAlert,
+    maskUrl,
+    maskNotification
+} = require('../../src/utils/notifications');
+
+describe('renderTemplate', () => {
+    test('fills placeholders with JSON-escaped values', () => {
+        const event = { ...SAMPLE_EVENT, alert: { ...SAMPLE_EVENT.alert, queue: 'say "hi"\n' } };
+        expect(renderTemplate('{"queue": "{{ alert.queue }}", "value": {{alert.value}}, "missing": "{{alert.nope}}"}', event))
+            .toEqual({ queue: 'say "hi"\n', value: 1, missing: '' });
+    });
+
+    test('throws when the result is not JSON', () => {
+        expect(() => renderTemplate('{"value": {{alert.nope}}}', SAMPLE_EVENT)).toThrow();
+    });
+});
+
+describe('buildNotification', () => {
+    test('builds webhooks with defaults', () => {
+        expect(buildNotification({ type: 'webhook', url: 'https://example.com/hook' }, 0, {}))
+            .toEqual({ type: 'webhook', url: 'https://example.com/hook', headers: {}, body: null });
+    });
+
+    test.each([
+        [{ type: 'pager' }, /notifications\[1\]\.type must be one of/],
+        [{ type: 'slack', url: 'ftp://example.com' }, /must be an http or https URL/],
+        [{ type: 'webhook', url: 'not a url' }, /must be a URL/],
+        [{ type: 'webhook', url: 'https://example.com', headers: { 'X-Retries': 3 } }, /headers must be an object of strings/],
+        [{ type: 'webhook', url: 'https://example.com', body: '{"value": {{alert.nope}}}' }, /not a valid JSON template/],
+        [{ type: 'email', to: 'not-an-address' }, /to must be one or more email addresses/]
+    ])('rejects %j', (notification, message) => {
+        expect(() => buildNotification(notification, 1, { smtpHost: 'localhost' })).toThrow(message);
+    });
+});
+
+describe('describeAlert', () => {
+    test('describes firing and resolved alerts', () => {
+        const alert = { ...SAMPLE_EVENT.alert, duration: 60 };
+        expect(describeAlert(alert, 'firing').text).toBe('[FIRING] Sample rule: queue "sample" (vhost "/", cluster "default") breaks messages_ready > 0 for 60s, messages_ready is 1');
+        expect(describeAlert(alert, 'resolved').text).toMatch(/is back within messages_ready > 0/);
+    });
+});
+
+describe('masking', () => {
+    test('keeps only the origin of URLs', () => {
+        expect(maskUrl('https://hooks.slack.com/services/T0/B0/token')).toBe('https://hooks.slack.com/…');
+        expect(maskUrl('nonsense')).toBe('…');
+    });
+
+    test('hides header values but not email recipients', () => {
+        expect(maskNotification({ type: 'webhook', url: 'https://example.com/x?token=1', headers: { Authorization: 'Bearer 1' }, body: null }))
+            .toEqual({ type: 'webhook', url: 'https://example.com/…', headers: { Authorization: '***' }, body: null });
+        expect(maskNotification({ type: 'email', to: ['ops@example.com'] })).toEqual({ type: 'email', to: ['ops@example.com'] });
+    });
+});
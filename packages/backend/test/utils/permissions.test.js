@@ -0,0 +1,74 @@
+// test/utils/permissions.test.js
+const {
+    CAPABILITIES,
+    getCapabilities,
+    isInScope,
+    can,
+    filterInScope
+} = require('../../src/utils/permissions');
+
+const scoped = { username: 'scoped', role: 'admin', vhosts: ['shop'], queuePattern: '^orders\\.' };
+
+describe('getCapabilities', () => {
+    test('grants each role its capabilities', () => {
+        expect(getCapabilities('viewer')).toEqual(['read']);
+        expect(getCapabilities('operator')).toEqual(['read', 'peek', 'publish']);
+        expect(getCapabilities('admin')).toEqual(CAPABILITIES);
+        expect(getCapabilities('nobody')).toEqual([]);
+    });
+
+    test('leaves reading, peeking and the audit log in read-only mode', () => {
+        expect(getCapabilities('admin', true)).toEqual(['read', 'peek', 'audit']);
+        expect(getCapabilities('viewer', true)).toEqual(['read']);
+    });
+});
+
+describe('isInScope', () => {
+    test('allows everything without a scope', () => {
+        expect(isInScope({ role: 'admin' }, { vhost: 'any', queue: 'any' })).toBe(true);
+    });
+
+    test.each([
+        [{ vhost: 'shop', queue: 'orders.new' }, true],
+        [{ vhost: 'shop', queue: 'billing' }, false],
+        [{ vhost: '/', queue: 'orders.new' }, false],
+        [{ vhost: 'shop' }, true],
+        [{}, true]
+    ])('checks %j', (resource, expected) => {
+        expect(isInScope(scoped, resource)).toBe(expected);
+    });
+});
+
+describe('can', () => {
+    test('needs the capability', () => {
+        expect(can({ role: 'viewer' }, 'read')).toBe(true);
+        expect(can({ role: 'viewer' }, 'purge')).toBe(false);
+        expect(can({ role: 'operator' }, 'publish', { vhost: '/' })).toBe(true);
+    });
+
+    test('limits reading to the scope as well', () => {
+        expect(can(scoped, 'read', { vhost: 'shop', queue: 'orders.new' })).toBe(true);
+        expect(can(scoped, 'read', { vhost: '/' })).toBe(false);
+        expect(can(scoped, 'read', { vhost: 'shop', queue: 'billing' })).toBe(false);
+        expect(can(scoped, 'purge', { vhost: 'shop', queue: 'billing' })).toBe(false);
+    });
+});
+
+describe('filterInScope', () => {
+    const queues = [
+        { vhost: 'shop', name: 'orders.new' },
+        { vhost: 'shop', name: 'billing' },
+        { vhost: '/', name: 'orders.new' }
+    ];
+    const getResource = queue => ({ vhost: queue.vhost, queue: queue.name });
+
+    test('keeps the items in scope', () => {
+        expect(filterInScope(scoped, queues, getResource)).toEqual([queues[0]]);
+        expect(filterInScope({ ...scoped, queuePattern: null }, queues, getResource)).toEqual(queues.slice(0, 2));
+    });
+
+    test('keeps everything without a user or a scope', () => {
+        expect(filterInScope(undefined, queues, getResource)).toBe(queues);
+        expect(filterInScope({ role: 'viewer', vhosts: null, queuePattern: null }, queues, getResource)).toBe(queues);
+    });
+});
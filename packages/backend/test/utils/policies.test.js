@@ -0,0 +1,69 @@
+// test/utils/policies.test.js
+const { appliesTo, policyMatches, findWinningPolicy, previewPolicy } = require('../../src/utils/policies');
+
+const policy = (name, pattern, extra = {}) => ({ name, pattern, 'apply-to': 'all', priority: 0, ...extra });
+
+describe('appliesTo', () => {
+    test.each([
+        ['all', 'exchange', {}, true],
+        ['queues', 'exchange', {}, false],
+        ['exchanges', 'exchange', {}, true],
+        ['classic_queues', 'queue', {}, true],
+        ['classic_queues', 'queue', { type: 'quorum' }, false],
+        ['quorum_queues', 'queue', { type: 'quorum' }, true],
+        ['streams', 'queue', { type: 'quorum' }, false],
+        ['streams', 'queue', { type: 'stream' }, true],
+        ['unknown', 'queue', {}, false]
+    ])('%s covers a %s %p: %p', (applyTo, kind, resource, expected) => {
+        expect(appliesTo(applyTo, kind, resource)).toBe(expected);
+    });
+});
+
+describe('policyMatches', () => {
+    test('matches the pattern anywhere in the name', () => {
+        expect(policyMatches(policy('p', 'orders'), 'queue', { name: 'eu.orders.new' })).toBe(true);
+        expect(policyMatches(policy('p', '^orders'), 'queue', { name: 'eu.orders.new' })).toBe(false);
+    });
+
+    test('never matches the default exchange or with an invalid pattern', () => {
+        expect(policyMatches(policy('p', '.*'), 'exchange', { name: '' })).toBe(false);
+        expect(policyMatches(policy('p', '('), 'queue', { name: '(' })).toBe(false);
+    });
+});
+
+describe('findWinningPolicy', () => {
+    test('picks the highest priority, then the first name', () => {
+        const policies = [policy('b', '.*', { priority: 1 }), policy('a', '.*', { priority: 1 }), policy('c', '.*', { priority: 0 })];
+
+        expect(findWinningPolicy(policies, 'queue', { name: 'jobs' }).name).toBe('a');
+        expect(findWinningPolicy([policy('x', '^orders')], 'queue', { name: 'jobs' })).toBeNull();
+    });
+});
+
+describe('previewPolicy', () => {
+    test('lists matches with their policy now and once the draft is saved', () => {
+        const policies = [policy('ttl', '.*', { priority: 5 }), policy('limits', '^orders', { priority: 1 })];
+        const resources = {
+            queues: [
+                { name: 'orders.new', type: 'classic', policy: 'ttl' },
+                { name: 'jobs', type: 'classic', policy: 'ttl' }
+            ],
+            exchanges: [{ name: 'orders', type: 'topic' }]
+        };
+
+        // Raise limits above ttl for queues only
+        const preview = previewPolicy(policy('limits', '^orders', { priority: 9, 'apply-to': 'queues' }), policies, resources);
+
+        expect(preview).toEqual({
+            queues: [{ name: 'orders.new', type: 'classic', current: 'ttl', winner: 'limits' }],
+            exchanges: []
+        });
+    });
+
+    test('reads operator policies from their own field', () => {
+        const resources = { queues: [{ name: 'jobs', type: 'quorum', operator_policy: 'cap' }] };
+
+        expect(previewPolicy(policy('cap', '.*'), [], resources, 'operator_policy').queues)
+            .toEqual([{ name: 'jobs', type: 'quorum', current: 'cap', winner: 'cap' }]);
+    });
+});
@@ -0,0 +1,59 @@
+// test/utils/prometheus.test.js
+const { escapeLabelValue, formatMetrics, createNameFilter } = require('../../src/utils/prometheus');
+
+describe('escapeLabelValue', () => {
+    test('escapes backslashes, newlines and quotes', () => {
+        expect(escapeLabelValue('a\\b\n"c"')).toBe('a\\\\b\\n\\"c\\"');
+        expect(escapeLabelValue(42)).toBe('42');
+    });
+});
+
+describe('formatMetrics', () => {
+    test('renders families in the text format', () => {
+        const text = formatMetrics([
+            {
+                name: 'rmq_board_queue_messages_ready',
+                help: 'Messages ready\nfor delivery',
+                type: 'gauge',
+                samples: [
+                    { labels: { vhost: '/', queue: 'say "hi"' }, value: 3 },
+                    { labels: { vhost: '/', queue: 'broken' }, value: NaN }
+                ]
+            },
+            { name: 'rmq_board_up', help: 'Up', type: 'gauge', samples: [{ value: Infinity }, { value: -Infinity }] }
+        ]);
+
+        expect(text).toBe([
+            '# HELP rmq_board_queue_messages_ready Messages ready\\nfor delivery',
+            '# TYPE rmq_board_queue_messages_ready gauge',
+            'rmq_board_queue_messages_ready{vhost="/",queue="say \\"hi\\""} 3',
+            'rmq_board_queue_messages_ready{vhost="/",queue="broken"} NaN',
+            '# HELP rmq_board_up Up',
+            '# TYPE rmq_board_up gauge',
+            'rmq_board_up +Inf',
+            'rmq_board_up -Inf',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('createNameFilter', () => {
+    test('keeps everything without settings', () => {
+        const filter = createNameFilter({ vhosts: null, include: null, exclude: null, setting: 'PROMETHEUS_QUEUE' });
+        expect(filter('/', 'anything')).toBe(true);
+    });
+
+    test('applies vhosts, then include, then exclude', () => {
+        const filter = createNameFilter({ vhosts: ['shop'], include: '^orders\\.', exclude: '\\.tmp$', setting: 'PROMETHEUS_QUEUE' });
+
+        expect(filter('shop', 'orders.new')).toBe(true);
+        expect(filter('/', 'orders.new')).toBe(false);
+        expect(filter('shop', 'billing')).toBe(false);
+        expect(filter('shop', 'orders.new.tmp')).toBe(false);
+    });
+
+    test('names the setting of an invalid pattern', () => {
+        expect(() => createNameFilter({ vhosts: null, include: null, exclude: '(', setting: 'PROMETHEUS_EXCHANGE' }))
+            .toThrow(/PROMETHEUS_EXCHANGE_EXCLUDE is not a valid regular expression/);
+    });
+});
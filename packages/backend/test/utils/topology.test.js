@@ -0,0 +1,172 @@
+// test/utils/topology.test.js
+const { parseTopology, buildPlan, describePlanSummary } = require('../../src/utils/topology');
+
+const emptyLive = () => ({ exchanges: [], queues: [], bindings: [], policies: [] });
+
+describe('parseTopology', () => {
+    test('reads YAML and fills in defaults', () => {
+        const topology = parseTopology(`
+vhost: shop
+exchanges:
+  - name: orders
+    type: topic
+queues:
+  - name: orders.created
+bindings:
+  - source: orders
+    destination: orders.created
+    routing_key: order.created
+`);
+
+        expect(topology.vhosts).toEqual(['shop']);
+        expect(topology.exchanges[0]).toMatchObject({ vhost: 'shop', name: 'orders', type: 'topic', durable: true });
+        expect(topology.queues[0]).toMatchObject({ vhost: 'shop', name: 'orders.created' });
+        expect(topology.bindings[0]).toMatchObject({ vhost: 'shop', destination_type: 'queue', routing_key: 'order.created' });
+    });
+
+    test('reads JSON', () => {
+        const topology = parseTopology(JSON.stringify({ vhost: '/', queues: [{ name: 'jobs' }] }));
+        expect(topology.queues.map(queue => queue.name)).toEqual(['jobs']);
+    });
+
+    test('manages only the vhosts items are in when the file sets none', () => {
+        const topology = parseTopology({
+            exchanges: [{ name: 'orders', type: 'direct', vhost: 'orders' }],
+            queues: [{ name: 'orders.new', vhost: 'orders' }]
+        });
+        expect(topology.vhosts).toEqual(['orders']);
+    });
+
+    test('manages the default vhost when an item falls back to it', () => {
+        const topology = parseTopology({
+            queues: [{ name: 'orders.new', vhost: 'orders' }, { name: 'jobs' }]
+        });
+        expect(topology.vhosts).toEqual(['/', 'orders']);
+    });
+
+    test('manages the vhost the file sets even when every item names another', () => {
+        const topology = parseTopology({ vhost: 'shop', queues: [{ name: 'audit', vhost: 'audit' }] });
+        expect(topology.vhosts).toEqual(['audit', 'shop']);
+    });
+
+    test('rejects a file that declares nothing and sets no vhost', () => {
+        expect(() => parseTopology({})).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test.each([
+        ['invalid YAML', 'queues: [', /Invalid topology file/],
+        ['a list', '- name: jobs', /must be an object/],
+        ['amq. exchanges', { exchanges: [{ name: 'amq.direct' }] }, /belong to RabbitMQ/],
+        ['exclusive queues', { queues: [{ name: 'jobs', exclusive: true }] }, /exclusive queues/],
+        ['duplicates', { queues: [{ name: 'jobs' }, { name: 'jobs' }] }, /declared twice/],
+        ['bindings to undeclared queues', { exchanges: [{ name: 'orders' }], bindings: [{ source: 'orders', destination: 'jobs' }] }, /queue "jobs" is not declared/]
+    ])('rejects %s', (_, source, message) => {
+        expect(() => parseTopology(source)).toThrow(message);
+    });
+});
+
+describe('buildPlan', () => {
+    test('creates what is missing in the order it is applied in', () => {
+        const topology = parseTopology({
+            vhost: '/',
+            exchanges: [{ name: 'orders', type: 'direct' }],
+            queues: [{ name: 'jobs' }],
+            bindings: [{ source: 'orders', destination: 'jobs', routing_key: 'job' }],
+            policies: [{ name: 'ttl', pattern: '^jobs$', definition: { 'message-ttl': 1000 } }]
+        });
+
+        const plan = buildPlan(topology, emptyLive());
+
+        expect(plan.actions.map(action => `${action.action} ${action.kind}`)).toEqual([
+            'create exchange',
+            'create queue',
+            'create binding',
+            'create policy'
+        ]);
+        expect(plan.summary).toEqual({ create: 4, update: 0, recreate: 0, delete: 0, destructive: 0 });
+        expect(describePlanSummary(plan.summary)).toBe('4 to create');
+    });
+
+    test('leaves vhosts the file does not manage alone', () => {
+        const topology = parseTopology({ queues: [{ name: 'orders.new', vhost: 'orders' }] });
+        const live = {
+            ...emptyLive(),
+            exchanges: [{ vhost: '/', name: 'legacy', type: 'direct', durable: true }],
+            queues: [
+                { vhost: '/', name: 'legacy', durable: true, messages: 3 },
+                { vhost: 'orders', name: 'orders.new', durable: true, arguments: {} }
+            ]
+        };
+
+        expect(buildPlan(topology, live).actions).toEqual([]);
+    });
+
+    test('recreates a queue whose type changed and marks it destructive', () => {
+        const topology = parseTopology({
+            vhost: '/',
+            exchanges: [{ name: 'orders', type: 'direct' }],
+            queues: [{ name: 'jobs', type: 'quorum' }],
+            bindings: [{ source: 'orders', destination: 'jobs', routing_key: 'job' }]
+        });
+        const live = {
+            ...emptyLive(),
+            exchanges: [{ vhost: '/', name: 'orders', type: 'direct', durable: true, auto_delete: false, internal: false, arguments: {} }],
+            queues: [{ vhost: '/', name: 'jobs', type: 'classic', durable: true, auto_delete: false, arguments: {}, messages: 12 }],
+            bindings: [{ vhost: '/', source: 'orders', destination: 'jobs', destination_type: 'queue', routing_key: 'job', arguments: {} }]
+        };
+
+        const plan = buildPlan(topology, live);
+        const recreate = plan.actions.find(action => action.action === 'recreate');
+
+        expect(recreate).toMatchObject({ kind: 'queue', name: 'jobs', destructive: true, messages: 12 });
+        expect(recreate.fields.map(({ field }) => field)).toEqual(expect.arrayContaining(['type', 'arguments.x-queue-type']));
+        // The binding goes with the queue and is declared again
+        expect(plan.actions.find(action => action.kind === 'binding')).toMatchObject({ action: 'create', destructive: false });
+        expect(plan.summary).toMatchObject({ recreate: 1, create: 1, destructive: 1 });
+    });
+
+    test('deletes what is not in the file, destructively for queues and exchanges', () => {
+        const topology = parseTopology({ vhost: '/' });
+        const live = {
+            exchanges: [
+                { vhost: '/', name: 'stale', type: 'fanout' },
+                { vhost: '/', name: 'amq.direct', type: 'direct' }
+            ],
+            queues: [
+                { vhost: '/', name: 'stale', messages: 7 },
+                { vhost: '/', name: 'session', exclusive: true }
+            ],
+            bindings: [],
+            policies: [{ vhost: '/', name: 'old', pattern: '.*', definition: {} }]
+        };
+
+        const plan = buildPlan(topology, live);
+
+        expect(plan.actions.map(action => [action.action, action.kind, action.name, action.destructive])).toEqual([
+            ['delete', 'policy', 'old', false],
+            ['delete', 'queue', 'stale', true],
+            ['delete', 'exchange', 'stale', true]
+        ]);
+        expect(plan.actions[1].messages).toBe(7);
+        expect(plan.summary.destructive).toBe(2);
+    });
+
+    test('updates policies in place', () => {
+        const topology = parseTopology({ vhost: '/', policies: [{ name: 'ttl', pattern: '^jobs$', definition: { 'message-ttl': 2000 } }] });
+        const live = { ...emptyLive(), policies: [{ vhost: '/', name: 'ttl', pattern: '^jobs$', 'apply-to': 'all', priority: 0, definition: { 'message-ttl': 1000 } }] };
+
+        const [action] = buildPlan(topology, live).actions;
+
+        expect(action).toMatchObject({ action: 'update', kind: 'policy', destructive: false });
+        expect(action.fields).toEqual([{ field: 'definition.message-ttl', before: 1000, after: 2000 }]);
+    });
+
+    test('keeps the plan id when only message counts change', () => {
+        const topology = parseTopology({ vhost: '/' });
+        const live = (messages) => ({ ...emptyLive(), queues: [{ vhost: '/', name: 'stale', messages }] });
+
+        const first = buildPlan(topology, live(1));
+        expect(buildPlan(topology, live(500)).id).toBe(first.id);
+        expect(buildPlan(topology, emptyLive()).id).not.toBe(first.id);
+    });
+});
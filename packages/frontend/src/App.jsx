@@ -1,7 +1,12 @@
 import React, { useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
-import { ConfigProvider, theme, notification } from "antd";
+import { ConfigProvider, theme, notification, Spin } from "antd";
 import { SocketProvider } from "./context/SocketContext";
+import { AuthProvider } from "./context/AuthContext";
+import { useAuth } from "./context/useAuth";
+import { ClusterProvider } from "./context/ClusterContext";
+import { useCluster } from "./context/useCluster";
+import { VhostProvider } from "./context/VhostContext";
 import MainLayout from "./layouts/MainLayout";
 
 // Import pages
@@ -9,11 +14,90 @@ import Overview from "./components/Overview";
 import Queues from "./components/Queues";
 import Exchanges from "./components/Exchanges";
 import Bindings from "./components/Bindings";
+import Connections from "./components/Connections";
+import Channels from "./components/Channels";
+import Nodes from "./components/Nodes";
+import Vhosts from "./components/Vhosts";
+import Users from "./components/Users";
+import Policies from "./components/Policies";
+import Definitions from "./components/Definitions";
+import TopologyDiff from "./components/TopologyDiff";
+import TopologyApply from "./components/TopologyApply";
+import TopologyGraph from "./components/TopologyGraph";
 import PublishMessage from "./components/PublishMessage";
+import DeadLetters from "./components/DeadLetters";
+import Login from "./components/Login";
+import Audit from "./components/Audit";
+import Alerts from "./components/Alerts";
 
 // Import styles
 import "./App.css";
 
+const Loading = () => (
+  <div style={{ display: "flex", justifyContent: "center", marginTop: 120 }}>
+    <Spin size="large" />
+  </div>
+);
+
+// Remount the pages when the cluster changes so they load its data
+const ClusterApp = () => {
+  const { loading, clusterId } = useCluster();
+
+  if (loading) {
+    return <Loading />;
+  }
+
+  return (
+    <VhostProvider key={clusterId}>
+      <SocketProvider>
+        <Router>
+          <Routes>
+            <Route path="/" element={<MainLayout />}>
+              <Route index element={<Overview />} />
+              <Route path="queues" element={<Queues />} />
+              <Route path="exchanges" element={<Exchanges />} />
+              <Route path="bindings" element={<Bindings />} />
+              <Route path="topology/graph" element={<TopologyGraph />} />
+              <Route path="connections" element={<Connections />} />
+              <Route path="channels" element={<Channels />} />
+              <Route path="nodes" element={<Nodes />} />
+              <Route path="vhosts" element={<Vhosts />} />
+              <Route path="users" element={<Users />} />
+              <Route path="policies" element={<Policies />} />
+              <Route path="definitions" element={<Definitions />} />
+              <Route path="topology/diff" element={<TopologyDiff />} />
+              <Route path="topology/apply" element={<TopologyApply />} />
+              <Route path="publish" element={<PublishMessage />} />
+              <Route path="dead-letters" element={<DeadLetters />} />
+              <Route path="alerts" element={<Alerts />} />
+              <Route path="audit" element={<Audit />} />
+            </Route>
+          </Routes>
+        </Router>
+      </SocketProvider>
+    </VhostProvider>
+  );
+};
+
+// Only connect the socket once logged in, so the handshake carries the session
+const AuthenticatedApp = () => {
+  const { loading, authenticated } = useAuth();
+
+  if (loading) {
+    return <Loading />;
+  }
+
+  if (!authenticated) {
+    return <Login />;
+  }
+
+  return (
+    <ClusterProvider>
+      <ClusterApp />
+    </ClusterProvider>
+  );
+};
+
 const App = () => {
   // Detect user's preferred color scheme
   const prefersDarkMode = window.matchMedia(
@@ -55,19 +139,9 @@ const App = () => {
         },
       }}
     >
-      <SocketProvider>
-        <Router>
-          <Routes>
-            <Route path="/" element={<MainLayout />}>
-              <Route index element={<Overview />} />
-              <Route path="queues" element={<Queues />} />
-              <Route path="exchanges" element={<Exchanges />} />
-              <Route path="bindings" element={<Bindings />} />
-              <Route path="publish" element={<PublishMessage />} />
-            </Route>
-          </Routes>
-        </Router>
-      </SocketProvider>
+      <AuthProvider>
+        <AuthenticatedApp />
+      </AuthProvider>
     </ConfigProvider>
   );
 };
@@ -0,0 +1,255 @@
+// src/components/AddBindingModal.jsx
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  Form,
+  Input,
+  Select,
+  Radio,
+  Alert,
+  Typography,
+  notification,
+} from "antd";
+import api from "../services/api";
+import JSONEditor from "./JSONEditor";
+
+const { Option } = Select;
+const { Text } = Typography;
+
+/**
+ * Modal for binding an exchange to a queue or another exchange.
+ * Pass `source` to fix the source exchange (exchange details) or
+ * `destination` ({ type, name }) to fix the destination (queue details).
+ */
+const AddBindingModal = ({
+  open,
+  onClose,
+  onCreated,
+  vhost = null,
+  source = null,
+  destination = null,
+}) => {
+  const [form] = Form.useForm();
+  const [exchanges, setExchanges] = useState([]);
+  const [queues, setQueues] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [argumentsJson, setArgumentsJson] = useState("{}");
+  const [argumentsValid, setArgumentsValid] = useState(true);
+
+  // Compare primitives so a new destination object doesn't reset the form
+  const fixedDestinationType = destination ? destination.type : null;
+  const fixedDestinationName = destination ? destination.name : null;
+
+  const selectedVhost = Form.useWatch("vhost", form) || vhost || "/";
+  const selectedSource = Form.useWatch("source", form) || source;
+  const destinationType =
+    Form.useWatch("destinationType", form) || fixedDestinationType || "queue";
+
+  // Load exchanges and queues to choose from when the modal opens
+  useEffect(() => {
+    if (!open) return;
+
+    const loadResources = async () => {
+      try {
+        const [exchangesResponse, queuesResponse] = await Promise.all([
+          api.getExchanges(),
+          api.getQueues(),
+        ]);
+        setExchanges(exchangesResponse.data || []);
+        setQueues(queuesResponse.data || []);
+      } catch (error) {
+        console.error("Error loading exchanges and queues:", error);
+      }
+    };
+
+    loadResources();
+    form.setFieldsValue({
+      vhost: vhost || "/",
+      source: source || undefined,
+      destinationType: fixedDestinationType || "queue",
+      destination: fixedDestinationName || undefined,
+      routingKey: "",
+    });
+  }, [open, vhost, source, fixedDestinationType, fixedDestinationName, form]);
+
+  const vhosts = Array.from(
+    new Set(["/", ...exchanges.map((exchange) => exchange.vhost)])
+  );
+
+  // The default exchange cannot be bound explicitly
+  const sourceExchanges = exchanges.filter(
+    (exchange) => exchange.vhost === selectedVhost && exchange.name !== ""
+  );
+
+  const sourceExchange = sourceExchanges.find(
+    (exchange) => exchange.name === selectedSource
+  );
+  const isHeadersExchange = sourceExchange && sourceExchange.type === "headers";
+
+  const destinationOptions =
+    destinationType === "exchange"
+      ? sourceExchanges.map((exchange) => exchange.name)
+      : queues
+          .filter((queue) => queue.vhost === selectedVhost)
+          .map((queue) => queue.name);
+
+  const handleCancel = () => {
+    form.resetFields();
+    setArgumentsJson("{}");
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async (values) => {
+    if (!argumentsValid) {
+      setError("Arguments must be valid JSON");
+      return;
+    }
+
+    const args = JSON.parse(argumentsJson || "{}");
+    if (isHeadersExchange && values.match) {
+      args["x-match"] = values.match;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await api.createBinding(
+        values.vhost,
+        values.source,
+        values.destinationType,
+        values.destination,
+        { routing_key: values.routingKey || "", arguments: args }
+      );
+
+      notification.success({
+        message: "Binding Created",
+        description: `Bound ${values.destinationType} "${values.destination}" to exchange "${values.source}"`,
+      });
+
+      form.resetFields();
+      setArgumentsJson("{}");
+      onCreated && onCreated();
+    } catch (error) {
+      console.error("Error creating binding:", error);
+      setError(api.handleRequestError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Add Binding"
+      open={open}
+      onCancel={handleCancel}
+      onOk={() => form.submit()}
+      okText="Add Binding"
+      confirmLoading={submitting}
+      destroyOnClose
+      width={560}
+    >
+      {error && (
+        <Alert
+          message={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form form={form} layout="vertical" onFinish={handleSubmit}>
+        <Form.Item
+          name="vhost"
+          label="Virtual Host"
+          rules={[{ required: true }]}
+        >
+          <Select showSearch disabled={Boolean(vhost)}>
+            {vhosts.map((name) => (
+              <Option key={name} value={name}>
+                {name}
+              </Option>
+            ))}
+          </Select>
+        </Form.Item>
+
+        <Form.Item
+          name="source"
+          label="Source exchange"
+          rules={[
+            { required: true, message: "Please select a source exchange" },
+          ]}
+        >
+          <Select showSearch disabled={Boolean(source)}>
+            {sourceExchanges.map((exchange) => (
+              <Option key={exchange.name} value={exchange.name}>
+                {exchange.name} <Text type="secondary">({exchange.type})</Text>
+              </Option>
+            ))}
+          </Select>
+        </Form.Item>
+
+        <Form.Item name="destinationType" label="Destination type">
+          <Radio.Group disabled={Boolean(destination)}>
+            <Radio value="queue">Queue</Radio>
+            <Radio value="exchange">Exchange</Radio>
+          </Radio.Group>
+        </Form.Item>
+
+        <Form.Item
+          name="destination"
+          label="Destination"
+          rules={[{ required: true, message: "Please select a destination" }]}
+        >
+          <Select showSearch disabled={Boolean(destination)}>
+            {destinationOptions.map((name) => (
+              <Option key={name} value={name}>
+                {name}
+              </Option>
+            ))}
+          </Select>
+        </Form.Item>
+
+        <Form.Item
+          name="routingKey"
+          label="Routing key"
+          extra={
+            sourceExchange && sourceExchange.type === "topic"
+              ? "Topic patterns: * matches one word, # matches zero or more words"
+              : null
+          }
+        >
+          <Input
+            placeholder={
+              isHeadersExchange ? "Ignored by headers exchanges" : ""
+            }
+          />
+        </Form.Item>
+
+        {isHeadersExchange && (
+          <Form.Item name="match" label="x-match" initialValue="all">
+            <Select>
+              <Option value="all">all - every header must match</Option>
+              <Option value="any">any - at least one header must match</Option>
+            </Select>
+          </Form.Item>
+        )}
+
+        <Form.Item label={isHeadersExchange ? "Headers to match" : "Arguments"}>
+          <JSONEditor
+            value={argumentsJson}
+            onChange={setArgumentsJson}
+            onValidate={setArgumentsValid}
+            height="100px"
+          />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AddBindingModal;
@@ -0,0 +1,113 @@
+// src/components/AlertBell.jsx
+import { useState } from "react";
+import {
+  Badge,
+  Button,
+  Popover,
+  List,
+  Tag,
+  Space,
+  Typography,
+  Empty,
+} from "antd";
+import { BellOutlined } from "@ant-design/icons";
+import { useNavigate } from "react-router-dom";
+import { useSocket } from "../context/SocketContext";
+import { useCluster } from "../context/useCluster";
+import {
+  formatAlertCondition,
+  getAlertSeverityColor,
+} from "../utils/formatters";
+
+const { Text } = Typography;
+
+// Alerts listed in the popover; the rest are on the Alerts page
+const MAX_SHOWN = 8;
+
+/**
+ * Header bell with the number of firing alerts, pushed over the socket
+ */
+const AlertBell = ({ color }) => {
+  const { alerts } = useSocket();
+  const { clusters } = useCluster();
+  const [open, setOpen] = useState(false);
+  const navigate = useNavigate();
+
+  const hasCritical = alerts.some((alert) => alert.severity === "critical");
+
+  const viewAll = () => {
+    setOpen(false);
+    navigate("/alerts");
+  };
+
+  const content = (
+    <div style={{ width: 360 }}>
+      {alerts.length === 0 ? (
+        <Empty
+          image={Empty.PRESENTED_IMAGE_SIMPLE}
+          description="No alerts firing"
+        />
+      ) : (
+        <List
+          size="small"
+          dataSource={alerts.slice(0, MAX_SHOWN)}
+          rowKey="id"
+          renderItem={(alert) => (
+            <List.Item>
+              <Space direction="vertical" size={0}>
+                <Space size={4}>
+                  <Tag color={getAlertSeverityColor(alert.severity)}>
+                    {alert.severity}
+                  </Tag>
+                  <Text strong>{alert.rule}</Text>
+                </Space>
+                <Text>
+                  {alert.queue}
+                  {alert.vhost !== "/" && (
+                    <Text type="secondary"> ({alert.vhost})</Text>
+                  )}
+                  {clusters.length > 1 && (
+                    <Text type="secondary"> on {alert.cluster}</Text>
+                  )}
+                </Text>
+                <Text type="secondary" style={{ fontSize: "12px" }}>
+                  {formatAlertCondition(alert)}, now {alert.value}
+                </Text>
+              </Space>
+            </List.Item>
+          )}
+        />
+      )}
+      <Button type="link" block onClick={viewAll}>
+        {alerts.length > MAX_SHOWN
+          ? `View all ${alerts.length} alerts`
+          : "View alerts"}
+      </Button>
+    </div>
+  );
+
+  return (
+    <Popover
+      title="Firing alerts"
+      content={content}
+      trigger="click"
+      placement="bottomRight"
+      open={open}
+      onOpenChange={setOpen}
+    >
+      <Badge
+        count={alerts.length}
+        size="small"
+        color={hasCritical ? "red" : "orange"}
+      >
+        <Button
+          type="text"
+          icon={<BellOutlined style={{ color, fontSize: "18px" }} />}
+          aria-label="Alerts"
+        />
+      </Badge>
+    </Popover>
+  );
+};
+
+export default AlertBell;
@@ -0,0 +1,374 @@
+// src/components/AlertRuleModal.jsx
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  Radio,
+  Switch,
+  Space,
+  Alert,
+  Button,
+  Card,
+  notification,
+} from "antd";
+import { PlusOutlined, DeleteOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useCluster } from "../context/useCluster";
+
+const METRIC_OPTIONS = [
+  { value: "messages_ready", label: "Ready messages" },
+  { value: "messages_unacknowledged", label: "Unacked messages" },
+  { value: "messages", label: "Total messages" },
+  { value: "consumers", label: "Consumers" },
+  { value: "publish_rate", label: "Publish rate (msg/s)" },
+  { value: "deliver_rate", label: "Deliver rate (msg/s)" },
+  { value: "ack_rate", label: "Ack rate (msg/s)" },
+];
+
+const COMPARATOR_OPTIONS = [">", ">=", "<", "<=", "==", "!="].map((value) => ({
+  value,
+  label: value,
+}));
+
+const CHANNEL_OPTIONS = [
+  { value: "webhook", label: "Webhook" },
+  { value: "slack", label: "Slack / Teams" },
+  { value: "email", label: "Email" },
+];
+
+const DEFAULT_RULE = {
+  enabled: true,
+  metric: "messages_ready",
+  comparator: ">",
+  threshold: 1000,
+  duration: 300,
+  severity: "warning",
+  notifications: [],
+};
+
+const BODY_PLACEHOLDER =
+  '{"summary": "{{text}}", "queue": "{{alert.queue}}", "value": {{alert.value}}}';
+
+/**
+ * Turn a rule's notifications into form values: headers are edited as JSON
+ * and email recipients as a comma separated list
+ */
+const toFormNotifications = (notifications = []) =>
+  notifications.map((channel) => ({
+    ...channel,
+    headers:
+      channel.headers && Object.keys(channel.headers).length > 0
+        ? JSON.stringify(channel.headers, null, 2)
+        : undefined,
+    to: channel.to ? channel.to.join(", ") : undefined,
+  }));
+
+/**
+ * Turn form values back into notifications for the API
+ */
+const fromFormNotifications = (notifications = []) =>
+  notifications.map(({ type, url, headers, body, to }) => {
+    if (type === "email") return { type, to };
+    if (type === "slack") return { type, url };
+    return {
+      type,
+      url,
+      headers: headers ? JSON.parse(headers) : {},
+      body: body || null,
+    };
+  });
+
+const validateHeaders = (_, value) => {
+  if (!value) return Promise.resolve();
+  try {
+    JSON.parse(value);
+    return Promise.resolve();
+  } catch (error) {
+    return Promise.reject(new Error("Headers must be a JSON object"));
+  }
+};
+
+/**
+ * Modal for creating an alert rule, or editing `rule` when given
+ */
+const AlertRuleModal = ({ open, rule = null, onClose, onSaved }) => {
+  const [form] = Form.useForm();
+  const { clusters } = useCluster();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    form.resetFields();
+    // The Select shows its placeholder for undefined, not null
+    form.setFieldsValue(
+      rule
+        ? {
+            ...rule,
+            cluster: rule.cluster || undefined,
+            notifications: toFormNotifications(rule.notifications),
+          }
+        : DEFAULT_RULE
+    );
+    setError(null);
+  }, [open, rule, form]);
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    setError(null);
+
+    const payload = {
+      ...values,
+      notifications: fromFormNotifications(values.notifications),
+    };
+
+    try {
+      if (rule) {
+        await api.updateAlertRule(rule.id, payload);
+      } else {
+        await api.createAlertRule(payload);
+      }
+
+      notification.success({
+        message: rule ? "Alert Rule Updated" : "Alert Rule Created",
+        description: `Alert rule "${values.name}" saved`,
+      });
+      onSaved && onSaved();
+    } catch (error) {
+      console.error("Error saving alert rule:", error);
+      setError(api.handleRequestError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={rule ? "Edit Alert Rule" : "Add Alert Rule"}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Save"
+      confirmLoading={submitting}
+      destroyOnClose
+      width={560}
+    >
+      {error && (
+        <Alert
+          message={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form form={form} layout="vertical" onFinish={handleSubmit}>
+        <Form.Item
+          name="name"
+          label="Name"
+          rules={[{ required: true, message: "Please enter a name" }]}
+        >
+          <Input placeholder="payments.inbound has no consumers" />
+        </Form.Item>
+
+        {clusters.length > 1 && (
+          <Form.Item name="cluster" label="Cluster">
+            <Select
+              allowClear
+              placeholder="All clusters"
+              options={clusters.map((cluster) => ({
+                value: cluster.id,
+                label: cluster.name,
+              }))}
+            />
+          </Form.Item>
+        )}
+
+        <Form.Item name="vhost" label="Virtual Host">
+          <Input placeholder="All virtual hosts" allowClear />
+        </Form.Item>
+
+        <Form.Item
+          name="queuePattern"
+          label="Queue pattern"
+          extra="Regular expression matched against queue names, e.g. ^payments\.inbound$. Leave empty for every queue."
+        >
+          <Input placeholder="All queues" allowClear />
+        </Form.Item>
+
+        <Form.Item label="Condition" required>
+          <Space.Compact style={{ width: "100%" }}>
+            <Form.Item name="metric" noStyle>
+              <Select options={METRIC_OPTIONS} style={{ width: "50%" }} />
+            </Form.Item>
+            <Form.Item name="comparator" noStyle>
+              <Select options={COMPARATOR_OPTIONS} style={{ width: "20%" }} />
+            </Form.Item>
+            <Form.Item
+              name="threshold"
+              noStyle
+              rules={[{ required: true, message: "Please enter a threshold" }]}
+            >
+              <InputNumber style={{ width: "30%" }} />
+            </Form.Item>
+          </Space.Compact>
+        </Form.Item>
+
+        <Form.Item
+          name="duration"
+          label="For at least"
+          extra="The condition must hold this long before the alert fires"
+        >
+          <InputNumber min={0} addonAfter="seconds" style={{ width: "100%" }} />
+        </Form.Item>
+
+        <Form.Item name="severity" label="Severity">
+          <Radio.Group>
+            <Radio value="warning">Warning</Radio>
+            <Radio value="critical">Critical</Radio>
+          </Radio.Group>
+        </Form.Item>
+
+        <Form.Item name="enabled" label="Enabled" valuePropName="checked">
+          <Switch />
+        </Form.Item>
+
+        <Form.Item
+          label="Notifications"
+          extra="Sent when an alert of this rule fires and when it resolves"
+        >
+          <Form.List name="notifications">
+            {(fields, { add, remove }) => (
+              <Space direction="vertical" style={{ width: "100%" }}>
+                {fields.map((field) => (
+                  <Card
+                    key={field.key}
+                    size="small"
+                    title={
+                      <Form.Item name={[field.name, "type"]} noStyle>
+                        <Select
+                          options={CHANNEL_OPTIONS}
+                          style={{ width: 160 }}
+                        />
+                      </Form.Item>
+                    }
+                    extra={
+                      <Button
+                        type="text"
+                        danger
+                        icon={<DeleteOutlined />}
+                        onClick={() => remove(field.name)}
+                        aria-label="Remove notification"
+                      />
+                    }
+                  >
+                    <Form.Item
+                      noStyle
+                      shouldUpdate={(prev, next) =>
+                        prev.notifications?.[field.name]?.type !==
+                        next.notifications?.[field.name]?.type
+                      }
+                    >
+                      {() => {
+                        const type = form.getFieldValue([
+                          "notifications",
+                          field.name,
+                          "type",
+                        ]);
+
+                        if (type === "email") {
+                          return (
+                            <Form.Item
+                              name={[field.name, "to"]}
+                              label="To"
+                              rules={[
+                                {
+                                  required: true,
+                                  message: "Please enter a recipient",
+                                },
+                              ]}
+                              style={{ marginBottom: 0 }}
+                            >
+                              <Input placeholder="ops@example.com, oncall@example.com" />
+                            </Form.Item>
+                          );
+                        }
+
+                        return (
+                          <>
+                            <Form.Item
+                              name={[field.name, "url"]}
+                              label={
+                                type === "slack"
+                                  ? "Incoming webhook URL"
+                                  : "URL"
+                              }
+                              rules={[
+                                {
+                                  required: true,
+                                  message: "Please enter a URL",
+                                },
+                              ]}
+                              style={
+                                type === "slack" ? { marginBottom: 0 } : {}
+                              }
+                            >
+                              <Input placeholder="https://" />
+                            </Form.Item>
+                            {type === "webhook" && (
+                              <>
+                                <Form.Item
+                                  name={[field.name, "headers"]}
+                                  label="Headers"
+                                  rules={[{ validator: validateHeaders }]}
+                                >
+                                  <Input.TextArea
+                                    rows={2}
+                                    placeholder={
+                                      '{"Authorization": "Bearer ..."}'
+                                    }
+                                  />
+                                </Form.Item>
+                                <Form.Item
+                                  name={[field.name, "body"]}
+                                  label="Body template"
+                                  extra="JSON with {{text}}, {{event}} and {{alert.*}} placeholders. Leave empty to send the whole event."
+                                  style={{ marginBottom: 0 }}
+                                >
+                                  <Input.TextArea
+                                    rows={3}
+                                    placeholder={BODY_PLACEHOLDER}
+                                  />
+                                </Form.Item>
+                              </>
+                            )}
+                          </>
+                        );
+                      }}
+                    </Form.Item>
+                  </Card>
+                ))}
+                <Button
+                  type="dashed"
+                  block
+                  icon={<PlusOutlined />}
+                  onClick={() => add({ type: "webhook" })}
+                >
+                  Add Notification
+                </Button>
+              </Space>
+            )}
+          </Form.List>
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AlertRuleModal;
@@ -0,0 +1,458 @@
+// src/components/Alerts.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Card,
+  Tag,
+  Space,
+  Switch,
+  Tooltip,
+  Popconfirm,
+  Typography,
+  Alert,
+  Empty,
+  notification,
+} from "antd";
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  ReloadOutlined,
+  SendOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useSocket } from "../context/SocketContext";
+import { useAuth } from "../context/useAuth";
+import { useCluster } from "../context/useCluster";
+import AlertRuleModal from "./AlertRuleModal";
+import {
+  formatAlertCondition,
+  getAlertSeverityColor,
+} from "../utils/formatters";
+
+const { Text } = Typography;
+
+const OUTCOME_COLORS = {
+  success: "green",
+  failure: "red",
+  pending: "blue",
+};
+
+/**
+ * Firing and resolved alerts, and the rules that raise them
+ */
+const Alerts = () => {
+  const { alerts, resolvedAlerts } = useSocket();
+  const { can } = useAuth();
+  const { clusters } = useCluster();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [testingId, setTestingId] = useState(null);
+
+  const canEdit = can("alerts");
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getAlertRules();
+      setRules(response.data.rules);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching alert rules:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const response = await api.getAlertDeliveries();
+      setDeliveries(response.data.deliveries);
+    } catch (err) {
+      console.error("Error fetching notification deliveries:", err);
+    }
+  }, []);
+
+  const refresh = () => {
+    fetchRules();
+    fetchDeliveries();
+  };
+
+  useEffect(() => {
+    fetchRules();
+    fetchDeliveries();
+  }, [fetchRules, fetchDeliveries]);
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule);
+    setModalOpen(true);
+  };
+
+  const handleSaved = () => {
+    setModalOpen(false);
+    fetchRules();
+  };
+
+  const toggleRule = async (rule, enabled) => {
+    try {
+      await api.updateAlertRule(rule.id, { ...rule, enabled });
+      fetchRules();
+    } catch (err) {
+      console.error("Error updating alert rule:", err);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    try {
+      await api.deleteAlertRule(rule.id);
+      notification.success({
+        message: "Alert Rule Deleted",
+        description: `Alert rule "${rule.name}" deleted`,
+      });
+      fetchRules();
+    } catch (err) {
+      console.error("Error deleting alert rule:", err);
+    }
+  };
+
+  const testRule = async (rule) => {
+    setTestingId(rule.id);
+    try {
+      const response = await api.testAlertRule(rule.id);
+      const failed = response.data.deliveries.filter(
+        (delivery) => delivery.outcome !== "success"
+      );
+
+      if (failed.length === 0) {
+        notification.success({
+          message: "Test Notification Sent",
+          description: `Sent to ${response.data.deliveries.length} channel(s) of "${rule.name}"`,
+        });
+      } else {
+        notification.error({
+          message: "Test Notification Failed",
+          description: failed
+            .map(
+              (delivery) =>
+                `${delivery.channel} ${delivery.target}: ${delivery.attempts[delivery.attempts.length - 1].error}`
+            )
+            .join("; "),
+        });
+      }
+    } catch (err) {
+      console.error("Error testing alert rule:", err);
+    } finally {
+      setTestingId(null);
+      fetchDeliveries();
+    }
+  };
+
+  const renderQueue = (_, alert) => (
+    <Space direction="vertical" size={0}>
+      <Text strong>{alert.queue}</Text>
+      {alert.vhost !== "/" && (
+        <Text type="secondary" style={{ fontSize: "12px" }}>
+          vhost: {alert.vhost}
+        </Text>
+      )}
+      {clusters.length > 1 && (
+        <Text type="secondary" style={{ fontSize: "12px" }}>
+          cluster: {alert.cluster}
+        </Text>
+      )}
+    </Space>
+  );
+
+  const renderSeverity = (severity) => (
+    <Tag color={getAlertSeverityColor(severity)}>{severity}</Tag>
+  );
+
+  const alertColumns = [
+    {
+      title: "Severity",
+      dataIndex: "severity",
+      key: "severity",
+      width: 100,
+      render: renderSeverity,
+    },
+    { title: "Rule", dataIndex: "rule", key: "rule" },
+    { title: "Queue", key: "queue", render: renderQueue },
+    {
+      title: "Condition",
+      key: "condition",
+      render: (_, alert) => <Text code>{formatAlertCondition(alert)}</Text>,
+    },
+    { title: "Value", dataIndex: "value", key: "value" },
+    {
+      title: "Firing since",
+      dataIndex: "firedAt",
+      key: "firedAt",
+      render: (time) => new Date(time).toLocaleString(),
+    },
+  ];
+
+  const resolvedColumns = [
+    ...alertColumns.slice(0, 4),
+    {
+      title: "Fired",
+      dataIndex: "firedAt",
+      key: "firedAt",
+      render: (time) => new Date(time).toLocaleString(),
+    },
+    {
+      title: "Resolved",
+      dataIndex: "resolvedAt",
+      key: "resolvedAt",
+      render: (time) => new Date(time).toLocaleString(),
+    },
+  ];
+
+  const ruleColumns = [
+    {
+      title: "Enabled",
+      dataIndex: "enabled",
+      key: "enabled",
+      width: 90,
+      render: (enabled, rule) => (
+        <Switch
+          size="small"
+          checked={enabled}
+          disabled={!canEdit}
+          onChange={(checked) => toggleRule(rule, checked)}
+        />
+      ),
+    },
+    { title: "Name", dataIndex: "name", key: "name" },
+    {
+      title: "Queues",
+      key: "scope",
+      render: (_, rule) => (
+        <Space direction="vertical" size={0}>
+          {rule.queuePattern ? (
+            <Text code>{rule.queuePattern}</Text>
+          ) : (
+            <Text italic>all queues</Text>
+          )}
+          {rule.vhost && (
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              vhost: {rule.vhost}
+            </Text>
+          )}
+          {clusters.length > 1 && (
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              cluster: {rule.cluster || "all"}
+            </Text>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Condition",
+      key: "condition",
+      render: (_, rule) => <Text code>{formatAlertCondition(rule)}</Text>,
+    },
+    {
+      title: "Severity",
+      dataIndex: "severity",
+      key: "severity",
+      width: 100,
+      render: renderSeverity,
+    },
+    {
+      title: "Notifications",
+      dataIndex: "notifications",
+      key: "notifications",
+      render: (notifications = []) =>
+        notifications.length === 0 ? (
+          <Text type="secondary">none</Text>
+        ) : (
+          notifications.map((channel, index) => (
+            <Tag key={index}>{channel.type}</Tag>
+          ))
+        ),
+    },
+    canEdit && {
+      title: "",
+      key: "actions",
+      width: 132,
+      render: (_, rule) => (
+        <Space>
+          <Tooltip title="Send Test Notification">
+            <Button
+              size="small"
+              icon={<SendOutlined />}
+              loading={testingId === rule.id}
+              disabled={!rule.notifications || rule.notifications.length === 0}
+              onClick={() => testRule(rule)}
+            />
+          </Tooltip>
+          <Tooltip title="Edit Rule">
+            <Button
+              size="small"
+              icon={<EditOutlined />}
+              onClick={() => openModal(rule)}
+            />
+          </Tooltip>
+          <Tooltip title="Delete Rule">
+            <Popconfirm
+              title="Delete alert rule"
+              description={`Delete "${rule.name}" and its alerts?`}
+              onConfirm={() => deleteRule(rule)}
+              okText="Yes"
+              okButtonProps={{ danger: true }}
+              cancelText="No"
+              icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+            >
+              <Button danger size="small" icon={<DeleteOutlined />} />
+            </Popconfirm>
+          </Tooltip>
+        </Space>
+      ),
+    },
+  ].filter(Boolean);
+
+  const deliveryColumns = [
+    {
+      title: "Time",
+      dataIndex: "time",
+      key: "time",
+      render: (time) => new Date(time).toLocaleString(),
+    },
+    { title: "Rule", dataIndex: "rule", key: "rule" },
+    { title: "Event", dataIndex: "event", key: "event" },
+    {
+      title: "Channel",
+      key: "channel",
+      render: (_, delivery) => (
+        <Space direction="vertical" size={0}>
+          <Text>{delivery.channel}</Text>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            {delivery.target}
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: "Outcome",
+      dataIndex: "outcome",
+      key: "outcome",
+      render: (outcome) => <Tag color={OUTCOME_COLORS[outcome]}>{outcome}</Tag>,
+    },
+    {
+      title: "Attempts",
+      dataIndex: "attempts",
+      key: "attempts",
+      render: (attempts) => attempts.length,
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Alerts</h2>
+        <Space>
+          <Button icon={<ReloadOutlined />} onClick={refresh} loading={loading}>
+            Refresh
+          </Button>
+          {canEdit && (
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => openModal()}
+            >
+              Add Rule
+            </Button>
+          )}
+        </Space>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card title="Firing" style={{ marginBottom: 16 }}>
+        <Table
+          columns={alertColumns}
+          dataSource={alerts}
+          rowKey="id"
+          size="small"
+          pagination={false}
+          locale={{ emptyText: <Empty description="No alerts firing" /> }}
+        />
+      </Card>
+
+      <Card title="Rules" style={{ marginBottom: 16 }}>
+        <Table
+          columns={ruleColumns}
+          dataSource={rules}
+          rowKey="id"
+          size="small"
+          loading={loading}
+          pagination={false}
+          locale={{ emptyText: <Empty description="No alert rules" /> }}
+        />
+      </Card>
+
+      <Card title="Recently resolved" style={{ marginBottom: 16 }}>
+        <Table
+          columns={resolvedColumns}
+          dataSource={resolvedAlerts}
+          rowKey="id"
+          size="small"
+          pagination={{ pageSize: 10 }}
+          locale={{ emptyText: <Empty description="No resolved alerts" /> }}
+        />
+      </Card>
+
+      <Card title="Notification deliveries">
+        <Table
+          columns={deliveryColumns}
+          dataSource={deliveries}
+          rowKey="id"
+          size="small"
+          pagination={{ pageSize: 10 }}
+          expandable={{
+            expandedRowRender: (delivery) => (
+              <pre style={{ margin: 0, whiteSpace: "pre-wrap" }}>
+                {JSON.stringify(delivery.attempts, null, 2)}
+              </pre>
+            ),
+          }}
+          locale={{
+            emptyText: <Empty description="No notifications sent" />,
+          }}
+        />
+      </Card>
+
+      <AlertRuleModal
+        open={modalOpen}
+        rule={editingRule}
+        onClose={() => setModalOpen(false)}
+        onSaved={handleSaved}
+      />
+    </div>
+  );
+};
+
+export default Alerts;
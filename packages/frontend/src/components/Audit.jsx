@@ -0,0 +1,316 @@
+// src/components/Audit.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Select,
+  DatePicker,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Empty,
+} from "antd";
+import { ReloadOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useCluster } from "../context/useCluster";
+
+const { Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const PAGE_SIZE = 50;
+
+// Action prefixes a filter can select; "queue" matches every queue.* action
+const ACTION_OPTIONS = [
+  { value: "queue", label: "All queue actions" },
+  { value: "queue.purge", label: "queue.purge" },
+  { value: "queue.consume", label: "queue.consume" },
+  { value: "queue.declare", label: "queue.declare" },
+  { value: "queue.delete", label: "queue.delete" },
+  { value: "message", label: "All message actions" },
+  { value: "message.publish", label: "message.publish" },
+  { value: "message.move", label: "message.move" },
+  { value: "message.replay", label: "message.replay" },
+  { value: "move.cancel", label: "move.cancel" },
+  { value: "exchange", label: "All exchange actions" },
+  { value: "exchange.declare", label: "exchange.declare" },
+  { value: "exchange.delete", label: "exchange.delete" },
+  { value: "binding", label: "All binding actions" },
+  { value: "binding.create", label: "binding.create" },
+  { value: "binding.delete", label: "binding.delete" },
+  { value: "connection.close", label: "connection.close" },
+  { value: "vhost", label: "All virtual host actions" },
+  { value: "vhost.create", label: "vhost.create" },
+  { value: "vhost.delete", label: "vhost.delete" },
+  { value: "user", label: "All user actions" },
+  { value: "user.create", label: "user.create" },
+  { value: "user.delete", label: "user.delete" },
+  { value: "permission", label: "All permission actions" },
+  { value: "permission.set", label: "permission.set" },
+  { value: "permission.delete", label: "permission.delete" },
+  { value: "topic-permission.set", label: "topic-permission.set" },
+  { value: "topic-permission.delete", label: "topic-permission.delete" },
+  { value: "user-limit.set", label: "user-limit.set" },
+  { value: "user-limit.delete", label: "user-limit.delete" },
+  { value: "policy", label: "All policy actions" },
+  { value: "policy.set", label: "policy.set" },
+  { value: "policy.delete", label: "policy.delete" },
+  { value: "operator-policy", label: "All operator policy actions" },
+  { value: "operator-policy.set", label: "operator-policy.set" },
+  { value: "operator-policy.delete", label: "operator-policy.delete" },
+  { value: "definitions.import", label: "definitions.import" },
+  { value: "snapshot.create", label: "snapshot.create" },
+  { value: "snapshot.delete", label: "snapshot.delete" },
+  { value: "topology.apply", label: "topology.apply" },
+  { value: "alert", label: "All alert rule actions" },
+  { value: "alert.rule.create", label: "alert.rule.create" },
+  { value: "alert.rule.update", label: "alert.rule.update" },
+  { value: "alert.rule.delete", label: "alert.rule.delete" },
+  { value: "alert.rule.test", label: "alert.rule.test" },
+];
+
+const OUTCOME_COLORS = {
+  success: "success",
+  failure: "error",
+  denied: "warning",
+};
+
+/**
+ * Audit log: who did what to which resource, and whether it worked
+ */
+const Audit = () => {
+  const { clusters } = useCluster();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [user, setUser] = useState("");
+  const [action, setAction] = useState(null);
+  const [cluster, setCluster] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [resource, setResource] = useState("");
+  const [range, setRange] = useState(null);
+
+  const from = range && range[0] ? range[0].toISOString() : undefined;
+  const to = range && range[1] ? range[1].toISOString() : undefined;
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getAuditLog({
+        user: user || undefined,
+        action: action || undefined,
+        cluster: cluster || undefined,
+        outcome: outcome || undefined,
+        resource: resource || undefined,
+        from,
+        to,
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE,
+      });
+      setEntries(response.data.entries);
+      setTotal(response.data.total);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, action, cluster, outcome, resource, from, to, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Go back to the first page whenever a filter changes
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const columns = [
+    {
+      title: "Time",
+      dataIndex: "time",
+      key: "time",
+      width: 180,
+      render: (time) => new Date(time).toLocaleString(),
+    },
+    {
+      title: "User",
+      dataIndex: "user",
+      key: "user",
+      render: (value, record) => (
+        <Space direction="vertical" size={0}>
+          {value ? <Text strong>{value}</Text> : <Text italic>anonymous</Text>}
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            {record.ip}
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: "Action",
+      dataIndex: "action",
+      key: "action",
+      render: (value) => <Tag>{value}</Tag>,
+    },
+    {
+      title: "Resource",
+      key: "resource",
+      render: (_, record) =>
+        record.resource ? (
+          <Space direction="vertical" size={0}>
+            <Text>
+              <Text type="secondary">{record.resource.type}</Text>{" "}
+              <Text strong>{record.resource.name || "(default)"}</Text>
+            </Text>
+            {clusters.length > 1 && record.cluster && (
+              <Text type="secondary" style={{ fontSize: "12px" }}>
+                cluster: {record.cluster}
+              </Text>
+            )}
+            {record.vhost && record.vhost !== "/" && (
+              <Text type="secondary" style={{ fontSize: "12px" }}>
+                vhost: {record.vhost}
+              </Text>
+            )}
+          </Space>
+        ) : null,
+    },
+    {
+      title: "Outcome",
+      dataIndex: "outcome",
+      key: "outcome",
+      render: (value, record) => (
+        <Space direction="vertical" size={0}>
+          <Tag color={OUTCOME_COLORS[value]}>
+            {value} ({record.status})
+          </Tag>
+          {record.error && <Text type="danger">{record.error}</Text>}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Audit Log</h2>
+        <Button
+          type="primary"
+          icon={<ReloadOutlined />}
+          onClick={fetchEntries}
+          loading={loading}
+        >
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card style={{ marginBottom: 16 }}>
+        <Space wrap>
+          <Input.Search
+            placeholder="User"
+            allowClear
+            onSearch={updateFilter(setUser)}
+            style={{ width: 160 }}
+          />
+          <Select
+            placeholder="Action"
+            allowClear
+            options={ACTION_OPTIONS}
+            value={action}
+            onChange={updateFilter(setAction)}
+            style={{ width: 200 }}
+          />
+          {clusters.length > 1 && (
+            <Select
+              placeholder="Cluster"
+              allowClear
+              value={cluster}
+              onChange={updateFilter(setCluster)}
+              options={clusters.map((item) => ({
+                value: item.id,
+                label: item.name,
+              }))}
+              style={{ width: 160 }}
+            />
+          )}
+          <Select
+            placeholder="Outcome"
+            allowClear
+            value={outcome}
+            onChange={updateFilter(setOutcome)}
+            options={[
+              { value: "success", label: "Success" },
+              { value: "failure", label: "Failure" },
+              { value: "denied", label: "Denied" },
+            ]}
+            style={{ width: 140 }}
+          />
+          <Input.Search
+            placeholder="Queue, exchange or binding"
+            allowClear
+            onSearch={updateFilter(setResource)}
+            style={{ width: 240 }}
+          />
+          <RangePicker showTime onChange={updateFilter(setRange)} />
+        </Space>
+      </Card>
+
+      <Table
+        columns={columns}
+        dataSource={entries.map((entry, index) => ({
+          ...entry,
+          key: `${entry.time}-${index}`,
+        }))}
+        loading={loading}
+        size="small"
+        expandable={{
+          expandedRowRender: (record) => (
+            <pre style={{ margin: 0, whiteSpace: "pre-wrap" }}>
+              {JSON.stringify(
+                { params: record.params, jobId: record.jobId },
+                null,
+                2
+              )}
+            </pre>
+          ),
+        }}
+        pagination={{
+          current: page,
+          pageSize: PAGE_SIZE,
+          total,
+          showSizeChanger: false,
+          showTotal: (count) => `${count} entries`,
+          onChange: setPage,
+        }}
+        locale={{ emptyText: <Empty description="No audit entries" /> }}
+      />
+    </div>
+  );
+};
+
+export default Audit;
@@ -0,0 +1,130 @@
+// src/components/BindingList.jsx
+import {
+  Table,
+  Button,
+  Tag,
+  Typography,
+  Popconfirm,
+  Tooltip,
+  Empty,
+  notification,
+} from "antd";
+import { DeleteOutlined, ExclamationCircleOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+
+const { Text } = Typography;
+
+/**
+ * Compact list of bindings with a delete action per row, used in the
+ * exchange and queue details drawers
+ */
+const BindingList = ({ bindings = [], loading = false, onDeleted }) => {
+  const { can } = useAuth();
+
+  const deleteBinding = async (binding) => {
+    try {
+      await api.deleteBinding(binding);
+      notification.success({
+        message: "Binding Deleted",
+        description: `Removed binding from "${binding.source}" to "${binding.destination}"`,
+      });
+      onDeleted && onDeleted(binding);
+    } catch (error) {
+      console.error("Error deleting binding:", error);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(error).message,
+      });
+    }
+  };
+
+  const columns = [
+    {
+      title: "From",
+      dataIndex: "source",
+      key: "source",
+      render: (source) =>
+        source === "" ? (
+          <Text italic>(default exchange)</Text>
+        ) : (
+          <Text strong>{source}</Text>
+        ),
+    },
+    {
+      title: "To",
+      key: "destination",
+      render: (_, record) => (
+        <span>
+          <Text strong>{record.destination}</Text>{" "}
+          <Tag color={record.destination_type === "queue" ? "green" : "blue"}>
+            {record.destination_type}
+          </Tag>
+        </span>
+      ),
+    },
+    {
+      title: "Routing Key",
+      dataIndex: "routing_key",
+      key: "routing_key",
+      render: (text) =>
+        text === "" ? <Text italic>(empty)</Text> : <Text code>{text}</Text>,
+    },
+    {
+      title: "Arguments",
+      dataIndex: "arguments",
+      key: "arguments",
+      render: (args) =>
+        args && Object.keys(args).length > 0 ? (
+          <Text code>{JSON.stringify(args)}</Text>
+        ) : (
+          <Text type="secondary">None</Text>
+        ),
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 48,
+      render: (_, record) =>
+        // Bindings to the default exchange are implicit and cannot be removed
+        record.source === "" ||
+        !can("manage", {
+          vhost: record.vhost,
+          queue:
+            record.destination_type === "queue"
+              ? record.destination
+              : undefined,
+        }) ? null : (
+          <Tooltip title="Delete Binding">
+            <Popconfirm
+              title="Delete binding"
+              description={`Remove the binding from "${record.source}" to "${record.destination}"?`}
+              onConfirm={() => deleteBinding(record)}
+              okText="Yes"
+              okButtonProps={{ danger: true }}
+              cancelText="No"
+              icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+            >
+              <Button danger size="small" icon={<DeleteOutlined />} />
+            </Popconfirm>
+          </Tooltip>
+        ),
+    },
+  ];
+
+  return (
+    <Table
+      columns={columns}
+      dataSource={bindings.map((b) => ({
+        ...b,
+        key: `${b.vhost}/${b.source}/${b.destination_type}/${b.destination}/${b.properties_key}`,
+      }))}
+      loading={loading}
+      size="small"
+      pagination={false}
+      locale={{ emptyText: <Empty description="No bindings" /> }}
+    />
+  );
+};
+
+export default BindingList;
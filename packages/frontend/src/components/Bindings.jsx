@@ -11,14 +11,22 @@ import {
   Empty,
   Tooltip,
   Collapse,
+  Popconfirm,
+  notification,
 } from "antd";
 import {
   SearchOutlined,
   ReloadOutlined,
   QuestionCircleOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  ExclamationCircleOutlined,
 } from "@ant-design/icons";
 import api from "../services/api"; // Import the API service
 import { useSocket } from "../context/SocketContext";
+import { useVhost } from "../context/useVhost";
+import { useAuth } from "../context/useAuth";
+import AddBindingModal from "./AddBindingModal";
 
 const { Text } = Typography;
 const { Panel } = Collapse;
@@ -30,13 +38,16 @@ const Bindings = () => {
   const [error, setError] = useState(null);
   const [searchText, setSearchText] = useState("");
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [addBindingOpen, setAddBindingOpen] = useState(false);
   const { socket } = useSocket();
+  const { vhost } = useVhost();
+  const { can } = useAuth();
 
   // Fetch bindings data
   const fetchBindings = async () => {
     setLoading(true);
     try {
-      const response = await api.getBindings(); // Use the API service instead of direct axios call
+      const response = await api.getBindings({ vhost });
       setBindings(response.data);
       filterBindings(response.data, searchText);
       setLastUpdated(new Date());
@@ -78,6 +89,24 @@ const Bindings = () => {
     filterBindings(bindings, value);
   };
 
+  // Delete a binding using its properties key
+  const deleteBinding = async (binding) => {
+    try {
+      await api.deleteBinding(binding);
+      notification.success({
+        message: "Binding Deleted",
+        description: `Removed binding from "${binding.source}" to "${binding.destination}"`,
+      });
+      fetchBindings();
+    } catch (error) {
+      console.error("Error deleting binding:", error);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(error).message,
+      });
+    }
+  };
+
   // Initialize data and set up event listeners
   useEffect(() => {
     fetchBindings();
@@ -101,7 +130,7 @@ const Bindings = () => {
       const intervalId = setInterval(fetchBindings, 10000); // Less frequent updates for bindings
       return () => clearInterval(intervalId);
     }
-  }, [socket, searchText]);
+  }, [socket, searchText, vhost]);
 
   // Format argument values for display
   const formatArgValue = (value) => {
@@ -216,6 +245,34 @@ const Bindings = () => {
         );
       },
     },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) =>
+        // Bindings to the default exchange are implicit and cannot be removed
+        record.source === "" ||
+        !can("manage", {
+          vhost: record.vhost,
+          queue:
+            record.destination_type === "queue"
+              ? record.destination
+              : undefined,
+        }) ? null : (
+          <Tooltip title="Delete Binding">
+            <Popconfirm
+              title="Delete binding"
+              description={`Remove the binding from "${record.source}" to "${record.destination}"?`}
+              onConfirm={() => deleteBinding(record)}
+              okText="Yes"
+              okButtonProps={{ danger: true }}
+              cancelText="No"
+              icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+            >
+              <Button danger icon={<DeleteOutlined />} size="small" />
+            </Popconfirm>
+          </Tooltip>
+        ),
+    },
   ];
 
   return (
@@ -235,14 +292,24 @@ const Bindings = () => {
               ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
               : "Never updated"}
           </Text>
-          <Button
-            type="primary"
-            icon={<ReloadOutlined />}
-            onClick={fetchBindings}
-            loading={loading}
-          >
-            Refresh
-          </Button>
+          <Space>
+            {can("manage") && (
+              <Button
+                icon={<PlusOutlined />}
+                onClick={() => setAddBindingOpen(true)}
+              >
+                Add Binding
+              </Button>
+            )}
+            <Button
+              type="primary"
+              icon={<ReloadOutlined />}
+              onClick={fetchBindings}
+              loading={loading}
+            >
+              Refresh
+            </Button>
+          </Space>
         </div>
       </div>
 
@@ -305,6 +372,15 @@ const Bindings = () => {
           }}
         />
       </Card>
+
+      <AddBindingModal
+        open={addBindingOpen}
+        onClose={() => setAddBindingOpen(false)}
+        onCreated={() => {
+          setAddBindingOpen(false);
+          fetchBindings();
+        }}
+      />
     </div>
   );
 };
@@ -0,0 +1,247 @@
+// src/components/Channels.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Empty,
+} from "antd";
+import { SearchOutlined, ReloadOutlined } from "@ant-design/icons";
+import { useNavigate } from "react-router-dom";
+import api from "../services/api";
+import { formatRate, getConnectionStateColor } from "../utils/formatters";
+
+const { Text } = Typography;
+
+// How often the list is refreshed; channels are not pushed over the socket
+const POLL_INTERVAL = 5000;
+
+/**
+ * Channels of every connection with their prefetch, unacked messages and
+ * consumers. A channel's connection opens on the Connections page.
+ */
+const Channels = () => {
+  const [channels, setChannels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const navigate = useNavigate();
+
+  const fetchChannels = useCallback(async () => {
+    try {
+      const response = await api.getChannels();
+      setChannels(response.data);
+      setLastUpdated(new Date());
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching channels:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchChannels();
+  };
+
+  useEffect(() => {
+    fetchChannels();
+    const intervalId = setInterval(fetchChannels, POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchChannels]);
+
+  const viewConnection = (channel) => {
+    navigate("/connections", {
+      state: { connection: channel.connection_details?.name },
+    });
+  };
+
+  const filteredChannels = channels.filter((channel) => {
+    if (!searchText) return true;
+
+    const text = searchText.toLowerCase();
+    return [channel.name, channel.user, channel.vhost].some(
+      (value) => value && String(value).toLowerCase().includes(text)
+    );
+  });
+
+  const rate = (channel, key) =>
+    `${formatRate(channel.message_stats?.[key]?.rate)}/s`;
+
+  const columns = [
+    {
+      title: "Channel",
+      dataIndex: "name",
+      key: "name",
+      render: (name, channel) => (
+        <Space direction="vertical" size={0}>
+          <Button
+            type="link"
+            style={{ padding: 0, height: "auto" }}
+            onClick={() => viewConnection(channel)}
+          >
+            {name}
+          </Button>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            {channel.user} on vhost {channel.vhost}
+          </Text>
+        </Space>
+      ),
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "State",
+      dataIndex: "state",
+      key: "state",
+      render: (state) => (
+        <Tag color={getConnectionStateColor(state)}>{state}</Tag>
+      ),
+      filters: ["running", "flow", "closing"].map((state) => ({
+        text: state,
+        value: state,
+      })),
+      onFilter: (value, channel) => channel.state === value,
+    },
+    {
+      title: "Mode",
+      key: "mode",
+      render: (_, channel) =>
+        channel.confirm || channel.transactional ? (
+          <Space size={[0, 4]} wrap>
+            {channel.confirm && <Tag>confirm</Tag>}
+            {channel.transactional && <Tag>tx</Tag>}
+          </Space>
+        ) : (
+          <Text type="secondary">none</Text>
+        ),
+    },
+    {
+      title: "Prefetch",
+      key: "prefetch",
+      render: (_, channel) => (
+        <Space direction="vertical" size={0}>
+          <Text>
+            {channel.prefetch_count || <Text type="secondary">unlimited</Text>}
+          </Text>
+          {channel.global_prefetch_count > 0 && (
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              global: {channel.global_prefetch_count}
+            </Text>
+          )}
+        </Space>
+      ),
+      sorter: (a, b) => (a.prefetch_count || 0) - (b.prefetch_count || 0),
+    },
+    {
+      title: "Unacked",
+      dataIndex: "messages_unacknowledged",
+      key: "messages_unacknowledged",
+      sorter: (a, b) =>
+        (a.messages_unacknowledged || 0) - (b.messages_unacknowledged || 0),
+    },
+    {
+      title: "Unconfirmed",
+      dataIndex: "messages_unconfirmed",
+      key: "messages_unconfirmed",
+      sorter: (a, b) =>
+        (a.messages_unconfirmed || 0) - (b.messages_unconfirmed || 0),
+    },
+    {
+      title: "Consumers",
+      dataIndex: "consumer_count",
+      key: "consumer_count",
+      sorter: (a, b) => (a.consumer_count || 0) - (b.consumer_count || 0),
+    },
+    {
+      title: "Message Rates",
+      key: "rates",
+      render: (_, channel) => (
+        <Space direction="vertical" size={0}>
+          <Text>Publish: {rate(channel, "publish_details")}</Text>
+          <Text>Deliver: {rate(channel, "deliver_get_details")}</Text>
+          <Text>Ack: {rate(channel, "ack_details")}</Text>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Channels</h2>
+        <div>
+          <Text type="secondary" style={{ marginRight: 16 }}>
+            {lastUpdated
+              ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
+              : "Never updated"}
+          </Text>
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card style={{ marginBottom: 16 }}>
+        <Input
+          placeholder="Search by channel, user or vhost"
+          prefix={<SearchOutlined style={{ color: "rgba(0,0,0,.25)" }} />}
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          style={{ width: 300 }}
+          allowClear
+        />
+      </Card>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={filteredChannels}
+          rowKey="name"
+          loading={loading}
+          size="middle"
+          pagination={{
+            defaultPageSize: 20,
+            showSizeChanger: true,
+            pageSizeOptions: ["10", "20", "50", "100"],
+          }}
+          locale={{
+            emptyText: <Empty description="No channels" />,
+          }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default Channels;
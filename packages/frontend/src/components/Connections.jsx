@@ -0,0 +1,591 @@
+// src/components/Connections.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Tooltip,
+  Empty,
+  Drawer,
+  Descriptions,
+  Popconfirm,
+  Divider,
+  notification,
+} from "antd";
+import {
+  SearchOutlined,
+  ReloadOutlined,
+  EyeOutlined,
+  LockOutlined,
+  CloseCircleOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import { useLocation } from "react-router-dom";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import {
+  formatByteRate,
+  formatDate,
+  formatRate,
+  getConnectionStateColor,
+  getConnectionDisplayName,
+} from "../utils/formatters";
+
+const { Text } = Typography;
+
+// How often the list is refreshed; connections are not pushed over the socket
+const POLL_INTERVAL = 5000;
+
+const DEFAULT_CLOSE_REASON = "Closed from the dashboard";
+
+/**
+ * Client connections with their properties, and a drawer with the channels
+ * and consumers of one connection
+ */
+const Connections = () => {
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const [closeReason, setCloseReason] = useState(DEFAULT_CLOSE_REASON);
+  const { can } = useAuth();
+  const location = useLocation();
+
+  const fetchConnections = useCallback(async () => {
+    try {
+      const response = await api.getConnections();
+      setConnections(response.data);
+      setLastUpdated(new Date());
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching connections:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchConnections();
+  };
+
+  useEffect(() => {
+    fetchConnections();
+    const intervalId = setInterval(fetchConnections, POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchConnections]);
+
+  // Fetch a connection with its channels and consumers
+  const fetchDetails = useCallback(async (name) => {
+    setDetailsLoading(true);
+    try {
+      const response = await api.getConnection(name);
+      setDetails(response.data);
+    } catch (err) {
+      console.error("Error fetching connection:", err);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch connection "${name}": ${
+          api.handleRequestError(err).message
+        }`,
+      });
+      setSelectedName(null);
+    } finally {
+      setDetailsLoading(false);
+    }
+  }, []);
+
+  const viewConnection = useCallback(
+    (name) => {
+      setSelectedName(name);
+      setDetails(null);
+      fetchDetails(name);
+    },
+    [fetchDetails]
+  );
+
+  // Opened from the Channels page
+  useEffect(() => {
+    if (location.state && location.state.connection) {
+      viewConnection(location.state.connection);
+    }
+  }, [location.state, viewConnection]);
+
+  const closeConnection = async (connection) => {
+    try {
+      await api.closeConnection(
+        connection.name,
+        closeReason || DEFAULT_CLOSE_REASON
+      );
+
+      notification.success({
+        message: "Connection Closed",
+        description: `Connection "${getConnectionDisplayName(
+          connection
+        )}" has been closed`,
+      });
+
+      if (selectedName === connection.name) {
+        setSelectedName(null);
+      }
+      setCloseReason(DEFAULT_CLOSE_REASON);
+      fetchConnections();
+    } catch (err) {
+      console.error("Error closing connection:", err);
+      notification.error({
+        message: "Close Failed",
+        description: `Failed to close connection: ${
+          api.handleRequestError(err).message
+        }`,
+      });
+    }
+  };
+
+  const filteredConnections = connections.filter((connection) => {
+    if (!searchText) return true;
+
+    const properties = connection.client_properties || {};
+    const text = searchText.toLowerCase();
+    return [
+      connection.name,
+      connection.user,
+      connection.vhost,
+      connection.peer_host,
+      properties.connection_name,
+      properties.product,
+    ].some((value) => value && String(value).toLowerCase().includes(text));
+  });
+
+  const renderCloseButton = (connection, buttonProps = {}) =>
+    can("close", { vhost: connection.vhost }) && (
+      <Popconfirm
+        title="Close connection"
+        description={
+          <Space direction="vertical" size={4}>
+            <span>
+              Close &quot;{getConnectionDisplayName(connection)}&quot;? The
+              client receives the reason below.
+            </span>
+            <Input
+              value={closeReason}
+              onChange={(e) => setCloseReason(e.target.value)}
+              placeholder={DEFAULT_CLOSE_REASON}
+            />
+          </Space>
+        }
+        onConfirm={() => closeConnection(connection)}
+        okText="Close"
+        okButtonProps={{ danger: true }}
+        cancelText="Cancel"
+        icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+      >
+        <Button danger icon={<CloseCircleOutlined />} {...buttonProps} />
+      </Popconfirm>
+    );
+
+  const renderTls = (connection) =>
+    connection.ssl ? (
+      <Tooltip
+        title={[connection.ssl_cipher, connection.ssl_key_exchange]
+          .filter(Boolean)
+          .join(", ")}
+      >
+        <Tag icon={<LockOutlined />} color="green">
+          {connection.ssl_protocol || "TLS"}
+        </Tag>
+      </Tooltip>
+    ) : (
+      <Text type="secondary">none</Text>
+    );
+
+  const columns = [
+    {
+      title: "Connection",
+      key: "name",
+      render: (_, connection) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{getConnectionDisplayName(connection)}</Text>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            {connection.peer_host}:{connection.peer_port}
+          </Text>
+        </Space>
+      ),
+      sorter: (a, b) =>
+        getConnectionDisplayName(a).localeCompare(getConnectionDisplayName(b)),
+    },
+    {
+      title: "User",
+      key: "user",
+      render: (_, connection) => (
+        <Space direction="vertical" size={0}>
+          <Text>{connection.user}</Text>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            vhost: {connection.vhost}
+          </Text>
+        </Space>
+      ),
+      sorter: (a, b) => (a.user || "").localeCompare(b.user || ""),
+    },
+    {
+      title: "Client",
+      key: "client",
+      render: (_, connection) => {
+        const properties = connection.client_properties || {};
+        return properties.product ? (
+          <Space direction="vertical" size={0}>
+            <Text>{properties.product}</Text>
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              {[properties.version, properties.platform]
+                .filter(Boolean)
+                .join(" / ")}
+            </Text>
+          </Space>
+        ) : (
+          <Text type="secondary">unknown</Text>
+        );
+      },
+    },
+    {
+      title: "State",
+      dataIndex: "state",
+      key: "state",
+      render: (state) => (
+        <Tag color={getConnectionStateColor(state)}>{state}</Tag>
+      ),
+      filters: ["running", "flow", "blocking", "blocked"].map((state) => ({
+        text: state,
+        value: state,
+      })),
+      onFilter: (value, connection) => connection.state === value,
+    },
+    {
+      title: "TLS",
+      key: "tls",
+      render: (_, connection) => renderTls(connection),
+      filters: [
+        { text: "TLS", value: true },
+        { text: "Plain", value: false },
+      ],
+      onFilter: (value, connection) => Boolean(connection.ssl) === value,
+    },
+    {
+      title: "Channels",
+      dataIndex: "channels",
+      key: "channels",
+      sorter: (a, b) => (a.channels || 0) - (b.channels || 0),
+    },
+    {
+      title: "Throughput",
+      key: "throughput",
+      render: (_, connection) => (
+        <Space direction="vertical" size={0}>
+          <Text>In: {formatByteRate(connection.recv_oct_details?.rate)}</Text>
+          <Text>Out: {formatByteRate(connection.send_oct_details?.rate)}</Text>
+        </Space>
+      ),
+      sorter: (a, b) =>
+        (a.recv_oct_details?.rate || 0) - (b.recv_oct_details?.rate || 0),
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, connection) => (
+        <Space size="small">
+          <Tooltip title="Channels & Consumers">
+            <Button
+              icon={<EyeOutlined />}
+              size="small"
+              onClick={() => viewConnection(connection.name)}
+            />
+          </Tooltip>
+          {renderCloseButton(connection, { size: "small" })}
+        </Space>
+      ),
+    },
+  ];
+
+  const channelColumns = [
+    { title: "#", dataIndex: "number", key: "number", width: 60 },
+    {
+      title: "State",
+      dataIndex: "state",
+      key: "state",
+      render: (state) => (
+        <Tag color={getConnectionStateColor(state)}>{state}</Tag>
+      ),
+    },
+    {
+      title: "Prefetch",
+      key: "prefetch",
+      render: (_, channel) =>
+        channel.global_prefetch_count
+          ? `${channel.prefetch_count} (global ${channel.global_prefetch_count})`
+          : channel.prefetch_count,
+    },
+    {
+      title: "Unacked",
+      dataIndex: "messages_unacknowledged",
+      key: "messages_unacknowledged",
+    },
+    { title: "Consumers", dataIndex: "consumer_count", key: "consumer_count" },
+    {
+      title: "Mode",
+      key: "mode",
+      render: (_, channel) => (
+        <Space size={[0, 4]} wrap>
+          {channel.confirm && <Tag>confirm</Tag>}
+          {channel.transactional && <Tag>tx</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: "Publish",
+      key: "publish",
+      render: (_, channel) =>
+        `${formatRate(channel.message_stats?.publish_details?.rate)}/s`,
+    },
+  ];
+
+  const consumerColumns = [
+    {
+      title: "Consumer tag",
+      dataIndex: "consumer_tag",
+      key: "consumer_tag",
+      render: (tag) => <Text code>{tag}</Text>,
+    },
+    {
+      title: "Queue",
+      key: "queue",
+      render: (_, consumer) => consumer.queue?.name,
+    },
+    {
+      title: "Channel",
+      key: "channel",
+      render: (_, consumer) => consumer.channel_details?.number,
+    },
+    {
+      title: "Ack",
+      dataIndex: "ack_required",
+      key: "ack_required",
+      render: (ack) => (ack ? "manual" : "auto"),
+    },
+    { title: "Prefetch", dataIndex: "prefetch_count", key: "prefetch_count" },
+    {
+      title: "Flags",
+      key: "flags",
+      render: (_, consumer) => (
+        <Space size={[0, 4]} wrap>
+          {consumer.exclusive && <Tag>exclusive</Tag>}
+          {consumer.active === false && <Tag color="orange">inactive</Tag>}
+        </Space>
+      ),
+    },
+  ];
+
+  const connection = details && details.connection;
+  const properties = (connection && connection.client_properties) || {};
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Connections</h2>
+        <div>
+          <Text type="secondary" style={{ marginRight: 16 }}>
+            {lastUpdated
+              ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
+              : "Never updated"}
+          </Text>
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card style={{ marginBottom: 16 }}>
+        <Input
+          placeholder="Search by name, user, vhost, host or client"
+          prefix={<SearchOutlined style={{ color: "rgba(0,0,0,.25)" }} />}
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          style={{ width: 340 }}
+          allowClear
+        />
+      </Card>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={filteredConnections}
+          rowKey="name"
+          loading={loading}
+          size="middle"
+          pagination={{
+            defaultPageSize: 20,
+            showSizeChanger: true,
+            pageSizeOptions: ["10", "20", "50", "100"],
+          }}
+          locale={{
+            emptyText: <Empty description="No connections" />,
+          }}
+        />
+      </Card>
+
+      <Drawer
+        title={
+          connection
+            ? `Connection: ${getConnectionDisplayName(connection)}`
+            : "Connection"
+        }
+        placement="right"
+        width={820}
+        open={Boolean(selectedName)}
+        loading={detailsLoading && !details}
+        onClose={() => setSelectedName(null)}
+        extra={
+          connection && (
+            <Space>
+              <Button
+                icon={<ReloadOutlined />}
+                onClick={() => fetchDetails(selectedName)}
+                loading={detailsLoading}
+              >
+                Refresh
+              </Button>
+              {renderCloseButton(connection)}
+            </Space>
+          )
+        }
+      >
+        {connection && (
+          <>
+            <Descriptions bordered size="small" column={2}>
+              <Descriptions.Item label="Name" span={2}>
+                {connection.name}
+              </Descriptions.Item>
+              <Descriptions.Item label="User">
+                {connection.user}
+              </Descriptions.Item>
+              <Descriptions.Item label="Virtual Host">
+                {connection.vhost}
+              </Descriptions.Item>
+              <Descriptions.Item label="State">
+                <Tag color={getConnectionStateColor(connection.state)}>
+                  {connection.state}
+                </Tag>
+              </Descriptions.Item>
+              <Descriptions.Item label="Protocol">
+                {connection.protocol}
+              </Descriptions.Item>
+              <Descriptions.Item label="Client">
+                {[properties.product, properties.version]
+                  .filter(Boolean)
+                  .join(" ") || <Text type="secondary">unknown</Text>}
+              </Descriptions.Item>
+              <Descriptions.Item label="Platform">
+                {properties.platform || <Text type="secondary">unknown</Text>}
+              </Descriptions.Item>
+              <Descriptions.Item label="Client host">
+                {connection.peer_host}:{connection.peer_port}
+              </Descriptions.Item>
+              <Descriptions.Item label="Connected">
+                {formatDate(connection.connected_at)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Heartbeat">
+                {connection.timeout ? `${connection.timeout}s` : "disabled"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Auth mechanism">
+                {connection.auth_mechanism}
+              </Descriptions.Item>
+              <Descriptions.Item label="TLS">
+                {renderTls(connection)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Cipher">
+                {connection.ssl_cipher || <Text type="secondary">-</Text>}
+              </Descriptions.Item>
+              {connection.peer_cert_subject && (
+                <Descriptions.Item label="Client certificate" span={2}>
+                  {connection.peer_cert_subject}
+                  {connection.peer_cert_validity && (
+                    <Text type="secondary">
+                      {" "}
+                      (valid {connection.peer_cert_validity})
+                    </Text>
+                  )}
+                </Descriptions.Item>
+              )}
+              <Descriptions.Item label="Received">
+                {formatByteRate(connection.recv_oct_details?.rate)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Sent">
+                {formatByteRate(connection.send_oct_details?.rate)}
+              </Descriptions.Item>
+            </Descriptions>
+
+            <Divider orientation="left">
+              Channels ({details.channels.length})
+            </Divider>
+            <Table
+              columns={channelColumns}
+              dataSource={details.channels}
+              rowKey="name"
+              size="small"
+              loading={detailsLoading}
+              pagination={false}
+              locale={{ emptyText: <Empty description="No channels" /> }}
+            />
+
+            <Divider orientation="left">
+              Consumers ({details.consumers.length})
+            </Divider>
+            <Table
+              columns={consumerColumns}
+              dataSource={details.consumers}
+              rowKey={(consumer) =>
+                `${consumer.channel_details?.name}/${consumer.consumer_tag}`
+              }
+              size="small"
+              loading={detailsLoading}
+              pagination={false}
+              locale={{ emptyText: <Empty description="No consumers" /> }}
+            />
+          </>
+        )}
+      </Drawer>
+    </div>
+  );
+};
+
+export default Connections;
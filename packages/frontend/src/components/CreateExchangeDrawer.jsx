@@ -0,0 +1,255 @@
+// src/components/CreateExchangeDrawer.jsx
+import { useState } from "react";
+import {
+  Drawer,
+  Form,
+  Input,
+  Select,
+  Switch,
+  Button,
+  Space,
+  Divider,
+  Alert,
+  Row,
+  Col,
+  Tooltip,
+  Typography,
+  notification,
+} from "antd";
+import { PlusOutlined, QuestionCircleOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import JSONEditor from "./JSONEditor";
+
+const { Option } = Select;
+const { Text } = Typography;
+
+const DEFAULT_VALUES = {
+  vhost: "/",
+  type: "direct",
+  durable: true,
+  auto_delete: false,
+  internal: false,
+};
+
+const CreateExchangeDrawer = ({
+  open,
+  onClose,
+  onCreated,
+  vhosts = ["/"],
+  exchanges = [],
+}) => {
+  const [form] = Form.useForm();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [extraArguments, setExtraArguments] = useState("{}");
+  const [extraArgumentsValid, setExtraArgumentsValid] = useState(true);
+  const selectedVhost = Form.useWatch("vhost", form) || "/";
+
+  // Exchanges in the selected vhost that can act as an alternate exchange
+  const alternateExchanges = exchanges.filter(
+    (exchange) => exchange.vhost === selectedVhost && exchange.name !== ""
+  );
+
+  const handleClose = () => {
+    form.resetFields();
+    setExtraArguments("{}");
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async (values) => {
+    if (!extraArgumentsValid) {
+      setError("Additional arguments must be valid JSON");
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await api.createExchange(values.vhost, values.name, {
+        type: values.type,
+        durable: values.durable,
+        auto_delete: values.auto_delete,
+        internal: values.internal,
+        alternate_exchange: values.alternateExchange || undefined,
+        arguments: JSON.parse(extraArguments || "{}"),
+      });
+
+      notification.success({
+        message: "Exchange Created",
+        description: `Exchange "${values.name}" was declared in vhost "${values.vhost}"`,
+      });
+
+      form.resetFields();
+      setExtraArguments("{}");
+      onCreated && onCreated(values);
+    } catch (error) {
+      console.error("Error creating exchange:", error);
+      setError(api.handleRequestError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const label = (text, help) => (
+    <Space>
+      {text}
+      <Tooltip title={help}>
+        <QuestionCircleOutlined />
+      </Tooltip>
+    </Space>
+  );
+
+  return (
+    <Drawer
+      title="New Exchange"
+      placement="right"
+      width={560}
+      open={open}
+      onClose={handleClose}
+      destroyOnClose
+      extra={
+        <Button
+          type="primary"
+          icon={<PlusOutlined />}
+          loading={submitting}
+          onClick={() => form.submit()}
+        >
+          Create
+        </Button>
+      }
+    >
+      {error && (
+        <Alert
+          message="Failed to create exchange"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form
+        form={form}
+        layout="vertical"
+        initialValues={DEFAULT_VALUES}
+        onFinish={handleSubmit}
+      >
+        <Row gutter={16}>
+          <Col span={8}>
+            <Form.Item
+              name="vhost"
+              label="Virtual Host"
+              rules={[{ required: true }]}
+            >
+              <Select showSearch>
+                {vhosts.map((vhost) => (
+                  <Option key={vhost} value={vhost}>
+                    {vhost}
+                  </Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col span={16}>
+            <Form.Item
+              name="name"
+              label="Name"
+              rules={[
+                { required: true, message: "Please enter an exchange name" },
+                {
+                  pattern: /^(?!amq\.)/,
+                  message: 'Names starting with "amq." are reserved',
+                },
+              ]}
+            >
+              <Input placeholder="orders" />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={6}>
+            <Form.Item name="type" label="Type">
+              <Select>
+                <Option value="direct">direct</Option>
+                <Option value="topic">topic</Option>
+                <Option value="fanout">fanout</Option>
+                <Option value="headers">headers</Option>
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item name="durable" label="Durable" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item
+              name="auto_delete"
+              label="Auto-delete"
+              valuePropName="checked"
+            >
+              <Switch />
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item
+              name="internal"
+              label={label(
+                "Internal",
+                "Internal exchanges cannot be published to directly, only through exchange-to-exchange bindings"
+              )}
+              valuePropName="checked"
+            >
+              <Switch />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Divider orientation="left">Arguments</Divider>
+
+        <Form.Item
+          name="alternateExchange"
+          label={label(
+            "Alternate exchange",
+            "alternate-exchange: messages that cannot be routed are sent here"
+          )}
+        >
+          <Select showSearch allowClear placeholder="None">
+            {alternateExchanges.map((exchange) => (
+              <Option key={exchange.name} value={exchange.name}>
+                {exchange.name} <Text type="secondary">({exchange.type})</Text>
+              </Option>
+            ))}
+          </Select>
+        </Form.Item>
+
+        <Form.Item
+          label={label(
+            "Additional arguments",
+            "Any other exchange arguments as a JSON object"
+          )}
+        >
+          <JSONEditor
+            value={extraArguments}
+            onChange={setExtraArguments}
+            onValidate={setExtraArgumentsValid}
+            height="100px"
+          />
+        </Form.Item>
+
+        <Text type="secondary">
+          The type and flags of an existing exchange cannot be changed.
+          Declaring an exchange that already exists with different settings
+          fails.
+        </Text>
+      </Form>
+    </Drawer>
+  );
+};
+
+export default CreateExchangeDrawer;
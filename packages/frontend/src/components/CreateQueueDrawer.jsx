@@ -0,0 +1,407 @@
+// src/components/CreateQueueDrawer.jsx
+import { useState } from "react";
+import {
+  Drawer,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  Switch,
+  Button,
+  Space,
+  Divider,
+  Alert,
+  Row,
+  Col,
+  Tooltip,
+  Typography,
+  notification,
+} from "antd";
+import { PlusOutlined, QuestionCircleOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import JSONEditor from "./JSONEditor";
+
+const { Option } = Select;
+const { Text } = Typography;
+
+const DEFAULT_VALUES = {
+  vhost: "/",
+  type: "classic",
+  durable: true,
+  auto_delete: false,
+  exclusive: false,
+  singleActiveConsumer: false,
+};
+
+// Form fields that map directly onto queue x- arguments
+const ARGUMENT_FIELDS = {
+  messageTtl: "x-message-ttl",
+  expires: "x-expires",
+  maxLength: "x-max-length",
+  maxLengthBytes: "x-max-length-bytes",
+  overflow: "x-overflow",
+  deadLetterExchange: "x-dead-letter-exchange",
+  deadLetterRoutingKey: "x-dead-letter-routing-key",
+  maxPriority: "x-max-priority",
+  deliveryLimit: "x-delivery-limit",
+};
+
+const CreateQueueDrawer = ({ open, onClose, onCreated, vhosts = ["/"] }) => {
+  const [form] = Form.useForm();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [extraArguments, setExtraArguments] = useState("{}");
+  const [extraArgumentsValid, setExtraArgumentsValid] = useState(true);
+  const queueType = Form.useWatch("type", form) || "classic";
+
+  // Replicated queues are always durable and never auto-delete/exclusive
+  const handleTypeChange = (type) => {
+    if (type !== "classic") {
+      form.setFieldsValue({
+        durable: true,
+        auto_delete: false,
+        exclusive: false,
+        maxPriority: undefined,
+      });
+    } else {
+      form.setFieldsValue({ deliveryLimit: undefined });
+    }
+  };
+
+  // Build the queue declaration sent to the backend from the form values
+  const buildDeclaration = (values) => {
+    const args = JSON.parse(extraArguments || "{}");
+
+    Object.entries(ARGUMENT_FIELDS).forEach(([field, argument]) => {
+      const value = values[field];
+      if (value !== undefined && value !== null && value !== "") {
+        args[argument] = value;
+      }
+    });
+
+    if (values.singleActiveConsumer) {
+      args["x-single-active-consumer"] = true;
+    }
+
+    return {
+      type: values.type,
+      durable: values.durable,
+      auto_delete: values.auto_delete,
+      exclusive: values.exclusive,
+      arguments: args,
+    };
+  };
+
+  const handleClose = () => {
+    form.resetFields();
+    setExtraArguments("{}");
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async (values) => {
+    if (!extraArgumentsValid) {
+      setError("Additional arguments must be valid JSON");
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const declaration = buildDeclaration(values);
+      await api.createQueue(values.vhost, values.name, declaration);
+
+      notification.success({
+        message: "Queue Created",
+        description: `Queue "${values.name}" was declared in vhost "${values.vhost}"`,
+      });
+
+      form.resetFields();
+      setExtraArguments("{}");
+      onCreated && onCreated(values);
+    } catch (error) {
+      console.error("Error creating queue:", error);
+      setError(api.handleRequestError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const label = (text, help) => (
+    <Space>
+      {text}
+      <Tooltip title={help}>
+        <QuestionCircleOutlined />
+      </Tooltip>
+    </Space>
+  );
+
+  return (
+    <Drawer
+      title="New Queue"
+      placement="right"
+      width={640}
+      open={open}
+      onClose={handleClose}
+      destroyOnClose
+      extra={
+        <Button
+          type="primary"
+          icon={<PlusOutlined />}
+          loading={submitting}
+          onClick={() => form.submit()}
+        >
+          Create
+        </Button>
+      }
+    >
+      {error && (
+        <Alert
+          message="Failed to create queue"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form
+        form={form}
+        layout="vertical"
+        initialValues={DEFAULT_VALUES}
+        onFinish={handleSubmit}
+      >
+        <Row gutter={16}>
+          <Col span={8}>
+            <Form.Item
+              name="vhost"
+              label="Virtual Host"
+              rules={[{ required: true }]}
+            >
+              <Select showSearch>
+                {vhosts.map((vhost) => (
+                  <Option key={vhost} value={vhost}>
+                    {vhost}
+                  </Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col span={16}>
+            <Form.Item
+              name="name"
+              label="Name"
+              rules={[
+                { required: true, message: "Please enter a queue name" },
+                {
+                  pattern: /^(?!amq\.)/,
+                  message: 'Names starting with "amq." are reserved',
+                },
+              ]}
+            >
+              <Input placeholder="orders.retry" />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={6}>
+            <Form.Item name="type" label="Type">
+              <Select onChange={handleTypeChange}>
+                <Option value="classic">Classic</Option>
+                <Option value="quorum">Quorum</Option>
+                <Option value="stream">Stream</Option>
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item name="durable" label="Durable" valuePropName="checked">
+              <Switch disabled={queueType !== "classic"} />
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item
+              name="auto_delete"
+              label="Auto-delete"
+              valuePropName="checked"
+            >
+              <Switch disabled={queueType !== "classic"} />
+            </Form.Item>
+          </Col>
+          <Col span={6}>
+            <Form.Item
+              name="exclusive"
+              label={label(
+                "Exclusive",
+                "Exclusive queues belong to the dashboard's own connection and are deleted when it closes"
+              )}
+              valuePropName="checked"
+            >
+              <Switch disabled={queueType !== "classic"} />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Divider orientation="left">Arguments</Divider>
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item
+              name="messageTtl"
+              label={label(
+                "Message TTL (ms)",
+                "x-message-ttl: how long a message can stay in the queue"
+              )}
+            >
+              <InputNumber min={0} style={{ width: "100%" }} />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item
+              name="expires"
+              label={label(
+                "Auto expire (ms)",
+                "x-expires: delete the queue after it has been unused this long"
+              )}
+            >
+              <InputNumber min={1} style={{ width: "100%" }} />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={8}>
+            <Form.Item
+              name="maxLength"
+              label={label(
+                "Max length",
+                "x-max-length: maximum number of ready messages"
+              )}
+            >
+              <InputNumber min={0} style={{ width: "100%" }} />
+            </Form.Item>
+          </Col>
+          <Col span={8}>
+            <Form.Item
+              name="maxLengthBytes"
+              label={label(
+                "Max length bytes",
+                "x-max-length-bytes: maximum total size of ready messages"
+              )}
+            >
+              <InputNumber min={0} style={{ width: "100%" }} />
+            </Form.Item>
+          </Col>
+          <Col span={8}>
+            <Form.Item
+              name="overflow"
+              label={label(
+                "Overflow",
+                "x-overflow: what happens when a max length is reached"
+              )}
+            >
+              <Select allowClear placeholder="drop-head">
+                <Option value="drop-head">drop-head</Option>
+                <Option value="reject-publish">reject-publish</Option>
+                {queueType === "classic" && (
+                  <Option value="reject-publish-dlx">reject-publish-dlx</Option>
+                )}
+              </Select>
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item
+              name="deadLetterExchange"
+              label={label(
+                "Dead letter exchange",
+                "x-dead-letter-exchange: where rejected and expired messages go"
+              )}
+            >
+              <Input placeholder="dlx" />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item
+              name="deadLetterRoutingKey"
+              label={label(
+                "Dead letter routing key",
+                "x-dead-letter-routing-key: replaces the routing key of dead-lettered messages"
+              )}
+            >
+              <Input />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={8}>
+            <Form.Item
+              name="singleActiveConsumer"
+              label={label(
+                "Single active consumer",
+                "x-single-active-consumer: only one consumer receives messages at a time"
+              )}
+              valuePropName="checked"
+            >
+              <Switch />
+            </Form.Item>
+          </Col>
+          {queueType === "classic" && (
+            <Col span={8}>
+              <Form.Item
+                name="maxPriority"
+                label={label(
+                  "Max priority",
+                  "x-max-priority: enables message priorities up to this value"
+                )}
+              >
+                <InputNumber min={1} max={255} style={{ width: "100%" }} />
+              </Form.Item>
+            </Col>
+          )}
+          {queueType === "quorum" && (
+            <Col span={8}>
+              <Form.Item
+                name="deliveryLimit"
+                label={label(
+                  "Delivery limit",
+                  "x-delivery-limit: dead-letter messages after this many redeliveries"
+                )}
+              >
+                <InputNumber min={1} style={{ width: "100%" }} />
+              </Form.Item>
+            </Col>
+          )}
+        </Row>
+
+        <Form.Item
+          label={label(
+            "Additional arguments",
+            "Any other x- arguments as a JSON object"
+          )}
+        >
+          <JSONEditor
+            value={extraArguments}
+            onChange={setExtraArguments}
+            onValidate={setExtraArgumentsValid}
+            height="100px"
+          />
+        </Form.Item>
+
+        <Text type="secondary">
+          Arguments of an existing queue cannot be changed. Declaring a queue
+          that already exists with different settings fails; use a policy to
+          change them instead.
+        </Text>
+      </Form>
+    </Drawer>
+  );
+};
+
+export default CreateQueueDrawer;
@@ -0,0 +1,543 @@
+// src/components/DeadLetters.jsx
+import { useState, useEffect } from "react";
+import {
+  Card,
+  Select,
+  InputNumber,
+  Button,
+  Space,
+  Table,
+  Tag,
+  Typography,
+  Collapse,
+  Checkbox,
+  Tooltip,
+  Popconfirm,
+  Modal,
+  Input,
+  Alert,
+  Empty,
+  notification,
+} from "antd";
+import {
+  ReloadOutlined,
+  RollbackOutlined,
+  EditOutlined,
+  QuestionCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useSocket } from "../context/SocketContext";
+import { useAuth } from "../context/useAuth";
+
+const { Text } = Typography;
+const { Option } = Select;
+const { Panel } = Collapse;
+const { TextArea } = Input;
+
+const DEFAULT_SCAN_COUNT = 100;
+const MAX_SCAN_COUNT = 500;
+
+// Queue names that usually hold dead letters, listed first in the selector
+const DLQ_NAME_PATTERN = /(dlq|dead|dlx|error|failed|parking)/i;
+
+const NOT_DEAD_LETTERED = "__none__";
+
+const REASON_COLORS = {
+  rejected: "red",
+  expired: "orange",
+  maxlen: "purple",
+  delivery_limit: "magenta",
+};
+
+// Text shown for and edited in place of a message payload
+const payloadToText = (payload) =>
+  typeof payload === "object" && payload !== null
+    ? JSON.stringify(payload, null, 2)
+    : String(payload === undefined ? "" : payload);
+
+const queueKey = (queue) => `${queue.vhost || "/"}\u0000${queue.name}`;
+
+/**
+ * Dead-letter workbench: peeks a queue, groups its messages by why and where
+ * they were dead-lettered and replays selected messages to the exchange and
+ * routing key they were dead-lettered from
+ */
+const DeadLetters = () => {
+  const [queues, setQueues] = useState([]);
+  const [selectedQueue, setSelectedQueue] = useState(null);
+  const [scanCount, setScanCount] = useState(DEFAULT_SCAN_COUNT);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedRowKeys, setSelectedRowKeys] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [editingRow, setEditingRow] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [stripDeathHeaders, setStripDeathHeaders] = useState(true);
+  const [replaying, setReplaying] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const { connectionStatus } = useSocket();
+  const { can } = useAuth();
+
+  // Load the queues to choose from
+  useEffect(() => {
+    api
+      .getQueues()
+      .then((response) => {
+        const list = [...(response.data || [])].sort((a, b) => {
+          const aDlq = DLQ_NAME_PATTERN.test(a.name) ? 0 : 1;
+          const bDlq = DLQ_NAME_PATTERN.test(b.name) ? 0 : 1;
+          return aDlq - bDlq || a.name.localeCompare(b.name);
+        });
+        setQueues(list);
+      })
+      .catch((error) => console.error("Error fetching queues:", error));
+  }, []);
+
+  const currentQueue = queues.find((q) => queueKey(q) === selectedQueue);
+  const canReplay =
+    Boolean(currentQueue) &&
+    can("move", { vhost: currentQueue.vhost || "/", queue: currentQueue.name });
+
+  // Peek the selected queue; messages stay in the queue
+  const fetchMessages = async (queue = currentQueue) => {
+    if (!queue) return;
+
+    setLoading(true);
+    setSelectedRowKeys([]);
+    setEdits({});
+    try {
+      const response = await api.getQueueMessages(
+        queue.vhost || "/",
+        queue.name,
+        {
+          count: scanCount,
+          mode: "peek",
+          truncate: 0,
+        }
+      );
+      setMessages(
+        (response.data.messages || []).map((message, index) => ({
+          ...message,
+          key: index,
+          position: index + 1,
+        }))
+      );
+    } catch (error) {
+      console.error("Error fetching dead letters:", error);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch messages from "${queue.name}": ${
+          api.handleRequestError(error).message
+        }`,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleQueueChange = (key) => {
+    setSelectedQueue(key);
+    setLastResult(null);
+    setMessages([]);
+    fetchMessages(queues.find((q) => queueKey(q) === key));
+  };
+
+  // Group messages by dead-letter reason and the queue they died in
+  const groups = messages.reduce((result, message) => {
+    const key = message.death
+      ? `${message.death.reason}\u0000${message.death.queue}`
+      : NOT_DEAD_LETTERED;
+    if (!result[key]) {
+      result[key] = { key, death: message.death, messages: [] };
+    }
+    result[key].messages.push(message);
+    return result;
+  }, {});
+
+  const openEditor = (record) => {
+    setEditingRow(record);
+    setEditText(
+      edits[record.key] !== undefined
+        ? edits[record.key]
+        : payloadToText(record.payload)
+    );
+  };
+
+  const saveEdit = () => {
+    setEdits({ ...edits, [editingRow.key]: editText });
+    if (!selectedRowKeys.includes(editingRow.key)) {
+      setSelectedRowKeys([...selectedRowKeys, editingRow.key]);
+    }
+    setEditingRow(null);
+  };
+
+  const resetEdit = () => {
+    const rest = { ...edits };
+    delete rest[editingRow.key];
+    setEdits(rest);
+    setEditingRow(null);
+  };
+
+  const replaySelected = async () => {
+    const selected = messages.filter((message) =>
+      selectedRowKeys.includes(message.key)
+    );
+
+    setReplaying(true);
+    try {
+      const response = await api.replayDeadLetters(
+        currentQueue.vhost || "/",
+        currentQueue.name,
+        {
+          messages: selected.map((message) => ({
+            fingerprint: message.fingerprint,
+            payload: edits[message.key],
+          })),
+          scan: Math.max(messages.length, 1),
+          stripDeathHeaders,
+        }
+      );
+
+      const result = response.data;
+      setLastResult(result);
+
+      const notify = result.failed
+        ? notification.warning
+        : notification.success;
+      notify({
+        message: "Replay Finished",
+        description: `Replayed ${result.replayed} of ${selected.length} messages`,
+      });
+
+      fetchMessages();
+    } catch (error) {
+      console.error("Error replaying dead letters:", error);
+      notification.error({
+        message: "Replay Failed",
+        description: api.handleRequestError(error).message,
+      });
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: "#",
+      dataIndex: "position",
+      key: "position",
+      width: 56,
+    },
+    {
+      title: "Payload",
+      key: "payload",
+      render: (_, record) => {
+        const text = payloadToText(
+          edits[record.key] !== undefined ? edits[record.key] : record.payload
+        );
+        return (
+          <Space direction="vertical" size={0}>
+            <Text code ellipsis style={{ maxWidth: 360 }}>
+              {text.length > 120 ? `${text.substring(0, 120)}...` : text}
+            </Text>
+            {edits[record.key] !== undefined && <Tag color="blue">edited</Tag>}
+          </Space>
+        );
+      },
+    },
+    {
+      title: "Replays to",
+      key: "target",
+      render: (_, record) =>
+        record.death ? (
+          <Space direction="vertical" size={0}>
+            <Text>
+              {record.death.exchange === "" ? (
+                <Text italic>(default exchange)</Text>
+              ) : (
+                <Text strong>{record.death.exchange}</Text>
+              )}
+            </Text>
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              routing key: {record.death.routing_keys[0] || "(empty)"}
+            </Text>
+          </Space>
+        ) : (
+          <Text type="secondary">-</Text>
+        ),
+    },
+    {
+      title: "Deaths",
+      key: "count",
+      width: 80,
+      render: (_, record) => (record.death ? record.death.count : "-"),
+    },
+    {
+      title: "Dead-lettered at",
+      key: "time",
+      render: (_, record) =>
+        record.death && record.death.time
+          ? new Date(record.death.time).toLocaleString()
+          : "-",
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 48,
+      render: (_, record) => (
+        <Tooltip title="Edit payload before replaying">
+          <Button
+            size="small"
+            icon={<EditOutlined />}
+            disabled={!record.death || !record.fingerprint}
+            onClick={() => openEditor(record)}
+          />
+        </Tooltip>
+      ),
+    },
+  ];
+
+  const renderGroupHeader = (group) => {
+    if (!group.death) {
+      return (
+        <Space>
+          <Tag>not dead-lettered</Tag>
+          <Text type="secondary">{group.messages.length} message(s)</Text>
+        </Space>
+      );
+    }
+
+    return (
+      <Space>
+        <Tag color={REASON_COLORS[group.death.reason] || "default"}>
+          {group.death.reason}
+        </Tag>
+        <Text>
+          from queue <Text strong>{group.death.queue}</Text>
+        </Text>
+        <Text type="secondary">{group.messages.length} message(s)</Text>
+      </Space>
+    );
+  };
+
+  const groupList = Object.values(groups);
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Dead Letters</h2>
+        <Button
+          type="primary"
+          icon={<ReloadOutlined />}
+          onClick={() => fetchMessages()}
+          loading={loading}
+          disabled={!currentQueue}
+        >
+          Refresh
+        </Button>
+      </div>
+
+      {!connectionStatus.amqp && (
+        <Alert
+          message="Replaying messages requires an AMQP connection to RabbitMQ"
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card style={{ marginBottom: 16 }}>
+        <Space wrap>
+          <Select
+            showSearch
+            placeholder="Select a dead-letter queue"
+            style={{ width: 360 }}
+            value={selectedQueue}
+            onChange={handleQueueChange}
+            optionFilterProp="label"
+          >
+            {queues
+              .filter((queue) =>
+                can("peek", { vhost: queue.vhost || "/", queue: queue.name })
+              )
+              .map((queue) => (
+                <Option
+                  key={queueKey(queue)}
+                  value={queueKey(queue)}
+                  label={queue.name}
+                >
+                  {queue.name}{" "}
+                  <Text type="secondary">
+                    ({queue.messages || 0}
+                    {queue.vhost && queue.vhost !== "/"
+                      ? `, vhost ${queue.vhost}`
+                      : ""}
+                    )
+                  </Text>
+                </Option>
+              ))}
+          </Select>
+          <Space>
+            <Text>Inspect first</Text>
+            <InputNumber
+              min={1}
+              max={MAX_SCAN_COUNT}
+              value={scanCount}
+              onChange={(value) => setScanCount(value || DEFAULT_SCAN_COUNT)}
+            />
+            <Text>messages</Text>
+          </Space>
+        </Space>
+      </Card>
+
+      {lastResult && lastResult.failed > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          closable
+          onClose={() => setLastResult(null)}
+          style={{ marginBottom: 16 }}
+          message={`${lastResult.failed} message(s) were not replayed and are still in the queue`}
+          description={
+            <ul style={{ margin: 0, paddingLeft: 20 }}>
+              {lastResult.results
+                .filter((result) => result.status !== "replayed")
+                .map((result, index) => (
+                  <li key={`${result.fingerprint}-${index}`}>
+                    <Text code>{result.fingerprint.substring(0, 12)}</Text>{" "}
+                    {result.error}
+                  </li>
+                ))}
+            </ul>
+          }
+        />
+      )}
+
+      {canReplay && (
+        <Card style={{ marginBottom: 16 }} bodyStyle={{ padding: "12px 24px" }}>
+          <Space
+            wrap
+            style={{ width: "100%", justifyContent: "space-between" }}
+          >
+            <Text>
+              {selectedRowKeys.length} selected
+              {Object.keys(edits).length > 0 &&
+                `, ${Object.keys(edits).length} with edited payload`}
+            </Text>
+            <Space>
+              <Checkbox
+                checked={stripDeathHeaders}
+                onChange={(e) => setStripDeathHeaders(e.target.checked)}
+              >
+                Strip x-death headers
+              </Checkbox>
+              <Tooltip title="When kept, RabbitMQ adds to the existing x-death entries if a replayed message is dead-lettered again">
+                <QuestionCircleOutlined />
+              </Tooltip>
+              <Popconfirm
+                title="Replay messages"
+                description={`Republish ${selectedRowKeys.length} message(s) to where they were dead-lettered from and remove them from "${currentQueue.name}"?`}
+                onConfirm={replaySelected}
+                okText="Replay"
+                cancelText="Cancel"
+                disabled={selectedRowKeys.length === 0}
+              >
+                <Button
+                  type="primary"
+                  icon={<RollbackOutlined />}
+                  loading={replaying}
+                  disabled={
+                    selectedRowKeys.length === 0 || !connectionStatus.amqp
+                  }
+                >
+                  Replay selected
+                </Button>
+              </Popconfirm>
+            </Space>
+          </Space>
+        </Card>
+      )}
+
+      <Card loading={loading && messages.length === 0}>
+        {groupList.length === 0 ? (
+          <Empty
+            description={
+              currentQueue ? "The queue is empty" : "Select a queue to inspect"
+            }
+          />
+        ) : (
+          <Collapse defaultActiveKey={groupList.map((group) => group.key)}>
+            {groupList.map((group) => {
+              const groupKeys = group.messages.map((message) => message.key);
+              return (
+                <Panel key={group.key} header={renderGroupHeader(group)}>
+                  <Table
+                    columns={columns}
+                    dataSource={group.messages}
+                    size="small"
+                    pagination={
+                      group.messages.length > 20 ? { pageSize: 20 } : false
+                    }
+                    rowSelection={{
+                      selectedRowKeys: selectedRowKeys.filter((key) =>
+                        groupKeys.includes(key)
+                      ),
+                      onChange: (keys) =>
+                        setSelectedRowKeys((current) => [
+                          ...current.filter((key) => !groupKeys.includes(key)),
+                          ...keys,
+                        ]),
+                      // Truncated or not dead-lettered messages cannot be replayed
+                      getCheckboxProps: (record) => ({
+                        disabled: !record.death || !record.fingerprint,
+                      }),
+                    }}
+                  />
+                </Panel>
+              );
+            })}
+          </Collapse>
+        )}
+      </Card>
+
+      <Modal
+        title={
+          editingRow ? `Edit payload of message #${editingRow.position}` : ""
+        }
+        open={Boolean(editingRow)}
+        onCancel={() => setEditingRow(null)}
+        width={720}
+        footer={[
+          <Button key="reset" onClick={resetEdit}>
+            Use original
+          </Button>,
+          <Button key="cancel" onClick={() => setEditingRow(null)}>
+            Cancel
+          </Button>,
+          <Button key="save" type="primary" onClick={saveEdit}>
+            Save
+          </Button>,
+        ]}
+      >
+        <TextArea
+          value={editText}
+          onChange={(e) => setEditText(e.target.value)}
+          autoSize={{ minRows: 8, maxRows: 24 }}
+          style={{ fontFamily: "monospace" }}
+        />
+        <Text type="secondary">
+          The message is replayed with this payload and its original properties.
+        </Text>
+      </Modal>
+    </div>
+  );
+};
+
+export default DeadLetters;
@@ -0,0 +1,383 @@
+// src/components/Definitions.jsx
+import { useState } from "react";
+import {
+  Table,
+  Button,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Select,
+  Upload,
+  Empty,
+  Popconfirm,
+  notification,
+} from "antd";
+import {
+  DownloadOutlined,
+  UploadOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useCluster } from "../context/useCluster";
+import { useVhost } from "../context/useVhost";
+import { downloadJson, readJsonFile } from "../utils/formatters";
+
+const { Text, Paragraph } = Typography;
+const { Option } = Select;
+
+// Value of the scope select for the whole broker
+const WHOLE_BROKER = "";
+
+const KIND_LABELS = {
+  vhosts: "Virtual hosts",
+  users: "Users",
+  permissions: "Permissions",
+  topic_permissions: "Topic permissions",
+  parameters: "Parameters",
+  global_parameters: "Global parameters",
+  policies: "Policies",
+  queues: "Queues",
+  exchanges: "Exchanges",
+  bindings: "Bindings",
+};
+
+const formatValue = (value) =>
+  value === undefined ? "(not set)" : JSON.stringify(value);
+
+/**
+ * Export the topology of the broker or of a vhost as a RabbitMQ definitions
+ * file, and import one after previewing what it would create and change
+ */
+const Definitions = () => {
+  const { vhost: selectedVhost, vhostNames, refreshVhosts } = useVhost();
+  const { cluster } = useCluster();
+  const { can } = useAuth();
+  const [scope, setScope] = useState(selectedVhost || WHOLE_BROKER);
+  const [downloading, setDownloading] = useState(false);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+  const canImport = can("definitions", scope ? { vhost: scope } : {});
+
+  const download = async () => {
+    setDownloading(true);
+    try {
+      const response = await api.getDefinitions(scope);
+      const date = new Date().toISOString().slice(0, 10);
+      const filename = [
+        cluster ? cluster.id : "rabbitmq",
+        scope ? scope.replace(/[^\w.-]+/g, "_") : null,
+        "definitions",
+        date,
+      ]
+        .filter(Boolean)
+        .join("-");
+
+      downloadJson(response.data, `${filename}.json`);
+    } catch (err) {
+      console.error("Error exporting definitions:", err);
+      notification.error({
+        message: "Export Failed",
+        description: api.handleRequestError(err).message,
+      });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const runPreview = async (definitions, target = scope) => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      const response = await api.importDefinitions(target, definitions, true);
+      setPreview(response.data);
+    } catch (err) {
+      console.error("Error previewing definitions:", err);
+      setPreview(null);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Read the file in the browser; returning false keeps Upload from posting it
+  const selectFile = (selected) => {
+    readJsonFile(selected)
+      .then((definitions) => {
+        setFile({ name: selected.name, definitions });
+        runPreview(definitions);
+      })
+      .catch((err) => {
+        setFile(null);
+        setPreview(null);
+        setError(err.message);
+      });
+    return false;
+  };
+
+  const changeScope = (value) => {
+    setScope(value);
+    if (file) {
+      runPreview(file.definitions, value);
+    }
+  };
+
+  const clear = () => {
+    setFile(null);
+    setPreview(null);
+    setError(null);
+  };
+
+  const apply = async () => {
+    setApplying(true);
+    try {
+      await api.importDefinitions(scope, file.definitions);
+      notification.success({
+        message: "Definitions Imported",
+        description: `${file.name} was imported into ${
+          scope ? `"${scope}"` : "the broker"
+        }`,
+      });
+      clear();
+      refreshVhosts();
+    } catch (err) {
+      console.error("Error importing definitions:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const changes = preview ? preview.changes : {};
+  const rows = Object.entries(changes).map(([kind, summary]) => ({
+    kind,
+    ...summary,
+  }));
+  const hasChanges = rows.some(
+    (row) =>
+      row.create.length > 0 || row.change.some((change) => change.applied)
+  );
+  const ignoredChanges = rows.flatMap((row) =>
+    row.change.filter((change) => !change.applied)
+  );
+
+  const columns = [
+    {
+      title: "Kind",
+      dataIndex: "kind",
+      key: "kind",
+      render: (kind) => <Text strong>{KIND_LABELS[kind] || kind}</Text>,
+    },
+    {
+      title: "Created",
+      key: "create",
+      render: (_, row) =>
+        row.create.length > 0 ? (
+          <Tag color="green">{row.create.length}</Tag>
+        ) : (
+          <Text type="secondary">0</Text>
+        ),
+    },
+    {
+      title: "Changed",
+      key: "change",
+      render: (_, row) =>
+        row.change.length > 0 ? (
+          <Tag color="orange">{row.change.length}</Tag>
+        ) : (
+          <Text type="secondary">0</Text>
+        ),
+    },
+    {
+      title: "Untouched",
+      dataIndex: "untouched",
+      key: "untouched",
+      render: (untouched) => <Text type="secondary">{untouched}</Text>,
+    },
+  ];
+
+  const renderDetails = (row) => (
+    <Space direction="vertical" style={{ width: "100%" }}>
+      {row.create.length > 0 && (
+        <div>
+          <Text type="secondary">Created: </Text>
+          <Space size={[0, 4]} wrap>
+            {row.create.map((name) => (
+              <Tag key={name} color="green">
+                {name}
+              </Tag>
+            ))}
+          </Space>
+        </div>
+      )}
+      {row.change.map((change) => (
+        <div key={change.name}>
+          <Space>
+            <Tag color={change.applied ? "orange" : "default"}>
+              {change.name}
+            </Tag>
+            {!change.applied && (
+              <Text type="secondary">kept as is on the broker</Text>
+            )}
+          </Space>
+          <ul style={{ margin: "4px 0 0 0" }}>
+            {change.fields.map(({ field, before, after }) => (
+              <li key={field}>
+                <Text code>{field}</Text>{" "}
+                <Text delete type="danger">
+                  {formatValue(before)}
+                </Text>{" "}
+                <Text type="success">{formatValue(after)}</Text>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </Space>
+  );
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Definitions</h2>
+        <Select value={scope} onChange={changeScope} style={{ width: 220 }}>
+          <Option value={WHOLE_BROKER}>Whole broker</Option>
+          {vhostNames.map((vhostName) => (
+            <Option key={vhostName} value={vhostName}>
+              Virtual host {vhostName}
+            </Option>
+          ))}
+        </Select>
+      </div>
+
+      <Card title="Export" style={{ marginBottom: 16 }}>
+        <Paragraph type="secondary">
+          Download the{" "}
+          {scope
+            ? `queues, exchanges, bindings and policies of "${scope}"`
+            : "virtual hosts, users, permissions, policies, queues, exchanges and bindings of the broker"}{" "}
+          as a RabbitMQ definitions file, which the management UI and{" "}
+          <Text code>rabbitmqctl import_definitions</Text> can load too.
+        </Paragraph>
+        <Button
+          type="primary"
+          icon={<DownloadOutlined />}
+          onClick={download}
+          loading={downloading}
+        >
+          Download
+        </Button>
+      </Card>
+
+      <Card
+        title="Import"
+        extra={file && <Button onClick={clear}>Clear</Button>}
+      >
+        <Paragraph type="secondary">
+          Choose a definitions file to see what it would create and change{" "}
+          {scope ? `in "${scope}"` : "on the broker"}. Importing never deletes
+          anything.
+        </Paragraph>
+        <Space style={{ marginBottom: 16 }}>
+          <Upload
+            accept=".json,application/json"
+            beforeUpload={selectFile}
+            showUploadList={false}
+          >
+            <Button icon={<UploadOutlined />} loading={previewing}>
+              Choose File
+            </Button>
+          </Upload>
+          {file && <Text>{file.name}</Text>}
+        </Space>
+
+        {error && (
+          <Alert
+            message="Error"
+            description={error}
+            type="error"
+            showIcon
+            closable
+            onClose={() => setError(null)}
+            style={{ marginBottom: 16 }}
+          />
+        )}
+
+        {preview && (
+          <>
+            {ignoredChanges.length > 0 && (
+              <Alert
+                message="Some changes will not be applied"
+                description={`RabbitMQ keeps the properties of existing queues and exchanges, so ${ignoredChanges.length} of them stay as they are. Delete and declare them again to change them.`}
+                type="warning"
+                showIcon
+                style={{ marginBottom: 16 }}
+              />
+            )}
+
+            <Table
+              columns={columns}
+              dataSource={rows}
+              rowKey="kind"
+              size="small"
+              pagination={false}
+              expandable={{
+                expandedRowRender: renderDetails,
+                rowExpandable: (row) =>
+                  row.create.length > 0 || row.change.length > 0,
+              }}
+              locale={{
+                emptyText: <Empty description="The file has no definitions" />,
+              }}
+            />
+
+            <div style={{ marginTop: 16, textAlign: "right" }}>
+              {!canImport ? (
+                <Text type="secondary">
+                  You are not allowed to import definitions
+                  {scope ? ` into "${scope}"` : ""}
+                </Text>
+              ) : (
+                <Popconfirm
+                  title="Import definitions"
+                  description={`Import ${file.name} into ${
+                    scope ? `"${scope}"` : "the broker"
+                  }?`}
+                  onConfirm={apply}
+                  okText="Import"
+                  cancelText="Cancel"
+                  icon={
+                    <ExclamationCircleOutlined style={{ color: "orange" }} />
+                  }
+                  disabled={!hasChanges}
+                >
+                  <Button
+                    type="primary"
+                    loading={applying}
+                    disabled={!hasChanges}
+                  >
+                    {hasChanges ? "Apply" : "Nothing to apply"}
+                  </Button>
+                </Popconfirm>
+              )}
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default Definitions;
@@ -10,18 +10,37 @@ import {
   Alert,
   Tooltip,
   Empty,
+  Drawer,
+  Descriptions,
+  Popconfirm,
+  Checkbox,
+  Divider,
+  notification,
 } from "antd";
 import {
   SearchOutlined,
   ReloadOutlined,
   SendOutlined,
+  PlusOutlined,
+  LinkOutlined,
+  CloseCircleOutlined,
+  ExclamationCircleOutlined,
 } from "@ant-design/icons";
 import api from "../services/api"; // Import the API service
 import { useSocket } from "../context/SocketContext";
+import { useVhost } from "../context/useVhost";
+import { useAuth } from "../context/useAuth";
 import { useNavigate } from "react-router-dom";
+import CreateExchangeDrawer from "./CreateExchangeDrawer";
+import AddBindingModal from "./AddBindingModal";
+import BindingList from "./BindingList";
 
 const { Text } = Typography;
 
+// The default exchange and the amq.* exchanges are managed by the broker
+const isBuiltInExchange = (exchange) =>
+  exchange.name === "" || exchange.name.startsWith("amq.");
+
 const Exchanges = () => {
   const [exchanges, setExchanges] = useState([]);
   const [filteredExchanges, setFilteredExchanges] = useState([]);
@@ -29,14 +48,22 @@ const Exchanges = () => {
   const [error, setError] = useState(null);
   const [searchText, setSearchText] = useState("");
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [createDrawerOpen, setCreateDrawerOpen] = useState(false);
+  const [selectedExchange, setSelectedExchange] = useState(null);
+  const [exchangeBindings, setExchangeBindings] = useState([]);
+  const [bindingsLoading, setBindingsLoading] = useState(false);
+  const [addBindingOpen, setAddBindingOpen] = useState(false);
+  const [deleteIfUnused, setDeleteIfUnused] = useState(false);
   const { socket } = useSocket();
+  const { vhost, vhostNames } = useVhost();
+  const { can } = useAuth();
   const navigate = useNavigate();
 
   // Fetch exchanges data
   const fetchExchanges = async () => {
     setLoading(true);
     try {
-      const response = await api.getExchanges(); // Use the API service instead of direct axios call
+      const response = await api.getExchanges({ vhost });
       setExchanges(response.data);
       filterExchanges(response.data, searchText);
       setLastUpdated(new Date());
@@ -88,6 +115,87 @@ const Exchanges = () => {
     });
   };
 
+  // Fetch the bindings where an exchange is the source or the destination
+  const fetchExchangeBindings = async (exchange) => {
+    setBindingsLoading(true);
+    try {
+      const response = await api.getBindings({ vhost: exchange.vhost });
+      setExchangeBindings(
+        (response.data || []).filter(
+          (binding) =>
+            binding.vhost === exchange.vhost &&
+            (binding.source === exchange.name ||
+              (binding.destination_type === "exchange" &&
+                binding.destination === exchange.name))
+        )
+      );
+    } catch (error) {
+      console.error("Error fetching exchange bindings:", error);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch bindings for exchange "${exchange.name}"`,
+      });
+    } finally {
+      setBindingsLoading(false);
+    }
+  };
+
+  // Open the details drawer for an exchange
+  const viewExchange = (exchange) => {
+    setSelectedExchange(exchange);
+    setExchangeBindings([]);
+    fetchExchangeBindings(exchange);
+  };
+
+  // Delete an exchange, optionally only if it has no bindings
+  const deleteExchange = async (exchange) => {
+    try {
+      await api.deleteExchange(
+        exchange.vhost || "/",
+        exchange.name,
+        deleteIfUnused ? { "if-unused": true } : {}
+      );
+
+      notification.success({
+        message: "Exchange Deleted",
+        description: `Exchange "${exchange.name}" has been deleted`,
+      });
+
+      if (
+        selectedExchange &&
+        selectedExchange.name === exchange.name &&
+        selectedExchange.vhost === exchange.vhost
+      ) {
+        setSelectedExchange(null);
+      }
+
+      fetchExchanges();
+    } catch (error) {
+      console.error("Error deleting exchange:", error);
+      notification.error({
+        message: "Delete Failed",
+        description: `Failed to delete exchange "${exchange.name}": ${
+          api.handleRequestError(error).message
+        }`,
+      });
+    }
+  };
+
+  // Called once the create drawer has declared an exchange
+  const handleExchangeCreated = () => {
+    setCreateDrawerOpen(false);
+    fetchExchanges();
+  };
+
+  // Virtual hosts of the cluster, or those known from the exchange list, for
+  // the create form
+  const knownVhosts =
+    vhostNames.length > 0
+      ? vhostNames
+      : Array.from(
+          new Set(["/", ...exchanges.map((exchange) => exchange.vhost || "/")])
+        );
+
   // Initialize data and set up event listeners
   useEffect(() => {
     fetchExchanges();
@@ -111,7 +219,7 @@ const Exchanges = () => {
       const intervalId = setInterval(fetchExchanges, 5000);
       return () => clearInterval(intervalId);
     }
-  }, [socket, searchText]);
+  }, [socket, searchText, vhost]);
 
   // Table columns
   const columns = [
@@ -238,17 +346,55 @@ const Exchanges = () => {
       key: "actions",
       render: (_, record) => (
         <Space size="small">
+          <Tooltip title="Details & Bindings">
+            <Button
+              icon={<LinkOutlined />}
+              size="small"
+              onClick={() => viewExchange(record)}
+            />
+          </Tooltip>
           {/* Don't show publish button for default exchange or internal exchanges */}
-          {record.name !== "" && !record.internal && (
-            <Tooltip title="Publish Message">
-              <Button
-                type="primary"
-                icon={<SendOutlined />}
-                size="small"
-                onClick={() => goToPublish(record)}
-              />
-            </Tooltip>
-          )}
+          {record.name !== "" &&
+            !record.internal &&
+            can("publish", { vhost: record.vhost }) && (
+              <Tooltip title="Publish Message">
+                <Button
+                  type="primary"
+                  icon={<SendOutlined />}
+                  size="small"
+                  onClick={() => goToPublish(record)}
+                />
+              </Tooltip>
+            )}
+          {!isBuiltInExchange(record) &&
+            can("delete", { vhost: record.vhost }) && (
+              <Tooltip title="Delete Exchange">
+                <Popconfirm
+                  title="Delete exchange"
+                  description={
+                    <Space direction="vertical" size={4}>
+                      <span>
+                        Are you sure you want to delete &quot;{record.name}
+                        &quot;? Its bindings are removed as well.
+                      </span>
+                      <Checkbox
+                        checked={deleteIfUnused}
+                        onChange={(e) => setDeleteIfUnused(e.target.checked)}
+                      >
+                        Only if it has no bindings
+                      </Checkbox>
+                    </Space>
+                  }
+                  onConfirm={() => deleteExchange(record)}
+                  okText="Yes"
+                  okButtonProps={{ danger: true }}
+                  cancelText="No"
+                  icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+                >
+                  <Button danger icon={<CloseCircleOutlined />} size="small" />
+                </Popconfirm>
+              </Tooltip>
+            )}
         </Space>
       ),
     },
@@ -277,14 +423,24 @@ const Exchanges = () => {
               ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
               : "Never updated"}
           </Text>
-          <Button
-            type="primary"
-            icon={<ReloadOutlined />}
-            onClick={fetchExchanges}
-            loading={loading}
-          >
-            Refresh
-          </Button>
+          <Space>
+            {can("manage") && (
+              <Button
+                icon={<PlusOutlined />}
+                onClick={() => setCreateDrawerOpen(true)}
+              >
+                New Exchange
+              </Button>
+            )}
+            <Button
+              type="primary"
+              icon={<ReloadOutlined />}
+              onClick={fetchExchanges}
+              loading={loading}
+            >
+              Refresh
+            </Button>
+          </Space>
         </div>
       </div>
 
@@ -329,6 +485,96 @@ const Exchanges = () => {
           }}
         />
       </Card>
+
+      <CreateExchangeDrawer
+        open={createDrawerOpen}
+        onClose={() => setCreateDrawerOpen(false)}
+        onCreated={handleExchangeCreated}
+        vhosts={knownVhosts}
+        exchanges={exchanges}
+      />
+
+      {/* Exchange Details Drawer */}
+      <Drawer
+        title={
+          selectedExchange
+            ? `Exchange: ${selectedExchange.name || "(default exchange)"}`
+            : "Exchange"
+        }
+        placement="right"
+        width={720}
+        open={Boolean(selectedExchange)}
+        onClose={() => setSelectedExchange(null)}
+        extra={
+          selectedExchange &&
+          selectedExchange.name !== "" &&
+          can("manage", { vhost: selectedExchange.vhost }) && (
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => setAddBindingOpen(true)}
+            >
+              Add Binding
+            </Button>
+          )
+        }
+      >
+        {selectedExchange && (
+          <>
+            <Descriptions bordered size="small" column={2}>
+              <Descriptions.Item label="Virtual Host">
+                {selectedExchange.vhost}
+              </Descriptions.Item>
+              <Descriptions.Item label="Type">
+                {selectedExchange.type}
+              </Descriptions.Item>
+              <Descriptions.Item label="Durable">
+                {selectedExchange.durable ? "Yes" : "No"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Auto-delete">
+                {selectedExchange.auto_delete ? "Yes" : "No"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Internal">
+                {selectedExchange.internal ? "Yes" : "No"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Alternate exchange">
+                {(selectedExchange.arguments &&
+                  selectedExchange.arguments["alternate-exchange"]) || (
+                  <Text type="secondary">None</Text>
+                )}
+              </Descriptions.Item>
+            </Descriptions>
+
+            <Divider orientation="left">Bindings</Divider>
+
+            {selectedExchange.name === "" ? (
+              <Text type="secondary">
+                Every queue is implicitly bound to the default exchange with its
+                name as the routing key.
+              </Text>
+            ) : (
+              <BindingList
+                bindings={exchangeBindings}
+                loading={bindingsLoading}
+                onDeleted={() => fetchExchangeBindings(selectedExchange)}
+              />
+            )}
+          </>
+        )}
+      </Drawer>
+
+      {selectedExchange && (
+        <AddBindingModal
+          open={addBindingOpen}
+          onClose={() => setAddBindingOpen(false)}
+          onCreated={() => {
+            setAddBindingOpen(false);
+            fetchExchangeBindings(selectedExchange);
+          }}
+          vhost={selectedExchange.vhost || "/"}
+          source={selectedExchange.name}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,100 @@
+// src/components/Login.jsx
+import { useState } from "react";
+import {
+  Card,
+  Form,
+  Input,
+  Button,
+  Alert,
+  Layout,
+  Typography,
+  theme,
+} from "antd";
+import { UserOutlined, LockOutlined } from "@ant-design/icons";
+import { useAuth } from "../context/useAuth";
+import api from "../services/api";
+
+const { Title } = Typography;
+
+/**
+ * Login page shown instead of the dashboard while authentication is enabled
+ * and there is no session
+ */
+const Login = () => {
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const { login } = useAuth();
+  const { token } = theme.useToken();
+
+  const handleSubmit = async ({ username, password }) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(api.handleRequestError(err).message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Layout
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+    >
+      <Card style={{ width: 360, maxWidth: "90vw" }}>
+        <Title
+          level={3}
+          style={{ textAlign: "center", color: token.colorPrimary }}
+        >
+          RMQ Board
+        </Title>
+
+        {error && (
+          <Alert
+            type="error"
+            message={error}
+            showIcon
+            style={{ marginBottom: 16 }}
+          />
+        )}
+
+        <Form layout="vertical" onFinish={handleSubmit} requiredMark={false}>
+          <Form.Item
+            name="username"
+            label="Username"
+            rules={[{ required: true, message: "Please enter your username" }]}
+          >
+            <Input
+              prefix={<UserOutlined />}
+              autoComplete="username"
+              autoFocus
+            />
+          </Form.Item>
+          <Form.Item
+            name="password"
+            label="Password"
+            rules={[{ required: true, message: "Please enter your password" }]}
+          >
+            <Input.Password
+              prefix={<LockOutlined />}
+              autoComplete="current-password"
+            />
+          </Form.Item>
+          <Form.Item style={{ marginBottom: 0 }}>
+            <Button type="primary" htmlType="submit" loading={submitting} block>
+              Log in
+            </Button>
+          </Form.Item>
+        </Form>
+      </Card>
+    </Layout>
+  );
+};
+
+export default Login;
@@ -15,6 +15,8 @@ import {
   Tooltip,
   Table,
   Input,
+  InputNumber,
+  Radio,
   Modal,
   message,
 } from "antd";
@@ -24,6 +26,7 @@ import {
   ReloadOutlined,
   FullscreenOutlined,
   ClockCircleOutlined,
+  ExclamationCircleOutlined,
 } from "@ant-design/icons";
 
 const { Text, Paragraph, Title } = Typography;
@@ -31,7 +34,15 @@ const { TabPane } = Tabs;
 const { Panel } = Collapse;
 const { Search } = Input;
 
-const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
+const MessageViewer = ({
+  messages = [],
+  loading = false,
+  onRefresh,
+  fetchInfo = null,
+  fetchOptions = { count: 10, mode: "peek" },
+  onFetchOptionsChange,
+  canConsume = true,
+}) => {
   const [searchText, setSearchText] = useState("");
   const [expandedMessage, setExpandedMessage] = useState(null);
   const [filteredMessages, setFilteredMessages] = useState(messages);
@@ -55,6 +66,89 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
     setFilteredMessages(filtered);
   }, [messages, searchText]);
 
+  // Fetch messages with the current options, confirming destructive fetches
+  const fetchMessages = () => {
+    if (fetchOptions.mode !== "consume") {
+      onRefresh(fetchOptions);
+      return;
+    }
+
+    Modal.confirm({
+      title: "Consume messages",
+      icon: <ExclamationCircleOutlined style={{ color: "red" }} />,
+      content: `Up to ${fetchOptions.count} messages will be removed from the queue and acknowledged. They cannot be recovered. Continue?`,
+      okText: "Yes, Consume Messages",
+      okType: "danger",
+      cancelText: "Cancel",
+      onOk: () => onRefresh(fetchOptions),
+    });
+  };
+
+  const updateFetchOptions = (changes) => {
+    if (onFetchOptionsChange) {
+      onFetchOptionsChange({ ...fetchOptions, ...changes });
+    }
+  };
+
+  // Render the fetch controls and the mode used for the last fetch
+  const renderFetchControls = () => (
+    <div style={{ marginBottom: 16 }}>
+      <Space wrap>
+        <Radio.Group
+          value={fetchOptions.mode}
+          onChange={(e) => updateFetchOptions({ mode: e.target.value })}
+          optionType="button"
+          buttonStyle="solid"
+          size="small"
+        >
+          <Radio.Button value="peek">Peek</Radio.Button>
+          <Radio.Button value="consume" disabled={!canConsume}>
+            Consume
+          </Radio.Button>
+        </Radio.Group>
+        <InputNumber
+          min={1}
+          max={500}
+          value={fetchOptions.count}
+          onChange={(value) => updateFetchOptions({ count: value || 1 })}
+          addonBefore="Count"
+          size="small"
+          style={{ width: 140 }}
+        />
+        <Button
+          size="small"
+          type={fetchOptions.mode === "consume" ? "primary" : "default"}
+          danger={fetchOptions.mode === "consume"}
+          onClick={fetchMessages}
+        >
+          {fetchOptions.mode === "consume" ? "Consume" : "Get Messages"}
+        </Button>
+      </Space>
+
+      {fetchInfo && (
+        <div style={{ marginTop: 12 }}>
+          <Space wrap>
+            {fetchInfo.mode === "consume" ? (
+              <Tag color="red">Consumed - removed from queue</Tag>
+            ) : (
+              <Tag color="green">Peek - requeued</Tag>
+            )}
+            {fetchInfo.source && (
+              <Tag>via {String(fetchInfo.source).toUpperCase()}</Tag>
+            )}
+            {fetchInfo.markedRedelivered > 0 && (
+              <Tooltip title="Requeued messages are flagged as redelivered by the broker">
+                <Tag color="orange">
+                  {fetchInfo.markedRedelivered} marked redelivered by this peek
+                </Tag>
+              </Tooltip>
+            )}
+          </Space>
+        </div>
+      )}
+    </div>
+  );
+
   if (loading) {
     return (
       <div style={{ textAlign: "center", padding: 24 }}>
@@ -66,10 +160,13 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
 
   if (!messages || messages.length === 0) {
     return (
-      <Empty
-        description="No messages in this queue"
-        image={Empty.PRESENTED_IMAGE_SIMPLE}
-      />
+      <div className="message-viewer">
+        {renderFetchControls()}
+        <Empty
+          description="No messages in this queue"
+          image={Empty.PRESENTED_IMAGE_SIMPLE}
+        />
+      </div>
     );
   }
 
@@ -165,7 +262,16 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
 
   // Render a single message
   const renderMessage = (message, index) => {
-    const { payload, properties, routing_key, exchange, redelivered } = message;
+    const {
+      payload,
+      properties,
+      routing_key,
+      exchange,
+      redelivered,
+      marked_redelivered,
+      payload_truncated,
+      payload_bytes,
+    } = message;
 
     const timestamp = properties?.timestamp;
 
@@ -192,7 +298,18 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
               )}
             </Space>
             <Space>
-              {redelivered && <Badge status="warning" text="Redelivered" />}
+              {payload_truncated && (
+                <Tooltip title={`Payload is ${payload_bytes} bytes`}>
+                  <Tag color="gold">Truncated</Tag>
+                </Tooltip>
+              )}
+              {marked_redelivered ? (
+                <Tooltip title="This message was not redelivered before; peeking it set the flag">
+                  <Badge status="warning" text="Marked redelivered" />
+                </Tooltip>
+              ) : (
+                redelivered && <Badge status="warning" text="Redelivered" />
+              )}
               <Button
                 icon={<CopyOutlined />}
                 size="small"
@@ -542,6 +659,8 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
 
   return (
     <div className="message-viewer">
+      {renderFetchControls()}
+
       <div
         style={{
           marginBottom: 16,
@@ -554,7 +673,9 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
           Showing {filteredMessages.length} of {messages.length} message
           {messages.length !== 1 ? "s" : ""}
           <Text type="secondary" style={{ marginLeft: 8 }}>
-            Messages are automatically requeued when viewed.
+            {fetchInfo && fetchInfo.mode === "consume"
+              ? "These messages were removed from the queue."
+              : "Messages are requeued when viewed."}
           </Text>
         </Text>
 
@@ -567,7 +688,11 @@ const MessageViewer = ({ messages = [], loading = false, onRefresh }) => {
             allowClear
           />
 
-          <Button type="primary" icon={<ReloadOutlined />} onClick={onRefresh}>
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={() => onRefresh({ ...fetchOptions, mode: "peek" })}
+          >
             Refresh
           </Button>
         </Space>
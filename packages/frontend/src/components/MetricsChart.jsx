@@ -0,0 +1,193 @@
+// src/components/MetricsChart.jsx
+import { useState, useRef } from "react";
+import { Empty, Space, Typography, theme } from "antd";
+
+const { Text } = Typography;
+
+// Drawing area in SVG units; the chart scales to the width of its container
+const WIDTH = 600;
+const PADDING = { top: 8, right: 8, bottom: 20, left: 48 };
+
+// Round a maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((factor) => value <= factor * magnitude);
+  return step * magnitude;
+};
+
+const defaultFormat = (value) =>
+  Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * Line chart of metrics over time. Hovering shows the values at that time
+ * in the legend, which otherwise shows the latest values.
+ */
+const MetricsChart = ({
+  points,
+  lines,
+  height = 160,
+  formatValue = defaultFormat,
+}) => {
+  const { token } = theme.useToken();
+  const svgRef = useRef(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  if (!points || points.length === 0) {
+    return (
+      <Empty
+        image={Empty.PRESENTED_IMAGE_SIMPLE}
+        description="No history recorded yet"
+      />
+    );
+  }
+
+  const times = points.map((point) => Date.parse(point.time));
+  const minTime = times[0];
+  const maxTime = Math.max(times[times.length - 1], minTime + 1);
+  const maxValue = niceMax(
+    Math.max(
+      ...points.flatMap((point) => lines.map((line) => point[line.key] || 0))
+    )
+  );
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (time) =>
+    PADDING.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = (value) =>
+    PADDING.top + plotHeight - ((value || 0) / maxValue) * plotHeight;
+
+  // Show dates once the chart spans more than a day
+  const formatTime = (time) =>
+    maxTime - minTime > 24 * 60 * 60 * 1000
+      ? new Date(time).toLocaleString([], {
+          month: "short",
+          day: "numeric",
+          hour: "2-digit",
+          minute: "2-digit",
+        })
+      : new Date(time).toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        });
+
+  // Find the point closest to the mouse
+  const handleMouseMove = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const time =
+      minTime +
+      (((event.clientX - rect.left) / rect.width) * WIDTH - PADDING.left) *
+        ((maxTime - minTime) / plotWidth);
+
+    let closest = 0;
+    times.forEach((value, index) => {
+      if (Math.abs(value - time) < Math.abs(times[closest] - time)) {
+        closest = index;
+      }
+    });
+    setHoverIndex(closest);
+  };
+
+  // Points can shrink when the range changes while hovering
+  const hovering = hoverIndex !== null && hoverIndex < points.length;
+  const shown = points[hovering ? hoverIndex : points.length - 1];
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        style={{ width: "100%", height: "auto", display: "block" }}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(maxValue * fraction)}
+              y2={y(maxValue * fraction)}
+              stroke={token.colorBorderSecondary}
+            />
+            <text
+              x={PADDING.left - 6}
+              y={y(maxValue * fraction) + 4}
+              textAnchor="end"
+              fontSize="11"
+              fill={token.colorTextSecondary}
+            >
+              {formatValue(maxValue * fraction)}
+            </text>
+          </g>
+        ))}
+
+        <text
+          x={PADDING.left}
+          y={height - 4}
+          fontSize="11"
+          fill={token.colorTextSecondary}
+        >
+          {formatTime(minTime)}
+        </text>
+        <text
+          x={WIDTH - PADDING.right}
+          y={height - 4}
+          textAnchor="end"
+          fontSize="11"
+          fill={token.colorTextSecondary}
+        >
+          {formatTime(times[times.length - 1])}
+        </text>
+
+        {lines.map((line) => (
+          <polyline
+            key={line.key}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="1.5"
+            points={points
+              .map((point, index) => `${x(times[index])},${y(point[line.key])}`)
+              .join(" ")}
+          />
+        ))}
+
+        {hovering && (
+          <line
+            x1={x(times[hoverIndex])}
+            x2={x(times[hoverIndex])}
+            y1={PADDING.top}
+            y2={PADDING.top + plotHeight}
+            stroke={token.colorTextTertiary}
+            strokeDasharray="3 3"
+          />
+        )}
+      </svg>
+
+      <Space wrap size="middle" style={{ marginTop: 4 }}>
+        <Text type="secondary" style={{ fontSize: "12px" }}>
+          {new Date(shown.time).toLocaleString()}
+        </Text>
+        {lines.map((line) => (
+          <Space key={line.key} size={4}>
+            <span
+              style={{
+                display: "inline-block",
+                width: 10,
+                height: 10,
+                borderRadius: 2,
+                background: line.color,
+              }}
+            />
+            <Text style={{ fontSize: "12px" }}>
+              {line.label}: {formatValue(shown[line.key] || 0)}
+            </Text>
+          </Space>
+        ))}
+      </Space>
+    </div>
+  );
+};
+
+export default MetricsChart;
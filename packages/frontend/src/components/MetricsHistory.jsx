@@ -0,0 +1,87 @@
+// src/components/MetricsHistory.jsx
+import { useState, useEffect, useCallback } from "react";
+import { Segmented, Spin, Alert, Typography } from "antd";
+import api from "../services/api";
+import MetricsChart from "./MetricsChart";
+
+const { Text } = Typography;
+
+const RANGES = ["1h", "24h", "7d"];
+
+// History changes slowly, so it is refreshed less often than live data
+const REFRESH_INTERVAL = 30000;
+
+/**
+ * Charts of recorded metrics with a 1h / 24h / 7d range switch.
+ * `fetchMetrics(range)` must be stable, e.g. wrapped in useCallback.
+ */
+const MetricsHistory = ({ fetchMetrics, charts }) => {
+  const [range, setRange] = useState("1h");
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [disabled, setDisabled] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetchMetrics(range);
+      setPoints(response.data.points);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching metrics:", err);
+      // The server responds with 404 when METRICS_ENABLED=false
+      if (err.response?.status === 404) {
+        setDisabled(true);
+      } else {
+        setError(api.handleRequestError(err).message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchMetrics, range]);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    setLoading(true);
+    load();
+    const intervalId = setInterval(load, REFRESH_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [load, disabled]);
+
+  if (disabled) {
+    return <Text type="secondary">Metrics history is disabled</Text>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "flex-end" }}>
+        <Segmented options={RANGES} value={range} onChange={setRange} />
+      </div>
+
+      {error && (
+        <Alert
+          message={error}
+          type="error"
+          showIcon
+          style={{ marginTop: 12 }}
+        />
+      )}
+
+      <Spin spinning={loading}>
+        {charts.map((chart) => (
+          <div key={chart.title} style={{ marginTop: 12 }}>
+            <Text strong>{chart.title}</Text>
+            <MetricsChart
+              points={points}
+              lines={chart.lines}
+              formatValue={chart.formatValue}
+            />
+          </div>
+        ))}
+      </Spin>
+    </div>
+  );
+};
+
+export default MetricsHistory;
@@ -0,0 +1,202 @@
+// src/components/MoveJobsPanel.jsx
+import { useState, useEffect, useRef } from "react";
+import {
+  Card,
+  List,
+  Progress,
+  Button,
+  Space,
+  Tag,
+  Typography,
+  notification,
+} from "antd";
+import { StopOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useSocket } from "../context/SocketContext";
+
+const { Text } = Typography;
+
+const ACTIVE_STATUSES = ["pending", "running"];
+
+const STATUS_COLORS = {
+  pending: "default",
+  running: "processing",
+  completed: "success",
+  cancelled: "warning",
+  failed: "error",
+};
+
+// Describe where a job moves messages to
+const describeTarget = (target) => {
+  if (target.queue !== undefined) {
+    return `queue "${target.queue}"`;
+  }
+
+  const exchange =
+    target.exchange === "" ? "(default exchange)" : `"${target.exchange}"`;
+  return target.routingKey !== undefined
+    ? `exchange ${exchange} with routing key "${target.routingKey}"`
+    : `exchange ${exchange}`;
+};
+
+/**
+ * Shows running message move jobs with their progress, streamed over the
+ * `move-progress` socket event, and lets the user cancel them
+ */
+const MoveJobsPanel = ({ onJobFinished }) => {
+  const [jobs, setJobs] = useState([]);
+  const { socket } = useSocket();
+
+  // Keep the latest callback without re-subscribing to the socket
+  const onJobFinishedRef = useRef(onJobFinished);
+  useEffect(() => {
+    onJobFinishedRef.current = onJobFinished;
+  });
+
+  // Pick up jobs that were already running when the page was opened
+  useEffect(() => {
+    api
+      .getMoveJobs()
+      .then((response) =>
+        setJobs(
+          (response.data || []).filter((job) =>
+            ACTIVE_STATUSES.includes(job.status)
+          )
+        )
+      )
+      .catch((error) => console.error("Error fetching move jobs:", error));
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProgress = (update) => {
+      setJobs((current) => {
+        const exists = current.some((job) => job.id === update.id);
+        return exists
+          ? current.map((job) => (job.id === update.id ? update : job))
+          : [update, ...current];
+      });
+
+      if (!ACTIVE_STATUSES.includes(update.status)) {
+        onJobFinishedRef.current && onJobFinishedRef.current(update);
+      }
+    };
+
+    socket.on("move-progress", handleProgress);
+    return () => {
+      socket.off("move-progress", handleProgress);
+    };
+  }, [socket]);
+
+  const cancelJob = async (job) => {
+    try {
+      const response = await api.cancelMoveJob(job.id);
+      // The final progress event may already have arrived
+      setJobs((current) =>
+        current.map((j) =>
+          j.id === job.id && ACTIVE_STATUSES.includes(j.status)
+            ? response.data
+            : j
+        )
+      );
+    } catch (error) {
+      console.error("Error cancelling move job:", error);
+      notification.error({
+        message: "Cancel Failed",
+        description: api.handleRequestError(error).message,
+      });
+    }
+  };
+
+  const clearFinished = () => {
+    setJobs((current) =>
+      current.filter((job) => ACTIVE_STATUSES.includes(job.status))
+    );
+  };
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card
+      title="Message moves"
+      size="small"
+      style={{ marginBottom: 16 }}
+      extra={
+        <Button
+          size="small"
+          onClick={clearFinished}
+          disabled={jobs.every((job) => ACTIVE_STATUSES.includes(job.status))}
+        >
+          Clear finished
+        </Button>
+      }
+    >
+      <List
+        dataSource={jobs}
+        rowKey="id"
+        renderItem={(job) => {
+          const active = ACTIVE_STATUSES.includes(job.status);
+          const percent = job.total
+            ? Math.round((job.moved / job.total) * 100)
+            : active
+              ? 0
+              : 100;
+
+          return (
+            <List.Item
+              actions={
+                active
+                  ? [
+                      <Button
+                        key="cancel"
+                        size="small"
+                        danger
+                        icon={<StopOutlined />}
+                        loading={job.cancelling}
+                        onClick={() => cancelJob(job)}
+                      >
+                        {job.cancelling ? "Cancelling" : "Cancel"}
+                      </Button>,
+                    ]
+                  : []
+              }
+            >
+              <Space direction="vertical" style={{ width: "100%" }} size={0}>
+                <Space>
+                  <Tag color={STATUS_COLORS[job.status]}>{job.status}</Tag>
+                  <Text>
+                    <Text strong>{job.queue}</Text> to{" "}
+                    {describeTarget(job.target)}
+                  </Text>
+                  {job.vhost !== "/" && (
+                    <Text type="secondary">vhost: {job.vhost}</Text>
+                  )}
+                </Space>
+                <Progress
+                  percent={percent}
+                  size="small"
+                  status={
+                    job.status === "failed"
+                      ? "exception"
+                      : active
+                        ? "active"
+                        : "normal"
+                  }
+                  format={() =>
+                    job.total === null ? "..." : `${job.moved} / ${job.total}`
+                  }
+                />
+                {job.error && <Text type="danger">{job.error}</Text>}
+              </Space>
+            </List.Item>
+          );
+        }}
+      />
+    </Card>
+  );
+};
+
+export default MoveJobsPanel;
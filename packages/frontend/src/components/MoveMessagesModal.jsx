@@ -0,0 +1,208 @@
+// src/components/MoveMessagesModal.jsx
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  Radio,
+  Alert,
+  Space,
+  Typography,
+  notification,
+} from "antd";
+import api from "../services/api";
+
+const { Option } = Select;
+const { Text } = Typography;
+
+/**
+ * Modal that starts a job moving messages from a queue to another queue or
+ * to an exchange. Progress is shown by MoveJobsPanel.
+ */
+const MoveMessagesModal = ({ open, onClose, onStarted, queue }) => {
+  const [form] = Form.useForm();
+  const [queues, setQueues] = useState([]);
+  const [exchanges, setExchanges] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const targetType = Form.useWatch("targetType", form) || "queue";
+  const countMode = Form.useWatch("countMode", form) || "all";
+
+  const vhost = queue ? queue.vhost || "/" : "/";
+  const queueName = queue ? queue.name : null;
+
+  // Load possible targets in the queue's vhost when the modal opens
+  useEffect(() => {
+    if (!open) return;
+
+    const loadTargets = async () => {
+      try {
+        const [queuesResponse, exchangesResponse] = await Promise.all([
+          api.getQueues(),
+          api.getExchanges(),
+        ]);
+        setQueues(
+          (queuesResponse.data || []).filter(
+            (q) => (q.vhost || "/") === vhost && q.name !== queueName
+          )
+        );
+        setExchanges(
+          (exchangesResponse.data || []).filter(
+            (exchange) => exchange.vhost === vhost && !exchange.internal
+          )
+        );
+      } catch (error) {
+        console.error("Error loading move targets:", error);
+      }
+    };
+
+    loadTargets();
+    setError(null);
+    form.resetFields();
+  }, [open, vhost, queueName, form]);
+
+  const handleSubmit = async (values) => {
+    const target =
+      values.targetType === "queue"
+        ? { queue: values.targetQueue }
+        : {
+            exchange: values.targetExchange,
+            ...(values.routingKey ? { routingKey: values.routingKey } : {}),
+          };
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await api.moveMessages(vhost, queueName, {
+        target,
+        count: values.countMode === "all" ? "all" : values.count,
+      });
+
+      notification.info({
+        message: "Moving Messages",
+        description: `Started moving messages from "${queueName}"`,
+      });
+
+      onStarted && onStarted(response.data);
+    } catch (error) {
+      console.error("Error starting message move:", error);
+      setError(api.handleRequestError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={queueName ? `Move messages from ${queueName}` : "Move messages"}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Move"
+      confirmLoading={submitting}
+      destroyOnClose
+      width={560}
+    >
+      {error && (
+        <Alert
+          message={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form
+        form={form}
+        layout="vertical"
+        initialValues={{ targetType: "queue", countMode: "all", count: 10 }}
+        onFinish={handleSubmit}
+      >
+        <Form.Item name="targetType" label="Move to">
+          <Radio.Group>
+            <Radio value="queue">Queue</Radio>
+            <Radio value="exchange">Exchange</Radio>
+          </Radio.Group>
+        </Form.Item>
+
+        {targetType === "queue" ? (
+          <Form.Item
+            name="targetQueue"
+            label="Target queue"
+            rules={[
+              { required: true, message: "Please select a target queue" },
+            ]}
+          >
+            <Select showSearch placeholder="Select a queue">
+              {queues.map((q) => (
+                <Option key={q.name} value={q.name}>
+                  {q.name}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+        ) : (
+          <>
+            <Form.Item
+              name="targetExchange"
+              label="Target exchange"
+              rules={[
+                {
+                  required: true,
+                  message: "Please select a target exchange",
+                },
+              ]}
+            >
+              <Select showSearch placeholder="Select an exchange">
+                {exchanges.map((exchange) => (
+                  <Option key={exchange.name} value={exchange.name}>
+                    {exchange.name === ""
+                      ? "(default exchange)"
+                      : exchange.name}{" "}
+                    <Text type="secondary">({exchange.type})</Text>
+                  </Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item
+              name="routingKey"
+              label="Routing key"
+              extra="Leave empty to keep each message's original routing key"
+            >
+              <Input />
+            </Form.Item>
+          </>
+        )}
+
+        <Form.Item label="Messages">
+          <Space>
+            <Form.Item name="countMode" noStyle>
+              <Radio.Group>
+                <Radio value="all">All</Radio>
+                <Radio value="count">First</Radio>
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item name="count" noStyle>
+              <InputNumber min={1} disabled={countMode === "all"} />
+            </Form.Item>
+          </Space>
+        </Form.Item>
+
+        <Text type="secondary">
+          Messages keep their properties and headers. Each message is removed
+          from &quot;{queueName}&quot; only after the broker has confirmed the
+          copy, so cancelling or a failure never loses messages. &quot;All&quot;
+          means the messages in the queue when the move starts.
+        </Text>
+      </Form>
+    </Modal>
+  );
+};
+
+export default MoveMessagesModal;
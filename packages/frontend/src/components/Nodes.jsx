@@ -0,0 +1,395 @@
+// src/components/Nodes.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Tooltip,
+  Empty,
+  Drawer,
+  Descriptions,
+  Progress,
+  Badge,
+  Divider,
+  notification,
+} from "antd";
+import { ReloadOutlined, WarningOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useSocket } from "../context/SocketContext";
+import {
+  formatFileSize,
+  formatUptime,
+  getUsagePercent,
+  describeNodeAlarm,
+} from "../utils/formatters";
+
+const { Text } = Typography;
+
+// How often the list is refreshed; only the alarms are pushed over the socket
+const POLL_INTERVAL = 5000;
+
+/**
+ * Nodes of the cluster with their resource usage against the limits that
+ * trigger memory and disk alarms, and a drawer with a node's memory breakdown
+ */
+const Nodes = () => {
+  const [nodes, setNodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const { nodeAlarms } = useSocket();
+
+  const fetchNodes = useCallback(async () => {
+    try {
+      const response = await api.getNodes();
+      setNodes(response.data);
+      setLastUpdated(new Date());
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching nodes:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchNodes();
+  };
+
+  useEffect(() => {
+    fetchNodes();
+    const intervalId = setInterval(fetchNodes, POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchNodes]);
+
+  // Fetch a node with its memory breakdown
+  const fetchDetails = async (name) => {
+    setDetailsLoading(true);
+    try {
+      const response = await api.getNode(name);
+      setDetails(response.data);
+    } catch (err) {
+      console.error("Error fetching node:", err);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch node "${name}": ${
+          api.handleRequestError(err).message
+        }`,
+      });
+      setSelectedName(null);
+    } finally {
+      setDetailsLoading(false);
+    }
+  };
+
+  const viewNode = (name) => {
+    setSelectedName(name);
+    setDetails(null);
+    fetchDetails(name);
+  };
+
+  // A used / total pair as a progress bar, red while an alarm is raised
+  const renderUsage = (used, total, format = (value) => value, alarm) => (
+    <Tooltip title={`${format(used || 0)} of ${format(total || 0)}`}>
+      <Progress
+        percent={getUsagePercent(used, total)}
+        size="small"
+        status={alarm ? "exception" : "normal"}
+        format={() => `${format(used || 0)} / ${format(total || 0)}`}
+        style={{ minWidth: 160, marginBottom: 0 }}
+      />
+    </Tooltip>
+  );
+
+  const columns = [
+    {
+      title: "Node",
+      dataIndex: "name",
+      key: "name",
+      render: (name, node) => (
+        <Space direction="vertical" size={0}>
+          <Button
+            type="link"
+            style={{ padding: 0, height: "auto" }}
+            onClick={() => viewNode(name)}
+          >
+            {name}
+          </Button>
+          <Space size={4}>
+            <Badge
+              status={node.running ? "success" : "error"}
+              text={node.running ? "running" : "stopped"}
+            />
+            {node.type && <Tag>{node.type}</Tag>}
+          </Space>
+        </Space>
+      ),
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "Memory",
+      key: "memory",
+      render: (_, node) =>
+        renderUsage(
+          node.mem_used,
+          node.mem_limit,
+          formatFileSize,
+          node.mem_alarm
+        ),
+    },
+    {
+      title: "Disk free",
+      key: "disk",
+      render: (_, node) => (
+        <Space direction="vertical" size={0}>
+          <Text type={node.disk_free_alarm ? "danger" : undefined}>
+            {formatFileSize(node.disk_free || 0)}
+          </Text>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            limit {formatFileSize(node.disk_free_limit || 0)}
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: "File descriptors",
+      key: "fd",
+      render: (_, node) => renderUsage(node.fd_used, node.fd_total),
+    },
+    {
+      title: "Sockets",
+      key: "sockets",
+      render: (_, node) => renderUsage(node.sockets_used, node.sockets_total),
+    },
+    {
+      title: "Erlang processes",
+      key: "proc",
+      render: (_, node) => renderUsage(node.proc_used, node.proc_total),
+    },
+    {
+      title: "Uptime",
+      dataIndex: "uptime",
+      key: "uptime",
+      render: (uptime) => formatUptime(uptime),
+    },
+    {
+      title: "Partitions",
+      dataIndex: "partitions",
+      key: "partitions",
+      render: (partitions) =>
+        partitions && partitions.length > 0 ? (
+          <Space size={[0, 4]} wrap>
+            {partitions.map((partition) => (
+              <Tag key={partition} color="red">
+                {partition}
+              </Tag>
+            ))}
+          </Space>
+        ) : (
+          <Text type="secondary">none</Text>
+        ),
+    },
+  ];
+
+  // Memory by use, largest first; the breakdown also has a total and strategy
+  const memoryBreakdown =
+    details && details.memory
+      ? Object.entries(details.memory)
+          .filter(([, bytes]) => typeof bytes === "number")
+          .map(([use, bytes]) => ({ use, bytes }))
+          .sort((a, b) => b.bytes - a.bytes)
+      : [];
+
+  const memoryTotal =
+    details && details.memory && details.memory.total
+      ? details.memory.total.rss || details.memory.total.erlang
+      : 0;
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Nodes</h2>
+        <div>
+          <Text type="secondary" style={{ marginRight: 16 }}>
+            {lastUpdated
+              ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
+              : "Never updated"}
+          </Text>
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      {nodes.some((node) => node.partitions && node.partitions.length > 0) && (
+        <Alert
+          message="Network partition"
+          description="Nodes of the cluster cannot see each other. Queues and messages may diverge until the partition is healed."
+          type="error"
+          showIcon
+          icon={<WarningOutlined />}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={nodes}
+          rowKey="name"
+          loading={loading}
+          size="middle"
+          pagination={false}
+          scroll={{ x: true }}
+          locale={{
+            emptyText: <Empty description="No nodes" />,
+          }}
+        />
+      </Card>
+
+      <Drawer
+        title={selectedName ? `Node: ${selectedName}` : "Node"}
+        placement="right"
+        width={720}
+        open={Boolean(selectedName)}
+        loading={detailsLoading && !details}
+        onClose={() => setSelectedName(null)}
+        extra={
+          details && (
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={() => fetchDetails(selectedName)}
+              loading={detailsLoading}
+            >
+              Refresh
+            </Button>
+          )
+        }
+      >
+        {details && (
+          <>
+            {nodeAlarms
+              .filter((alarm) => alarm.node === details.name)
+              .map((alarm) => (
+                <Alert
+                  key={alarm.type}
+                  message={describeNodeAlarm(alarm)}
+                  type="error"
+                  showIcon
+                  style={{ marginBottom: 16 }}
+                />
+              ))}
+
+            <Descriptions bordered size="small" column={2}>
+              <Descriptions.Item label="Name" span={2}>
+                {details.name}
+              </Descriptions.Item>
+              <Descriptions.Item label="Status">
+                <Badge
+                  status={details.running ? "success" : "error"}
+                  text={details.running ? "running" : "stopped"}
+                />
+              </Descriptions.Item>
+              <Descriptions.Item label="Type">{details.type}</Descriptions.Item>
+              <Descriptions.Item label="Uptime">
+                {formatUptime(details.uptime)}
+              </Descriptions.Item>
+              <Descriptions.Item label="OS pid">
+                {details.os_pid}
+              </Descriptions.Item>
+              <Descriptions.Item label="Memory used">
+                {formatFileSize(details.mem_used || 0)}
+              </Descriptions.Item>
+              <Descriptions.Item label="High watermark">
+                {formatFileSize(details.mem_limit || 0)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Disk free">
+                {formatFileSize(details.disk_free || 0)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Disk free limit">
+                {formatFileSize(details.disk_free_limit || 0)}
+              </Descriptions.Item>
+              <Descriptions.Item label="File descriptors">
+                {details.fd_used} / {details.fd_total}
+              </Descriptions.Item>
+              <Descriptions.Item label="Sockets">
+                {details.sockets_used} / {details.sockets_total}
+              </Descriptions.Item>
+              <Descriptions.Item label="Erlang processes">
+                {details.proc_used} / {details.proc_total}
+              </Descriptions.Item>
+              <Descriptions.Item label="Run queue">
+                {details.run_queue}
+              </Descriptions.Item>
+            </Descriptions>
+
+            <Divider orientation="left">Memory breakdown</Divider>
+            <Table
+              columns={[
+                { title: "Use", dataIndex: "use", key: "use" },
+                {
+                  title: "Size",
+                  dataIndex: "bytes",
+                  key: "bytes",
+                  render: (bytes) => formatFileSize(bytes),
+                },
+                {
+                  title: "Share",
+                  key: "share",
+                  render: (_, row) => (
+                    <Progress
+                      percent={getUsagePercent(row.bytes, memoryTotal)}
+                      size="small"
+                    />
+                  ),
+                },
+              ]}
+              dataSource={memoryBreakdown}
+              rowKey="use"
+              size="small"
+              loading={detailsLoading}
+              pagination={false}
+              locale={{
+                emptyText: <Empty description="No memory breakdown" />,
+              }}
+            />
+          </>
+        )}
+      </Drawer>
+    </div>
+  );
+};
+
+export default Nodes;
@@ -17,9 +17,29 @@ import {
 } from "@ant-design/icons";
 import api from "../services/api"; // Import the API service
 import { useSocket } from "../context/SocketContext";
+import MetricsHistory from "./MetricsHistory";
 
 const { Text } = Typography;
 
+// Charts shown under the current rates
+const HISTORY_CHARTS = [
+  {
+    title: "Message rates (msg/s)",
+    lines: [
+      { key: "publish_rate", label: "Publish", color: "#1677ff" },
+      { key: "deliver_rate", label: "Deliver", color: "#52c41a" },
+      { key: "ack_rate", label: "Ack", color: "#faad14" },
+    ],
+  },
+  {
+    title: "Queued messages",
+    lines: [
+      { key: "messages_ready", label: "Ready", color: "#1677ff" },
+      { key: "messages_unacknowledged", label: "Unacked", color: "#fa541c" },
+    ],
+  },
+];
+
 const Overview = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -433,6 +453,12 @@ const Overview = () => {
             ) : (
               <div>No message statistics available</div>
             )}
+            <div style={{ marginTop: 24 }}>
+              <MetricsHistory
+                fetchMetrics={api.getOverviewMetrics}
+                charts={HISTORY_CHARTS}
+              />
+            </div>
           </Card>
         </Col>
       </Row>
@@ -0,0 +1,263 @@
+// src/components/PermissionModal.jsx
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  Form,
+  Input,
+  Button,
+  Space,
+  Tag,
+  Typography,
+  Alert,
+  Divider,
+  Popconfirm,
+  notification,
+} from "antd";
+import api from "../services/api";
+
+const { Text } = Typography;
+
+const PERMISSION_FIELDS = [
+  {
+    name: "configure",
+    label: "Configure",
+    help: "Declare and delete queues and exchanges",
+  },
+  {
+    name: "write",
+    label: "Write",
+    help: "Publish to exchanges and bind queues and exchanges",
+  },
+  {
+    name: "read",
+    label: "Read",
+    help: "Consume from queues and bind from exchanges",
+  },
+];
+
+// Matches shown per pattern before collapsing into a count
+const MAX_SHOWN_MATCHES = 20;
+
+/**
+ * Names matched by a permission pattern, the way RabbitMQ matches them: the
+ * pattern may match anywhere in the name and an empty pattern grants nothing
+ * @param {string} pattern - Regular expression
+ * @param {Array<string>} names - Resource names
+ * @returns {Array<string>|null} Matching names, null for an invalid pattern
+ */
+const matchNames = (pattern, names) => {
+  if (!pattern) {
+    return [];
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch {
+    return null;
+  }
+  return names.filter((name) => regex.test(name));
+};
+
+const validatePattern = (_, value) => {
+  try {
+    new RegExp(value || "");
+    return Promise.resolve();
+  } catch (err) {
+    return Promise.reject(new Error(err.message));
+  }
+};
+
+/**
+ * Edit a user's configure, write and read patterns in a virtual host, with a
+ * preview of the queues and exchanges each pattern matches
+ */
+const PermissionModal = ({
+  open,
+  user,
+  vhost,
+  permissions,
+  onClose,
+  onSaved,
+}) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [queueNames, setQueueNames] = useState([]);
+  const [exchangeNames, setExchangeNames] = useState([]);
+  const [resourcesLoading, setResourcesLoading] = useState(false);
+  const values = Form.useWatch([], form) || {};
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+
+    form.setFieldsValue(
+      permissions || { configure: ".*", write: ".*", read: ".*" }
+    );
+    setError(null);
+
+    // The resources the patterns are tested against
+    const fetchResources = async () => {
+      setResourcesLoading(true);
+      try {
+        const [queues, exchanges] = await Promise.all([
+          api.getQueues({ vhost }),
+          api.getExchanges({ vhost }),
+        ]);
+        setQueueNames(queues.data.map((queue) => queue.name));
+        // The default exchange is checked as amq.default
+        setExchangeNames(
+          exchanges.data.map((exchange) => exchange.name || "amq.default")
+        );
+      } catch (err) {
+        console.error("Error fetching resources:", err);
+        setQueueNames([]);
+        setExchangeNames([]);
+      } finally {
+        setResourcesLoading(false);
+      }
+    };
+
+    fetchResources();
+  }, [open, vhost, permissions, form]);
+
+  const save = async (formValues) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await api.setPermissions(vhost, user, formValues);
+      notification.success({
+        message: "Permissions Set",
+        description: `Permissions of "${user}" in "${vhost}" were set`,
+      });
+      onSaved();
+    } catch (err) {
+      console.error("Error setting permissions:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const clear = async () => {
+    try {
+      await api.clearPermissions(vhost, user);
+      notification.success({
+        message: "Permissions Cleared",
+        description: `"${user}" no longer has access to "${vhost}"`,
+      });
+      onSaved();
+    } catch (err) {
+      console.error("Error clearing permissions:", err);
+      setError(api.handleRequestError(err).message);
+    }
+  };
+
+  const renderMatches = (label, matches, total) => {
+    if (matches === null) {
+      return <Text type="danger">invalid pattern</Text>;
+    }
+
+    return (
+      <div style={{ marginBottom: 8 }}>
+        <Text type="secondary">
+          {matches.length} of {total} {label}
+        </Text>
+        <div>
+          <Space size={[0, 4]} wrap>
+            {matches.slice(0, MAX_SHOWN_MATCHES).map((name) => (
+              <Tag key={name}>{name}</Tag>
+            ))}
+            {matches.length > MAX_SHOWN_MATCHES && (
+              <Text type="secondary">
+                and {matches.length - MAX_SHOWN_MATCHES} more
+              </Text>
+            )}
+          </Space>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title={`Permissions of ${user} in ${vhost}`}
+      open={open}
+      onCancel={onClose}
+      width={720}
+      destroyOnClose
+      footer={
+        <Space>
+          {permissions && (
+            <Popconfirm
+              title="Clear permissions"
+              description={`Remove every permission of "${user}" in "${vhost}"?`}
+              onConfirm={clear}
+              okText="Clear"
+              okButtonProps={{ danger: true }}
+              cancelText="Cancel"
+            >
+              <Button danger>Clear</Button>
+            </Popconfirm>
+          )}
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="primary" loading={saving} onClick={() => form.submit()}>
+            Save
+          </Button>
+        </Space>
+      }
+    >
+      {error && (
+        <Alert
+          message="Failed to save permissions"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form form={form} layout="vertical" onFinish={save}>
+        {PERMISSION_FIELDS.map((field) => (
+          <Form.Item
+            key={field.name}
+            name={field.name}
+            label={field.label}
+            extra={field.help}
+            rules={[{ validator: validatePattern }]}
+          >
+            <Input placeholder="empty grants nothing, .* grants everything" />
+          </Form.Item>
+        ))}
+      </Form>
+
+      <Divider orientation="left">Matching resources in {vhost}</Divider>
+      {resourcesLoading ? (
+        <Text type="secondary">Loading queues and exchanges...</Text>
+      ) : (
+        PERMISSION_FIELDS.map((field) => (
+          <div key={field.name} style={{ marginBottom: 12 }}>
+            <Text strong>{field.label}</Text>{" "}
+            <Text code>{values[field.name] || "(empty)"}</Text>
+            {renderMatches(
+              "queues",
+              matchNames(values[field.name], queueNames),
+              queueNames.length
+            )}
+            {renderMatches(
+              "exchanges",
+              matchNames(values[field.name], exchangeNames),
+              exchangeNames.length
+            )}
+          </div>
+        ))
+      )}
+    </Modal>
+  );
+};
+
+export default PermissionModal;
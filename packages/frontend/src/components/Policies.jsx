@@ -0,0 +1,300 @@
+// src/components/Policies.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Tooltip,
+  Empty,
+  Popconfirm,
+  Tabs,
+  notification,
+} from "antd";
+import {
+  SearchOutlined,
+  ReloadOutlined,
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
+import PolicyModal from "./PolicyModal";
+
+const { Text } = Typography;
+
+const formatValue = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value);
+
+/**
+ * Policies and operator policies, which set TTLs, length limits, dead
+ * lettering and replication on the queues and exchanges they match
+ */
+const Policies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [operatorPolicies, setOperatorPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [activeTab, setActiveTab] = useState("policies");
+  const [editing, setEditing] = useState(null);
+  const { can } = useAuth();
+  const { vhost } = useVhost();
+  const operator = activeTab === "operator-policies";
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const [policiesResponse, operatorPoliciesResponse] = await Promise.all([
+        api.getPolicies({ vhost }),
+        api.getOperatorPolicies({ vhost }),
+      ]);
+      setPolicies(policiesResponse.data);
+      setOperatorPolicies(operatorPoliciesResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching policies:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [vhost]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchPolicies();
+  };
+
+  // editing is { policy } with policy null for a new one
+  const saved = () => {
+    setEditing(null);
+    fetchPolicies();
+  };
+
+  const deletePolicy = async (policy) => {
+    try {
+      if (operator) {
+        await api.deleteOperatorPolicy(policy.vhost, policy.name);
+      } else {
+        await api.deletePolicy(policy.vhost, policy.name);
+      }
+      notification.success({
+        message: operator ? "Operator Policy Deleted" : "Policy Deleted",
+        description: `"${policy.name}" was deleted from "${policy.vhost}"`,
+      });
+      fetchPolicies();
+    } catch (err) {
+      console.error("Error deleting policy:", err);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(err).message,
+      });
+    }
+  };
+
+  const filterPolicies = (items) => {
+    const text = searchText.toLowerCase();
+    return items.filter(
+      (policy) =>
+        policy.name.toLowerCase().includes(text) ||
+        policy.pattern.toLowerCase().includes(text) ||
+        Object.keys(policy.definition || {}).some((key) => key.includes(text))
+    );
+  };
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (name) => <Text strong>{name}</Text>,
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "Virtual host",
+      dataIndex: "vhost",
+      key: "vhost",
+      sorter: (a, b) => a.vhost.localeCompare(b.vhost),
+    },
+    {
+      title: "Pattern",
+      dataIndex: "pattern",
+      key: "pattern",
+      render: (pattern) => <Text code>{pattern}</Text>,
+    },
+    {
+      title: "Apply to",
+      dataIndex: "apply-to",
+      key: "apply-to",
+      render: (applyTo) => <Tag>{applyTo}</Tag>,
+    },
+    {
+      title: "Priority",
+      dataIndex: "priority",
+      key: "priority",
+      sorter: (a, b) => (a.priority || 0) - (b.priority || 0),
+      defaultSortOrder: "descend",
+    },
+    {
+      title: "Definition",
+      dataIndex: "definition",
+      key: "definition",
+      render: (definition = {}) => (
+        <Space size={[0, 4]} wrap>
+          {Object.entries(definition).map(([key, value]) => (
+            <Tag key={key} color="blue">
+              {key}: {formatValue(value)}
+            </Tag>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, policy) =>
+        can("policies", { vhost: policy.vhost }) && (
+          <Space>
+            <Tooltip title="Edit">
+              <Button
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => setEditing({ policy })}
+              />
+            </Tooltip>
+            <Tooltip title="Delete">
+              <Popconfirm
+                title={operator ? "Delete operator policy" : "Delete policy"}
+                description={`Delete "${policy.name}"? The queues it matches fall back to the next matching policy.`}
+                onConfirm={() => deletePolicy(policy)}
+                okText="Delete"
+                okButtonProps={{ danger: true }}
+                cancelText="Cancel"
+                icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+              >
+                <Button danger size="small" icon={<DeleteOutlined />} />
+              </Popconfirm>
+            </Tooltip>
+          </Space>
+        ),
+    },
+  ];
+
+  const renderTable = (items, emptyText) => (
+    <Table
+      columns={columns}
+      dataSource={filterPolicies(items)}
+      rowKey={(policy) => `${policy.vhost}|${policy.name}`}
+      loading={loading}
+      size="middle"
+      locale={{
+        emptyText: <Empty description={emptyText} />,
+      }}
+    />
+  );
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Policies</h2>
+        <Space>
+          {can("policies") && (
+            <Button
+              icon={<PlusOutlined />}
+              onClick={() => setEditing({ policy: null })}
+            >
+              {operator ? "New Operator Policy" : "New Policy"}
+            </Button>
+          )}
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card>
+        <div style={{ marginBottom: 16 }}>
+          <Input
+            placeholder="Search by name, pattern or key"
+            prefix={<SearchOutlined />}
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            style={{ width: 300 }}
+            allowClear
+          />
+        </div>
+
+        <Tabs
+          activeKey={activeTab}
+          onChange={setActiveTab}
+          items={[
+            {
+              key: "policies",
+              label: `Policies (${policies.length})`,
+              children: renderTable(policies, "No policies"),
+            },
+            {
+              key: "operator-policies",
+              label: `Operator Policies (${operatorPolicies.length})`,
+              children: (
+                <>
+                  <Alert
+                    message="Operator policies apply to queues on top of their policy. For the keys both set, the stricter value wins."
+                    type="info"
+                    showIcon
+                    style={{ marginBottom: 16 }}
+                  />
+                  {renderTable(operatorPolicies, "No operator policies")}
+                </>
+              ),
+            },
+          ]}
+        />
+      </Card>
+
+      <PolicyModal
+        open={Boolean(editing)}
+        operator={operator}
+        policy={editing && editing.policy}
+        onClose={() => setEditing(null)}
+        onSaved={saved}
+      />
+    </div>
+  );
+};
+
+export default Policies;
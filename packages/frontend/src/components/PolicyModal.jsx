@@ -0,0 +1,404 @@
+// src/components/PolicyModal.jsx
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  AutoComplete,
+  Button,
+  Space,
+  Table,
+  Tag,
+  Typography,
+  Alert,
+  Divider,
+  Empty,
+  Tooltip,
+  notification,
+} from "antd";
+import { PlusOutlined, MinusCircleOutlined } from "@ant-design/icons";
+import api from "../services/api";
+import { useVhost } from "../context/useVhost";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const POLICY_APPLY_TO = [
+  "all",
+  "queues",
+  "exchanges",
+  "classic_queues",
+  "quorum_queues",
+  "streams",
+];
+const OPERATOR_POLICY_APPLY_TO = [
+  "queues",
+  "classic_queues",
+  "quorum_queues",
+  "streams",
+];
+
+// Suggested definition keys; any other key can be typed in
+const POLICY_KEYS = [
+  "message-ttl",
+  "expires",
+  "max-length",
+  "max-length-bytes",
+  "overflow",
+  "dead-letter-exchange",
+  "dead-letter-routing-key",
+  "dead-letter-strategy",
+  "delivery-limit",
+  "queue-leader-locator",
+  "queue-mode",
+  "queue-version",
+  "max-age",
+  "stream-max-segment-size-bytes",
+  "alternate-exchange",
+  "federation-upstream-set",
+  "ha-mode",
+  "ha-params",
+  "ha-sync-mode",
+];
+const OPERATOR_POLICY_KEYS = [
+  "message-ttl",
+  "expires",
+  "max-length",
+  "max-length-bytes",
+  "max-in-memory-length",
+  "max-in-memory-bytes",
+  "delivery-limit",
+  "target-group-size",
+];
+
+// How long typing pauses before the preview is refreshed
+const PREVIEW_DELAY = 400;
+
+/**
+ * Convert a definition value typed in the editor: numbers, booleans and JSON
+ * lists are sent as such, anything else as a string
+ * @param {string} value - Typed value
+ * @returns {any} Value for the definition
+ */
+const parseDefinitionValue = (value) => {
+  const text = String(value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (text === "true" || text === "false") {
+    return text === "true";
+  }
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+};
+
+const toDefinitionEntries = (definition = {}) =>
+  Object.entries(definition).map(([key, value]) => ({
+    key,
+    value: typeof value === "string" ? value : JSON.stringify(value),
+  }));
+
+/**
+ * Create or edit a policy or an operator policy, with a live preview of the
+ * queues and exchanges its pattern matches and the policy that wins for each
+ */
+const PolicyModal = ({ open, operator, policy, onClose, onSaved }) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const { vhost: selectedVhost, vhostNames } = useVhost();
+  const label = operator ? "Operator Policy" : "Policy";
+  const applyToValues = operator ? OPERATOR_POLICY_APPLY_TO : POLICY_APPLY_TO;
+  const definitionKeys = operator ? OPERATOR_POLICY_KEYS : POLICY_KEYS;
+
+  const vhost = Form.useWatch("vhost", form);
+  const name = Form.useWatch("name", form);
+  const pattern = Form.useWatch("pattern", form);
+  const applyTo = Form.useWatch("apply-to", form);
+  const priority = Form.useWatch("priority", form);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+
+    form.setFieldsValue(
+      policy
+        ? {
+            vhost: policy.vhost,
+            name: policy.name,
+            pattern: policy.pattern,
+            "apply-to": policy["apply-to"],
+            priority: policy.priority,
+            definition: toDefinitionEntries(policy.definition),
+          }
+        : {
+            vhost: selectedVhost || "/",
+            "apply-to": applyToValues[0],
+            priority: 0,
+            definition: [{ key: undefined, value: undefined }],
+          }
+    );
+    setError(null);
+    setPreview(null);
+  }, [open, policy, form, selectedVhost, applyToValues]);
+
+  // Preview the matches once typing pauses
+  useEffect(() => {
+    if (!open || !vhost || pattern === undefined) {
+      return;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      setPreviewLoading(true);
+      try {
+        const draft = { name, pattern, "apply-to": applyTo, priority };
+        const response = operator
+          ? await api.previewOperatorPolicy(vhost, draft)
+          : await api.previewPolicy(vhost, draft);
+        setPreview(response.data);
+        setPreviewError(null);
+      } catch (err) {
+        setPreview(null);
+        setPreviewError(api.handleRequestError(err).message);
+      } finally {
+        setPreviewLoading(false);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [open, operator, vhost, name, pattern, applyTo, priority]);
+
+  const save = async (values) => {
+    const definition = {};
+    for (const entry of values.definition || []) {
+      if (entry && entry.key) {
+        definition[entry.key.trim()] = parseDefinitionValue(entry.value ?? "");
+      }
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const body = {
+        pattern: values.pattern,
+        "apply-to": values["apply-to"],
+        priority: values.priority,
+        definition,
+      };
+      if (operator) {
+        await api.saveOperatorPolicy(values.vhost, values.name, body);
+      } else {
+        await api.savePolicy(values.vhost, values.name, body);
+      }
+      notification.success({
+        message: `${label} Saved`,
+        description: `"${values.name}" was saved in "${values.vhost}"`,
+      });
+      onSaved();
+    } catch (err) {
+      console.error("Error saving policy:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previewColumns = [
+    { title: "Name", dataIndex: "name", key: "name" },
+    {
+      title: "Type",
+      dataIndex: "type",
+      key: "type",
+      render: (type) => type && <Tag>{type}</Tag>,
+    },
+    {
+      title: "Current policy",
+      dataIndex: "current",
+      key: "current",
+      render: (current) => current || <Text type="secondary">none</Text>,
+    },
+    {
+      title: "Once saved",
+      dataIndex: "winner",
+      key: "winner",
+      render: (winner) =>
+        winner === (name || "") ? (
+          <Tag color="green">this policy</Tag>
+        ) : (
+          <Tooltip title="Another matching policy has a higher priority, or the same priority and comes first by name">
+            <Tag color="orange">{winner}</Tag>
+          </Tooltip>
+        ),
+    },
+  ];
+
+  const renderPreviewTable = (title, items) => (
+    <>
+      <Text strong>
+        {title} ({items.length})
+      </Text>
+      <Table
+        columns={previewColumns}
+        dataSource={items}
+        rowKey="name"
+        size="small"
+        pagination={{ pageSize: 10, hideOnSinglePage: true }}
+        style={{ marginTop: 8, marginBottom: 16 }}
+        locale={{
+          emptyText: (
+            <Empty description={`No matching ${title.toLowerCase()}`} />
+          ),
+        }}
+      />
+    </>
+  );
+
+  return (
+    <Modal
+      title={policy ? `Edit ${label}: ${policy.name}` : `New ${label}`}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Save"
+      confirmLoading={saving}
+      width={820}
+      destroyOnClose
+    >
+      {error && (
+        <Alert
+          message={`Failed to save ${label.toLowerCase()}`}
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Form form={form} layout="vertical" onFinish={save}>
+        <Space align="start" wrap>
+          <Form.Item
+            name="vhost"
+            label="Virtual host"
+            rules={[{ required: true, message: "Select a vhost" }]}
+          >
+            <Select style={{ width: 160 }} disabled={Boolean(policy)}>
+              {vhostNames.map((vhostName) => (
+                <Option key={vhostName} value={vhostName}>
+                  {vhostName}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[
+              { required: true, whitespace: true, message: "Enter a name" },
+            ]}
+          >
+            <Input
+              placeholder="e.g. orders-ttl"
+              disabled={Boolean(policy)}
+              style={{ width: 200 }}
+            />
+          </Form.Item>
+          <Form.Item name="apply-to" label="Apply to">
+            <Select style={{ width: 160 }}>
+              {applyToValues.map((value) => (
+                <Option key={value} value={value}>
+                  {value}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="priority"
+            label="Priority"
+            tooltip="The matching policy with the highest priority wins"
+          >
+            <InputNumber precision={0} style={{ width: 100 }} />
+          </Form.Item>
+        </Space>
+
+        <Form.Item
+          name="pattern"
+          label="Pattern"
+          extra="Regular expression matched anywhere in the name, e.g. ^orders\."
+          rules={[{ required: true, message: "Enter a pattern" }]}
+        >
+          <Input placeholder="^orders\." />
+        </Form.Item>
+
+        <Form.Item label="Definition" required>
+          <Form.List name="definition">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map((field) => (
+                  <Space key={field.key} align="baseline">
+                    <Form.Item
+                      name={[field.name, "key"]}
+                      rules={[{ required: true, message: "Enter a key" }]}
+                    >
+                      <AutoComplete
+                        options={definitionKeys.map((key) => ({ value: key }))}
+                        placeholder="Key"
+                        style={{ width: 260 }}
+                        filterOption={(input, option) =>
+                          option.value.includes(input.toLowerCase())
+                        }
+                      />
+                    </Form.Item>
+                    <Form.Item
+                      name={[field.name, "value"]}
+                      rules={[{ required: true, message: "Enter a value" }]}
+                    >
+                      <Input placeholder="Value" style={{ width: 300 }} />
+                    </Form.Item>
+                    <MinusCircleOutlined onClick={() => remove(field.name)} />
+                  </Space>
+                ))}
+                <Button
+                  type="dashed"
+                  onClick={() => add()}
+                  icon={<PlusOutlined />}
+                >
+                  Add key
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </Form.Item>
+      </Form>
+
+      <Divider orientation="left">Matches in {vhost || "the vhost"}</Divider>
+      {previewError ? (
+        <Alert message={previewError} type="warning" showIcon />
+      ) : !preview ? (
+        <Text type="secondary">
+          {previewLoading ? "Loading preview..." : "Enter a pattern"}
+        </Text>
+      ) : (
+        <>
+          {renderPreviewTable("Queues", preview.queues)}
+          {!operator && renderPreviewTable("Exchanges", preview.exchanges)}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default PolicyModal;
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
   Form,
   Input,
@@ -25,6 +25,8 @@ import {
 import api from "../services/api"; // Import the API service
 import { useLocation } from "react-router-dom";
 import JSONEditor from "./JSONEditor";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
 
 const { Text } = Typography;
 const { Option } = Select;
@@ -42,29 +44,19 @@ const PublishMessage = () => {
   );
   const [jsonValid, setJsonValid] = useState(true);
   const [selectedExchangeType, setSelectedExchangeType] = useState(null);
+  const { can } = useAuth();
+  const { vhost } = useVhost();
+  const canPublish = can("publish");
 
   // Handle pre-selected exchange from Exchanges tab
   const location = useLocation();
   const preSelectedExchange = location.state?.preSelectedExchange;
 
-  useEffect(() => {
-    // Pre-fill form if exchange was selected from Exchanges tab
-    if (preSelectedExchange) {
-      form.setFieldsValue({
-        exchange: `${preSelectedExchange.vhost}|${preSelectedExchange.name}`,
-      });
-      setSelectedExchangeType(preSelectedExchange.type);
-    }
-
-    // Load exchanges
-    fetchExchanges();
-  }, [form, preSelectedExchange]);
-
   // Fetch exchanges for the dropdown
-  const fetchExchanges = async () => {
+  const fetchExchanges = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await api.getExchanges(); // Use the API service instead of direct axios call
+      const response = await api.getExchanges({ vhost });
 
       // Group exchanges by vhost
       const exchangesByVhost = {};
@@ -92,7 +84,20 @@ const PublishMessage = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [vhost]);
+
+  useEffect(() => {
+    // Pre-fill form if exchange was selected from Exchanges tab
+    if (preSelectedExchange) {
+      form.setFieldsValue({
+        exchange: `${preSelectedExchange.vhost}|${preSelectedExchange.name}`,
+      });
+      setSelectedExchangeType(preSelectedExchange.type);
+    }
+
+    // Load exchanges
+    fetchExchanges();
+  }, [form, preSelectedExchange, fetchExchanges]);
 
   // Handle exchange selection
   const handleExchangeChange = (value) => {
@@ -224,12 +229,15 @@ const PublishMessage = () => {
 
   // Render exchange options grouped by vhost
   const renderExchangeOptions = () => {
-    const vhosts = Object.keys(exchanges).sort((a, b) => {
-      // Default vhost ('/') first, then alphabetically
-      if (a === "/") return -1;
-      if (b === "/") return 1;
-      return a.localeCompare(b);
-    });
+    // Only offer vhosts the user may publish to
+    const vhosts = Object.keys(exchanges)
+      .filter((vhost) => can("publish", { vhost }))
+      .sort((a, b) => {
+        // Default vhost ('/') first, then alphabetically
+        if (a === "/") return -1;
+        if (b === "/") return 1;
+        return a.localeCompare(b);
+      });
 
     return vhosts.map((vhost) => {
       const vhostLabel = vhost === "/" ? "Default vhost" : `vhost: ${vhost}`;
@@ -267,6 +275,16 @@ const PublishMessage = () => {
         <h2>Publish Message</h2>
       </div>
 
+      {!canPublish && (
+        <Alert
+          message="Publishing not allowed"
+          description="Your role does not allow publishing messages."
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
       {error && (
         <Alert
           message="Error"
@@ -480,7 +498,7 @@ const PublishMessage = () => {
               htmlType="submit"
               icon={<SendOutlined />}
               loading={submitting}
-              disabled={useJsonEditor && !jsonValid}
+              disabled={!canPublish || (useJsonEditor && !jsonValid)}
               size="large"
             >
               Publish Message
@@ -0,0 +1,193 @@
+// src/components/QueueConsumers.jsx
+import { useState } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Tag,
+  Typography,
+  Alert,
+  Popconfirm,
+  Tooltip,
+  Empty,
+  notification,
+} from "antd";
+import {
+  CloseCircleOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import { useNavigate } from "react-router-dom";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+
+const { Text } = Typography;
+
+const DEFAULT_CLOSE_REASON = "Closed from the dashboard";
+
+// Colors for the activity_status of a consumer
+const ACTIVITY_COLORS = {
+  up: "green",
+  single_active: "blue",
+  waiting: "orange",
+  suspected_down: "red",
+};
+
+/**
+ * Consumers of a queue, used in the queue details drawer. The management API
+ * cannot cancel another client's consumer, so the action offered is to close
+ * the connection that owns it.
+ */
+const QueueConsumers = ({
+  consumers = [],
+  singleActiveConsumer = false,
+  loading = false,
+  onConnectionClosed,
+}) => {
+  const [closeReason, setCloseReason] = useState(DEFAULT_CLOSE_REASON);
+  const { can } = useAuth();
+  const navigate = useNavigate();
+
+  const viewConnection = (name) => {
+    navigate("/connections", { state: { connection: name } });
+  };
+
+  const closeConnection = async (consumer) => {
+    const name = consumer.channel_details.connection_name;
+    try {
+      await api.closeConnection(name, closeReason || DEFAULT_CLOSE_REASON);
+      notification.success({
+        message: "Connection Closed",
+        description: `Connection "${name}" has been closed`,
+      });
+      setCloseReason(DEFAULT_CLOSE_REASON);
+      onConnectionClosed && onConnectionClosed(name);
+    } catch (error) {
+      console.error("Error closing connection:", error);
+      notification.error({
+        message: "Close Failed",
+        description: `Failed to close connection: ${
+          api.handleRequestError(error).message
+        }`,
+      });
+    }
+  };
+
+  const columns = [
+    {
+      title: "Consumer tag",
+      dataIndex: "consumer_tag",
+      key: "consumer_tag",
+      render: (tag) => <Text code>{tag}</Text>,
+    },
+    {
+      title: "Connection",
+      key: "connection",
+      render: (_, consumer) => {
+        const channel = consumer.channel_details || {};
+        return (
+          <Space direction="vertical" size={0}>
+            <Button
+              type="link"
+              style={{ padding: 0, height: "auto" }}
+              onClick={() => viewConnection(channel.connection_name)}
+            >
+              {channel.connection_name}
+            </Button>
+            <Text type="secondary" style={{ fontSize: "12px" }}>
+              channel {channel.number}
+              {channel.user ? ` as ${channel.user}` : ""}
+            </Text>
+          </Space>
+        );
+      },
+    },
+    {
+      title: "Ack",
+      dataIndex: "ack_required",
+      key: "ack_required",
+      render: (ack) => (ack ? "manual" : "auto"),
+    },
+    {
+      title: "Prefetch",
+      dataIndex: "prefetch_count",
+      key: "prefetch_count",
+      render: (prefetch) => prefetch || <Text type="secondary">unlimited</Text>,
+    },
+    {
+      title: "Activity",
+      key: "activity",
+      render: (_, consumer) => (
+        <Space size={[0, 4]} wrap>
+          <Tag color={ACTIVITY_COLORS[consumer.activity_status]}>
+            {consumer.activity_status ||
+              (consumer.active === false ? "inactive" : "up")}
+          </Tag>
+          {consumer.exclusive && <Tag>exclusive</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 48,
+      render: (_, consumer) =>
+        consumer.channel_details?.connection_name &&
+        can("close", { vhost: consumer.queue?.vhost }) && (
+          <Tooltip title="Close Connection">
+            <Popconfirm
+              title="Close connection"
+              description={
+                <Space direction="vertical" size={4}>
+                  <span>
+                    Close &quot;{consumer.channel_details.connection_name}
+                    &quot;? Every channel and consumer of the connection is
+                    closed and the client receives the reason below.
+                  </span>
+                  <Input
+                    value={closeReason}
+                    onChange={(e) => setCloseReason(e.target.value)}
+                    placeholder={DEFAULT_CLOSE_REASON}
+                  />
+                </Space>
+              }
+              onConfirm={() => closeConnection(consumer)}
+              okText="Close"
+              okButtonProps={{ danger: true }}
+              cancelText="Cancel"
+              icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+            >
+              <Button danger size="small" icon={<CloseCircleOutlined />} />
+            </Popconfirm>
+          </Tooltip>
+        ),
+    },
+  ];
+
+  return (
+    <div>
+      {singleActiveConsumer && (
+        <Alert
+          message="Single active consumer"
+          description="Only the active consumer receives messages; the others wait to take over."
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+      )}
+      <Table
+        columns={columns}
+        dataSource={consumers.map((c) => ({
+          ...c,
+          key: `${c.channel_details?.name}/${c.consumer_tag}`,
+        }))}
+        loading={loading}
+        size="small"
+        pagination={false}
+        locale={{ emptyText: <Empty description="No consumers" /> }}
+      />
+    </div>
+  );
+};
+
+export default QueueConsumers;
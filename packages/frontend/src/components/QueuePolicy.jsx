@@ -0,0 +1,119 @@
+// src/components/QueuePolicy.jsx
+import {
+  Descriptions,
+  Table,
+  Tag,
+  Typography,
+  Empty,
+  Spin,
+  Button,
+} from "antd";
+import { useNavigate } from "react-router-dom";
+
+const { Text } = Typography;
+
+const formatValue = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value);
+
+/**
+ * The policy and operator policy applied to a queue, and the definition they
+ * add up to with the policy each key comes from
+ */
+const QueuePolicy = ({ data, loading }) => {
+  const navigate = useNavigate();
+
+  if (!data) {
+    return loading ? (
+      <div style={{ textAlign: "center", padding: 24 }}>
+        <Spin />
+      </div>
+    ) : (
+      <Empty description="No policy information" />
+    );
+  }
+
+  const { policy, operatorPolicy, effectiveDefinition } = data;
+
+  // Operator policies win for the keys they set with a stricter value
+  const getSource = (key, value) => {
+    if (
+      operatorPolicy &&
+      key in operatorPolicy.definition &&
+      formatValue(operatorPolicy.definition[key]) === formatValue(value)
+    ) {
+      return <Tag color="orange">{operatorPolicy.name}</Tag>;
+    }
+    if (policy && key in policy.definition) {
+      return <Tag color="blue">{policy.name}</Tag>;
+    }
+    return <Text type="secondary">unknown</Text>;
+  };
+
+  const renderPolicy = (item) =>
+    item ? (
+      <span>
+        <Text strong>{item.name}</Text>{" "}
+        <Text type="secondary">
+          pattern <Text code>{item.pattern}</Text>, priority {item.priority},
+          applies to {item["apply-to"]}
+        </Text>
+      </span>
+    ) : (
+      <Text type="secondary">none</Text>
+    );
+
+  const definitionRows = Object.entries(effectiveDefinition).map(
+    ([key, value]) => ({ key, value })
+  );
+
+  return (
+    <>
+      <Descriptions
+        title="Applied policies"
+        bordered
+        size="small"
+        column={1}
+        extra={
+          <Button type="link" onClick={() => navigate("/policies")}>
+            Manage policies
+          </Button>
+        }
+      >
+        <Descriptions.Item label="Policy">
+          {renderPolicy(policy)}
+        </Descriptions.Item>
+        <Descriptions.Item label="Operator policy">
+          {renderPolicy(operatorPolicy)}
+        </Descriptions.Item>
+      </Descriptions>
+
+      <Table
+        columns={[
+          { title: "Key", dataIndex: "key", key: "key" },
+          {
+            title: "Effective value",
+            dataIndex: "value",
+            key: "value",
+            render: (value) => <Text code>{formatValue(value)}</Text>,
+          },
+          {
+            title: "From",
+            key: "source",
+            render: (_, row) => getSource(row.key, row.value),
+          },
+        ]}
+        dataSource={definitionRows}
+        rowKey="key"
+        size="small"
+        loading={loading}
+        pagination={false}
+        style={{ marginTop: 16 }}
+        locale={{
+          emptyText: <Empty description="No policy applies to this queue" />,
+        }}
+      />
+    </>
+  );
+};
+
+export default QueuePolicy;
@@ -21,6 +21,7 @@ import {
   Tabs,
   Row,
   Col,
+  Checkbox,
 } from "antd";
 import {
   SearchOutlined,
@@ -30,36 +31,98 @@ import {
   ExclamationCircleOutlined,
   InfoCircleOutlined,
   AreaChartOutlined,
+  PlusOutlined,
+  CloseCircleOutlined,
+  LinkOutlined,
+  SwapOutlined,
+  TeamOutlined,
+  SafetyOutlined,
 } from "@ant-design/icons";
 import api from "../services/api"; // Import the API service
 import { useSocket } from "../context/SocketContext";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
 import MessageViewer from "./MessageViewer";
+import CreateQueueDrawer from "./CreateQueueDrawer";
+import AddBindingModal from "./AddBindingModal";
+import BindingList from "./BindingList";
+import QueueConsumers from "./QueueConsumers";
+import QueuePolicy from "./QueuePolicy";
+import MoveMessagesModal from "./MoveMessagesModal";
+import MoveJobsPanel from "./MoveJobsPanel";
+import MetricsHistory from "./MetricsHistory";
+import { selectQueues } from "../utils/queues";
 
 const { Text, Title } = Typography;
 const { TabPane } = Tabs;
 
+// Messages are only ever consumed when the user explicitly asks for it
+const DEFAULT_FETCH_OPTIONS = { count: 10, mode: "peek" };
+
+// Charts in the Stats tab of the queue drawer
+const STATS_CHARTS = [
+  {
+    title: "Queue depth",
+    lines: [
+      { key: "messages_ready", label: "Ready", color: "#1677ff" },
+      { key: "messages_unacknowledged", label: "Unacked", color: "#fa541c" },
+    ],
+  },
+  {
+    title: "Message rates (msg/s)",
+    lines: [
+      { key: "publish_rate", label: "Publish", color: "#1677ff" },
+      { key: "deliver_rate", label: "Deliver", color: "#52c41a" },
+      { key: "ack_rate", label: "Ack", color: "#faad14" },
+    ],
+  },
+  {
+    title: "Consumers",
+    lines: [{ key: "consumers", label: "Consumers", color: "#722ed1" }],
+  },
+];
+
 const Queues = () => {
   const [queues, setQueues] = useState([]);
   const [filteredQueues, setFilteredQueues] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchText, setSearchText] = useState("");
+  const [withoutConsumers, setWithoutConsumers] = useState(false);
   const [viewingQueue, setViewingQueue] = useState(null);
   const [queueDetails, setQueueDetails] = useState(null);
   const [messages, setMessages] = useState([]);
   const [messagesLoading, setMessagesLoading] = useState(false);
+  const [fetchOptions, setFetchOptions] = useState(DEFAULT_FETCH_OPTIONS);
+  const [fetchInfo, setFetchInfo] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
   const { socket, isConnected, connectionStatus } = useSocket();
+  const { can } = useAuth();
+  const { vhost, vhostNames } = useVhost();
   const [drawerVisible, setDrawerVisible] = useState(false);
+  const [drawerTab, setDrawerTab] = useState("messages");
+  const [queueBindings, setQueueBindings] = useState([]);
+  const [bindingsLoading, setBindingsLoading] = useState(false);
+  const [queueConsumers, setQueueConsumers] = useState(null);
+  const [consumersLoading, setConsumersLoading] = useState(false);
+  const [queuePolicy, setQueuePolicy] = useState(null);
+  const [policyLoading, setPolicyLoading] = useState(false);
+  const [addBindingOpen, setAddBindingOpen] = useState(false);
+  const [createDrawerOpen, setCreateDrawerOpen] = useState(false);
+  const [movingQueue, setMovingQueue] = useState(null);
+  const [deleteGuards, setDeleteGuards] = useState({
+    ifEmpty: true,
+    ifUnused: true,
+  });
 
   // Fetch queues data
   const fetchQueues = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await api.getQueues();
+      const response = await api.getQueues({ vhost });
       console.log("Queues data received:", response.data);
       setQueues(response.data);
-      filterQueues(response.data, searchText);
+      filterQueues(response.data, searchText, withoutConsumers);
       setLastUpdated(new Date());
       setError(null);
     } catch (error) {
@@ -68,31 +131,32 @@ const Queues = () => {
     } finally {
       setLoading(false);
     }
-  }, [searchText]);
-
-  // Filter queues based on search text
-  const filterQueues = (queueData, text) => {
-    if (!text) {
-      setFilteredQueues(queueData);
-      return;
-    }
-
-    const filtered = queueData.filter(
-      (queue) =>
-        queue.name.toLowerCase().includes(text.toLowerCase()) ||
-        (queue.vhost && queue.vhost.toLowerCase().includes(text.toLowerCase()))
-    );
+  }, [searchText, withoutConsumers, vhost]);
 
-    setFilteredQueues(filtered);
+  // Filter queues based on search text and, optionally, to the queues that
+  // nobody consumes from
+  const filterQueues = (queueData, text, onlyWithoutConsumers) => {
+    setFilteredQueues(selectQueues(queueData, text, onlyWithoutConsumers));
   };
 
   // Handle search input
   const handleSearch = (e) => {
     const value = e.target.value;
     setSearchText(value);
-    filterQueues(queues, value);
+    filterQueues(queues, value, withoutConsumers);
   };
 
+  const handleWithoutConsumersChange = (e) => {
+    setWithoutConsumers(e.target.checked);
+    filterQueues(queues, searchText, e.target.checked);
+  };
+
+  // Queues nobody consumes from, and those of them that hold messages
+  const queuesWithoutConsumers = queues.filter((queue) => !queue.consumers);
+  const backedUpQueues = queuesWithoutConsumers.filter(
+    (queue) => queue.messages > 0
+  );
+
   // Fetch queue details
   const fetchQueueDetails = async (queue) => {
     try {
@@ -111,11 +175,21 @@ const Queues = () => {
     }
   };
 
-  // View messages in a queue
+  // Store the messages and fetch details returned by the get messages API
+  const applyMessagesResult = (result) => {
+    const { messages: fetched = [], ...info } = result || {};
+    setMessages(fetched);
+    setFetchInfo(info);
+  };
+
+  // View messages in a queue (always a non-destructive peek)
   const viewMessages = async (queue) => {
     setViewingQueue(queue);
+    setDrawerTab("messages");
     setMessagesLoading(true);
     setMessages([]);
+    setFetchInfo(null);
+    setFetchOptions(DEFAULT_FETCH_OPTIONS);
     setDrawerVisible(true);
 
     try {
@@ -123,9 +197,13 @@ const Queues = () => {
 
       const vhost = encodeURIComponent(queue.vhost || "/");
       const name = encodeURIComponent(queue.name);
-      const response = await api.getQueueMessages(vhost, name);
+      const response = await api.getQueueMessages(
+        vhost,
+        name,
+        DEFAULT_FETCH_OPTIONS
+      );
       console.log("Queue messages received:", response.data);
-      setMessages(response.data);
+      applyMessagesResult(response.data);
     } catch (error) {
       console.error("Error fetching messages:", error);
       setError(`Failed to fetch messages from queue "${queue.name}".`);
@@ -134,20 +212,33 @@ const Queues = () => {
     }
   };
 
-  // Refresh messages for the currently viewed queue
-  const refreshMessages = async () => {
+  // Refresh messages for the currently viewed queue. Unless options with an
+  // explicit mode are passed (after confirmation), messages are only peeked.
+  const refreshMessages = async (options = {}) => {
     if (!viewingQueue) return;
 
+    const requestOptions = {
+      count: fetchOptions.count,
+      mode: "peek",
+      ...options,
+    };
+
     setMessagesLoading(true);
     try {
       const vhost = encodeURIComponent(viewingQueue.vhost || "/");
       const name = encodeURIComponent(viewingQueue.name);
-      const response = await api.getQueueMessages(vhost, name);
-      setMessages(response.data);
+      const response = await api.getQueueMessages(vhost, name, requestOptions);
+      applyMessagesResult(response.data);
       await fetchQueueDetails(viewingQueue);
       notification.success({
-        message: "Messages Refreshed",
-        description: `Successfully refreshed messages from queue "${viewingQueue.name}"`,
+        message:
+          requestOptions.mode === "consume"
+            ? "Messages Consumed"
+            : "Messages Refreshed",
+        description:
+          requestOptions.mode === "consume"
+            ? `Consumed ${response.data.count} messages from queue "${viewingQueue.name}"`
+            : `Successfully refreshed messages from queue "${viewingQueue.name}"`,
         duration: 2,
       });
     } catch (error) {
@@ -161,10 +252,120 @@ const Queues = () => {
     }
   };
 
+  // Fetch the bindings that route messages into a queue
+  const fetchQueueBindings = async (queue) => {
+    setBindingsLoading(true);
+    try {
+      const response = await api.getBindings({ vhost: queue.vhost || "/" });
+      setQueueBindings(
+        (response.data || []).filter(
+          (binding) =>
+            binding.destination_type === "queue" &&
+            binding.destination === queue.name &&
+            binding.vhost === (queue.vhost || "/")
+        )
+      );
+    } catch (error) {
+      console.error("Error fetching queue bindings:", error);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch bindings for queue "${queue.name}"`,
+      });
+    } finally {
+      setBindingsLoading(false);
+    }
+  };
+
+  // Open the queue drawer on the bindings tab
+  const viewBindings = (queue) => {
+    setViewingQueue(queue);
+    setMessages([]);
+    setFetchInfo(null);
+    setFetchOptions(DEFAULT_FETCH_OPTIONS);
+    setDrawerTab("bindings");
+    setDrawerVisible(true);
+    fetchQueueBindings(queue);
+  };
+
+  // Fetch the consumers of a queue with their channel and connection
+  const fetchQueueConsumers = async (queue) => {
+    setConsumersLoading(true);
+    try {
+      const response = await api.getQueueConsumers(
+        queue.vhost || "/",
+        queue.name
+      );
+      setQueueConsumers(response.data);
+    } catch (error) {
+      console.error("Error fetching queue consumers:", error);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch consumers for queue "${queue.name}"`,
+      });
+    } finally {
+      setConsumersLoading(false);
+    }
+  };
+
+  const fetchQueuePolicy = async (queue) => {
+    setPolicyLoading(true);
+    try {
+      const response = await api.getQueuePolicy(queue.vhost || "/", queue.name);
+      setQueuePolicy(response.data);
+    } catch (error) {
+      console.error("Error fetching queue policy:", error);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch the policy of queue "${queue.name}"`,
+      });
+    } finally {
+      setPolicyLoading(false);
+    }
+  };
+
+  // Open the queue drawer on the consumers tab
+  const viewConsumers = (queue) => {
+    setViewingQueue(queue);
+    setMessages([]);
+    setFetchInfo(null);
+    setFetchOptions(DEFAULT_FETCH_OPTIONS);
+    setQueueConsumers(null);
+    setDrawerTab("consumers");
+    setDrawerVisible(true);
+    fetchQueueConsumers(queue);
+  };
+
+  const fetchQueueMetrics = useCallback(
+    (range) =>
+      api.getQueueMetrics(
+        viewingQueue?.vhost || "/",
+        viewingQueue?.name,
+        range
+      ),
+    [viewingQueue]
+  );
+
+  const handleDrawerTabChange = (key) => {
+    setDrawerTab(key);
+    if (key === "bindings" && viewingQueue) {
+      fetchQueueBindings(viewingQueue);
+    }
+    if (key === "consumers" && viewingQueue) {
+      fetchQueueConsumers(viewingQueue);
+    }
+    if (key === "policy" && viewingQueue) {
+      fetchQueuePolicy(viewingQueue);
+    }
+  };
+
   // Close message viewer drawer
   const closeMessageViewer = () => {
     setViewingQueue(null);
     setQueueDetails(null);
+    setFetchInfo(null);
+    setQueueBindings([]);
+    setQueueConsumers(null);
+    setQueuePolicy(null);
     setDrawerVisible(false);
   };
 
@@ -199,6 +400,55 @@ const Queues = () => {
     }
   };
 
+  // Delete a queue, optionally only if it is empty and/or unused
+  const deleteQueue = async (queue) => {
+    try {
+      const guards = {};
+      if (deleteGuards.ifEmpty) guards["if-empty"] = true;
+      if (deleteGuards.ifUnused) guards["if-unused"] = true;
+
+      await api.deleteQueue(queue.vhost || "/", queue.name, guards);
+
+      notification.success({
+        message: "Queue Deleted",
+        description: `Queue "${queue.name}" has been deleted`,
+      });
+
+      if (
+        viewingQueue &&
+        viewingQueue.name === queue.name &&
+        viewingQueue.vhost === queue.vhost
+      ) {
+        closeMessageViewer();
+      }
+
+      fetchQueues();
+    } catch (error) {
+      console.error("Error deleting queue:", error);
+      notification.error({
+        message: "Delete Failed",
+        description: `Failed to delete queue "${queue.name}": ${
+          api.handleRequestError(error).message
+        }`,
+      });
+    }
+  };
+
+  // Called once the create drawer has declared a queue
+  const handleQueueCreated = () => {
+    setCreateDrawerOpen(false);
+    fetchQueues();
+  };
+
+  // Virtual hosts of the cluster, or those known from the queue list, for
+  // the create form
+  const knownVhosts =
+    vhostNames.length > 0
+      ? vhostNames
+      : Array.from(
+          new Set(["/", ...queues.map((queue) => queue.vhost || "/")])
+        );
+
   // Initialize data and set up event listeners
   useEffect(() => {
     fetchQueues();
@@ -213,7 +463,7 @@ const Queues = () => {
             // Create a safe copy to avoid circular references
             const safeQueues = JSON.parse(JSON.stringify(data.queues));
             setQueues(safeQueues);
-            filterQueues(safeQueues, searchText);
+            filterQueues(safeQueues, searchText, withoutConsumers);
             setLastUpdated(new Date());
           }
         } catch (error) {
@@ -233,7 +483,7 @@ const Queues = () => {
       const intervalId = setInterval(fetchQueues, 5000);
       return () => clearInterval(intervalId);
     }
-  }, [socket, searchText, fetchQueues]);
+  }, [socket, searchText, withoutConsumers, fetchQueues]);
 
   // Helper to determine queue health status
   function getQueueHealthStatus(queue) {
@@ -322,12 +572,22 @@ const Queues = () => {
       title: "Consumers",
       dataIndex: "consumers",
       key: "consumers",
-      render: (consumers) => {
+      render: (consumers, record) => {
         let color = "default";
         if (consumers === 0) {
           color = "warning";
         }
-        return <Tag color={color}>{consumers || 0}</Tag>;
+        return (
+          <Tooltip title="View Consumers">
+            <Tag
+              color={color}
+              style={{ cursor: "pointer" }}
+              onClick={() => viewConsumers(record)}
+            >
+              {consumers || 0}
+            </Tag>
+          </Tooltip>
+        );
       },
       filters: [
         { text: "Has Consumers", value: "has-consumers" },
@@ -344,36 +604,103 @@ const Queues = () => {
     {
       title: "Actions",
       key: "actions",
-      render: (_, record) => (
-        <Space size="small">
-          <Tooltip title="View Messages">
-            <Button
-              type="primary"
-              icon={<EyeOutlined />}
-              size="small"
-              onClick={() => viewMessages(record)}
-              disabled={record.messages === 0}
-            />
-          </Tooltip>
-          <Tooltip title="Purge Queue">
-            <Popconfirm
-              title="Purge queue"
-              description={`Are you sure you want to purge all messages from "${record.name}"?`}
-              onConfirm={() => purgeQueue(record)}
-              okText="Yes"
-              cancelText="No"
-              icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
-            >
+      render: (_, record) => {
+        const resource = { vhost: record.vhost || "/", queue: record.name };
+
+        return (
+          <Space size="small">
+            <Tooltip title="View Messages">
               <Button
-                danger
-                icon={<DeleteOutlined />}
+                type="primary"
+                icon={<EyeOutlined />}
                 size="small"
-                disabled={record.messages === 0}
+                onClick={() => viewMessages(record)}
+                disabled={record.messages === 0 || !can("peek", resource)}
               />
-            </Popconfirm>
-          </Tooltip>
-        </Space>
-      ),
+            </Tooltip>
+            <Tooltip title="Bindings">
+              <Button
+                icon={<LinkOutlined />}
+                size="small"
+                onClick={() => viewBindings(record)}
+              />
+            </Tooltip>
+            {can("move", resource) && (
+              <Tooltip title="Move Messages">
+                <Button
+                  icon={<SwapOutlined />}
+                  size="small"
+                  onClick={() => setMovingQueue(record)}
+                  disabled={record.messages === 0}
+                />
+              </Tooltip>
+            )}
+            {can("purge", resource) && (
+              <Tooltip title="Purge Queue">
+                <Popconfirm
+                  title="Purge queue"
+                  description={`Are you sure you want to purge all messages from "${record.name}"?`}
+                  onConfirm={() => purgeQueue(record)}
+                  okText="Yes"
+                  cancelText="No"
+                  icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+                >
+                  <Button
+                    danger
+                    icon={<DeleteOutlined />}
+                    size="small"
+                    disabled={record.messages === 0}
+                  />
+                </Popconfirm>
+              </Tooltip>
+            )}
+            {can("delete", resource) && (
+              <Tooltip title="Delete Queue">
+                <Popconfirm
+                  title="Delete queue"
+                  description={
+                    <Space direction="vertical" size={4}>
+                      <span>
+                        Are you sure you want to delete &quot;{record.name}
+                        &quot;? This operation cannot be undone.
+                      </span>
+                      <Checkbox
+                        checked={deleteGuards.ifEmpty}
+                        onChange={(e) =>
+                          setDeleteGuards({
+                            ...deleteGuards,
+                            ifEmpty: e.target.checked,
+                          })
+                        }
+                      >
+                        Only if empty
+                      </Checkbox>
+                      <Checkbox
+                        checked={deleteGuards.ifUnused}
+                        onChange={(e) =>
+                          setDeleteGuards({
+                            ...deleteGuards,
+                            ifUnused: e.target.checked,
+                          })
+                        }
+                      >
+                        Only if it has no consumers
+                      </Checkbox>
+                    </Space>
+                  }
+                  onConfirm={() => deleteQueue(record)}
+                  okText="Yes"
+                  okButtonProps={{ danger: true }}
+                  cancelText="No"
+                  icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+                >
+                  <Button danger icon={<CloseCircleOutlined />} size="small" />
+                </Popconfirm>
+              </Tooltip>
+            )}
+          </Space>
+        );
+      },
     },
   ];
 
@@ -585,7 +912,7 @@ const Queues = () => {
 
                 <Button
                   icon={<ReloadOutlined />}
-                  onClick={refreshMessages}
+                  onClick={() => refreshMessages()}
                   block
                 >
                   Refresh Queue Data
@@ -615,6 +942,15 @@ const Queues = () => {
               ? `Last updated: ${lastUpdated.toLocaleTimeString()}`
               : "Never updated"}
           </Text>
+          {can("manage") && (
+            <Button
+              icon={<PlusOutlined />}
+              onClick={() => setCreateDrawerOpen(true)}
+              style={{ marginRight: 8 }}
+            >
+              New Queue
+            </Button>
+          )}
           <Button
             type="primary"
             icon={<ReloadOutlined />}
@@ -637,6 +973,8 @@ const Queues = () => {
         />
       )}
 
+      <MoveJobsPanel onJobFinished={fetchQueues} />
+
       <Card style={{ marginBottom: 16 }}>
         <div
           style={{
@@ -655,6 +993,15 @@ const Queues = () => {
           />
 
           <Space>
+            <Checkbox
+              checked={withoutConsumers}
+              onChange={handleWithoutConsumersChange}
+            >
+              Without consumers only ({queuesWithoutConsumers.length}
+              {backedUpQueues.length > 0 &&
+                `, ${backedUpQueues.length} with messages`}
+              )
+            </Checkbox>
             {!isConnected && (
               <Alert
                 message="Live updates unavailable"
@@ -697,28 +1044,67 @@ const Queues = () => {
         />
       </Card>
 
+      <CreateQueueDrawer
+        open={createDrawerOpen}
+        onClose={() => setCreateDrawerOpen(false)}
+        onCreated={handleQueueCreated}
+        vhosts={knownVhosts}
+      />
+
       {/* Message Viewer Drawer */}
       <Drawer
-        title={
-          viewingQueue ? `Messages in ${viewingQueue.name}` : "Queue Messages"
-        }
+        title={viewingQueue ? `Queue: ${viewingQueue.name}` : "Queue"}
         placement="right"
         closable={true}
         onClose={closeMessageViewer}
         open={drawerVisible}
         width={800}
         extra={
-          <Button
-            type="primary"
-            icon={<ReloadOutlined />}
-            onClick={refreshMessages}
-            loading={messagesLoading}
-          >
-            Refresh
-          </Button>
+          drawerTab === "bindings" ? (
+            viewingQueue &&
+            can("manage", {
+              vhost: viewingQueue.vhost || "/",
+              queue: viewingQueue.name,
+            }) && (
+              <Button
+                type="primary"
+                icon={<PlusOutlined />}
+                onClick={() => setAddBindingOpen(true)}
+              >
+                Add Binding
+              </Button>
+            )
+          ) : drawerTab === "consumers" ? (
+            <Button
+              type="primary"
+              icon={<ReloadOutlined />}
+              onClick={() => viewingQueue && fetchQueueConsumers(viewingQueue)}
+              loading={consumersLoading}
+            >
+              Refresh
+            </Button>
+          ) : drawerTab === "policy" ? (
+            <Button
+              type="primary"
+              icon={<ReloadOutlined />}
+              onClick={() => viewingQueue && fetchQueuePolicy(viewingQueue)}
+              loading={policyLoading}
+            >
+              Refresh
+            </Button>
+          ) : drawerTab === "messages" ? (
+            <Button
+              type="primary"
+              icon={<ReloadOutlined />}
+              onClick={() => refreshMessages()}
+              loading={messagesLoading}
+            >
+              Refresh
+            </Button>
+          ) : null
         }
       >
-        <Tabs defaultActiveKey="messages">
+        <Tabs activeKey={drawerTab} onChange={handleDrawerTabChange}>
           <TabPane
             tab={
               <span>
@@ -731,9 +1117,80 @@ const Queues = () => {
               messages={messages}
               loading={messagesLoading}
               onRefresh={refreshMessages}
+              fetchInfo={fetchInfo}
+              fetchOptions={fetchOptions}
+              onFetchOptionsChange={setFetchOptions}
+              canConsume={
+                Boolean(viewingQueue) &&
+                can("consume", {
+                  vhost: viewingQueue.vhost || "/",
+                  queue: viewingQueue.name,
+                })
+              }
+            />
+          </TabPane>
+
+          <TabPane
+            tab={
+              <span>
+                <LinkOutlined /> Bindings
+              </span>
+            }
+            key="bindings"
+          >
+            <BindingList
+              bindings={queueBindings}
+              loading={bindingsLoading}
+              onDeleted={() => fetchQueueBindings(viewingQueue)}
+            />
+          </TabPane>
+
+          <TabPane
+            tab={
+              <span>
+                <TeamOutlined /> Consumers
+              </span>
+            }
+            key="consumers"
+          >
+            <QueueConsumers
+              consumers={queueConsumers?.consumers}
+              singleActiveConsumer={queueConsumers?.singleActiveConsumer}
+              loading={consumersLoading}
+              onConnectionClosed={() => {
+                fetchQueueConsumers(viewingQueue);
+                fetchQueues();
+              }}
             />
           </TabPane>
 
+          <TabPane
+            tab={
+              <span>
+                <SafetyOutlined /> Policy
+              </span>
+            }
+            key="policy"
+          >
+            <QueuePolicy data={queuePolicy} loading={policyLoading} />
+          </TabPane>
+
+          <TabPane
+            tab={
+              <span>
+                <AreaChartOutlined /> Stats
+              </span>
+            }
+            key="stats"
+          >
+            {viewingQueue && (
+              <MetricsHistory
+                fetchMetrics={fetchQueueMetrics}
+                charts={STATS_CHARTS}
+              />
+            )}
+          </TabPane>
+
           {/* <TabPane
             tab={
               <span>
@@ -746,6 +1203,26 @@ const Queues = () => {
           </TabPane> */}
         </Tabs>
       </Drawer>
+
+      <MoveMessagesModal
+        open={Boolean(movingQueue)}
+        queue={movingQueue}
+        onClose={() => setMovingQueue(null)}
+        onStarted={() => setMovingQueue(null)}
+      />
+
+      {viewingQueue && (
+        <AddBindingModal
+          open={addBindingOpen}
+          onClose={() => setAddBindingOpen(false)}
+          onCreated={() => {
+            setAddBindingOpen(false);
+            fetchQueueBindings(viewingQueue);
+          }}
+          vhost={viewingQueue.vhost || "/"}
+          destination={{ type: "queue", name: viewingQueue.name }}
+        />
+      )}
     </div>
   );
 };
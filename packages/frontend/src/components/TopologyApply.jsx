@@ -0,0 +1,395 @@
+// src/components/TopologyApply.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Upload,
+  Empty,
+  Checkbox,
+  Popconfirm,
+  notification,
+} from "antd";
+import {
+  UploadOutlined,
+  ReloadOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useCluster } from "../context/useCluster";
+import { readTextFile } from "../utils/formatters";
+
+const { Text, Paragraph } = Typography;
+
+const ACTION_COLORS = {
+  create: "green",
+  update: "blue",
+  recreate: "red",
+  delete: "volcano",
+};
+
+const formatValue = (value) =>
+  value === undefined ? "(not set)" : JSON.stringify(value);
+
+const EXAMPLE = `vhost: /
+exchanges:
+  - name: orders
+    type: topic
+queues:
+  - name: orders.created
+    type: quorum
+bindings:
+  - source: orders
+    destination: orders.created
+    routing_key: order.created
+policies:
+  - name: orders-ttl
+    pattern: ^orders\\.
+    apply-to: queues
+    definition:
+      message-ttl: 86400000`;
+
+/**
+ * Plan what a topology file creates, changes and deletes on the selected
+ * cluster, and apply the plan once it was reviewed
+ */
+const TopologyApply = () => {
+  const { clusterId, cluster } = useCluster();
+  const { can } = useAuth();
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [confirmed, setConfirmed] = useState(false);
+  const [error, setError] = useState(null);
+  const clusterLabel = cluster ? cluster.name || cluster.id : "the cluster";
+
+  const runPlan = useCallback(async (topology) => {
+    setPlanning(true);
+    setConfirmed(false);
+    try {
+      const response = await api.planTopology(topology);
+      setPlan(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error planning topology:", err);
+      setPlan(null);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setPlanning(false);
+    }
+  }, []);
+
+  // Plans are made against the selected cluster
+  useEffect(() => {
+    if (file) {
+      runPlan(file.text);
+    }
+  }, [clusterId, file, runPlan]);
+
+  // Read the file in the browser; returning false keeps Upload from posting it
+  const selectFile = (selected) => {
+    readTextFile(selected)
+      .then((text) => setFile({ name: selected.name, text }))
+      .catch((err) => {
+        setFile(null);
+        setPlan(null);
+        setError(err.message);
+      });
+    return false;
+  };
+
+  const clear = () => {
+    setFile(null);
+    setPlan(null);
+    setError(null);
+  };
+
+  const apply = async () => {
+    setApplying(true);
+    try {
+      const response = await api.applyTopology(
+        file.text,
+        plan.id,
+        plan.summary.destructive > 0,
+        file.name
+      );
+      notification.success({
+        message: "Topology Applied",
+        description: response.data.message,
+      });
+      runPlan(file.text);
+    } catch (err) {
+      console.error("Error applying topology:", err);
+      const { message } = api.handleRequestError(err);
+      if (err.response?.status === 409) {
+        // The broker changed, show what the plan is now
+        notification.warning({ message: "Plan Changed", description: message });
+        runPlan(file.text);
+      } else {
+        setError(message);
+      }
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const actions = plan ? plan.actions : [];
+  const destructive = actions.filter((action) => action.destructive);
+  const lostMessages = destructive.reduce(
+    (total, action) => total + (action.messages || 0),
+    0
+  );
+  const canApply = actions.every((action) => {
+    const resource = { vhost: action.vhost };
+    if (action.kind === "policy") {
+      return can("policies", resource);
+    }
+    return (
+      can("manage", resource) &&
+      (!action.destructive || can("delete", resource))
+    );
+  });
+
+  const columns = [
+    {
+      title: "Action",
+      dataIndex: "action",
+      key: "action",
+      width: 130,
+      render: (action, row) => (
+        <Space size={4}>
+          <Tag color={ACTION_COLORS[action]}>{action}</Tag>
+          {row.destructive && (
+            <ExclamationCircleOutlined style={{ color: "red" }} />
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Kind",
+      dataIndex: "kind",
+      key: "kind",
+      width: 100,
+    },
+    {
+      title: "Virtual Host",
+      dataIndex: "vhost",
+      key: "vhost",
+      width: 140,
+    },
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (name) => <Text strong>{name}</Text>,
+    },
+    {
+      title: "Details",
+      key: "details",
+      render: (_, row) => (
+        <Space direction="vertical" size={0}>
+          {row.reason && (
+            <Text type={row.destructive ? "danger" : "secondary"}>
+              {row.reason}
+            </Text>
+          )}
+          {row.messages > 0 && (
+            <Text type="danger">{row.messages} messages are lost</Text>
+          )}
+          {(row.fields || []).map(({ field, before, after }) => (
+            <span key={field}>
+              <Text code>{field}</Text>{" "}
+              <Text delete type="danger">
+                {formatValue(before)}
+              </Text>{" "}
+              <Text type="success">{formatValue(after)}</Text>
+            </span>
+          ))}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Topology Apply</h2>
+        {file && (
+          <Space>
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={() => runPlan(file.text)}
+              loading={planning}
+            >
+              Plan Again
+            </Button>
+            <Button onClick={clear}>Clear</Button>
+          </Space>
+        )}
+      </div>
+
+      <Card title="Topology File" style={{ marginBottom: 16 }}>
+        <Paragraph type="secondary">
+          Choose a YAML or JSON file declaring the exchanges, queues, bindings
+          and policies of one or more virtual hosts to see what it would take to
+          bring {clusterLabel} to it. Queues and exchanges of those virtual
+          hosts that are not in the file are deleted. The{" "}
+          <Text code>rmq-topology</Text> command of the backend plans and
+          applies the same files from CI.
+        </Paragraph>
+        <Space style={{ marginBottom: file ? 0 : 16 }}>
+          <Upload
+            accept=".yml,.yaml,.json"
+            beforeUpload={selectFile}
+            showUploadList={false}
+          >
+            <Button icon={<UploadOutlined />} loading={planning}>
+              Choose File
+            </Button>
+          </Upload>
+          {file && <Text>{file.name}</Text>}
+        </Space>
+        {!file && (
+          <pre
+            style={{
+              margin: 0,
+              padding: 12,
+              background: "#fafafa",
+              border: "1px solid #f0f0f0",
+              borderRadius: 4,
+            }}
+          >
+            {EXAMPLE}
+          </pre>
+        )}
+      </Card>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      {plan && (
+        <Card
+          title={
+            <Space>
+              <span>Plan</span>
+              <Text type="secondary" style={{ fontWeight: "normal" }}>
+                {plan.vhosts.map((vhost) => `"${vhost}"`).join(", ")} on{" "}
+                {clusterLabel}
+              </Text>
+            </Space>
+          }
+          extra={
+            <Space size={4}>
+              {["create", "update", "recreate", "delete"].map(
+                (action) =>
+                  plan.summary[action] > 0 && (
+                    <Tag key={action} color={ACTION_COLORS[action]}>
+                      {plan.summary[action]} to {action}
+                    </Tag>
+                  )
+              )}
+            </Space>
+          }
+        >
+          {destructive.length > 0 && (
+            <Alert
+              message={`${destructive.length} destructive actions`}
+              description={`Applying this plan deletes ${destructive.length} queues and exchanges, or deletes them and declares them again because RabbitMQ cannot change them in place${
+                lostMessages > 0
+                  ? `. ${lostMessages} messages in those queues are lost.`
+                  : "."
+              }`}
+              type="error"
+              showIcon
+              style={{ marginBottom: 16 }}
+            />
+          )}
+
+          <Table
+            columns={columns}
+            dataSource={actions}
+            rowKey={(row) =>
+              `${row.action} ${row.kind} ${row.vhost} ${row.name}`
+            }
+            size="small"
+            pagination={false}
+            locale={{
+              emptyText: (
+                <Empty
+                  description={`${clusterLabel} already matches the file`}
+                />
+              ),
+            }}
+          />
+
+          {actions.length > 0 && (
+            <div style={{ marginTop: 16, textAlign: "right" }}>
+              {!canApply ? (
+                <Text type="secondary">
+                  You are not allowed to apply this plan
+                </Text>
+              ) : (
+                <Space>
+                  {destructive.length > 0 && (
+                    <Checkbox
+                      checked={confirmed}
+                      onChange={(e) => setConfirmed(e.target.checked)}
+                    >
+                      I understand that {destructive.length} queues and
+                      exchanges are deleted
+                    </Checkbox>
+                  )}
+                  <Popconfirm
+                    title="Apply topology"
+                    description={`Apply ${actions.length} actions of ${file.name} to ${clusterLabel}?`}
+                    onConfirm={apply}
+                    okText="Apply"
+                    okButtonProps={{ danger: destructive.length > 0 }}
+                    cancelText="Cancel"
+                    icon={
+                      <ExclamationCircleOutlined style={{ color: "orange" }} />
+                    }
+                    disabled={destructive.length > 0 && !confirmed}
+                  >
+                    <Button
+                      type="primary"
+                      danger={destructive.length > 0}
+                      loading={applying}
+                      disabled={destructive.length > 0 && !confirmed}
+                    >
+                      Apply
+                    </Button>
+                  </Popconfirm>
+                </Space>
+              )}
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default TopologyApply;
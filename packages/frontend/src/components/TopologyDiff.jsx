@@ -0,0 +1,634 @@
+// src/components/TopologyDiff.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Space,
+  Card,
+  Row,
+  Col,
+  Tag,
+  Typography,
+  Alert,
+  Select,
+  AutoComplete,
+  Radio,
+  Upload,
+  Empty,
+  Collapse,
+  Modal,
+  Input,
+  Tooltip,
+  Popconfirm,
+  notification,
+} from "antd";
+import {
+  DiffOutlined,
+  SwapOutlined,
+  UploadOutlined,
+  CameraOutlined,
+  DownloadOutlined,
+  DeleteOutlined,
+  ReloadOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useCluster } from "../context/useCluster";
+import { useVhost } from "../context/useVhost";
+import { formatDate, downloadJson, readJsonFile } from "../utils/formatters";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const KIND_LABELS = {
+  vhosts: "Virtual hosts",
+  users: "Users",
+  permissions: "Permissions",
+  topic_permissions: "Topic permissions",
+  parameters: "Parameters",
+  global_parameters: "Global parameters",
+  policies: "Policies",
+  queues: "Queues",
+  exchanges: "Exchanges",
+  bindings: "Bindings",
+};
+
+const formatValue = (value) =>
+  value === undefined
+    ? "—"
+    : typeof value === "string"
+      ? value
+      : JSON.stringify(value);
+
+/**
+ * Turn a side picked in the page into the request's { cluster },
+ * { snapshot } or { definitions, name }
+ * @param {Object} side - Side state
+ * @returns {Object|null} Request side, null while incomplete
+ */
+const toRequestSide = (side) => {
+  const vhost = side.vhost ? { vhost: side.vhost } : {};
+  switch (side.type) {
+    case "cluster":
+      return side.cluster ? { cluster: side.cluster, ...vhost } : null;
+    case "snapshot":
+      return side.snapshot ? { snapshot: side.snapshot, ...vhost } : null;
+    default:
+      return side.file
+        ? { definitions: side.file.definitions, name: side.file.name, ...vhost }
+        : null;
+  }
+};
+
+/**
+ * Picks one side of the diff: a cluster, a snapshot or a definitions file,
+ * and optionally one of its vhosts
+ */
+const DiffSide = ({
+  title,
+  side,
+  onChange,
+  clusters,
+  snapshots,
+  vhostNames,
+}) => {
+  const [fileError, setFileError] = useState(null);
+  const update = (changes) => onChange({ ...side, ...changes });
+
+  // Read the file in the browser; returning false keeps Upload from posting it
+  const selectFile = (selected) => {
+    readJsonFile(selected)
+      .then((definitions) => {
+        setFileError(null);
+        update({ file: { name: selected.name, definitions } });
+      })
+      .catch((err) => {
+        setFileError(err.message);
+        update({ file: null });
+      });
+    return false;
+  };
+
+  return (
+    <Card title={title} size="small">
+      <Space direction="vertical" style={{ width: "100%" }}>
+        <Radio.Group
+          value={side.type}
+          onChange={(e) => update({ type: e.target.value })}
+          optionType="button"
+          options={[
+            { value: "cluster", label: "Cluster" },
+            { value: "snapshot", label: "Snapshot" },
+            { value: "file", label: "File" },
+          ]}
+        />
+
+        {side.type === "cluster" && (
+          <Select
+            value={side.cluster}
+            onChange={(cluster) => update({ cluster })}
+            placeholder="Select a cluster"
+            style={{ width: "100%" }}
+          >
+            {clusters.map((cluster) => (
+              <Option key={cluster.id} value={cluster.id}>
+                {cluster.name || cluster.id}
+              </Option>
+            ))}
+          </Select>
+        )}
+
+        {side.type === "snapshot" && (
+          <Select
+            value={side.snapshot}
+            onChange={(snapshot) => update({ snapshot })}
+            placeholder="Select a snapshot"
+            style={{ width: "100%" }}
+            notFoundContent={<Empty description="No snapshots" />}
+          >
+            {snapshots.map((snapshot) => (
+              <Option key={snapshot.id} value={snapshot.id}>
+                {snapshot.name}{" "}
+                <Text type="secondary">
+                  {snapshot.cluster}, {formatDate(snapshot.createdAt)}
+                </Text>
+              </Option>
+            ))}
+          </Select>
+        )}
+
+        {side.type === "file" && (
+          <Space>
+            <Upload
+              accept=".json,application/json"
+              beforeUpload={selectFile}
+              showUploadList={false}
+            >
+              <Button icon={<UploadOutlined />}>Choose File</Button>
+            </Upload>
+            {side.file && <Text>{side.file.name}</Text>}
+            {fileError && <Text type="danger">{fileError}</Text>}
+          </Space>
+        )}
+
+        <AutoComplete
+          value={side.vhost}
+          onChange={(vhost) => update({ vhost })}
+          options={vhostNames.map((vhost) => ({ value: vhost }))}
+          placeholder="All virtual hosts"
+          allowClear
+          style={{ width: "100%" }}
+        />
+      </Space>
+    </Card>
+  );
+};
+
+/**
+ * Side-by-side diff of the topology of two clusters, snapshots or
+ * definitions files, e.g. to find what staging has and production lacks
+ */
+const TopologyDiff = () => {
+  const { clusters, clusterId, cluster } = useCluster();
+  const { vhostNames } = useVhost();
+  const { can } = useAuth();
+  const [left, setLeft] = useState({ type: "cluster", cluster: clusterId });
+  const [right, setRight] = useState({ type: "snapshot" });
+  const [result, setResult] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotsLoading, setSnapshotsLoading] = useState(true);
+  const [snapshotOpen, setSnapshotOpen] = useState(false);
+  const [snapshotName, setSnapshotName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const fetchSnapshots = useCallback(async () => {
+    setSnapshotsLoading(true);
+    try {
+      const response = await api.getSnapshots();
+      setSnapshots(response.data.snapshots);
+    } catch (err) {
+      console.error("Error fetching snapshots:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setSnapshotsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  // The clusters load after the first render
+  useEffect(() => {
+    setLeft((side) => (side.cluster ? side : { ...side, cluster: clusterId }));
+  }, [clusterId]);
+
+  const leftRequest = toRequestSide(left);
+  const rightRequest = toRequestSide(right);
+
+  const compare = async () => {
+    setComparing(true);
+    setError(null);
+    try {
+      const response = await api.diffTopology(leftRequest, rightRequest);
+      setResult(response.data);
+    } catch (err) {
+      console.error("Error comparing topologies:", err);
+      setResult(null);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const swap = () => {
+    setLeft(right);
+    setRight(left);
+    setResult(null);
+  };
+
+  const openSnapshot = () => {
+    const date = new Date().toISOString().slice(0, 16).replace("T", " ");
+    setSnapshotName(
+      `${cluster ? cluster.name || cluster.id : "cluster"} ${date}`
+    );
+    setSnapshotOpen(true);
+  };
+
+  const createSnapshot = async () => {
+    setSaving(true);
+    try {
+      await api.createSnapshot(snapshotName);
+      notification.success({
+        message: "Snapshot Taken",
+        description: `The definitions of ${
+          cluster ? cluster.name || cluster.id : "the cluster"
+        } were stored as "${snapshotName}"`,
+      });
+      setSnapshotOpen(false);
+      fetchSnapshots();
+    } catch (err) {
+      console.error("Error taking snapshot:", err);
+      notification.error({
+        message: "Snapshot Failed",
+        description: api.handleRequestError(err).message,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const downloadSnapshot = async (snapshot) => {
+    try {
+      const response = await api.getSnapshot(snapshot.id);
+      const filename = snapshot.name.replace(/[^\w.-]+/g, "_");
+      downloadJson(response.data.definitions, `${filename}.json`);
+    } catch (err) {
+      console.error("Error downloading snapshot:", err);
+      notification.error({
+        message: "Download Failed",
+        description: api.handleRequestError(err).message,
+      });
+    }
+  };
+
+  const deleteSnapshot = async (snapshot) => {
+    try {
+      await api.deleteSnapshot(snapshot.id);
+      notification.success({
+        message: "Snapshot Deleted",
+        description: `"${snapshot.name}" was deleted`,
+      });
+      fetchSnapshots();
+    } catch (err) {
+      console.error("Error deleting snapshot:", err);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(err).message,
+      });
+    }
+  };
+
+  const renderFields = (fields) => (
+    <Space direction="vertical" size={0}>
+      {fields.map(([field, value]) => (
+        <Text key={field} style={{ fontSize: 12 }}>
+          <Text type="secondary">{field}:</Text> {formatValue(value)}
+        </Text>
+      ))}
+    </Space>
+  );
+
+  const renderItem = (item) =>
+    renderFields(
+      Object.entries(item).filter(
+        ([, value]) =>
+          !(value && typeof value === "object" && !Object.keys(value).length)
+      )
+    );
+
+  const missing = <Text type="secondary">missing</Text>;
+
+  const sideTitle = (description) =>
+    description
+      ? `${description.label}${
+          description.vhost ? ` (vhost ${description.vhost})` : ""
+        }`
+      : "";
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      width: "30%",
+      render: (name, row) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{name}</Text>
+          {row.status === "added" && <Tag color="green">only on the right</Tag>}
+          {row.status === "removed" && <Tag color="red">only on the left</Tag>}
+          {row.status === "changed" && <Tag color="orange">different</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: result && sideTitle(result.left),
+      key: "left",
+      render: (_, row) => {
+        if (row.status === "added") {
+          return missing;
+        }
+        if (row.status === "removed") {
+          return renderItem(row.item);
+        }
+        return renderFields(row.fields.map((f) => [f.field, f.before]));
+      },
+    },
+    {
+      title: result && sideTitle(result.right),
+      key: "right",
+      render: (_, row) => {
+        if (row.status === "removed") {
+          return missing;
+        }
+        if (row.status === "added") {
+          return renderItem(row.item);
+        }
+        return renderFields(row.fields.map((f) => [f.field, f.after]));
+      },
+    },
+  ];
+
+  const kindRows = (kind) => [
+    ...kind.changed.map((change) => ({ ...change, status: "changed" })),
+    ...kind.removed.map((item) => ({ ...item, status: "removed" })),
+    ...kind.added.map((item) => ({ ...item, status: "added" })),
+  ];
+
+  const renderResult = () => {
+    const kinds = Object.entries(result.kinds).filter(
+      ([, kind]) =>
+        kind.added.length || kind.removed.length || kind.changed.length
+    );
+
+    return (
+      <Card
+        title="Differences"
+        extra={
+          <Space>
+            <Tag color="green">{result.totals.added} only on the right</Tag>
+            <Tag color="red">{result.totals.removed} only on the left</Tag>
+            <Tag color="orange">{result.totals.changed} different</Tag>
+            <Tag>{result.totals.unchanged} the same</Tag>
+          </Space>
+        }
+      >
+        {kinds.length === 0 ? (
+          <Empty description="Both sides have the same topology" />
+        ) : (
+          <Collapse
+            defaultActiveKey={kinds.map(([name]) => name)}
+            items={kinds.map(([name, kind]) => ({
+              key: name,
+              label: (
+                <Space>
+                  <Text strong>{KIND_LABELS[name] || name}</Text>
+                  {kind.added.length > 0 && (
+                    <Tag color="green">+{kind.added.length}</Tag>
+                  )}
+                  {kind.removed.length > 0 && (
+                    <Tag color="red">−{kind.removed.length}</Tag>
+                  )}
+                  {kind.changed.length > 0 && (
+                    <Tag color="orange">~{kind.changed.length}</Tag>
+                  )}
+                  <Text type="secondary">{kind.unchanged} the same</Text>
+                </Space>
+              ),
+              children: (
+                <Table
+                  columns={columns}
+                  dataSource={kindRows(kind)}
+                  rowKey={(row) => `${row.status}|${row.name}`}
+                  size="small"
+                  pagination={{ pageSize: 20, hideOnSinglePage: true }}
+                />
+              ),
+            }))}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  const snapshotColumns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (name) => <Text strong>{name}</Text>,
+    },
+    { title: "Cluster", dataIndex: "cluster", key: "cluster" },
+    {
+      title: "Taken",
+      dataIndex: "createdAt",
+      key: "createdAt",
+      render: (createdAt, snapshot) => (
+        <span>
+          {formatDate(createdAt)}
+          {snapshot.createdBy && (
+            <Text type="secondary"> by {snapshot.createdBy}</Text>
+          )}
+        </span>
+      ),
+    },
+    {
+      title: "Contents",
+      dataIndex: "counts",
+      key: "counts",
+      render: (counts = {}) => (
+        <Text type="secondary">
+          {["queues", "exchanges", "bindings", "policies"]
+            .map((kind) => `${counts[kind] || 0} ${kind}`)
+            .join(", ")}
+        </Text>
+      ),
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, snapshot) => (
+        <Space>
+          <Tooltip title="Download">
+            <Button
+              size="small"
+              icon={<DownloadOutlined />}
+              onClick={() => downloadSnapshot(snapshot)}
+            />
+          </Tooltip>
+          {can("definitions") && (
+            <Tooltip title="Delete">
+              <Popconfirm
+                title="Delete snapshot"
+                description={`Delete "${snapshot.name}"?`}
+                onConfirm={() => deleteSnapshot(snapshot)}
+                okText="Delete"
+                okButtonProps={{ danger: true }}
+                cancelText="Cancel"
+                icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+              >
+                <Button danger size="small" icon={<DeleteOutlined />} />
+              </Popconfirm>
+            </Tooltip>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Topology Diff</h2>
+        <Space>
+          <Button icon={<SwapOutlined />} onClick={swap}>
+            Swap Sides
+          </Button>
+          <Button
+            type="primary"
+            icon={<DiffOutlined />}
+            onClick={compare}
+            loading={comparing}
+            disabled={!leftRequest || !rightRequest}
+          >
+            Compare
+          </Button>
+        </Space>
+      </div>
+
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col xs={24} md={12}>
+          <DiffSide
+            title="Left"
+            side={left}
+            onChange={setLeft}
+            clusters={clusters}
+            snapshots={snapshots}
+            vhostNames={vhostNames}
+          />
+        </Col>
+        <Col xs={24} md={12}>
+          <DiffSide
+            title="Right"
+            side={right}
+            onChange={setRight}
+            clusters={clusters}
+            snapshots={snapshots}
+            vhostNames={vhostNames}
+          />
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          onClose={() => setError(null)}
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      {result && <div style={{ marginBottom: 16 }}>{renderResult()}</div>}
+
+      <Card
+        title="Snapshots"
+        extra={
+          <Space>
+            {can("definitions") && (
+              <Button icon={<CameraOutlined />} onClick={openSnapshot}>
+                Take Snapshot
+              </Button>
+            )}
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={fetchSnapshots}
+              loading={snapshotsLoading}
+            />
+          </Space>
+        }
+      >
+        <Table
+          columns={snapshotColumns}
+          dataSource={snapshots}
+          rowKey="id"
+          size="small"
+          loading={snapshotsLoading}
+          locale={{
+            emptyText: (
+              <Empty description="No snapshots. Take one to compare a cluster with how it was before." />
+            ),
+          }}
+        />
+      </Card>
+
+      <Modal
+        title="Take Snapshot"
+        open={snapshotOpen}
+        onCancel={() => setSnapshotOpen(false)}
+        onOk={createSnapshot}
+        okText="Take Snapshot"
+        okButtonProps={{ disabled: !snapshotName.trim() }}
+        confirmLoading={saving}
+      >
+        <p>
+          Store the current definitions of{" "}
+          <Text strong>
+            {cluster ? cluster.name || cluster.id : "the cluster"}
+          </Text>{" "}
+          to compare against later.
+        </p>
+        <Input
+          value={snapshotName}
+          onChange={(e) => setSnapshotName(e.target.value)}
+          placeholder="Snapshot name"
+          onPressEnter={createSnapshot}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default TopologyDiff;
@@ -0,0 +1,579 @@
+// src/components/TopologyGraph.jsx
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  Button,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Select,
+  AutoComplete,
+  Input,
+  Checkbox,
+  Descriptions,
+  Empty,
+  Spin,
+  Tooltip,
+  theme,
+} from "antd";
+import {
+  ReloadOutlined,
+  ZoomInOutlined,
+  ZoomOutOutlined,
+  SearchOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useVhost } from "../context/useVhost";
+import { getExchangeTypeColor, truncateText } from "../utils/formatters";
+import {
+  NODE_WIDTH,
+  NODE_HEIGHT,
+  buildTopologyGraph,
+  describeBindings,
+  tracePaths,
+} from "../utils/topologyGraph";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+// Queues with at least this many messages are drawn as deep
+const DEEP_QUEUE = 1000;
+
+const ZOOM_LEVELS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const formatCount = (value) => Number(value || 0).toLocaleString();
+
+/**
+ * Exchanges and queues of a vhost as a graph, with bindings as labelled
+ * edges. Selecting an exchange highlights where its messages go, optionally
+ * only for a routing key; selecting a queue highlights what feeds it.
+ */
+const TopologyGraph = () => {
+  const { token } = theme.useToken();
+  const { vhost: selectedVhost, vhostNames } = useVhost();
+  const [vhost, setVhost] = useState(selectedVhost || "/");
+  const [topology, setTopology] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [showSystem, setShowSystem] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [routingKey, setRoutingKey] = useState("");
+  const [search, setSearch] = useState("");
+  const [zoom, setZoom] = useState(1);
+  const containerRef = useRef(null);
+
+  // Follow the vhost picked in the header
+  useEffect(() => {
+    if (selectedVhost) {
+      setVhost(selectedVhost);
+    }
+  }, [selectedVhost]);
+
+  const fetchTopology = useCallback(async () => {
+    try {
+      const [exchanges, queues, bindings] = await Promise.all([
+        api.getExchanges({ vhost }),
+        api.getQueues({ vhost }),
+        api.getBindings({ vhost }),
+      ]);
+      setTopology({
+        exchanges: exchanges.data,
+        queues: queues.data,
+        bindings: bindings.data,
+      });
+      setLastUpdated(new Date());
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching topology:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [vhost]);
+
+  // Queue depths and consumers change all the time
+  useEffect(() => {
+    setLoading(true);
+    setSelectedId(null);
+    fetchTopology();
+    const intervalId = setInterval(fetchTopology, 15000);
+    return () => clearInterval(intervalId);
+  }, [fetchTopology]);
+
+  const graph = useMemo(
+    () => (topology ? buildTopologyGraph(topology, { showSystem }) : null),
+    [topology, showSystem]
+  );
+
+  // Forget a selection that is not drawn any more
+  const selected =
+    graph && selectedId && graph.nodes.has(selectedId)
+      ? graph.nodes.get(selectedId)
+      : null;
+
+  const trace = useMemo(
+    () =>
+      graph && selected
+        ? tracePaths(
+            graph,
+            selected.id,
+            selected.kind === "exchange" ? routingKey : undefined
+          )
+        : null,
+    [graph, selected, routingKey]
+  );
+
+  const select = (id) => {
+    setSelectedId(id === selectedId ? null : id);
+    setRoutingKey("");
+  };
+
+  // Select a node found by search and scroll it into the middle of the view
+  const focus = (id) => {
+    const node = graph && graph.nodes.get(id);
+    if (!node) {
+      return;
+    }
+    setSelectedId(id);
+    setRoutingKey("");
+    setSearch("");
+
+    const container = containerRef.current;
+    if (container) {
+      container.scrollTo({
+        left: (node.x + NODE_WIDTH / 2) * zoom - container.clientWidth / 2,
+        top: (node.y + NODE_HEIGHT / 2) * zoom - container.clientHeight / 2,
+        behavior: "smooth",
+      });
+    }
+  };
+
+  const searchOptions = useMemo(() => {
+    if (!graph || !search) {
+      return [];
+    }
+    const text = search.toLowerCase();
+    return Array.from(graph.nodes.values())
+      .filter((node) => node.name.toLowerCase().includes(text))
+      .slice(0, 20)
+      .map((node) => ({
+        value: node.id,
+        label: (
+          <Space>
+            <Tag color={node.kind === "exchange" ? "blue" : "green"}>
+              {node.kind}
+            </Tag>
+            {node.name}
+          </Space>
+        ),
+      }));
+  }, [graph, search]);
+
+  const changeZoom = (step) => {
+    const index = ZOOM_LEVELS.indexOf(zoom) + step;
+    if (index >= 0 && index < ZOOM_LEVELS.length) {
+      setZoom(ZOOM_LEVELS[index]);
+    }
+  };
+
+  const isDimmed = (id) => trace !== null && !trace.nodes.has(id);
+
+  // Queues: fill by depth, solid border with consumers, dashed without
+  const getNodeStyle = (node) => {
+    if (node.kind === "exchange") {
+      return { fill: token.colorPrimaryBg, stroke: token.colorPrimary };
+    }
+    const messages = node.data.messages || 0;
+    const consumers = node.data.consumers || 0;
+    return {
+      fill:
+        messages === 0
+          ? token.colorSuccessBg
+          : messages < DEEP_QUEUE
+            ? token.colorWarningBg
+            : token.colorErrorBg,
+      stroke: consumers > 0 ? token.colorSuccess : token.colorError,
+      strokeDasharray: consumers > 0 ? undefined : "4 3",
+    };
+  };
+
+  const describeNode = (node) =>
+    node.kind === "exchange"
+      ? node.data.type
+      : `${formatCount(node.data.messages)} msgs · ${formatCount(
+          node.data.consumers
+        )} consumers`;
+
+  const renderEdge = (edge) => {
+    const source = graph.nodes.get(edge.source);
+    const target = graph.nodes.get(edge.target);
+    const x1 = source.x + NODE_WIDTH;
+    const y1 = source.y + NODE_HEIGHT / 2;
+    const x2 = target.x;
+    const y2 = target.y + NODE_HEIGHT / 2;
+    const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+    const highlighted = trace !== null && trace.edges.has(edge.id);
+    const dimmed = trace !== null && !highlighted;
+    const label = describeBindings(source.data.type, edge.bindings);
+
+    return (
+      <g key={edge.id} opacity={dimmed ? 0.15 : 1}>
+        <title>
+          {`${source.name} → ${target.name}\n${edge.bindings
+            .map(
+              (binding) =>
+                `${binding.routing_key || "(empty)"}${
+                  binding.arguments && Object.keys(binding.arguments).length
+                    ? ` ${JSON.stringify(binding.arguments)}`
+                    : ""
+                }`
+            )
+            .join("\n")}`}
+        </title>
+        <path
+          d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+          fill="none"
+          stroke={highlighted ? token.colorPrimary : token.colorBorder}
+          strokeWidth={highlighted ? 2 : 1.2}
+          markerEnd={highlighted ? "url(#arrow-highlighted)" : "url(#arrow)"}
+        />
+        {label && (
+          <text
+            x={(x1 + x2) / 2}
+            y={(y1 + y2) / 2 - 4}
+            textAnchor="middle"
+            fontSize="11"
+            fill={highlighted ? token.colorPrimary : token.colorTextSecondary}
+            stroke={token.colorBgContainer}
+            strokeWidth="3"
+            paintOrder="stroke"
+          >
+            {truncateText(label, 24)}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  const renderNode = (node) => {
+    const style = getNodeStyle(node);
+    const isSelected = selected !== null && node.id === selected.id;
+
+    return (
+      <g
+        key={node.id}
+        transform={`translate(${node.x}, ${node.y})`}
+        opacity={isDimmed(node.id) ? 0.25 : 1}
+        style={{ cursor: "pointer" }}
+        onClick={(event) => {
+          event.stopPropagation();
+          select(node.id);
+        }}
+      >
+        <title>{`${node.kind} ${node.name}\n${describeNode(node)}`}</title>
+        <rect
+          width={NODE_WIDTH}
+          height={NODE_HEIGHT}
+          rx={node.kind === "exchange" ? 4 : 12}
+          fill={style.fill}
+          stroke={isSelected ? token.colorPrimary : style.stroke}
+          strokeWidth={isSelected ? 3 : 1.5}
+          strokeDasharray={isSelected ? undefined : style.strokeDasharray}
+        />
+        <text
+          x={10}
+          y={18}
+          fontSize="12"
+          fontWeight="600"
+          fill={token.colorText}
+        >
+          {truncateText(node.name, 24)}
+        </text>
+        <text x={10} y={34} fontSize="11" fill={token.colorTextSecondary}>
+          {describeNode(node)}
+        </text>
+      </g>
+    );
+  };
+
+  const renderDetails = () => {
+    const outgoing = graph.edges.filter((edge) => edge.source === selected.id);
+    const incoming = graph.edges.filter((edge) => edge.target === selected.id);
+    const reached = Array.from(trace.nodes)
+      .filter((id) => id !== selected.id)
+      .map((id) => graph.nodes.get(id));
+    const reachedQueues = reached.filter((node) => node.kind === "queue");
+    const reachedExchanges = reached.filter((node) => node.kind === "exchange");
+
+    return (
+      <Card
+        title={
+          <Space>
+            <Tag color={selected.kind === "exchange" ? "blue" : "green"}>
+              {selected.kind}
+            </Tag>
+            {selected.name}
+          </Space>
+        }
+        extra={<Button onClick={() => select(selected.id)}>Close</Button>}
+        style={{ marginTop: 16 }}
+      >
+        <Descriptions size="small" column={3}>
+          {selected.kind === "exchange" ? (
+            <>
+              <Descriptions.Item label="Type">
+                <Tag color={getExchangeTypeColor(selected.data.type)}>
+                  {selected.data.type}
+                </Tag>
+              </Descriptions.Item>
+              <Descriptions.Item label="Bindings from it">
+                {outgoing.reduce((n, edge) => n + edge.bindings.length, 0)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Bindings to it">
+                {incoming.reduce((n, edge) => n + edge.bindings.length, 0)}
+              </Descriptions.Item>
+            </>
+          ) : (
+            <>
+              <Descriptions.Item label="Messages">
+                {formatCount(selected.data.messages)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Consumers">
+                {formatCount(selected.data.consumers)}
+              </Descriptions.Item>
+              <Descriptions.Item label="Bindings to it">
+                {incoming.reduce((n, edge) => n + edge.bindings.length, 0)}
+              </Descriptions.Item>
+            </>
+          )}
+        </Descriptions>
+
+        <div style={{ marginTop: 8 }}>
+          <Text type="secondary">
+            {selected.kind === "exchange"
+              ? `${
+                  routingKey
+                    ? `Messages with routing key "${routingKey}"`
+                    : "Messages"
+                } reach ${reachedQueues.length} queues${
+                  reachedExchanges.length > 0
+                    ? ` through ${reachedExchanges.length} other exchanges`
+                    : ""
+                }`
+              : `Messages reach it through ${reachedExchanges.length} exchanges`}
+          </Text>{" "}
+          <Space size={[0, 4]} wrap>
+            {(selected.kind === "exchange"
+              ? reachedQueues
+              : reachedExchanges
+            ).map((node) => (
+              <Tag
+                key={node.id}
+                style={{ cursor: "pointer" }}
+                onClick={() => focus(node.id)}
+              >
+                {node.name}
+              </Tag>
+            ))}
+          </Space>
+        </div>
+      </Card>
+    );
+  };
+
+  const counts = graph
+    ? {
+        exchanges: Array.from(graph.nodes.values()).filter(
+          (node) => node.kind === "exchange"
+        ).length,
+        queues: Array.from(graph.nodes.values()).filter(
+          (node) => node.kind === "queue"
+        ).length,
+        bindings: graph.edges.reduce(
+          (total, edge) => total + edge.bindings.length,
+          0
+        ),
+      }
+    : null;
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Topology Graph</h2>
+        <Space>
+          {lastUpdated && (
+            <Text type="secondary">
+              Updated {lastUpdated.toLocaleTimeString()}
+            </Text>
+          )}
+          <Select value={vhost} onChange={setVhost} style={{ width: 200 }}>
+            {vhostNames.map((vhostName) => (
+              <Option key={vhostName} value={vhostName}>
+                Virtual host {vhostName}
+              </Option>
+            ))}
+          </Select>
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={fetchTopology}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card
+        title={
+          <Space wrap>
+            <AutoComplete
+              value={search}
+              options={searchOptions}
+              onSearch={setSearch}
+              onSelect={focus}
+              style={{ width: 260 }}
+            >
+              <Input
+                prefix={<SearchOutlined />}
+                placeholder="Find an exchange or queue"
+                allowClear
+              />
+            </AutoComplete>
+            <Tooltip title="Only follow the bindings a message with this routing key takes from the selected exchange. Headers exchanges are followed whatever the key.">
+              <Input
+                value={routingKey}
+                onChange={(e) => setRoutingKey(e.target.value)}
+                placeholder="Routing key to trace"
+                disabled={!selected || selected.kind !== "exchange"}
+                allowClear
+                style={{ width: 200 }}
+              />
+            </Tooltip>
+            <Checkbox
+              checked={showSystem}
+              onChange={(e) => setShowSystem(e.target.checked)}
+            >
+              amq.* exchanges and queues
+            </Checkbox>
+          </Space>
+        }
+        extra={
+          <Space>
+            {counts && (
+              <Text type="secondary">
+                {counts.exchanges} exchanges · {counts.queues} queues ·{" "}
+                {counts.bindings} bindings
+              </Text>
+            )}
+            <Button
+              icon={<ZoomOutOutlined />}
+              onClick={() => changeZoom(-1)}
+              disabled={zoom === ZOOM_LEVELS[0]}
+            />
+            <Button onClick={() => setZoom(1)}>
+              {Math.round(zoom * 100)}%
+            </Button>
+            <Button
+              icon={<ZoomInOutlined />}
+              onClick={() => changeZoom(1)}
+              disabled={zoom === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]}
+            />
+          </Space>
+        }
+        bodyStyle={{ padding: 0 }}
+      >
+        <Spin spinning={loading && !graph}>
+          <div
+            ref={containerRef}
+            style={{
+              height: "calc(100vh - 360px)",
+              minHeight: 360,
+              overflow: "auto",
+              background: token.colorBgLayout,
+            }}
+          >
+            {graph && graph.nodes.size === 0 ? (
+              <Empty
+                description={`No exchanges or queues in "${vhost}"`}
+                style={{ paddingTop: 80 }}
+              />
+            ) : (
+              graph && (
+                <svg
+                  width={graph.width * zoom}
+                  height={graph.height * zoom}
+                  viewBox={`0 0 ${graph.width} ${graph.height}`}
+                  onClick={() => setSelectedId(null)}
+                  style={{ display: "block" }}
+                >
+                  <defs>
+                    {[
+                      ["arrow", token.colorBorder],
+                      ["arrow-highlighted", token.colorPrimary],
+                    ].map(([id, color]) => (
+                      <marker
+                        key={id}
+                        id={id}
+                        viewBox="0 0 10 10"
+                        refX="10"
+                        refY="5"
+                        markerWidth="7"
+                        markerHeight="7"
+                        orient="auto"
+                      >
+                        <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                      </marker>
+                    ))}
+                  </defs>
+                  {graph.edges.map(renderEdge)}
+                  {Array.from(graph.nodes.values()).map(renderNode)}
+                </svg>
+              )
+            )}
+          </div>
+        </Spin>
+
+        <div style={{ padding: "8px 16px" }}>
+          <Space wrap size="large">
+            <Space size={4}>
+              <Tag color="blue">exchange</Tag>
+              <Text type="secondary">
+                Click to highlight where its messages go
+              </Text>
+            </Space>
+            <Space size={4}>
+              <Tag color="success">empty</Tag>
+              <Tag color="warning">messages</Tag>
+              <Tag color="error">{formatCount(DEEP_QUEUE)}+ messages</Tag>
+              <Text type="secondary">Queue depth</Text>
+            </Space>
+            <Text type="secondary">Dashed queue borders: no consumers</Text>
+          </Space>
+        </div>
+      </Card>
+
+      {selected && trace && renderDetails()}
+    </div>
+  );
+};
+
+export default TopologyGraph;
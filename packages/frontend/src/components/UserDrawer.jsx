@@ -0,0 +1,335 @@
+// src/components/UserDrawer.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Drawer,
+  Descriptions,
+  Table,
+  Button,
+  Space,
+  Tag,
+  Typography,
+  Divider,
+  Empty,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  Popconfirm,
+  Tooltip,
+  notification,
+} from "antd";
+import {
+  ReloadOutlined,
+  EditOutlined,
+  DeleteOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const USER_LIMITS = [
+  { name: "max-connections", label: "Max connections" },
+  { name: "max-channels", label: "Max channels" },
+];
+
+/**
+ * A broker user's permissions per virtual host, topic permissions and
+ * connection and channel limits
+ */
+const UserDrawer = ({
+  name,
+  reloadKey,
+  onClose,
+  onEditPermissions,
+  onChanged,
+}) => {
+  const [topicForm] = Form.useForm();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [limitValues, setLimitValues] = useState({});
+  const { can } = useAuth();
+  const { vhostNames } = useVhost();
+  const canManage = can("users");
+
+  const fetchUser = useCallback(async () => {
+    if (!name) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.getUser(name);
+      setUser(response.data);
+      setLimitValues(response.data.limits || {});
+    } catch (err) {
+      console.error("Error fetching user:", err);
+      notification.error({
+        message: "Error",
+        description: `Failed to fetch user "${name}": ${
+          api.handleRequestError(err).message
+        }`,
+      });
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  }, [name, onClose]);
+
+  // Reloaded when reloadKey changes, e.g. once permissions are edited
+  useEffect(() => {
+    setUser((current) => (current && current.name === name ? current : null));
+    fetchUser();
+  }, [name, fetchUser, reloadKey]);
+
+  // Run a change, then reload the user and tell the page
+  const apply = async (change, successMessage) => {
+    try {
+      await change();
+      notification.success({ message: successMessage });
+      fetchUser();
+      onChanged();
+      return true;
+    } catch (err) {
+      console.error("Error updating user:", err);
+      notification.error({
+        message: "Update Failed",
+        description: api.handleRequestError(err).message,
+      });
+      return false;
+    }
+  };
+
+  const addTopicPermission = (values) =>
+    apply(
+      () =>
+        api.setTopicPermissions(values.vhost, name, {
+          exchange: values.exchange,
+          write: values.write || "",
+          read: values.read || "",
+        }),
+      "Topic permissions set"
+    ).then((applied) => applied && topicForm.resetFields());
+
+  const permissionColumns = [
+    { title: "Virtual host", dataIndex: "vhost", key: "vhost" },
+    ...["configure", "write", "read"].map((field) => ({
+      title: field.charAt(0).toUpperCase() + field.slice(1),
+      dataIndex: field,
+      key: field,
+      render: (pattern) => <Text code>{pattern || "(empty)"}</Text>,
+    })),
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) =>
+        can("users", { vhost: record.vhost }) && (
+          <Tooltip title="Edit permissions">
+            <Button
+              size="small"
+              icon={<EditOutlined />}
+              onClick={() => onEditPermissions(name, record.vhost, record)}
+            />
+          </Tooltip>
+        ),
+    },
+  ];
+
+  const topicColumns = [
+    { title: "Virtual host", dataIndex: "vhost", key: "vhost" },
+    { title: "Exchange", dataIndex: "exchange", key: "exchange" },
+    {
+      title: "Write",
+      dataIndex: "write",
+      key: "write",
+      render: (pattern) => <Text code>{pattern || "(empty)"}</Text>,
+    },
+    {
+      title: "Read",
+      dataIndex: "read",
+      key: "read",
+      render: (pattern) => <Text code>{pattern || "(empty)"}</Text>,
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) =>
+        can("users", { vhost: record.vhost }) && (
+          <Popconfirm
+            title="Clear topic permissions"
+            description={`Clear every topic permission of "${name}" in "${record.vhost}"?`}
+            onConfirm={() =>
+              apply(
+                () => api.clearTopicPermissions(record.vhost, name),
+                "Topic permissions cleared"
+              )
+            }
+            okText="Clear"
+            okButtonProps={{ danger: true }}
+            cancelText="Cancel"
+          >
+            <Button danger size="small" icon={<DeleteOutlined />} />
+          </Popconfirm>
+        ),
+    },
+  ];
+
+  return (
+    <Drawer
+      title={name ? `User: ${name}` : "User"}
+      placement="right"
+      width={760}
+      open={Boolean(name)}
+      loading={loading && !user}
+      onClose={onClose}
+      extra={
+        user && (
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={fetchUser}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        )
+      }
+    >
+      {user && (
+        <>
+          <Descriptions bordered size="small" column={1}>
+            <Descriptions.Item label="Name">{user.name}</Descriptions.Item>
+            <Descriptions.Item label="Tags">
+              {(user.tags || []).length > 0 ? (
+                (Array.isArray(user.tags)
+                  ? user.tags
+                  : String(user.tags).split(",")
+                ).map((tag) => <Tag key={tag}>{tag}</Tag>)
+              ) : (
+                <Text type="secondary">none</Text>
+              )}
+            </Descriptions.Item>
+          </Descriptions>
+
+          <Divider orientation="left">Permissions</Divider>
+          <Table
+            columns={permissionColumns}
+            dataSource={user.permissions}
+            rowKey="vhost"
+            size="small"
+            pagination={false}
+            locale={{
+              emptyText: <Empty description="No access to any virtual host" />,
+            }}
+          />
+
+          <Divider orientation="left">Topic permissions</Divider>
+          <Table
+            columns={topicColumns}
+            dataSource={user.topic_permissions}
+            rowKey={(record) => `${record.vhost}|${record.exchange}`}
+            size="small"
+            pagination={false}
+            locale={{
+              emptyText: <Empty description="No topic permissions" />,
+            }}
+          />
+          {canManage && (
+            <Form
+              form={topicForm}
+              layout="inline"
+              onFinish={addTopicPermission}
+              style={{ marginTop: 12, rowGap: 8 }}
+            >
+              <Form.Item
+                name="vhost"
+                rules={[{ required: true, message: "Select a vhost" }]}
+              >
+                <Select placeholder="Virtual host" style={{ width: 140 }}>
+                  {vhostNames.map((vhost) => (
+                    <Option key={vhost} value={vhost}>
+                      {vhost}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item
+                name="exchange"
+                rules={[{ required: true, message: "Enter an exchange" }]}
+              >
+                <Input placeholder="Topic exchange" style={{ width: 140 }} />
+              </Form.Item>
+              <Form.Item name="write">
+                <Input placeholder="Write pattern" style={{ width: 120 }} />
+              </Form.Item>
+              <Form.Item name="read">
+                <Input placeholder="Read pattern" style={{ width: 120 }} />
+              </Form.Item>
+              <Form.Item>
+                <Button htmlType="submit">Set</Button>
+              </Form.Item>
+            </Form>
+          )}
+
+          <Divider orientation="left">Limits</Divider>
+          <Space direction="vertical" style={{ width: "100%" }}>
+            {USER_LIMITS.map((limit) => (
+              <Space key={limit.name}>
+                <Text style={{ display: "inline-block", width: 130 }}>
+                  {limit.label}
+                </Text>
+                <InputNumber
+                  min={-1}
+                  precision={0}
+                  placeholder="no limit"
+                  value={limitValues[limit.name]}
+                  disabled={!canManage}
+                  onChange={(value) =>
+                    setLimitValues({ ...limitValues, [limit.name]: value })
+                  }
+                />
+                {canManage && (
+                  <>
+                    <Button
+                      disabled={
+                        limitValues[limit.name] === undefined ||
+                        limitValues[limit.name] === null
+                      }
+                      onClick={() =>
+                        apply(
+                          () =>
+                            api.setUserLimit(
+                              name,
+                              limit.name,
+                              limitValues[limit.name]
+                            ),
+                          `${limit.label} set`
+                        )
+                      }
+                    >
+                      Set
+                    </Button>
+                    <Button
+                      disabled={user.limits[limit.name] === undefined}
+                      onClick={() =>
+                        apply(
+                          () => api.removeUserLimit(name, limit.name),
+                          `${limit.label} removed`
+                        )
+                      }
+                    >
+                      Remove
+                    </Button>
+                  </>
+                )}
+              </Space>
+            ))}
+          </Space>
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default UserDrawer;
@@ -0,0 +1,512 @@
+// src/components/Users.jsx
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Tooltip,
+  Empty,
+  Modal,
+  Form,
+  Select,
+  Popconfirm,
+  Tabs,
+  notification,
+} from "antd";
+import {
+  SearchOutlined,
+  ReloadOutlined,
+  PlusOutlined,
+  EditOutlined,
+  EyeOutlined,
+  DeleteOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
+import PermissionModal from "./PermissionModal";
+import UserDrawer from "./UserDrawer";
+
+const { Text } = Typography;
+
+// Tags RabbitMQ gives a meaning to; any other tag can be typed in
+const USER_TAGS = [
+  "administrator",
+  "monitoring",
+  "policymaker",
+  "management",
+  "impersonator",
+];
+
+const TAG_COLORS = {
+  administrator: "red",
+  monitoring: "blue",
+  policymaker: "purple",
+  management: "green",
+  impersonator: "orange",
+};
+
+// Older brokers return tags as a comma separated string
+const getTags = (user) =>
+  Array.isArray(user.tags)
+    ? user.tags
+    : String(user.tags || "")
+        .split(",")
+        .filter(Boolean);
+
+/**
+ * Broker users with their tags and limits, and a user × virtual host matrix
+ * of their permissions
+ */
+const Users = () => {
+  const [form] = Form.useForm();
+  const [users, setUsers] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [limits, setLimits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [permissionTarget, setPermissionTarget] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [drawerReloadKey, setDrawerReloadKey] = useState(0);
+  const { can } = useAuth();
+  const { vhost: selectedVhost, vhostNames } = useVhost();
+  const canManage = can("users");
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const [usersResponse, permissionsResponse, limitsResponse] =
+        await Promise.all([
+          api.getUsers(),
+          api.getPermissions(),
+          api.getUserLimits(),
+        ]);
+      setUsers(usersResponse.data);
+      setPermissions(permissionsResponse.data);
+      setLimits(limitsResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchUsers();
+  };
+
+  const closeDrawer = useCallback(() => setSelectedName(null), []);
+
+  // editing is {} for a new user
+  const openUserModal = (user) => {
+    setSaveError(null);
+    setEditing(user || {});
+  };
+
+  const closeUserModal = () => {
+    form.resetFields();
+    setEditing(null);
+  };
+
+  const saveUser = async (values) => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await api.saveUser(values.name, {
+        tags: values.tags,
+        password: values.password,
+      });
+      notification.success({
+        message: "User Saved",
+        description: `User "${values.name}" was saved`,
+      });
+      closeUserModal();
+      fetchUsers();
+    } catch (err) {
+      console.error("Error saving user:", err);
+      setSaveError(api.handleRequestError(err).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteUser = async (name) => {
+    try {
+      await api.deleteUser(name);
+      notification.success({
+        message: "User Deleted",
+        description: `User "${name}" was deleted`,
+      });
+      fetchUsers();
+    } catch (err) {
+      console.error("Error deleting user:", err);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(err).message,
+      });
+    }
+  };
+
+  const editPermissions = (user, vhost, current) =>
+    setPermissionTarget({ user, vhost, permissions: current || null });
+
+  const permissionsSaved = () => {
+    setPermissionTarget(null);
+    setDrawerReloadKey((key) => key + 1);
+    fetchUsers();
+  };
+
+  const getPermission = (user, vhost) =>
+    permissions.find(
+      (permission) => permission.user === user && permission.vhost === vhost
+    );
+
+  const getLimits = (user) =>
+    (limits.find((limit) => limit.user === user) || {}).value || {};
+
+  const filteredUsers = users.filter((user) =>
+    user.name.toLowerCase().includes(searchText.toLowerCase())
+  );
+
+  // The matrix follows the vhost selected in the header
+  const matrixVhosts = selectedVhost ? [selectedVhost] : vhostNames;
+
+  const userColumns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (name) => (
+        <Button
+          type="link"
+          style={{ padding: 0, height: "auto" }}
+          onClick={() => setSelectedName(name)}
+        >
+          {name}
+        </Button>
+      ),
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "Tags",
+      key: "tags",
+      render: (_, user) => (
+        <Space size={[0, 4]} wrap>
+          {getTags(user).map((tag) => (
+            <Tag key={tag} color={TAG_COLORS[tag]}>
+              {tag}
+            </Tag>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: "Virtual hosts",
+      key: "vhosts",
+      render: (_, user) => {
+        const vhosts = permissions
+          .filter((permission) => permission.user === user.name)
+          .map((permission) => permission.vhost);
+        return vhosts.length > 0 ? (
+          vhosts.join(", ")
+        ) : (
+          <Text type="secondary">no access</Text>
+        );
+      },
+    },
+    {
+      title: "Limits",
+      key: "limits",
+      render: (_, user) => {
+        const userLimits = Object.entries(getLimits(user.name));
+        return userLimits.length > 0 ? (
+          <Space size={[0, 4]} wrap>
+            {userLimits.map(([name, value]) => (
+              <Tag key={name}>
+                {name}: {value}
+              </Tag>
+            ))}
+          </Space>
+        ) : (
+          <Text type="secondary">none</Text>
+        );
+      },
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, user) => (
+        <Space>
+          <Tooltip title="Permissions and limits">
+            <Button
+              size="small"
+              icon={<EyeOutlined />}
+              onClick={() => setSelectedName(user.name)}
+            />
+          </Tooltip>
+          {canManage && (
+            <Tooltip title="Edit tags and password">
+              <Button
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => openUserModal(user)}
+              />
+            </Tooltip>
+          )}
+          {canManage && (
+            <Tooltip title="Delete User">
+              <Popconfirm
+                title="Delete user"
+                description={`Delete "${user.name}"? Open connections of the user stay open until they reconnect.`}
+                onConfirm={() => deleteUser(user.name)}
+                okText="Delete"
+                okButtonProps={{ danger: true }}
+                cancelText="Cancel"
+                icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+              >
+                <Button danger size="small" icon={<DeleteOutlined />} />
+              </Popconfirm>
+            </Tooltip>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  const matrixColumns = [
+    {
+      title: "User",
+      dataIndex: "name",
+      key: "name",
+      fixed: "left",
+      render: (name) => <Text strong>{name}</Text>,
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    ...matrixVhosts.map((vhost) => ({
+      title: vhost,
+      key: vhost,
+      render: (_, user) => {
+        const permission = getPermission(user.name, vhost);
+        const editable = can("users", { vhost });
+        const content = permission ? (
+          <Space direction="vertical" size={0} style={{ textAlign: "left" }}>
+            <Text code>c: {permission.configure || "(empty)"}</Text>
+            <Text code>w: {permission.write || "(empty)"}</Text>
+            <Text code>r: {permission.read || "(empty)"}</Text>
+          </Space>
+        ) : (
+          <Text type="secondary">no access</Text>
+        );
+
+        return editable ? (
+          <Button
+            type="text"
+            style={{ height: "auto", padding: 4 }}
+            onClick={() => editPermissions(user.name, vhost, permission)}
+          >
+            {content}
+          </Button>
+        ) : (
+          content
+        );
+      },
+    })),
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Users</h2>
+        <Space>
+          {canManage && (
+            <Button icon={<PlusOutlined />} onClick={() => openUserModal(null)}>
+              New User
+            </Button>
+          )}
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      {error && (
+        <Alert
+          message="Error"
+          description={error}
+          type="error"
+          showIcon
+          closable
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      <Card>
+        <div style={{ marginBottom: 16 }}>
+          <Input
+            placeholder="Search users"
+            prefix={<SearchOutlined />}
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            style={{ width: 300 }}
+            allowClear
+          />
+        </div>
+
+        <Tabs
+          items={[
+            {
+              key: "users",
+              label: `Users (${filteredUsers.length})`,
+              children: (
+                <Table
+                  columns={userColumns}
+                  dataSource={filteredUsers}
+                  rowKey="name"
+                  loading={loading}
+                  size="middle"
+                  locale={{
+                    emptyText: <Empty description="No users" />,
+                  }}
+                />
+              ),
+            },
+            {
+              key: "matrix",
+              label: "Permissions matrix",
+              children: (
+                <Table
+                  columns={matrixColumns}
+                  dataSource={filteredUsers}
+                  rowKey="name"
+                  loading={loading}
+                  size="small"
+                  bordered
+                  scroll={{ x: true }}
+                  locale={{
+                    emptyText: <Empty description="No users" />,
+                  }}
+                />
+              ),
+            },
+          ]}
+        />
+      </Card>
+
+      <Modal
+        title={editing && editing.name ? `Edit ${editing.name}` : "New User"}
+        open={Boolean(editing)}
+        onCancel={closeUserModal}
+        onOk={() => form.submit()}
+        okText="Save"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        {saveError && (
+          <Alert
+            message="Failed to save user"
+            description={saveError}
+            type="error"
+            showIcon
+            closable
+            onClose={() => setSaveError(null)}
+            style={{ marginBottom: 16 }}
+          />
+        )}
+        <Form
+          form={form}
+          layout="vertical"
+          onFinish={saveUser}
+          initialValues={
+            editing && editing.name
+              ? { name: editing.name, tags: getTags(editing) }
+              : { tags: [] }
+          }
+        >
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[
+              { required: true, whitespace: true, message: "Enter a name" },
+            ]}
+          >
+            <Input
+              placeholder="e.g. orders-service"
+              disabled={Boolean(editing && editing.name)}
+            />
+          </Form.Item>
+          <Form.Item
+            name="password"
+            label="Password"
+            rules={[
+              {
+                required: !(editing && editing.name),
+                message: "Enter a password",
+              },
+            ]}
+            extra={
+              editing && editing.name
+                ? "Leave empty to keep the current password"
+                : undefined
+            }
+          >
+            <Input.Password autoComplete="new-password" />
+          </Form.Item>
+          <Form.Item name="tags" label="Tags">
+            <Select
+              mode="tags"
+              placeholder="No access to the management UI"
+              options={USER_TAGS.map((tag) => ({ value: tag, label: tag }))}
+            />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <PermissionModal
+        open={Boolean(permissionTarget)}
+        user={permissionTarget && permissionTarget.user}
+        vhost={permissionTarget && permissionTarget.vhost}
+        permissions={permissionTarget && permissionTarget.permissions}
+        onClose={() => setPermissionTarget(null)}
+        onSaved={permissionsSaved}
+      />
+
+      <UserDrawer
+        name={selectedName}
+        reloadKey={drawerReloadKey}
+        onClose={closeDrawer}
+        onEditPermissions={editPermissions}
+        onChanged={fetchUsers}
+      />
+    </div>
+  );
+};
+
+export default Users;
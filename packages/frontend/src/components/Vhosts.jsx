@@ -0,0 +1,323 @@
+// src/components/Vhosts.jsx
+import { useState } from "react";
+import {
+  Table,
+  Button,
+  Input,
+  Space,
+  Card,
+  Tag,
+  Typography,
+  Alert,
+  Tooltip,
+  Empty,
+  Modal,
+  Form,
+  Select,
+  Popconfirm,
+  notification,
+} from "antd";
+import {
+  ReloadOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  CheckOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import api from "../services/api";
+import { useAuth } from "../context/useAuth";
+import { useVhost } from "../context/useVhost";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const QUEUE_TYPES = ["classic", "quorum", "stream"];
+
+/**
+ * Virtual hosts of the cluster. One of them can be selected to limit the
+ * Queues, Exchanges, Bindings and Publish pages to it.
+ */
+const Vhosts = () => {
+  const [form] = Form.useForm();
+  const [loading, setLoading] = useState(false);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [deleteConfirmation, setDeleteConfirmation] = useState("");
+  const { can } = useAuth();
+  const {
+    vhosts,
+    vhost: selectedVhost,
+    selectVhost,
+    refreshVhosts,
+  } = useVhost();
+
+  const refresh = async () => {
+    setLoading(true);
+    await refreshVhosts();
+    setLoading(false);
+  };
+
+  const closeCreate = () => {
+    form.resetFields();
+    setError(null);
+    setCreateOpen(false);
+  };
+
+  const createVhost = async (values) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await api.createVhost(values.name, {
+        description: values.description,
+        tags: values.tags,
+        default_queue_type: values.default_queue_type,
+      });
+      notification.success({
+        message: "Virtual Host Created",
+        description: `Virtual host "${values.name}" was created`,
+      });
+      closeCreate();
+      refreshVhosts();
+    } catch (err) {
+      console.error("Error creating vhost:", err);
+      setError(api.handleRequestError(err).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const deleteVhost = async (name) => {
+    try {
+      await api.deleteVhost(name);
+      notification.success({
+        message: "Virtual Host Deleted",
+        description: `Virtual host "${name}" was deleted`,
+      });
+      if (selectedVhost === name) {
+        selectVhost(null);
+      }
+      refreshVhosts();
+    } catch (err) {
+      console.error("Error deleting vhost:", err);
+      notification.error({
+        message: "Delete Failed",
+        description: api.handleRequestError(err).message,
+      });
+    } finally {
+      setDeleteConfirmation("");
+    }
+  };
+
+  // Older brokers return tags as a comma separated string
+  const getTags = (record) =>
+    Array.isArray(record.tags)
+      ? record.tags
+      : String(record.tags || "")
+          .split(",")
+          .filter(Boolean);
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (name) => (
+        <Space>
+          <Text strong>{name}</Text>
+          {name === selectedVhost && <Tag color="blue">selected</Tag>}
+        </Space>
+      ),
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "Description",
+      dataIndex: "description",
+      key: "description",
+      render: (description) =>
+        description || <Text type="secondary">none</Text>,
+    },
+    {
+      title: "Tags",
+      key: "tags",
+      render: (_, record) => (
+        <Space size={[0, 4]} wrap>
+          {getTags(record).map((tag) => (
+            <Tag key={tag}>{tag}</Tag>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: "Default queue type",
+      key: "default_queue_type",
+      render: (_, record) =>
+        record.default_queue_type ||
+        record.metadata?.default_queue_type || (
+          <Text type="secondary">classic</Text>
+        ),
+    },
+    {
+      title: "Messages",
+      key: "messages",
+      render: (_, record) => (
+        <Space direction="vertical" size={0}>
+          <Text>{record.messages || 0}</Text>
+          <Text type="secondary" style={{ fontSize: "12px" }}>
+            {record.messages_ready || 0} ready,{" "}
+            {record.messages_unacknowledged || 0} unacked
+          </Text>
+        </Space>
+      ),
+      sorter: (a, b) => (a.messages || 0) - (b.messages || 0),
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) => (
+        <Space>
+          <Tooltip title="Show only this virtual host">
+            <Button
+              size="small"
+              icon={<CheckOutlined />}
+              disabled={record.name === selectedVhost}
+              onClick={() => selectVhost(record.name)}
+            />
+          </Tooltip>
+          {can("vhosts", { vhost: record.name }) && (
+            <Tooltip title="Delete Virtual Host">
+              <Popconfirm
+                title="Delete virtual host"
+                description={
+                  <Space direction="vertical" size={4}>
+                    <span>
+                      Every queue, exchange, binding and message in &quot;
+                      {record.name}&quot; is deleted. Type the name to confirm.
+                    </span>
+                    <Input
+                      value={deleteConfirmation}
+                      onChange={(e) => setDeleteConfirmation(e.target.value)}
+                      placeholder={record.name}
+                    />
+                  </Space>
+                }
+                onConfirm={() => deleteVhost(record.name)}
+                onOpenChange={() => setDeleteConfirmation("")}
+                okText="Delete"
+                okButtonProps={{
+                  danger: true,
+                  disabled: deleteConfirmation !== record.name,
+                }}
+                cancelText="Cancel"
+                icon={<ExclamationCircleOutlined style={{ color: "red" }} />}
+              >
+                <Button danger size="small" icon={<DeleteOutlined />} />
+              </Popconfirm>
+            </Tooltip>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div
+        style={{
+          marginBottom: 16,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <h2>Virtual Hosts</h2>
+        <Space>
+          {selectedVhost && (
+            <Button onClick={() => selectVhost(null)}>Show all vhosts</Button>
+          )}
+          {can("vhosts") && (
+            <Button icon={<PlusOutlined />} onClick={() => setCreateOpen(true)}>
+              New Virtual Host
+            </Button>
+          )}
+          <Button
+            type="primary"
+            icon={<ReloadOutlined />}
+            onClick={refresh}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={vhosts}
+          rowKey="name"
+          loading={loading}
+          size="middle"
+          pagination={false}
+          locale={{
+            emptyText: <Empty description="No virtual hosts" />,
+          }}
+        />
+      </Card>
+
+      <Modal
+        title="New Virtual Host"
+        open={createOpen}
+        onCancel={closeCreate}
+        onOk={() => form.submit()}
+        okText="Create"
+        confirmLoading={submitting}
+        destroyOnClose
+      >
+        {error && (
+          <Alert
+            message="Failed to create virtual host"
+            description={error}
+            type="error"
+            showIcon
+            closable
+            onClose={() => setError(null)}
+            style={{ marginBottom: 16 }}
+          />
+        )}
+        <Form form={form} layout="vertical" onFinish={createVhost}>
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[
+              { required: true, whitespace: true, message: "Enter a name" },
+            ]}
+          >
+            <Input placeholder="e.g. orders" />
+          </Form.Item>
+          <Form.Item name="description" label="Description">
+            <Input placeholder="What the virtual host is for" />
+          </Form.Item>
+          <Form.Item name="tags" label="Tags">
+            <Select mode="tags" placeholder="e.g. production" />
+          </Form.Item>
+          <Form.Item
+            name="default_queue_type"
+            label="Default queue type"
+            extra="Used for queues declared without x-queue-type"
+          >
+            <Select allowClear placeholder="classic">
+              {QUEUE_TYPES.map((type) => (
+                <Option key={type} value={type}>
+                  {type}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Vhosts;
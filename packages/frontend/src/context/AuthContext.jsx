@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from "react";
+import api from "../services/api";
+import { AuthContext } from "./useAuth";
+
+// Auth provider component
+export const AuthProvider = ({ children }) => {
+  const [loading, setLoading] = useState(true);
+  const [enabled, setEnabled] = useState(false);
+  const [user, setUser] = useState(null);
+  const [permissions, setPermissions] = useState(null);
+
+  // Find out whether authentication is enabled and who is logged in
+  useEffect(() => {
+    api
+      .getAuthStatus()
+      .then((response) => {
+        setEnabled(Boolean(response.data.enabled));
+        setUser(response.data.user || null);
+      })
+      .catch((error) => console.error("Error fetching auth status:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const authenticated = !enabled || Boolean(user);
+  const username = user ? user.username : null;
+
+  // Load the capabilities of the logged in user's role
+  useEffect(() => {
+    if (loading || !authenticated) {
+      setPermissions(null);
+      return;
+    }
+
+    api
+      .getCurrentUser()
+      .then((response) => setPermissions(response.data))
+      .catch((error) => {
+        console.error("Error fetching permissions:", error);
+        setPermissions({ role: null, capabilities: [], scope: null });
+      });
+  }, [loading, authenticated, username]);
+
+  // Go back to the login page when the session expires
+  useEffect(() => {
+    api.setUnauthorizedHandler(() => setUser(null));
+    return () => api.setUnauthorizedHandler(null);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await api.login(username, password);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await api.logout();
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  // Whether the user may do something, optionally on a { vhost, queue }.
+  // Mirrors the backend check, which has the final say.
+  const can = useCallback(
+    (capability, resource = {}) => {
+      if (!permissions || !permissions.capabilities.includes(capability)) {
+        return false;
+      }
+      if (!permissions.scope) {
+        return true;
+      }
+
+      const { vhosts, queuePattern } = permissions.scope;
+      if (
+        vhosts &&
+        resource.vhost !== undefined &&
+        !vhosts.includes(resource.vhost)
+      ) {
+        return false;
+      }
+      if (
+        queuePattern &&
+        resource.queue !== undefined &&
+        !new RegExp(queuePattern).test(resource.queue)
+      ) {
+        return false;
+      }
+      return true;
+    },
+    [permissions]
+  );
+
+  // Provider value
+  const value = {
+    loading: loading || (authenticated && !permissions),
+    enabled,
+    user,
+    authenticated,
+    role: permissions ? permissions.role : null,
+    readOnly: Boolean(permissions && permissions.readOnly),
+    can,
+    login,
+    logout,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
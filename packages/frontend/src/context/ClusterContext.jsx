@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from "react";
+import api from "../services/api";
+import { ClusterContext } from "./useCluster";
+
+// Remembers the selected cluster across reloads
+const STORAGE_KEY = "rmq-board-cluster";
+
+// Cluster provider component
+export const ClusterProvider = ({ children }) => {
+  const [loading, setLoading] = useState(true);
+  const [clusters, setClusters] = useState([]);
+  const [clusterId, setClusterId] = useState(null);
+
+  // Load the clusters and restore the last selected one
+  useEffect(() => {
+    api
+      .getClusters()
+      .then((response) => {
+        const { clusters, defaultCluster } = response.data;
+        const stored = localStorage.getItem(STORAGE_KEY);
+        const id = clusters.some((cluster) => cluster.id === stored)
+          ? stored
+          : defaultCluster;
+
+        api.setCluster(id);
+        setClusters(clusters);
+        setClusterId(id);
+      })
+      .catch((error) => console.error("Error fetching clusters:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const selectCluster = useCallback((id) => {
+    localStorage.setItem(STORAGE_KEY, id);
+    api.setCluster(id);
+    setClusterId(id);
+  }, []);
+
+  // Provider value
+  const value = {
+    loading,
+    clusters,
+    clusterId,
+    cluster: clusters.find((cluster) => cluster.id === clusterId) || null,
+    selectCluster,
+  };
+
+  return (
+    <ClusterContext.Provider value={value}>{children}</ClusterContext.Provider>
+  );
+};
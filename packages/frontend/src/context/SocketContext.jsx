@@ -1,17 +1,31 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
 import { io } from "socket.io-client";
+import { useCluster } from "./useCluster";
+import { useVhost } from "./useVhost";
 
 // Create context
 const SocketContext = createContext(null);
 
 // Socket provider component
 export const SocketProvider = ({ children }) => {
+  const { clusterId } = useCluster();
+  const { vhost } = useVhost();
+  const vhostRef = useRef(vhost);
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState({
     http: false,
     amqp: false,
   });
+  const [alerts, setAlerts] = useState([]);
+  const [resolvedAlerts, setResolvedAlerts] = useState([]);
+  const [nodeAlarms, setNodeAlarms] = useState([]);
 
   // Initialize socket connection
   useEffect(() => {
@@ -26,6 +40,13 @@ export const SocketProvider = ({ children }) => {
       reconnectionDelay: 1000,
       autoConnect: true,
       transports: ["websocket", "polling"],
+      // The server only streams data of this cluster, and of the selected
+      // vhost, to the socket. Read again on every reconnect.
+      auth: (cb) =>
+        cb({
+          cluster: clusterId || undefined,
+          vhost: vhostRef.current || undefined,
+        }),
     });
 
     // Set socket instance
@@ -74,6 +95,17 @@ export const SocketProvider = ({ children }) => {
       }
     };
 
+    // Firing and recently resolved alerts of every cluster
+    const onAlerts = (data) => {
+      setAlerts((data && data.alerts) || []);
+      setResolvedAlerts((data && data.resolved) || []);
+    };
+
+    // Memory and disk alarms of the cluster's nodes
+    const onNodeAlarms = (data) => {
+      setNodeAlarms((data && data.alarms) || []);
+    };
+
     const onError = (error) => {
       console.error("Socket error:", error);
     };
@@ -83,6 +115,8 @@ export const SocketProvider = ({ children }) => {
     socketInstance.on("disconnect", onDisconnect);
     socketInstance.on("connection-status", onConnectionStatus);
     socketInstance.on("rabbitmq-data", onRabbitMQData);
+    socketInstance.on("alerts", onAlerts);
+    socketInstance.on("node-alarms", onNodeAlarms);
     socketInstance.on("error", onError);
     socketInstance.on("connect_error", (error) => {
       console.error("Connection error:", error);
@@ -95,12 +129,22 @@ export const SocketProvider = ({ children }) => {
         socketInstance.off("disconnect", onDisconnect);
         socketInstance.off("connection-status", onConnectionStatus);
         socketInstance.off("rabbitmq-data", onRabbitMQData);
+        socketInstance.off("alerts", onAlerts);
+        socketInstance.off("node-alarms", onNodeAlarms);
         socketInstance.off("error", onError);
         socketInstance.off("connect_error");
         socketInstance.disconnect();
       }
     };
-  }, []);
+  }, [clusterId]);
+
+  // Scope the socket's updates to the selected vhost
+  useEffect(() => {
+    vhostRef.current = vhost;
+    if (socket && socket.connected) {
+      socket.emit("select-vhost", vhost);
+    }
+  }, [socket, vhost]);
 
   // Function to request refreshed data
   const refreshData = (dataType = "all") => {
@@ -121,6 +165,9 @@ export const SocketProvider = ({ children }) => {
     socket,
     isConnected,
     connectionStatus,
+    alerts,
+    resolvedAlerts,
+    nodeAlarms,
     refreshData,
     refreshConnectionStatus,
   };
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from "react";
+import api from "../services/api";
+import { VhostContext } from "./useVhost";
+import { useCluster } from "./useCluster";
+
+// Remembers the selected vhost of each cluster across reloads
+const STORAGE_KEY = "rmq-board-vhost";
+
+// Vhost provider component, mounted once per cluster
+export const VhostProvider = ({ children }) => {
+  const { clusterId } = useCluster();
+  const storageKey = `${STORAGE_KEY}:${clusterId}`;
+  const [vhosts, setVhosts] = useState([]);
+  const [vhost, setVhost] = useState(
+    () => localStorage.getItem(storageKey) || null
+  );
+
+  const fetchVhosts = useCallback(async () => {
+    try {
+      const response = await api.getVhosts();
+      setVhosts(response.data);
+    } catch (error) {
+      console.error("Error fetching vhosts:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVhosts();
+  }, [fetchVhosts]);
+
+  // null selects every vhost
+  const selectVhost = useCallback(
+    (name) => {
+      if (name) {
+        localStorage.setItem(storageKey, name);
+      } else {
+        localStorage.removeItem(storageKey);
+      }
+      setVhost(name || null);
+    },
+    [storageKey]
+  );
+
+  // Forget a selected vhost that no longer exists
+  useEffect(() => {
+    if (vhost && vhosts.length > 0 && !vhosts.some((v) => v.name === vhost)) {
+      selectVhost(null);
+    }
+  }, [vhost, vhosts, selectVhost]);
+
+  // Provider value
+  const value = {
+    vhosts,
+    vhost,
+    vhostNames: vhosts.map((v) => v.name),
+    selectVhost,
+    refreshVhosts: fetchVhosts,
+  };
+
+  return (
+    <VhostContext.Provider value={value}>{children}</VhostContext.Provider>
+  );
+};
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+// Create context, provided by AuthProvider
+export const AuthContext = createContext(null);
+
+// Custom hook to use the auth context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+};
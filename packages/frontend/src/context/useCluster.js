@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+// Create context, provided by ClusterProvider
+export const ClusterContext = createContext(null);
+
+// Custom hook to use the cluster context
+export const useCluster = () => {
+  const context = useContext(ClusterContext);
+  if (!context) {
+    throw new Error("useCluster must be used within a ClusterProvider");
+  }
+  return context;
+};
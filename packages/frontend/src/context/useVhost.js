@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+// Create context, provided by VhostProvider
+export const VhostContext = createContext(null);
+
+// Custom hook to use the vhost context
+export const useVhost = () => {
+  const context = useContext(VhostContext);
+  if (!context) {
+    throw new Error("useVhost must be used within a VhostProvider");
+  }
+  return context;
+};
@@ -8,6 +8,10 @@ import {
   notification,
   Space,
   Alert,
+  Button,
+  Tag,
+  Tooltip,
+  Select,
 } from "antd";
 import { Outlet, useNavigate, useLocation } from "react-router-dom";
 import {
@@ -20,8 +24,29 @@ import {
   MenuUnfoldOutlined,
   GithubOutlined,
   InfoCircleOutlined,
+  RollbackOutlined,
+  AuditOutlined,
+  ApiOutlined,
+  PartitionOutlined,
+  LockOutlined,
+  UserOutlined,
+  LogoutOutlined,
+  BellOutlined,
+  ClusterOutlined,
+  DatabaseOutlined,
+  TeamOutlined,
+  SafetyOutlined,
+  FileTextOutlined,
+  DiffOutlined,
+  CloudUploadOutlined,
+  ApartmentOutlined,
 } from "@ant-design/icons";
 import { useSocket } from "../context/SocketContext";
+import { useAuth } from "../context/useAuth";
+import { useCluster } from "../context/useCluster";
+import { useVhost } from "../context/useVhost";
+import { getClusterColor, describeNodeAlarm } from "../utils/formatters";
+import AlertBell from "../components/AlertBell";
 
 const { Header, Sider, Content, Footer } = Layout;
 const { Text, Title } = Typography;
@@ -32,7 +57,10 @@ const MainLayout = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { token } = theme.useToken();
-  const { isConnected, connectionStatus } = useSocket();
+  const { isConnected, connectionStatus, nodeAlarms } = useSocket();
+  const { user, role, readOnly, can, logout } = useAuth();
+  const { clusters, cluster, clusterId, selectCluster } = useCluster();
+  const { vhostNames, vhost, selectVhost } = useVhost();
   const [localConnectionStatus, setLocalConnectionStatus] = useState({
     http: false,
     amqp: false,
@@ -107,11 +135,76 @@ const MainLayout = () => {
       label: "Bindings",
     },
     {
+      key: "/topology/graph",
+      icon: <ApartmentOutlined />,
+      label: "Topology Graph",
+    },
+    {
+      key: "/connections",
+      icon: <ApiOutlined />,
+      label: "Connections",
+    },
+    {
+      key: "/channels",
+      icon: <PartitionOutlined />,
+      label: "Channels",
+    },
+    {
+      key: "/nodes",
+      icon: <ClusterOutlined />,
+      label: "Nodes",
+    },
+    {
+      key: "/vhosts",
+      icon: <DatabaseOutlined />,
+      label: "Virtual Hosts",
+    },
+    {
+      key: "/users",
+      icon: <TeamOutlined />,
+      label: "Users",
+    },
+    {
+      key: "/policies",
+      icon: <SafetyOutlined />,
+      label: "Policies",
+    },
+    {
+      key: "/definitions",
+      icon: <FileTextOutlined />,
+      label: "Definitions",
+    },
+    {
+      key: "/topology/diff",
+      icon: <DiffOutlined />,
+      label: "Topology Diff",
+    },
+    {
+      key: "/topology/apply",
+      icon: <CloudUploadOutlined />,
+      label: "Topology Apply",
+    },
+    can("publish") && {
       key: "/publish",
       icon: <SendOutlined />,
       label: "Publish Message",
     },
-  ];
+    can("peek") && {
+      key: "/dead-letters",
+      icon: <RollbackOutlined />,
+      label: "Dead Letters",
+    },
+    {
+      key: "/alerts",
+      icon: <BellOutlined />,
+      label: "Alerts",
+    },
+    can("audit") && {
+      key: "/audit",
+      icon: <AuditOutlined />,
+      label: "Audit",
+    },
+  ].filter(Boolean);
 
   // Handle menu item clicks
   const handleMenuClick = ({ key }) => {
@@ -131,6 +224,10 @@ const MainLayout = () => {
   const shouldShowConnectionWarning =
     isConnected && !(localConnectionStatus.http && localConnectionStatus.amqp);
 
+  // Colour the header by environment so production is hard to mistake
+  const headerColor = getClusterColor(cluster);
+  const headerTextColor = headerColor ? "#fff" : undefined;
+
   return (
     <Layout style={{ minHeight: "100vh" }}>
       <Sider
@@ -251,7 +348,7 @@ const MainLayout = () => {
         <Header
           style={{
             padding: 0,
-            background: token.colorBgContainer,
+            background: headerColor || token.colorBgContainer,
             position: "sticky",
             top: 0,
             zIndex: 1,
@@ -266,7 +363,11 @@ const MainLayout = () => {
             {
               className: "trigger",
               onClick: toggleSidebar,
-              style: { padding: "0 24px", fontSize: "18px" },
+              style: {
+                padding: "0 24px",
+                fontSize: "18px",
+                color: headerTextColor,
+              },
             }
           )}
 
@@ -279,9 +380,81 @@ const MainLayout = () => {
               paddingRight: 24,
             }}
           >
-            <Title level={isMobile ? 5 : 4} style={{ margin: 0 }}>
-              RabbitMQ Dashboard
-            </Title>
+            <Space>
+              <Title
+                level={isMobile ? 5 : 4}
+                style={{ margin: 0, color: headerTextColor }}
+              >
+                RabbitMQ Dashboard
+              </Title>
+              {clusters.length > 1 && (
+                <Select
+                  value={clusterId}
+                  onChange={selectCluster}
+                  style={{ minWidth: isMobile ? 120 : 200 }}
+                  options={clusters.map((item) => ({
+                    value: item.id,
+                    label: (
+                      <Space size={4}>
+                        <Badge
+                          color={
+                            getClusterColor(item) || token.colorTextQuaternary
+                          }
+                        />
+                        {item.name}
+                        {item.environment && !isMobile && (
+                          <Text type="secondary">({item.environment})</Text>
+                        )}
+                      </Space>
+                    ),
+                  }))}
+                />
+              )}
+              {(vhostNames.length > 1 || vhost) && (
+                <Tooltip title="Queues, exchanges, bindings and publishing are limited to this virtual host">
+                  <Select
+                    value={vhost || ""}
+                    onChange={(value) => selectVhost(value || null)}
+                    style={{ minWidth: isMobile ? 100 : 160 }}
+                    options={[
+                      { value: "", label: "All vhosts" },
+                      ...vhostNames.map((name) => ({
+                        value: name,
+                        label: name,
+                      })),
+                    ]}
+                  />
+                </Tooltip>
+              )}
+              {readOnly && (
+                <Tooltip title="Purging, publishing, deleting and moving messages are disabled">
+                  <Tag color="orange" icon={<LockOutlined />}>
+                    read-only
+                  </Tag>
+                </Tooltip>
+              )}
+            </Space>
+            <Space size="middle">
+              <AlertBell color={headerTextColor} />
+              {user && (
+                <Space style={{ color: headerTextColor }}>
+                  <UserOutlined />
+                  {!isMobile && (
+                    <Text style={{ color: headerTextColor }}>
+                      {user.username}
+                    </Text>
+                  )}
+                  {!isMobile && role && <Tag>{role}</Tag>}
+                  <Button
+                    size="small"
+                    icon={<LogoutOutlined />}
+                    onClick={logout}
+                  >
+                    {!isMobile && "Log out"}
+                  </Button>
+                </Space>
+              )}
+            </Space>
           </div>
         </Header>
 
@@ -294,6 +467,23 @@ const MainLayout = () => {
             minHeight: 280,
           }}
         >
+          {nodeAlarms.map((alarm) => (
+            <Alert
+              key={`${alarm.node}/${alarm.type}`}
+              message={describeNodeAlarm(alarm)}
+              description="The broker blocks every publishing connection until the alarm clears."
+              type="error"
+              showIcon
+              action={
+                location.pathname !== "/nodes" && (
+                  <Button size="small" onClick={() => navigate("/nodes")}>
+                    View nodes
+                  </Button>
+                )
+              }
+              style={{ marginBottom: 16 }}
+            />
+          ))}
           {shouldShowConnectionWarning && (
             <Alert
               message="Connection Warning"
@@ -13,10 +13,16 @@ const api = axios.create({
   }
 });
 
+// Cluster every request is for, set by the ClusterProvider
+let clusterId = null;
+
 // Request interceptor for logging and potential auth
 api.interceptors.request.use(
   config => {
     // You can add authentication headers here if needed
+    if (clusterId) {
+      config.headers['X-Cluster'] = clusterId;
+    }
     return config;
   },
   error => {
@@ -25,6 +31,9 @@ api.interceptors.request.use(
   }
 );
 
+// Called when the session is missing or has expired, set by the AuthProvider
+let unauthorizedHandler = null;
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   response => response,
@@ -42,7 +51,15 @@ api.interceptors.response.use(
       // Handle specific status codes
       switch (error.response.status) {
         case 401:
-          message.error('Authentication failed. Please check your credentials.');
+          // A failed login is reported by the login form itself
+          if (error.config?.url === '/auth/login') {
+            break;
+          }
+          if (unauthorizedHandler) {
+            unauthorizedHandler();
+          } else {
+            message.error('Authentication failed. Please check your credentials.');
+          }
           break;
         case 403:
           message.error('You do not have permission to perform this action.');
@@ -73,29 +90,232 @@ api.interceptors.response.use(
 
 // API endpoints
 const endpoints = {
+  // Authentication
+  getAuthStatus: () => api.get('/auth/status'),
+  getCurrentUser: () => api.get('/auth/me'),
+  login: (username, password) => api.post('/auth/login', { username, password }),
+  logout: () => api.post('/auth/logout'),
+  setUnauthorizedHandler: (handler) => {
+    unauthorizedHandler = handler;
+  },
+
+  // Clusters
+  getClusters: () => api.get('/clusters'),
+  setCluster: (id) => {
+    clusterId = id;
+  },
+
   // Overview
   getOverview: () => api.get('/overview'),
 
   // Queues
-  getQueues: () => api.get('/queues'),
+  // params: { vhost }
+  getQueues: (params = {}) => api.get('/queues', { params }),
   getQueue: (vhost, name) => {
     // Handle potential double-encoding issues
     const cleanVhost = vhost.includes('%') ? decodeURIComponent(vhost) : vhost;
     return api.get(`/api/queues/${encodeURIComponent(cleanVhost)}/${encodeURIComponent(name)}`);
   },
-  getQueueMessages: (vhost, name) => api.get(`/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/get`),
+  // options: { count, mode: 'peek' | 'consume', truncate }
+  getQueueMessages: (vhost, name, options = {}) => api.get(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/get`,
+    { params: options }
+  ),
   purgeQueue: (vhost, name) => api.post(`/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/purge`),
+  // declaration: { type, durable, auto_delete, exclusive, arguments }
+  createQueue: (vhost, name, declaration) => api.put(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    declaration
+  ),
+  // guards: { 'if-empty': true, 'if-unused': true }
+  deleteQueue: (vhost, name, guards = {}) => api.delete(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    { params: guards }
+  ),
+  // request: { target: { queue } | { exchange, routingKey }, count: number | 'all' }
+  moveMessages: (vhost, name, request) => api.post(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/move`,
+    request
+  ),
+
+  // request: { messages: [{ fingerprint, payload }], scan, stripDeathHeaders }
+  replayDeadLetters: (vhost, name, request) => api.post(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/replay`,
+    request
+  ),
+
+  // Move jobs
+  getMoveJobs: () => api.get('/moves'),
+  cancelMoveJob: (id) => api.post(`/moves/${encodeURIComponent(id)}/cancel`),
 
   // Exchanges
-  getExchanges: () => api.get('/exchanges'),
+  // params: { vhost }
+  getExchanges: (params = {}) => api.get('/exchanges', { params }),
   getExchange: (vhost, name) => api.get(`/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`),
   publishMessage: (vhost, name, routingKey, payload, properties) => api.post(
     `/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/publish`,
     { routingKey, payload, properties }
   ),
+  // declaration: { type, durable, auto_delete, internal, alternate_exchange, arguments }
+  createExchange: (vhost, name, declaration) => api.put(
+    `/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    declaration
+  ),
+  // guards: { 'if-unused': true }
+  deleteExchange: (vhost, name, guards = {}) => api.delete(
+    `/exchanges/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    { params: guards }
+  ),
 
   // Bindings
-  getBindings: () => api.get('/bindings'),
+  // params: { vhost }
+  getBindings: (params = {}) => api.get('/bindings', { params }),
+  // destinationType: 'queue' or 'exchange'; binding: { routing_key, arguments }
+  createBinding: (vhost, source, destinationType, destination, binding) => api.post(
+    `/bindings/${encodeURIComponent(vhost)}/e/${encodeURIComponent(source)}/${destinationType === 'exchange' ? 'e' : 'q'}/${encodeURIComponent(destination)}`,
+    binding
+  ),
+  // binding: a binding object returned by getBindings()
+  deleteBinding: (binding) => api.delete(
+    `/bindings/${encodeURIComponent(binding.vhost)}/e/${encodeURIComponent(binding.source)}/${binding.destination_type === 'exchange' ? 'e' : 'q'}/${encodeURIComponent(binding.destination)}/${encodeURIComponent(binding.properties_key)}`
+  ),
+
+  // Connections and channels
+  getConnections: () => api.get('/connections'),
+  // Responds with { connection, channels, consumers }
+  getConnection: (name) => api.get(`/connections/${encodeURIComponent(name)}`),
+  closeConnection: (name, reason) => api.delete(`/connections/${encodeURIComponent(name)}`, { data: { reason } }),
+  getChannels: () => api.get('/channels'),
+  // params: { vhost, queue }
+  getConsumers: (params = {}) => api.get('/consumers', { params }),
+  // Responds with { queue, singleActiveConsumer, singleActiveConsumerTag, consumers }
+  getQueueConsumers: (vhost, name) => api.get(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/consumers`
+  ),
+
+  // Virtual hosts
+  getVhosts: () => api.get('/vhosts'),
+  // vhost: { description, tags, default_queue_type }
+  createVhost: (name, vhost) => api.put(`/vhosts/${encodeURIComponent(name)}`, vhost),
+  deleteVhost: (name) => api.delete(`/vhosts/${encodeURIComponent(name)}`),
+
+  // Broker users, their permissions and limits
+  getUsers: () => api.get('/users'),
+  // Includes permissions, topic_permissions and limits
+  getUser: (name) => api.get(`/users/${encodeURIComponent(name)}`),
+  // user: { tags, password }; without a password an existing user keeps theirs
+  saveUser: (name, user) => api.put(`/users/${encodeURIComponent(name)}`, user),
+  deleteUser: (name) => api.delete(`/users/${encodeURIComponent(name)}`),
+  getPermissions: () => api.get('/permissions'),
+  // permissions: { configure, write, read }
+  setPermissions: (vhost, user, permissions) => api.put(
+    `/permissions/${encodeURIComponent(vhost)}/${encodeURIComponent(user)}`,
+    permissions
+  ),
+  clearPermissions: (vhost, user) => api.delete(
+    `/permissions/${encodeURIComponent(vhost)}/${encodeURIComponent(user)}`
+  ),
+  getTopicPermissions: () => api.get('/topic-permissions'),
+  // permissions: { exchange, write, read }
+  setTopicPermissions: (vhost, user, permissions) => api.put(
+    `/topic-permissions/${encodeURIComponent(vhost)}/${encodeURIComponent(user)}`,
+    permissions
+  ),
+  clearTopicPermissions: (vhost, user) => api.delete(
+    `/topic-permissions/${encodeURIComponent(vhost)}/${encodeURIComponent(user)}`
+  ),
+  getUserLimits: () => api.get('/user-limits'),
+  // limit: 'max-connections' | 'max-channels', value -1 for no limit
+  setUserLimit: (user, limit, value) => api.put(
+    `/user-limits/${encodeURIComponent(user)}/${encodeURIComponent(limit)}`,
+    { value }
+  ),
+  removeUserLimit: (user, limit) => api.delete(
+    `/user-limits/${encodeURIComponent(user)}/${encodeURIComponent(limit)}`
+  ),
+
+  // Policies; params: { vhost }
+  getPolicies: (params = {}) => api.get('/policies', { params }),
+  // policy: { pattern, definition, priority, 'apply-to' }
+  savePolicy: (vhost, name, policy) => api.put(
+    `/policies/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    policy
+  ),
+  deletePolicy: (vhost, name) => api.delete(
+    `/policies/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`
+  ),
+  // Queues and exchanges the policy would match; policy also has its name
+  previewPolicy: (vhost, policy) => api.post(`/policies/${encodeURIComponent(vhost)}/preview`, policy),
+
+  // Operator policies, same shapes as policies
+  getOperatorPolicies: (params = {}) => api.get('/operator-policies', { params }),
+  saveOperatorPolicy: (vhost, name, policy) => api.put(
+    `/operator-policies/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    policy
+  ),
+  deleteOperatorPolicy: (vhost, name) => api.delete(
+    `/operator-policies/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`
+  ),
+  previewOperatorPolicy: (vhost, policy) => api.post(
+    `/operator-policies/${encodeURIComponent(vhost)}/preview`,
+    policy
+  ),
+
+  // The policy and operator policy applied to a queue, and the effective definition
+  getQueuePolicy: (vhost, name) => api.get(
+    `/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}/policy`
+  ),
+
+  // Definitions of the whole broker, or of one vhost when given
+  getDefinitions: (vhost) => api.get(
+    vhost ? `/definitions/${encodeURIComponent(vhost)}` : '/definitions'
+  ),
+  // With dryRun, only reports what would be created, changed or left untouched
+  importDefinitions: (vhost, definitions, dryRun = false) => api.post(
+    vhost ? `/definitions/${encodeURIComponent(vhost)}` : '/definitions',
+    definitions,
+    { params: dryRun ? { dryRun: true } : {} }
+  ),
+
+  // Each side is { cluster }, { snapshot } or { definitions, name }, with an optional vhost
+  diffTopology: (left, right) => api.post('/topology/diff', { left, right }),
+  getSnapshots: () => api.get('/topology/snapshots'),
+  // Includes the definitions
+  getSnapshot: (id) => api.get(`/topology/snapshots/${encodeURIComponent(id)}`),
+  // Stores the definitions of the selected cluster
+  createSnapshot: (name) => api.post('/topology/snapshots', { name }),
+  deleteSnapshot: (id) => api.delete(`/topology/snapshots/${encodeURIComponent(id)}`),
+  // topology is the YAML or JSON text of a topology file
+  planTopology: (topology) => api.post('/topology/plan', { topology }),
+  // planId is the id of the reviewed plan; name only labels the audit entry
+  applyTopology: (topology, planId, allowDestructive, name) => api.post(
+    '/topology/apply',
+    { topology, planId, allowDestructive, name }
+  ),
+
+  // Cluster nodes; memory and disk alarms are pushed over the socket
+  getNodes: () => api.get('/nodes'),
+  // Includes the memory breakdown
+  getNode: (name) => api.get(`/nodes/${encodeURIComponent(name)}`),
+
+  // Audit log
+  // params: { user, action, cluster, vhost, resource, outcome, from, to, limit, offset }
+  getAuditLog: (params = {}) => api.get('/audit', { params }),
+
+  // Alert rules; firing alerts are pushed over the socket
+  getAlertRules: () => api.get('/alerts/rules'),
+  createAlertRule: (rule) => api.post('/alerts/rules', rule),
+  updateAlertRule: (id, rule) => api.put(`/alerts/rules/${encodeURIComponent(id)}`, rule),
+  deleteAlertRule: (id) => api.delete(`/alerts/rules/${encodeURIComponent(id)}`),
+  testAlertRule: (id) => api.post(`/alerts/rules/${encodeURIComponent(id)}/test`),
+  getAlertDeliveries: (params = {}) => api.get('/alerts/deliveries', { params }),
+
+  // Metrics history, range: '1h' | '24h' | '7d'
+  getOverviewMetrics: (range) => api.get('/metrics/overview', { params: { range } }),
+  getQueueMetrics: (vhost, name, range) => api.get(
+    `/metrics/queues/${encodeURIComponent(vhost)}/${encodeURIComponent(name)}`,
+    { params: { range } }
+  ),
 
   // Health check
   getHealth: () => api.get('/health'),
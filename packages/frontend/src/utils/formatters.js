@@ -116,6 +116,113 @@ export const getExchangeTypeColor = (type) => {
     }
 };
 
+/**
+ * Get the header color of a cluster: its configured color, or one derived
+ * from its environment so production stands out
+ * @param {Object} cluster - Cluster from the clusters API
+ * @returns {string|null} CSS color, null for no color
+ */
+export const getClusterColor = (cluster) => {
+    if (!cluster) return null;
+    if (cluster.color) return cluster.color;
+
+    switch ((cluster.environment || '').toLowerCase()) {
+        case 'prod':
+        case 'production':
+            return '#cf1322';
+        case 'staging':
+        case 'stage':
+            return '#d46b08';
+        case 'test':
+        case 'qa':
+            return '#096dd9';
+        case 'dev':
+        case 'development':
+            return '#389e0d';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Describe the condition of an alert rule or alert
+ * @param {Object} rule - Alert rule or alert with metric, comparator, threshold and duration
+ * @returns {string} Condition, e.g. "consumers == 0 for 5m 0s"
+ */
+export const formatAlertCondition = (rule) => {
+    const condition = `${rule.metric} ${rule.comparator} ${rule.threshold}`;
+    return rule.duration ? `${condition} for ${formatUptime(rule.duration * 1000)}` : condition;
+};
+
+/**
+ * Get the tag color for an alert severity
+ * @param {string} severity - 'warning' or 'critical'
+ * @returns {string} Ant Design color name
+ */
+export const getAlertSeverityColor = (severity) => {
+    return severity === 'critical' ? 'red' : 'orange';
+};
+
+/**
+ * Format a byte rate from the management API, e.g. recv_oct_details.rate
+ * @param {number} rate - Bytes per second
+ * @returns {string} Formatted rate, e.g. "1.2 KB/s"
+ */
+export const formatByteRate = (rate) => {
+    return `${formatFileSize(Math.round(rate || 0))}/s`;
+};
+
+/**
+ * Get the tag color for the state of a connection or channel
+ * @param {string} state - 'running', 'flow', 'blocking', 'blocked', 'starting', ...
+ * @returns {string} Ant Design color name
+ */
+export const getConnectionStateColor = (state) => {
+    switch (state) {
+        case 'running':
+            return 'green';
+        case 'flow':
+            return 'orange';
+        case 'blocking':
+        case 'blocked':
+            return 'red';
+        default:
+            return 'default';
+    }
+};
+
+/**
+ * Get the name a client gave its connection, or the broker's name for it
+ * @param {Object} connection - Connection from the connections API
+ * @returns {string} Display name
+ */
+export const getConnectionDisplayName = (connection) => {
+    const properties = connection.client_properties || {};
+    return properties.connection_name || connection.name;
+};
+
+/**
+ * Get the share of a resource in use, e.g. file descriptors of a node
+ * @param {number} used - Amount in use
+ * @param {number} total - Amount available
+ * @returns {number} Percentage between 0 and 100, 0 when the total is unknown
+ */
+export const getUsagePercent = (used, total) => {
+    if (!total) return 0;
+    return Math.min(100, Math.round(((used || 0) / total) * 100));
+};
+
+/**
+ * Describe a memory or disk alarm of a node
+ * @param {Object} alarm - { node, type: 'memory' | 'disk', used, limit }
+ * @returns {string} Description, e.g. "Memory alarm on rabbit@a: 1.2 GB used, high watermark 1 GB"
+ */
+export const describeNodeAlarm = (alarm) => {
+    return alarm.type === 'memory'
+        ? `Memory alarm on ${alarm.node}: ${formatFileSize(alarm.used || 0)} used, high watermark ${formatFileSize(alarm.limit || 0)}`
+        : `Disk alarm on ${alarm.node}: ${formatFileSize(alarm.used || 0)} free, limit ${formatFileSize(alarm.limit || 0)}`;
+};
+
 /**
  * Determine if a string is valid JSON
  * @param {string} str - String to check
@@ -137,4 +244,47 @@ export const isValidJson = (str) => {
 export const generateId = () => {
     return Math.random().toString(36).substring(2, 15) +
         Math.random().toString(36).substring(2, 15);
-};
\ No newline at end of file
+};
+/**
+ * Save data as a pretty-printed JSON file through the browser
+ * @param {any} data - Data to save
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadJson = (data, filename) => {
+    const element = document.createElement('a');
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    element.href = URL.createObjectURL(blob);
+    element.download = filename;
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+    URL.revokeObjectURL(element.href);
+};
+
+/**
+ * Read a text file chosen in the browser
+ * @param {File} file - File from an upload input
+ * @returns {Promise<string>} Content
+ */
+export const readTextFile = (file) =>
+    new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Cannot read ${file.name}`));
+        reader.readAsText(file);
+    });
+
+/**
+ * Read a JSON file chosen in the browser
+ * @param {File} file - File from an upload input
+ * @returns {Promise<any>} Parsed content
+ * @throws {Error} If the file is not valid JSON
+ */
+export const readJsonFile = (file) =>
+    readTextFile(file).then((text) => {
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new Error(`${file.name} is not a valid JSON file`);
+        }
+    });
@@ -0,0 +1,20 @@
+// src/utils/queues.js
+
+/**
+ * Queues matching the search text of the queues page by name or vhost,
+ * optionally only those nobody consumes from
+ * @param {Array<Object>} queues - Queues from the API
+ * @param {string} [text] - Search text, matched case-insensitively
+ * @param {boolean} [onlyWithoutConsumers] - Keep only queues without consumers
+ * @returns {Array<Object>} Matching queues
+ */
+export const selectQueues = (queues, text = '', onlyWithoutConsumers = false) => {
+    const search = text.toLowerCase();
+
+    return queues.filter((queue) =>
+        (!onlyWithoutConsumers || !queue.consumers) &&
+        (!search ||
+            queue.name.toLowerCase().includes(search) ||
+            Boolean(queue.vhost && queue.vhost.toLowerCase().includes(search)))
+    );
+};
@@ -0,0 +1,31 @@
+// src/utils/queues.test.js
+import { describe, test, expect } from 'vitest';
+import { selectQueues } from './queues';
+
+const queues = [
+    { vhost: '/', name: 'orders.new', consumers: 2 },
+    { vhost: '/', name: 'orders.retry', consumers: 0 },
+    { vhost: 'shop', name: 'billing' },
+    { vhost: 'shop', name: 'audit', consumers: 1 }
+];
+
+const names = (selected) => selected.map((queue) => queue.name);
+
+describe('selectQueues', () => {
+    test('keeps every queue without a filter', () => {
+        expect(selectQueues(queues)).toEqual(queues);
+    });
+
+    test('keeps the queues without consumers', () => {
+        expect(names(selectQueues(queues, '', true))).toEqual(['orders.retry', 'billing']);
+    });
+
+    test('matches the search text against names and vhosts, ignoring case', () => {
+        expect(names(selectQueues(queues, 'ORDERS'))).toEqual(['orders.new', 'orders.retry']);
+        expect(names(selectQueues(queues, 'shop'))).toEqual(['billing', 'audit']);
+    });
+
+    test('combines the search text with the consumers filter', () => {
+        expect(names(selectQueues(queues, 'orders', true))).toEqual(['orders.retry']);
+    });
+});
@@ -0,0 +1,289 @@
+// src/utils/topologyGraph.js
+
+// Size of the nodes and the space between them, in SVG units
+export const NODE_WIDTH = 180;
+export const NODE_HEIGHT = 44;
+const COLUMN_GAP = 140;
+const ROW_GAP = 16;
+const PADDING = 24;
+
+/**
+ * Whether a queue or exchange is RabbitMQ's own: the default exchange,
+ * amq.* exchanges and server-named queues
+ * @param {string} name - Queue or exchange name
+ * @returns {boolean} Whether it is a system one
+ */
+export const isSystemName = (name) => name === '' || name.startsWith('amq.');
+
+/**
+ * Whether a topic binding key matches a routing key; `*` matches one word
+ * and `#` zero or more
+ * @param {string} pattern - Binding key, e.g. 'orders.*.created'
+ * @param {string} routingKey - Routing key, e.g. 'orders.eu.created'
+ * @returns {boolean} Whether it matches
+ */
+export const matchesTopic = (pattern, routingKey) => {
+    const patternWords = pattern.split('.');
+    const words = routingKey.split('.');
+    const seen = new Map();
+
+    const match = (i, j) => {
+        const key = `${i}:${j}`;
+        if (!seen.has(key)) {
+            let result;
+            if (i === patternWords.length) {
+                result = j === words.length;
+            } else if (patternWords[i] === '#') {
+                result = match(i + 1, j) || (j < words.length && match(i, j + 1));
+            } else {
+                result = j < words.length &&
+                    (patternWords[i] === '*' || patternWords[i] === words[j]) &&
+                    match(i + 1, j + 1);
+            }
+            seen.set(key, result);
+        }
+        return seen.get(key);
+    };
+
+    return match(0, 0);
+};
+
+/**
+ * Whether a message published to an exchange with a routing key would follow
+ * a binding. Headers exchanges match on headers, not the routing key, so
+ * their bindings are always followed.
+ * @param {string} exchangeType - Type of the binding's source exchange
+ * @param {Object} binding - Binding from the bindings API
+ * @param {string} routingKey - Routing key of the message
+ * @returns {boolean} Whether the binding is followed
+ */
+export const bindingMatches = (exchangeType, binding, routingKey) => {
+    switch (exchangeType) {
+        case 'direct':
+            return binding.routing_key === routingKey;
+        case 'topic':
+            return matchesTopic(binding.routing_key, routingKey);
+        default:
+            return true;
+    }
+};
+
+/**
+ * Describe the bindings of an edge in a few words
+ * @param {string} exchangeType - Type of the source exchange
+ * @param {Array<Object>} bindings - Bindings between the same two nodes
+ * @returns {string} Routing keys, header arguments, or '' for fanout
+ */
+export const describeBindings = (exchangeType, bindings) => {
+    if (exchangeType === 'fanout') {
+        return '';
+    }
+
+    if (exchangeType === 'headers') {
+        return bindings
+            .map(binding => Object.entries(binding.arguments || {})
+                .map(([key, value]) => `${key}=${value}`)
+                .join(' '))
+            .join(', ');
+    }
+
+    return bindings.map(binding => binding.routing_key || '(empty)').join(', ');
+};
+
+/**
+ * Build the graph of a vhost's exchanges and queues, with one edge for all
+ * the bindings between two nodes, and lay it out in columns from left to
+ * right: exchanges bound to no other exchange first, then the exchanges they
+ * are bound to, and the queues last
+ * @param {Object} topology - { exchanges, queues, bindings } of one vhost
+ * @param {Object} [options] - Graph options
+ * @param {boolean} [options.showSystem] - Include amq.* exchanges and queues
+ * @returns {Object} { nodes, edges, width, height }; nodes are { id, kind,
+ * name, x, y, data } and edges { id, source, target, bindings }
+ */
+export const buildTopologyGraph = ({ exchanges, queues, bindings }, { showSystem = false } = {}) => {
+    const nodes = new Map();
+
+    // The default exchange routes to every queue by name and is not drawn
+    for (const exchange of exchanges) {
+        if (exchange.name !== '' && (showSystem || !isSystemName(exchange.name))) {
+            nodes.set(`e:${exchange.name}`, { id: `e:${exchange.name}`, kind: 'exchange', name: exchange.name, data: exchange });
+        }
+    }
+    for (const queue of queues) {
+        if (showSystem || !isSystemName(queue.name)) {
+            nodes.set(`q:${queue.name}`, { id: `q:${queue.name}`, kind: 'queue', name: queue.name, data: queue });
+        }
+    }
+
+    const edges = new Map();
+    for (const binding of bindings) {
+        const source = `e:${binding.source}`;
+        const target = `${binding.destination_type === 'exchange' ? 'e' : 'q'}:${binding.destination}`;
+        if (!nodes.has(source) || !nodes.has(target)) {
+            continue;
+        }
+
+        const id = `${source}->${target}`;
+        if (!edges.has(id)) {
+            edges.set(id, { id, source, target, bindings: [] });
+        }
+        edges.get(id).bindings.push(binding);
+    }
+
+    const edgeList = Array.from(edges.values());
+    return { nodes, edges: edgeList, ...layoutGraph(nodes, edgeList) };
+};
+
+/**
+ * Give every node a position. Exchanges are placed one column right of the
+ * exchanges bound to them, queues in the last column, and nodes in each
+ * column are ordered by the position of the nodes bound to them to keep
+ * edges from crossing. Nodes without bindings go last.
+ * @param {Map<string, Object>} nodes - Nodes by id, updated with x and y
+ * @param {Array<Object>} edges - Edges
+ * @returns {Object} { width, height } of the graph
+ */
+const layoutGraph = (nodes, edges) => {
+    const columns = new Map();
+    const exchangeIds = Array.from(nodes.values())
+        .filter(node => node.kind === 'exchange')
+        .map(node => node.id);
+    exchangeIds.forEach(id => columns.set(id, 0));
+
+    // Exchanges bound in a cycle: leave out the bindings closing the cycle
+    const exchangeEdges = edges.filter(edge => edge.target.startsWith('e:'));
+    const closing = new Set();
+    const visits = new Map();
+    const visit = (id) => {
+        visits.set(id, 'open');
+        for (const edge of exchangeEdges.filter(edge => edge.source === id)) {
+            if (visits.get(edge.target) === 'open') {
+                closing.add(edge);
+            } else if (!visits.has(edge.target)) {
+                visit(edge.target);
+            }
+        }
+        visits.set(id, 'done');
+    };
+    exchangeIds.forEach(id => visits.has(id) || visit(id));
+
+    // Longest path over the other exchange-to-exchange bindings
+    const forwardEdges = exchangeEdges.filter(edge => !closing.has(edge));
+    for (let pass = 0; pass < exchangeIds.length; pass++) {
+        let moved = false;
+        for (const edge of forwardEdges) {
+            if (columns.get(edge.target) < columns.get(edge.source) + 1) {
+                columns.set(edge.target, columns.get(edge.source) + 1);
+                moved = true;
+            }
+        }
+        if (!moved) {
+            break;
+        }
+    }
+
+    const queueColumn = exchangeIds.length > 0 ? Math.max(...exchangeIds.map(id => columns.get(id))) + 1 : 0;
+    for (const node of nodes.values()) {
+        if (node.kind === 'queue') {
+            columns.set(node.id, queueColumn);
+        }
+    }
+
+    const sources = new Map();
+    const connected = new Set();
+    for (const edge of edges) {
+        if (!sources.has(edge.target)) {
+            sources.set(edge.target, []);
+        }
+        sources.get(edge.target).push(edge.source);
+        connected.add(edge.source);
+        connected.add(edge.target);
+    }
+
+    // Order each column by the average row of the nodes bound to it
+    const rows = new Map();
+    const columnCount = queueColumn + 1;
+    const columnNodes = [];
+    for (let column = 0; column < columnCount; column++) {
+        const barycenter = (id) => {
+            const placed = (sources.get(id) || []).filter(source => rows.has(source));
+            return placed.length > 0
+                ? placed.reduce((total, source) => total + rows.get(source), 0) / placed.length
+                : Infinity;
+        };
+
+        const ids = Array.from(nodes.keys())
+            .filter(id => columns.get(id) === column)
+            .map(id => ({ id, connected: connected.has(id), barycenter: barycenter(id) }))
+            .sort((a, b) => (b.connected - a.connected) ||
+                (a.barycenter - b.barycenter) ||
+                nodes.get(a.id).name.localeCompare(nodes.get(b.id).name))
+            .map(({ id }) => id);
+
+        ids.forEach((id, row) => rows.set(id, row));
+        columnNodes.push(ids);
+    }
+
+    // Center shorter columns on the tallest one
+    const rowCount = Math.max(1, ...columnNodes.map(ids => ids.length));
+    columnNodes.forEach((ids, column) => {
+        const offset = ((rowCount - ids.length) * (NODE_HEIGHT + ROW_GAP)) / 2;
+        ids.forEach((id, row) => {
+            const node = nodes.get(id);
+            node.x = PADDING + column * (NODE_WIDTH + COLUMN_GAP);
+            node.y = PADDING + offset + row * (NODE_HEIGHT + ROW_GAP);
+        });
+    });
+
+    return {
+        width: PADDING * 2 + columnCount * NODE_WIDTH + (columnCount - 1) * COLUMN_GAP,
+        height: PADDING * 2 + rowCount * NODE_HEIGHT + (rowCount - 1) * ROW_GAP
+    };
+};
+
+/**
+ * Find the paths through a node. From an exchange, the bindings a message
+ * published to it follows, only those matching a routing key if one is
+ * given; from a queue, the bindings messages reach it through.
+ * @param {Object} graph - Graph from buildTopologyGraph()
+ * @param {string} nodeId - Selected node
+ * @param {string} [routingKey] - Routing key of the message, from exchanges
+ * @returns {Object} { nodes, edges }: sets of the ids on the paths
+ */
+export const tracePaths = (graph, nodeId, routingKey) => {
+    const node = graph.nodes.get(nodeId);
+    const result = { nodes: new Set([nodeId]), edges: new Set() };
+    if (!node) {
+        return result;
+    }
+
+    const downstream = node.kind === 'exchange';
+    const hasKey = downstream && routingKey !== undefined && routingKey !== null && routingKey !== '';
+    const queue = [nodeId];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const edge of graph.edges) {
+            if ((downstream ? edge.source : edge.target) !== current) {
+                continue;
+            }
+
+            if (hasKey) {
+                const exchangeType = graph.nodes.get(edge.source).data.type;
+                if (!edge.bindings.some(binding => bindingMatches(exchangeType, binding, routingKey))) {
+                    continue;
+                }
+            }
+
+            result.edges.add(edge.id);
+            const next = downstream ? edge.target : edge.source;
+            if (!result.nodes.has(next)) {
+                result.nodes.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return result;
+};
@@ -0,0 +1,151 @@
+// src/utils/topologyGraph.test.js
+import { describe, test, expect } from 'vitest';
+import {
+    isSystemName,
+    matchesTopic,
+    bindingMatches,
+    describeBindings,
+    buildTopologyGraph,
+    tracePaths
+} from './topologyGraph';
+
+const binding = (source, destination, routingKey = '', destinationType = 'queue') => ({
+    source,
+    destination,
+    destination_type: destinationType,
+    routing_key: routingKey,
+    arguments: {}
+});
+
+// orders (topic) -> audit (fanout) -> audit.log
+//                -> orders.eu, orders.us by region
+const topology = {
+    exchanges: [
+        { name: '', type: 'direct' },
+        { name: 'amq.topic', type: 'topic' },
+        { name: 'orders', type: 'topic' },
+        { name: 'audit', type: 'fanout' }
+    ],
+    queues: [{ name: 'orders.eu' }, { name: 'orders.us' }, { name: 'audit.log' }, { name: 'idle' }],
+    bindings: [
+        binding('', 'orders.eu', 'orders.eu'),
+        binding('orders', 'orders.eu', 'eu.*'),
+        binding('orders', 'orders.eu', 'all.#'),
+        binding('orders', 'orders.us', 'us.*'),
+        binding('orders', 'audit', '#', 'exchange'),
+        binding('audit', 'audit.log')
+    ]
+};
+
+describe('isSystemName', () => {
+    test('covers the default exchange and amq. names', () => {
+        expect(isSystemName('')).toBe(true);
+        expect(isSystemName('amq.direct')).toBe(true);
+        expect(isSystemName('orders')).toBe(false);
+    });
+});
+
+describe('matchesTopic', () => {
+    test.each([
+        ['orders.*.created', 'orders.eu.created', true],
+        ['orders.*.created', 'orders.created', false],
+        ['orders.#', 'orders', true],
+        ['orders.#', 'orders.eu.created', true],
+        ['#.created', 'orders.eu.created', true],
+        ['#', '', true],
+        ['*', '', true],
+        ['orders.*', 'orders.eu.created', false]
+    ])('%s matches %s: %s', (pattern, routingKey, expected) => {
+        expect(matchesTopic(pattern, routingKey)).toBe(expected);
+    });
+});
+
+describe('bindingMatches', () => {
+    test('compares routing keys by exchange type', () => {
+        expect(bindingMatches('direct', { routing_key: 'a' }, 'a')).toBe(true);
+        expect(bindingMatches('direct', { routing_key: 'a' }, 'b')).toBe(false);
+        expect(bindingMatches('topic', { routing_key: 'a.*' }, 'a.b')).toBe(true);
+        expect(bindingMatches('fanout', { routing_key: 'a' }, 'b')).toBe(true);
+        expect(bindingMatches('headers', { routing_key: '' }, 'b')).toBe(true);
+    });
+});
+
+describe('describeBindings', () => {
+    test('lists routing keys or header arguments', () => {
+        expect(describeBindings('topic', [{ routing_key: 'eu.*' }, { routing_key: '' }])).toBe('eu.*, (empty)');
+        expect(describeBindings('fanout', [{ routing_key: 'x' }])).toBe('');
+        expect(describeBindings('headers', [{ arguments: { 'x-match': 'all', region: 'eu' } }])).toBe('x-match=all region=eu');
+    });
+});
+
+describe('buildTopologyGraph', () => {
+    test('leaves out system exchanges and merges bindings between two nodes', () => {
+        const graph = buildTopologyGraph(topology);
+
+        expect(Array.from(graph.nodes.keys())).toEqual([
+            'e:orders',
+            'e:audit',
+            'q:orders.eu',
+            'q:orders.us',
+            'q:audit.log',
+            'q:idle'
+        ]);
+        expect(graph.edges.map((edge) => [edge.id, edge.bindings.length])).toEqual([
+            ['e:orders->q:orders.eu', 2],
+            ['e:orders->q:orders.us', 1],
+            ['e:orders->e:audit', 1],
+            ['e:audit->q:audit.log', 1]
+        ]);
+        expect(buildTopologyGraph(topology, { showSystem: true }).nodes.has('e:amq.topic')).toBe(true);
+    });
+
+    test('lays out exchanges before the exchanges they are bound to and queues last', () => {
+        const { nodes, width, height } = buildTopologyGraph(topology);
+        const x = (id) => nodes.get(id).x;
+
+        expect(x('e:orders')).toBeLessThan(x('e:audit'));
+        expect(x('e:audit')).toBeLessThan(x('q:audit.log'));
+        expect(new Set(['q:orders.eu', 'q:orders.us', 'q:audit.log', 'q:idle'].map(x)).size).toBe(1);
+        // Queues without bindings go to the bottom of their column
+        expect(nodes.get('q:idle').y).toBeGreaterThan(nodes.get('q:audit.log').y);
+        for (const node of nodes.values()) {
+            expect(node.x).toBeLessThan(width);
+            expect(node.y).toBeLessThan(height);
+        }
+    });
+
+    test('lays out exchanges bound in a cycle', () => {
+        const graph = buildTopologyGraph({
+            exchanges: [{ name: 'a', type: 'fanout' }, { name: 'b', type: 'fanout' }],
+            queues: [],
+            bindings: [binding('a', 'b', '', 'exchange'), binding('b', 'a', '', 'exchange')]
+        });
+
+        expect(graph.nodes.get('e:a').x).toBeLessThan(graph.nodes.get('e:b').x);
+    });
+});
+
+describe('tracePaths', () => {
+    const graph = buildTopologyGraph(topology);
+
+    test('follows every binding of an exchange without a routing key', () => {
+        const { nodes, edges } = tracePaths(graph, 'e:orders');
+
+        expect(Array.from(nodes).sort()).toEqual(['e:audit', 'e:orders', 'q:audit.log', 'q:orders.eu', 'q:orders.us']);
+        expect(edges.size).toBe(4);
+    });
+
+    test('follows the bindings a routing key matches', () => {
+        expect(Array.from(tracePaths(graph, 'e:orders', 'eu.created').nodes).sort())
+            .toEqual(['e:audit', 'e:orders', 'q:audit.log', 'q:orders.eu']);
+        expect(Array.from(tracePaths(graph, 'e:orders', 'all.new').nodes)).toContain('q:orders.eu');
+    });
+
+    test('finds where the messages of a queue come from', () => {
+        expect(Array.from(tracePaths(graph, 'q:audit.log').nodes).sort()).toEqual(['e:audit', 'e:orders', 'q:audit.log']);
+    });
+
+    test('is just the node for unknown ids', () => {
+        expect(Array.from(tracePaths(graph, 'q:missing').nodes)).toEqual(['q:missing']);
+    });
+});